@@ -1,16 +1,62 @@
 // App.js - Updated for Cloud Run deployment
 import React, { useState, useEffect, useCallback } from 'react';
 import OrderBook from './components/OrderBook';
-import useOrderBook from './hooks/useOrderBook';
+import FeedControls from './components/FeedControls';
+import useOrderBook, { TRANSPORT, BACKEND_HEALTH } from './hooks/useOrderBook';
+import { formatPrice } from './services/symbolSpecs';
+import { CIRCUIT_STATE } from './services/circuitBreaker';
+import { WS_ENDPOINTS, REST_URL, authProvider, marketSimulator } from './config';
 import './App.css';
 
+// Human-readable time since an event, e.g. "850ms ago", "12s ago"
+const formatElapsed = (ms) => {
+  if (ms === null || ms === undefined) return 'Never';
+  if (ms < 1000) return `${ms}ms ago`;
+  if (ms < 60000) return `${Math.floor(ms / 1000)}s ago`;
+  return `${Math.floor(ms / 60000)}m ago`;
+};
+
+// Header pill for the REST backend's circuit breakers
+const BACKEND_HEALTH_LABELS = {
+  [BACKEND_HEALTH.UP]: '🟢 API',
+  [BACKEND_HEALTH.RECOVERING]: '🟠 API recovering',
+  [BACKEND_HEALTH.DOWN]: '🔴 API down'
+};
+
+// Tooltip listing the endpoints that aren't healthy
+const describeBackendHealth = ({ circuits }) => {
+  const failing = Object.entries(circuits)
+    .filter(([, circuit]) => circuit.state !== CIRCUIT_STATE.CLOSED)
+    .map(([endpoint, circuit]) => (circuit.retryAt
+      ? `${endpoint}: ${circuit.state}, retrying at ${new Date(circuit.retryAt).toLocaleTimeString()}`
+      : `${endpoint}: ${circuit.state}`));
+  return failing.length > 0 ? failing.join('\n') : 'The REST API is answering';
+};
+
+// Host of a feed endpoint; stand-in feeds ('simulator', 'replay') aren't URLs and show as they are
+const describeEndpoint = (endpoint) => {
+  try {
+    return new URL(endpoint).host;
+  } catch (error) {
+    return endpoint;
+  }
+};
+
+// What a symbol card shows in place of an update time while it has no book
+const describeSubscription = (subscription) => {
+  switch (subscription?.status) {
+    case 'pending': return 'Subscribing…';
+    case 'error': return `Rejected: ${subscription.error}`;
+    case 'timeout': return 'No response from server';
+    default: return 'No data';
+  }
+};
+
 function App() {
   const [selectedSymbol, setSelectedSymbol] = useState('BTCUSDT');
   const [selectedSymbols, setSelectedSymbols] = useState(['BTCUSDT', 'ETHUSDT', 'ADAUSDT']);
   const [notifications, setNotifications] = useState([]);
-
-  const WS_URL = 'wss://crypto-aggregator-119288192515.europe-west1.run.app/ws';
-  const REST_URL = 'https://crypto-aggregator-119288192515.europe-west1.run.app:8080';
+  const [replay, setReplay] = useState(null); // ReplayConnection standing in for the live feed
 
   // Configure the order book hook
   const {
@@ -24,9 +70,17 @@ function App() {
     getBestPrices,
     getMarketSummary,
     stats,
-    reconnect
+    staleness,
+    subscriptionStatus,
+    endpoint,
+    transport,
+    rateLimit,
+    backendHealth,
+    reconnect,
+    startRecording,
+    stopRecording
   } = useOrderBook(
-    WS_URL,                    // WebSocket URL
+    WS_ENDPOINTS,              // WebSocket endpoints, in failover order
     REST_URL,                  // REST API URL
     selectedSymbols,           // Initial symbols to subscribe to
     {
@@ -35,18 +89,31 @@ function App() {
       enablePolling: false,     // Disable REST polling since we have WebSocket
       debug: true,
       onUpdate: handleOrderBookUpdate,
-      onError: handleOrderBookError
+      onError: handleOrderBookError,
+      onEndpointChange: handleEndpointChange,
+      auth: authProvider,
+      replay,
+      simulator: marketSimulator
     }
   );
 
+  // A loaded recording plays instead of the live (or simulated) feed until it's dropped again
+  useEffect(() => {
+    const feed = replay || marketSimulator;
+    if (!feed) return;
+
+    feed.connect();
+    return () => feed.disconnect();
+  }, [replay]);
+
   // Handle order book updates
   function handleOrderBookUpdate(symbol, data) {
     console.log(`Order book updated for ${symbol}`);
     
     // Example: Show notification for significant price changes
     const prices = getBestPrices(symbol);
-    if (prices.spread > 100) { // Example: Large spread alert
-      addNotification(`Large spread detected for ${symbol}: $${prices.spread.toFixed(2)}`, 'warning');
+    if (prices.spread.gt(100)) { // Example: Large spread alert
+      addNotification(`Large spread detected for ${symbol}: $${formatPrice(prices.spread, symbol)}`, 'warning');
     }
   }
 
@@ -56,6 +123,11 @@ function App() {
     addNotification(`Connection error: ${error.message}`, 'error');
   }
 
+  // Handle failover to another backend instance
+  function handleEndpointChange({ url, reason }) {
+    addNotification(`Switched to ${describeEndpoint(url)} (${reason.replace(/_/g, ' ')})`, 'warning');
+  }
+
   // Add notification
   const addNotification = useCallback((message, type = 'info') => {
     const notification = {
@@ -120,6 +192,34 @@ function App() {
             <span className={`status-indicator ${isConnected ? 'connected' : 'disconnected'}`}>
               {isConnected ? '🟢 Connected' : '🔴 Disconnected'}
             </span>
+            {marketSimulator && !replay && (
+              <span className="status-indicator simulated" title="Books come from a simulated market, not the backend">
+                🔵 Simulated
+              </span>
+            )}
+            {replay && (
+              <span className="status-indicator replay" title="Books come from a recorded session">
+                🟣 Replay
+              </span>
+            )}
+            {transport === TRANSPORT.REST && (
+              <span className="status-indicator fallback" title="The live stream is unavailable; books are polled over REST">
+                🟠 REST fallback
+              </span>
+            )}
+            <span className={`status-indicator backend-${backendHealth.status}`} title={describeBackendHealth(backendHealth)}>
+              {BACKEND_HEALTH_LABELS[backendHealth.status]}
+            </span>
+            {rateLimit.throttled && (
+              <span
+                className="status-indicator throttled"
+                title={rateLimit.pausedUntil
+                  ? `The server asked us to slow down; REST calls resume at ${new Date(rateLimit.pausedUntil).toLocaleTimeString()}`
+                  : `${rateLimit.queued} REST call(s) waiting for the request quota`}
+              >
+                🟡 Rate limited
+              </span>
+            )}
             {error && (
               <button className="retry-button" onClick={reconnect}>
                 Reconnect
@@ -145,9 +245,18 @@ function App() {
             </select>
           </div>
 
+          <FeedControls
+            replay={replay}
+            onReplayChange={setReplay}
+            startRecording={startRecording}
+            stopRecording={stopRecording}
+            onError={(error) => addNotification(error.message, 'error')}
+          />
+
           <div className="stats-display">
             <span>Updates: {stats.totalUpdates}</span>
-            <span>Latency: {stats.averageLatency}ms</span>
+            <span>Msgs/s: {stats.messagesPerSecond}</span>
+            <span>Latency: {stats.latency.p50}ms</span>
             <span>Exchanges: {stats.exchanges.size}</span>
           </div>
         </div>
@@ -178,6 +287,8 @@ function App() {
             data={currentOrderBook}
             maxDepth={20}
             onPriceClick={handlePriceClick}
+            stale={staleness[selectedSymbol]?.stale}
+            age={staleness[selectedSymbol]?.age ?? null}
           />
           
           {loading && (
@@ -198,10 +309,14 @@ function App() {
               {selectedSymbols.map(symbol => {
                 const prices = getBestPrices(symbol);
                 const orderBook = getOrderBook(symbol);
+                const { stale = false, age = null } = staleness[symbol] || {};
+                const subscription = subscriptionStatus[symbol];
+                const failed = subscription?.status === 'error' || subscription?.status === 'timeout';
                 return (
-                  <div key={symbol} className={`symbol-card ${symbol === selectedSymbol ? 'active' : ''}`}>
+                  <div key={symbol} className={`symbol-card ${symbol === selectedSymbol ? 'active' : ''} ${failed ? 'failed' : ''}`}>
                     <div className="symbol-header">
                       <span className="symbol-name">{symbol}</span>
+                      {stale && <span className="stale-badge">STALE</span>}
                       {selectedSymbols.length > 1 && (
                         <button 
                           className="remove-symbol"
@@ -215,27 +330,28 @@ function App() {
                     <div className="symbol-prices">
                       <div className="price-row">
                         <span className="price-label">Bid:</span>
-                        <span className="bid-price">${prices.bestBid.toFixed(2)}</span>
+                        <span className="bid-price">${formatPrice(prices.bestBid, symbol)}</span>
                       </div>
                       <div className="price-row">
                         <span className="price-label">Ask:</span>
-                        <span className="ask-price">${prices.bestAsk.toFixed(2)}</span>
+                        <span className="ask-price">${formatPrice(prices.bestAsk, symbol)}</span>
                       </div>
                       <div className="price-row">
                         <span className="price-label">Spread:</span>
-                        <span className="spread-price">${prices.spread.toFixed(2)}</span>
+                        <span className="spread-price">${formatPrice(prices.spread, symbol)}</span>
                       </div>
                     </div>
                     <div className="symbol-status">
-                      <span className={`update-indicator ${orderBook ? 'active' : 'inactive'}`}>
+                      <span className={`update-indicator ${failed ? 'failed' : !orderBook ? 'inactive' : stale ? 'stale' : 'active'}`}>
                         {orderBook ? '●' : '○'}
                       </span>
-                      <span className="last-update">
+                      <span className={`last-update ${failed ? 'failed' : ''}`}>
                         {orderBook?.lastUpdate ? 
                           new Date(orderBook.lastUpdate).toLocaleTimeString() : 
-                          'No data'
+                          describeSubscription(subscription)
                         }
                       </span>
+                      {age !== null && <span className="update-age">{formatElapsed(age)}</span>}
                     </div>
                   </div>
                 );
@@ -250,9 +366,9 @@ function App() {
               {Object.entries(marketSummary).map(([symbol, data]) => (
                 <div key={symbol} className="market-row">
                   <span className="market-symbol">{symbol}</span>
-                  <span className="market-price">${data.midPrice.toFixed(2)}</span>
-                  <span className={`market-spread ${data.spread > 10 ? 'high-spread' : ''}`}>
-                    {((data.spread / data.midPrice) * 100).toFixed(3)}%
+                  <span className="market-price">${formatPrice(data.midPrice, symbol)}</span>
+                  <span className={`market-spread ${data.spread.gt(10) ? 'high-spread' : ''}`}>
+                    {data.spreadPercent.toFixed(3)}%
                   </span>
                   <span className="market-sources">
                     {data.sources.join(', ') || 'N/A'}
@@ -270,21 +386,38 @@ function App() {
                 <span className="stat-label">Total Updates:</span>
                 <span className="stat-value">{stats.totalUpdates}</span>
               </div>
+              <div className="stat-item">
+                <span className="stat-label">Messages/sec:</span>
+                <span className="stat-value">{stats.messagesPerSecond}</span>
+              </div>
               <div className="stat-item">
                 <span className="stat-label">Average Latency:</span>
                 <span className="stat-value">{stats.averageLatency}ms</span>
               </div>
+              <div className="stat-item">
+                <span className="stat-label">Latency p50 / p90 / p99:</span>
+                <span className="stat-value">
+                  {stats.latency.p50} / {stats.latency.p90} / {stats.latency.p99}ms
+                </span>
+              </div>
               <div className="stat-item">
                 <span className="stat-label">Connected Exchanges:</span>
                 <span className="stat-value">{Array.from(stats.exchanges).join(', ') || 'None'}</span>
               </div>
+              <div className="stat-item">
+                <span className="stat-label">Endpoint:</span>
+                <span className="stat-value">{endpoint ? describeEndpoint(endpoint) : 'None'}</span>
+              </div>
               <div className="stat-item">
                 <span className="stat-label">Last Update:</span>
+                <span className="stat-value">{formatElapsed(stats.timeSinceLastUpdate)}</span>
+              </div>
+              <div className="stat-item stat-item-wide">
+                <span className="stat-label">Updates by Symbol:</span>
                 <span className="stat-value">
-                  {stats.lastUpdateTime ? 
-                    new Date(stats.lastUpdateTime).toLocaleTimeString() : 
-                    'Never'
-                  }
+                  {Object.entries(stats.updatesBySymbol)
+                    .map(([symbol, count]) => `${symbol}: ${count}`)
+                    .join(' · ') || 'None'}
                 </span>
               </div>
             </div>
@@ -1,8 +1,78 @@
-import { render, screen } from '@testing-library/react';
+import { render, screen, act } from '@testing-library/react';
 import App from './App';
+import { WebSocketProvider } from './context/WebSocketContext';
+import MarketSimulator from './services/marketSimulator';
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+// config.js builds its simulator from REACT_APP_SIMULATE_MARKET at import; tests pick one per test
+let mockSimulator = null;
+jest.mock('./config', () => ({
+  ...jest.requireActual('./config'),
+  get marketSimulator() {
+    return mockSimulator;
+  }
+}));
+
+// Never connects; stands in for the browser WebSocket so no test reaches a live backend
+class StubSocket {
+  static CONNECTING = 0;
+  static OPEN = 1;
+  static CLOSING = 2;
+  static CLOSED = 3;
+
+  static urls = [];
+
+  constructor(url) {
+    StubSocket.urls.push(url);
+    this.readyState = StubSocket.CONNECTING;
+  }
+
+  send() {}
+
+  close() {
+    this.readyState = StubSocket.CLOSED;
+  }
+}
+
+describe('App', () => {
+  const { WebSocket } = global;
+
+  beforeEach(() => {
+    StubSocket.urls = [];
+    global.WebSocket = StubSocket;
+  });
+
+  afterEach(() => {
+    global.WebSocket = WebSocket;
+    mockSimulator = null;
+  });
+
+  test('renders the order book dashboard', async () => {
+    // App asks for WS_ENDPOINTS, not the provider's (null) url, so it opens a connection of its own
+    const { unmount } = render(
+      <WebSocketProvider url={null}>
+        <App />
+      </WebSocketProvider>
+    );
+    expect(screen.getByRole('heading', { name: /crypto order book aggregator/i })).toBeInTheDocument();
+
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(StubSocket.urls).toEqual([expect.stringMatching(/^wss:\/\//)]);
+    unmount();
+  });
+
+  test('runs on the simulated market without a backend', async () => {
+    mockSimulator = new MarketSimulator({ seed: 1 });
+    const { unmount } = render(
+      <WebSocketProvider url={null}>
+        <App />
+      </WebSocketProvider>
+    );
+    await act(() => new Promise(resolve => setTimeout(resolve, 50)));
+
+    expect(screen.getByText('🔵 Simulated')).toBeInTheDocument();
+    expect(screen.getByText('🟢 Connected')).toBeInTheDocument();
+    expect(screen.getByText('simulator')).toBeInTheDocument();
+    expect(StubSocket.urls).toEqual([]);
+    unmount();
+  });
 });
@@ -0,0 +1,117 @@
+import React, { useState, useEffect, useRef } from 'react';
+import FeedRecorder from '../services/feedRecorder';
+import ReplayConnection from '../services/replayConnection';
+import './FeedControls.css';
+
+const SPEEDS = [0.25, 0.5, 1, 2, 5, 10, 25, 50];
+
+const formatPosition = (ms) => {
+  const seconds = Math.floor(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Record the live feed to an NDJSON download, or load a recording and replay it in place of
+ * the live feed (play/pause, speed, seek). The replay itself is owned by the parent, which
+ * hands it to useOrderBook; `onReplayChange(null)` goes back to live.
+ */
+const FeedControls = ({ replay, onReplayChange, startRecording, stopRecording, onError = () => {} }) => {
+  const [recording, setRecording] = useState(false);
+  const [playback, setPlayback] = useState(null);
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    if (!replay) {
+      setPlayback(null);
+      return;
+    }
+
+    setPlayback(replay.getPlayback());
+    return replay.on('playback', setPlayback);
+  }, [replay]);
+
+  const toggleRecording = async () => {
+    if (!recording) {
+      startRecording();
+      setRecording(true);
+      return;
+    }
+
+    setRecording(false);
+    try {
+      const ndjson = await stopRecording();
+      if (ndjson) FeedRecorder.download(ndjson);
+    } catch (error) {
+      onError(error);
+    }
+  };
+
+  const loadRecording = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      onReplayChange(new ReplayConnection(await file.text()));
+    } catch (error) {
+      onError(error);
+    }
+  };
+
+  if (!replay) {
+    return (
+      <div className="feed-controls">
+        <button
+          className={`feed-button ${recording ? 'recording' : ''}`}
+          onClick={toggleRecording}
+          title={recording ? 'Stop and download the recording' : 'Record the raw feed'}
+        >
+          {recording ? '⏹ Stop recording' : '⏺ Record'}
+        </button>
+        <button className="feed-button" onClick={() => fileInputRef.current?.click()}>
+          Replay…
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".ndjson,.jsonl,application/x-ndjson"
+          onChange={loadRecording}
+          hidden
+        />
+      </div>
+    );
+  }
+
+  const { playing = false, position = 0, duration = 0, speed = 1, startTime = 0 } = playback || {};
+
+  return (
+    <div className="feed-controls replaying">
+      <span className="replay-badge" title={new Date(startTime + position).toLocaleString()}>REPLAY</span>
+      <button className="feed-button" onClick={() => (playing ? replay.pause() : replay.play())}>
+        {playing ? '⏸' : '▶'}
+      </button>
+      <input
+        className="replay-seek"
+        type="range"
+        min={0}
+        max={duration}
+        step={100}
+        value={Math.round(position)}
+        onChange={(e) => replay.seek(Number(e.target.value))}
+      />
+      <span className="replay-position">
+        {formatPosition(position)} / {formatPosition(duration)}
+      </span>
+      <select value={speed} onChange={(e) => replay.setSpeed(Number(e.target.value))}>
+        {SPEEDS.map(value => (
+          <option key={value} value={value}>{value}x</option>
+        ))}
+      </select>
+      <button className="feed-button" onClick={() => onReplayChange(null)}>
+        Back to live
+      </button>
+    </div>
+  );
+};
+
+export default FeedControls;
@@ -1,59 +1,79 @@
 import React, { useState, useEffect, useMemo } from 'react';
+import Decimal from '../services/decimal';
+import PriceLevels from '../services/priceLevels';
+import { formatPrice as formatSymbolPrice, formatQuantity as formatSymbolQuantity } from '../services/symbolSpecs';
 import './OrderBook.css';
 
+// Colours assigned to venues (in name order) for stacked depth bars and filter chips
+const VENUE_COLORS = ['#f0b90b', '#4a90e2', '#ab47bc', '#26c6da', '#ff7043', '#9ccc65'];
+
+/**
+ * Best `maxDepth` levels of one side with cumulative totals, restricted to included venues.
+ * Consolidated levels carry `venues` ({ venue: quantity }); the row keeps the included
+ * venues' quantities and their cumulative totals for the stacked depth bars.
+ */
+const buildRows = (levels, side, maxDepth, excludedVenues) => {
+  const rows = [];
+  const cumulativeVenues = {};
+  let total = Decimal.ZERO;
+
+  for (const level of PriceLevels.from(levels, side)) {
+    if (rows.length >= maxDepth) break;
+
+    const venues = level.venues
+      ? Object.entries(level.venues).filter(([venue]) => !excludedVenues.has(venue))
+      : null;
+    const quantity = venues ? Decimal.sum(venues.map(([, venueQuantity]) => venueQuantity)) : level.quantity;
+    if (!quantity.isPositive()) continue;
+
+    total = total.add(quantity);
+    if (venues) {
+      venues.forEach(([venue, venueQuantity]) => {
+        cumulativeVenues[venue] = (cumulativeVenues[venue] || Decimal.ZERO).add(venueQuantity);
+      });
+    }
+
+    rows.push({
+      price: level.price,
+      quantity,
+      total,
+      venues: venues ? Object.fromEntries(venues) : null,
+      cumulativeVenues: venues ? { ...cumulativeVenues } : null
+    });
+  }
+
+  return rows;
+};
+
 const OrderBook = ({ 
   symbol = "BTCUSDT", 
   data = null, 
   maxDepth = 20,
-  onPriceClick = null 
+  onPriceClick = null,
+  stale = false,   // No updates for longer than the staleness threshold
+  age = null       // ms since the book last changed
 }) => {
   const [animatedPrices, setAnimatedPrices] = useState(new Set());
+  const [excludedVenues, setExcludedVenues] = useState(new Set());
+
+  // Venues contributing to the consolidated book
+  const venues = useMemo(() => Object.keys(data?.Venues || {}).sort(), [data?.Venues]);
 
-  // Process and sort order book data
+  // Process order book data; levels are kept sorted best-first by the book model
   const processedData = useMemo(() => {
     if (!data || !data.Bids || !data.Asks) {
-      return { bids: [], asks: [], bestBid: 0, bestAsk: 0, spread: 0 };
+      return { bids: [], asks: [], bestBid: Decimal.ZERO, bestAsk: Decimal.ZERO, spread: Decimal.ZERO };
     }
 
-    // Convert bids object to array and sort (highest first)
-    const bids = Object.entries(data.Bids || {})
-      .map(([price, quantity]) => ({
-        price: parseFloat(price),
-        quantity: parseFloat(quantity),
-        total: 0 // Will be calculated below
-      }))
-      .sort((a, b) => b.price - a.price)
-      .slice(0, maxDepth);
-
-    // Convert asks object to array and sort (lowest first)  
-    const asks = Object.entries(data.Asks || {})
-      .map(([price, quantity]) => ({
-        price: parseFloat(price),
-        quantity: parseFloat(quantity),
-        total: 0 // Will be calculated below
-      }))
-      .sort((a, b) => a.price - b.price)
-      .slice(0, maxDepth);
-
-    // Calculate cumulative totals
-    let bidTotal = 0;
-    bids.forEach(bid => {
-      bidTotal += bid.quantity;
-      bid.total = bidTotal;
-    });
-
-    let askTotal = 0;
-    asks.forEach(ask => {
-      askTotal += ask.quantity;
-      ask.total = askTotal;
-    });
+    const bids = buildRows(data.Bids, 'bids', maxDepth, excludedVenues);
+    const asks = buildRows(data.Asks, 'asks', maxDepth, excludedVenues);
 
-    const bestBid = bids.length > 0 ? bids[0].price : 0;
-    const bestAsk = asks.length > 0 ? asks[0].price : 0;
-    const spread = bestAsk - bestBid;
+    const bestBid = bids.length > 0 ? bids[0].price : Decimal.ZERO;
+    const bestAsk = asks.length > 0 ? asks[0].price : Decimal.ZERO;
+    const spread = bestAsk.sub(bestBid);
 
     return { bids, asks, bestBid, bestAsk, spread };
-  }, [data, maxDepth]);
+  }, [data, maxDepth, excludedVenues]);
 
   // Animate price changes
   useEffect(() => {
@@ -65,24 +85,56 @@ const OrderBook = ({
     }
   }, [data?.LastUpdate]);
 
-  const formatPrice = (price) => {
-    if (price >= 1) {
-      return price.toFixed(2);
-    } else if (price >= 0.01) {
-      return price.toFixed(4);
-    } else {
-      return price.toFixed(8);
-    }
+  // Prices and sizes are shown on the symbol's tick and lot grid
+  const formatPrice = (price) => formatSymbolPrice(price, symbol);
+
+  const formatQuantity = (quantity) => formatSymbolQuantity(quantity, symbol);
+
+  const toggleVenue = (venue) => {
+    setExcludedVenues(prev => {
+      const next = new Set(prev);
+      if (next.has(venue)) {
+        next.delete(venue);
+      } else {
+        next.add(venue);
+      }
+      return next;
+    });
   };
 
-  const formatQuantity = (quantity) => {
-    if (quantity >= 1000) {
-      return (quantity / 1000).toFixed(2) + 'K';
-    } else if (quantity >= 1) {
-      return quantity.toFixed(3);
-    } else {
-      return quantity.toFixed(6);
-    }
+  const getVenueColor = (venue) => VENUE_COLORS[venues.indexOf(venue) % VENUE_COLORS.length];
+
+  // Tooltip listing each venue's size at a level
+  const getVenueBreakdown = (level) => {
+    if (!level.venues) return undefined;
+    return Object.entries(level.venues)
+      .map(([venue, quantity]) => `${venue}: ${formatQuantity(quantity)}`)
+      .join(' · ');
+  };
+
+  // Depth bar, split into one segment per venue when several venues contribute
+  const renderDepthBackground = (level, side, maxTotal) => {
+    const segments = venues.length > 1 && level.cumulativeVenues
+      ? venues.filter(venue => level.cumulativeVenues[venue])
+      : [];
+
+    return (
+      <div 
+        className={`row-background ${side}-background ${segments.length > 0 ? 'venue-stacked' : ''}`}
+        style={{ width: `${getDepthPercentage(level.total, maxTotal)}%` }}
+      >
+        {segments.map(venue => (
+          <span
+            key={venue}
+            className="venue-segment"
+            style={{
+              width: `${getDepthPercentage(level.cumulativeVenues[venue], level.total)}%`,
+              background: getVenueColor(venue)
+            }}
+          ></span>
+        ))}
+      </div>
+    );
   };
 
   const formatTime = (timestamp) => {
@@ -91,11 +143,12 @@ const OrderBook = ({
   };
 
   const getDepthPercentage = (total, maxTotal) => {
-    return maxTotal > 0 ? (total / maxTotal) * 100 : 0;
+    return maxTotal.isPositive() ? total.div(maxTotal, 4).toNumber() * 100 : 0;
   };
 
-  const maxBidTotal = Math.max(...processedData.bids.map(b => b.total), 0);
-  const maxAskTotal = Math.max(...processedData.asks.map(a => a.total), 0);
+  // Totals are cumulative, so the deepest level holds the maximum
+  const maxBidTotal = processedData.bids[processedData.bids.length - 1]?.total || Decimal.ZERO;
+  const maxAskTotal = processedData.asks[processedData.asks.length - 1]?.total || Decimal.ZERO;
 
   const handlePriceClick = (price, side) => {
     if (onPriceClick) {
@@ -118,17 +171,35 @@ const OrderBook = ({
     );
   }
 
-  const spreadPercent = processedData.bestAsk > 0 
-    ? ((processedData.spread / processedData.bestAsk) * 100).toFixed(3)
+  const spreadPercent = processedData.bestAsk.isPositive()
+    ? processedData.spread.mul(100).div(processedData.bestAsk).toFixed(3)
     : '0.000';
 
+  const midPrice = processedData.bestBid.add(processedData.bestAsk).div(2);
+
   return (
-    <div className="orderbook-container">
+    <div className={`orderbook-container ${stale ? 'stale' : ''}`}>
       <div className="orderbook-header">
         <div className="orderbook-title">
           <h3>Order Book - {symbol}</h3>
           <div className="orderbook-exchanges">
-            {data.Sources && data.Sources.length > 0 && (
+            {venues.length > 1 ? (
+              <span className="exchange-badges venue-filter">
+                {venues.map(venue => (
+                  <button
+                    key={venue}
+                    type="button"
+                    className={`exchange-badge venue-toggle ${excludedVenues.has(venue) ? 'excluded' : ''}`}
+                    style={{ borderColor: getVenueColor(venue) }}
+                    onClick={() => toggleVenue(venue)}
+                    title={excludedVenues.has(venue) ? `Include ${venue}` : `Exclude ${venue}`}
+                  >
+                    <span className="venue-swatch" style={{ background: getVenueColor(venue) }}></span>
+                    {venue}
+                  </button>
+                ))}
+              </span>
+            ) : data.Sources && data.Sources.length > 0 && (
               <span className="exchange-badges">
                 {data.Sources.map(exchange => (
                   <span key={exchange} className="exchange-badge">{exchange}</span>
@@ -145,7 +216,13 @@ const OrderBook = ({
             </span>
           </div>
           <div className="last-update">
+            {stale && (
+              <span className="stale-badge" title="No updates received recently; prices may be out of date">
+                STALE
+              </span>
+            )}
             Last: {formatTime(data.LastUpdate)}
+            {age !== null && <span className="update-age"> ({Math.floor(age / 1000)}s ago)</span>}
           </div>
         </div>
       </div>
@@ -169,11 +246,9 @@ const OrderBook = ({
                 key={`ask-${ask.price}-${index}`}
                 className={`orderbook-row ask-row ${animatedPrices.has(`ask-${ask.price}`) ? 'price-flash' : ''}`}
                 onClick={() => handlePriceClick(ask.price, 'sell')}
+                title={getVenueBreakdown(ask)}
               >
-                <div 
-                  className="row-background ask-background"
-                  style={{ width: `${getDepthPercentage(ask.total, maxAskTotal)}%` }}
-                ></div>
+                {renderDepthBackground(ask, 'ask', maxAskTotal)}
                 <span className="price ask-price">{formatPrice(ask.price)}</span>
                 <span className="quantity">{formatQuantity(ask.quantity)}</span>
                 <span className="total">{formatQuantity(ask.total)}</span>
@@ -201,11 +276,9 @@ const OrderBook = ({
                 key={`bid-${bid.price}-${index}`}
                 className={`orderbook-row bid-row ${animatedPrices.has(`bid-${bid.price}`) ? 'price-flash' : ''}`}
                 onClick={() => handlePriceClick(bid.price, 'buy')}
+                title={getVenueBreakdown(bid)}
               >
-                <div 
-                  className="row-background bid-background"
-                  style={{ width: `${getDepthPercentage(bid.total, maxBidTotal)}%` }}
-                ></div>
+                {renderDepthBackground(bid, 'bid', maxBidTotal)}
                 <span className="price bid-price">{formatPrice(bid.price)}</span>
                 <span className="quantity">{formatQuantity(bid.quantity)}</span>
                 <span className="total">{formatQuantity(bid.total)}</span>
@@ -218,7 +291,7 @@ const OrderBook = ({
           <div className="footer-stats">
             <span>Best Bid: <strong className="bid-price">${formatPrice(processedData.bestBid)}</strong></span>
             <span>Best Ask: <strong className="ask-price">${formatPrice(processedData.bestAsk)}</strong></span>
-            <span>Mid Price: <strong>${formatPrice((processedData.bestBid + processedData.bestAsk) / 2)}</strong></span>
+            <span>Mid Price: <strong>${formatPrice(midPrice)}</strong></span>
           </div>
         </div>
       </div>
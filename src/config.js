@@ -0,0 +1,37 @@
+// config.js
+import TokenAuthProvider from './services/auth';
+import MarketSimulator from './services/marketSimulator';
+
+// Backend endpoints (Cloud Run deployment)
+export const WS_URL = 'wss://crypto-aggregator-119288192515.europe-west1.run.app/ws';
+export const REST_URL = 'https://crypto-aggregator-119288192515.europe-west1.run.app:8080';
+
+// WebSocket endpoints in failover order; apiUrl is probed with getHealth before switching.
+// Add further regional instances here.
+export const WS_ENDPOINTS = [
+  { url: WS_URL, apiUrl: REST_URL }
+];
+
+// Serve every open tab from one connection (one tab leads, the others follow over a BroadcastChannel)
+export const SHARE_FEED_ACROSS_TABS = process.env.REACT_APP_SHARE_FEED_ACROSS_TABS === 'true';
+
+// Run without a backend: a simulated market stands in for the feed and the REST API
+export const SIMULATE_MARKET = process.env.REACT_APP_SIMULATE_MARKET === 'true';
+export const marketSimulator = SIMULATE_MARKET ? new MarketSimulator() : null;
+
+// Token endpoint for deployments that require auth; responds with { token } (or { access_token })
+export const AUTH_TOKEN_URL = process.env.REACT_APP_AUTH_TOKEN_URL || null;
+
+// Shared by the WebSocket provider and REST calls; null when auth isn't configured
+export const authProvider = AUTH_TOKEN_URL
+  ? new TokenAuthProvider({
+    fetchToken: async () => {
+      const response = await fetch(AUTH_TOKEN_URL, { method: 'POST', credentials: 'include' });
+      if (!response.ok) {
+        throw new Error(`Token request failed: HTTP ${response.status}`);
+      }
+      const data = await response.json();
+      return data.token || data.access_token;
+    }
+  })
+  : null;
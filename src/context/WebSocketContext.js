@@ -0,0 +1,99 @@
+// context/WebSocketContext.js
+import React, { createContext, useEffect, useMemo, useRef } from 'react';
+import { OrderBookWebSocketService } from '../services/websocket';
+import OrderBookWorkerClient from '../services/orderBookWorkerClient';
+import SharedFeedClient from '../services/sharedFeedClient';
+import watchConnectivity from '../services/connectivity';
+
+const WebSocketContext = createContext(null);
+
+// Whether two URLs / endpoint lists name the same endpoints, in the same order
+const sameEndpoints = (a, b) => {
+  if (a === b) return true;
+  if (!a || !b) return false;
+
+  const left = OrderBookWebSocketService.normalizeEndpoints(a);
+  const right = OrderBookWebSocketService.normalizeEndpoints(b);
+  return left.length === right.length &&
+         left.every((endpoint, i) => endpoint.url === right[i].url && endpoint.apiUrl === right[i].apiUrl);
+};
+
+// The first of consecutive equal URLs / endpoint lists, so a list built anew on every render
+// doesn't count as a change (and a new connection)
+const useEndpoints = (url) => {
+  const urlRef = useRef(url);
+  if (!sameEndpoints(urlRef.current, url)) {
+    urlRef.current = url;
+  }
+  return urlRef.current;
+};
+
+/**
+ * Create the connection behind a provider (or a hook used outside of one)
+ * @param {string|Array} url - WebSocket URL or failover endpoints (see OrderBookWebSocketService)
+ * @param {Object} options - OrderBookWebSocketService options, plus `useWorker` to run the
+ *   socket and book maintenance in a Web Worker (OrderBookWorkerClient) where available, and
+ *   `shareAcrossTabs` to have one tab's worker serve every tab (SharedFeedClient)
+ * @returns {OrderBookWebSocketService|OrderBookWorkerClient|SharedFeedClient}
+ */
+const createConnection = (url, options = {}) => {
+  const {
+    useWorker = false,
+    shareAcrossTabs = false,
+    messageAdapter = 'auto',
+    followConnectivity: _follow,
+    ...rest
+  } = options;
+  const codec = rest.codec || 'json';
+
+  // The worker can only be handed adapter and codec names, not objects
+  const canUseWorker = useWorker &&
+                       typeof Worker !== 'undefined' &&
+                       typeof messageAdapter === 'string' &&
+                       typeof codec === 'string';
+
+  if (!canUseWorker) {
+    return new OrderBookWebSocketService(url, rest);
+  }
+
+  return shareAcrossTabs && typeof BroadcastChannel !== 'undefined'
+    ? new SharedFeedClient(url, { ...rest, messageAdapter, codec })
+    : new OrderBookWorkerClient(url, { ...rest, messageAdapter, codec });
+};
+
+/**
+ * Owns one connection for everything below it: useWebSocket and useOrderBook calls for the
+ * same URL (or equal endpoint list) share its socket, subscriptions and stats instead of
+ * opening their own. The connection is created when the endpoints change; later changes to
+ * `options` are ignored.
+ * Unless `options.followConnectivity` is false it follows page visibility and network state.
+ */
+const WebSocketProvider = ({ url, options = {}, children }) => {
+  const optionsRef = useRef(options);
+  optionsRef.current = options;
+
+  const endpoints = useEndpoints(url);
+  const connection = useMemo(() => (endpoints ? createConnection(endpoints, optionsRef.current) : null), [endpoints]);
+
+  useEffect(() => {
+    if (!connection) return;
+
+    const unwatch = optionsRef.current.followConnectivity !== false ? watchConnectivity(connection) : () => {};
+    connection.connect();
+    return () => {
+      unwatch();
+      connection.disconnect();
+    };
+  }, [connection]);
+
+  const value = useMemo(() => ({ url: endpoints, connection }), [endpoints, connection]);
+
+  return (
+    <WebSocketContext.Provider value={value}>
+      {children}
+    </WebSocketContext.Provider>
+  );
+};
+
+export default WebSocketContext;
+export { WebSocketProvider, createConnection, sameEndpoints, useEndpoints };
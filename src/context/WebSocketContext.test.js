@@ -0,0 +1,119 @@
+import { renderHook } from '@testing-library/react';
+import { WebSocketProvider, createConnection, sameEndpoints } from './WebSocketContext';
+import useWebSocket from '../hooks/useWebSocket';
+import { OrderBookWebSocketService } from '../services/websocket';
+import OrderBookWorkerClient from '../services/orderBookWorkerClient';
+import SharedFeedClient from '../services/sharedFeedClient';
+
+// Never connects; stands in for the browser WebSocket so no test reaches a live backend
+class StubSocket {
+  static CONNECTING = 0;
+  static OPEN = 1;
+  static CLOSING = 2;
+  static CLOSED = 3;
+
+  static urls = [];
+
+  constructor(url) {
+    StubSocket.urls.push(url);
+    this.readyState = StubSocket.CONNECTING;
+  }
+
+  send() {}
+
+  close() {
+    this.readyState = StubSocket.CLOSED;
+  }
+}
+
+describe('createConnection', () => {
+  const { Worker, BroadcastChannel } = global;
+
+  beforeEach(() => {
+    global.Worker = class {};
+    global.BroadcastChannel = class {};
+  });
+
+  afterEach(() => {
+    global.Worker = Worker;
+    global.BroadcastChannel = BroadcastChannel;
+  });
+
+  test('opens a socket on this thread unless a worker is asked for', () => {
+    expect(createConnection('ws://feed.test')).toBeInstanceOf(OrderBookWebSocketService);
+  });
+
+  test('runs the feed in a worker, shared across tabs if asked', () => {
+    const worker = createConnection('ws://feed.test', { useWorker: true });
+    expect(worker).toBeInstanceOf(OrderBookWorkerClient);
+    expect(worker).not.toBeInstanceOf(SharedFeedClient);
+
+    expect(createConnection('ws://feed.test', { useWorker: true, shareAcrossTabs: true })).toBeInstanceOf(SharedFeedClient);
+
+    delete global.BroadcastChannel;
+    expect(createConnection('ws://feed.test', { useWorker: true, shareAcrossTabs: true })).not.toBeInstanceOf(SharedFeedClient);
+  });
+
+  test('stays on this thread when the worker is unavailable or can\'t take the options', () => {
+    const adapter = { name: 'custom', parse: () => [] };
+    const codec = { name: 'custom', encode: () => '', decode: () => null };
+
+    expect(createConnection('ws://feed.test', { useWorker: true, messageAdapter: adapter })).toBeInstanceOf(OrderBookWebSocketService);
+    expect(createConnection('ws://feed.test', { useWorker: true, codec })).toBeInstanceOf(OrderBookWebSocketService);
+
+    delete global.Worker;
+    expect(createConnection('ws://feed.test', { useWorker: true })).toBeInstanceOf(OrderBookWebSocketService);
+  });
+});
+
+describe('sameEndpoints', () => {
+  test('compares endpoint lists by content', () => {
+    expect(sameEndpoints(['ws://a.test', 'ws://b.test'], ['ws://a.test', 'ws://b.test'])).toBe(true);
+    expect(sameEndpoints('ws://a.test', ['ws://a.test'])).toBe(true);
+    expect(sameEndpoints([{ url: 'ws://a.test', apiUrl: 'http://a.test' }], [{ url: 'ws://a.test', apiUrl: 'http://a.test' }])).toBe(true);
+
+    expect(sameEndpoints(['ws://a.test', 'ws://b.test'], ['ws://b.test', 'ws://a.test'])).toBe(false);
+    expect(sameEndpoints([{ url: 'ws://a.test', apiUrl: 'http://a.test' }], ['ws://a.test'])).toBe(false);
+    expect(sameEndpoints(null, undefined)).toBe(false);
+  });
+});
+
+describe('WebSocketProvider', () => {
+  const { WebSocket } = global;
+
+  beforeEach(() => {
+    StubSocket.urls = [];
+    global.WebSocket = StubSocket;
+  });
+
+  afterEach(() => {
+    global.WebSocket = WebSocket;
+  });
+
+  // Endpoint lists built anew on every render, as an inline prop would be
+  const wrapper = ({ children }) => (
+    <WebSocketProvider url={['ws://a.test', 'ws://b.test']} options={{ heartbeatInterval: 0 }}>
+      {children}
+    </WebSocketProvider>
+  );
+
+  test('shares its connection with hooks asking for equal endpoints', () => {
+    const { result, rerender, unmount } = renderHook(() => ({
+      provided: useWebSocket(),
+      equal: useWebSocket(['ws://a.test', 'ws://b.test']),
+      other: useWebSocket('ws://c.test', { heartbeatInterval: 0 })
+    }), { wrapper });
+
+    const { connection } = result.current.provided;
+    expect(connection).toBeInstanceOf(OrderBookWebSocketService);
+    expect(result.current.equal.connection).toBe(connection);
+    expect(result.current.other.connection).not.toBe(connection);
+
+    // New but equal arrays keep the connection
+    rerender();
+    expect(result.current.provided.connection).toBe(connection);
+    expect(result.current.equal.connection).toBe(connection);
+    expect(StubSocket.urls.sort()).toEqual(['ws://a.test', 'ws://c.test']);
+    unmount();
+  });
+});
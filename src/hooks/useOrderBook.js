@@ -1,168 +1,386 @@
 // hooks/useOrderBook.js
-import { useState, useEffect, useCallback, useRef } from 'react';
+import { useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import useWebSocket from './useWebSocket';
+import OrderBookStore, { AGGREGATED_VENUE } from '../services/orderBookStore';
+import OrderBookWorkerClient from '../services/orderBookWorkerClient';
+import { OrderBookAPI, APIError, API_ERROR_KIND, CIRCUIT_STATE } from '../services/api';
+import OrderBookCalculator, { STALE_AFTER } from '../services/calculator';
+import Decimal from '../services/decimal';
+import FeedMetrics from '../services/feedMetrics';
+
+// Fallback flush cadence when requestAnimationFrame isn't available
+const FRAME_INTERVAL = 16;
+
+// Where books currently come from
+const TRANSPORT = {
+  WEBSOCKET: 'websocket',
+  REST: 'rest',
+  NONE: 'none'
+};
+
+// How often the stream's health is checked in adaptive mode
+const HEALTH_CHECK_INTERVAL = 1000;
+
+// REST backend health, from the API client's circuit breakers
+const BACKEND_HEALTH = {
+  UP: 'up',                 // Every endpoint answers
+  RECOVERING: 'recovering', // A failed endpoint is being probed again
+  DOWN: 'down'              // Some endpoint fails fast until its cooldown is over
+};
+
+// How often book ages (and with them staleness) are re-evaluated
+const STALENESS_INTERVAL = 1000;
 
 const useOrderBook = (wsUrl, apiUrl, symbols = [], options = {}) => {
   const {
     maxDepth = 20,
     updateInterval = 1000,
+    statsInterval = 1000,    // ms between stats refreshes
+    staleAfter = STALE_AFTER, // ms without updates before a book is flagged stale; 0 disables
+    conflate = 'frame',      // Render cadence: 'frame' (once per animation frame), 'interval' (every updateInterval ms) or false (every update)
     enableWebSocket = true,
-    enablePolling = false,
+    enablePolling: pollingOption = false,
+    fallbackToPolling = true, // Poll REST while the socket is down or silent; resync once it recovers
+    fallbackDelay = 3000,     // ms the socket may be closed before falling back
+    silenceTimeout = 15000,   // ms without socket messages before an open stream counts as silent
     debug = false,
+    messageAdapter = 'auto', // Payload format: 'auto', a registered adapter name or an adapter object
+    useWorker = true,        // Without a provider for wsUrl: run the socket and book maintenance in a Web Worker where available
+    codec = 'json',          // Without a provider for wsUrl: binary frame codec of the socket
     onError = () => {},
     onUpdate = () => {},
+    onEndpointChange = () => {},
+    auth = null,              // Auth provider for REST calls and a connection this hook opens (see services/auth.js)
+    replay = null,            // ReplayConnection to take books from instead of the live feed (no REST at all)
+    simulator = null,         // MarketSimulator standing in for the backend: its feed replaces the socket, it answers REST calls
     filter = null
   } = options;
 
+  // A replayed session must not be mixed with live REST data
+  const enablePolling = pollingOption && !replay;
+
+  // Logging helper, silent unless debug is set
+  const log = useCallback((message, data = '') => {
+    if (debug) {
+      console.log(`[OrderBook] ${message}`, data);
+    }
+  }, [debug]);
+
   const [orderBooks, setOrderBooks] = useState({});
   const [loading, setLoading] = useState(true);
   const [subscriptions, setSubscriptions] = useState(new Set());
   const [lastUpdate, setLastUpdate] = useState(null);
-  const [stats, setStats] = useState({
-    totalUpdates: 0,
-    lastUpdateTime: null,
-    averageLatency: 0,
-    exchanges: new Set()
+  const [stats, setStats] = useState(() => new FeedMetrics().snapshot());
+  const [clock, setClock] = useState(() => Date.now());
+  const [rateLimit, setRateLimit] = useState({ throttled: false, queued: 0, pausedUntil: null });
+  const [circuits, setCircuits] = useState({}); // endpoint -> { state, failures, retryAt }
+  const [transport, setTransport] = useState(() => {
+    if (enableWebSocket) return TRANSPORT.WEBSOCKET;
+    return enablePolling ? TRANSPORT.REST : TRANSPORT.NONE;
   });
 
   const pollingIntervalRef = useRef(null);
-  const latencyRef = useRef([]);
-
-const handleWebSocketMessage = useCallback((message) => {
-  try {
-    let data = message;
-    
-    if (typeof message === 'string') {
-      data = JSON.parse(message);
-    }
-
-    // Handle order book updates
-    if (data.type === 'orderbook_update' || data.data) {
-      const rawOrderBook = data.data || data;
-      const symbol = rawOrderBook.Symbol || rawOrderBook.symbol;
-      
-      if (!symbol) return;
-
-      // Transform array format to map format
-      const transformedOrderBook = {
-        Symbol: symbol,
-        Bids: {},
-        Asks: {},
-        LastUpdate: rawOrderBook.LastUpdate || Date.now(),
-        Sources: rawOrderBook.Sources || [],
-        Exchange: rawOrderBook.Exchange || 'MEXC'
-      };
-
-      // Convert Bids array to object
-      if (Array.isArray(rawOrderBook.Bids)) {
-        rawOrderBook.Bids.forEach(bid => {
-          const price = bid.Price || bid.price;
-          const quantity = bid.Quantity || bid.quantity;
-          if (price && quantity) {
-            transformedOrderBook.Bids[price.toString()] = quantity.toString();
-          }
-        });
-      } else if (rawOrderBook.Bids && typeof rawOrderBook.Bids === 'object') {
-        transformedOrderBook.Bids = rawOrderBook.Bids;
-      }
+  const disconnectedSinceRef = useRef(Date.now()); // null while the socket is open
+  const connectedAtRef = useRef(null);
+  const subscriptionsRef = useRef(subscriptions);
+
+  // Feed statistics for the main-thread pipeline (a worker connection keeps its own)
+  const metricsRef = useRef(null);
+  if (!metricsRef.current) {
+    metricsRef.current = new FeedMetrics();
+  }
 
-      // Convert Asks array to object  
-      if (Array.isArray(rawOrderBook.Asks)) {
-        rawOrderBook.Asks.forEach(ask => {
-          const price = ask.Price || ask.price;
-          const quantity = ask.Quantity || ask.quantity;
-          if (price && quantity) {
-            transformedOrderBook.Asks[price.toString()] = quantity.toString();
-          }
-        });
-      } else if (rawOrderBook.Asks && typeof rawOrderBook.Asks === 'object') {
-        transformedOrderBook.Asks = rawOrderBook.Asks;
-      }
+  // Book maintenance: snapshots, deltas, sequence tracking and REST resyncs
+  const storeRef = useRef(null);
+  if (!storeRef.current) {
+    storeRef.current = new OrderBookStore({ debug, adapter: messageAdapter });
+  }
+  storeRef.current.options.adapter = messageAdapter;
 
-      console.log('✅ Transformed order book:', transformedOrderBook);
+  // Books waiting for the next render (symbol -> book)
+  const pendingBooksRef = useRef(new Map());
 
-      // Update state with transformed data
-      setOrderBooks(prev => ({
-        ...prev,
-        [symbol]: {
-          ...transformedOrderBook,
-          lastUpdate: Date.now(),
-          receivedAt: Date.now()
-        }
-      }));
+  const apiRef = useRef(null);
+  const pollControllersRef = useRef(new Map()); // symbol -> AbortController of its REST fetch in flight
+  const onUpdateRef = useRef(onUpdate);
+  const onErrorRef = useRef(onError);
+  onUpdateRef.current = onUpdate;
+  onErrorRef.current = onError;
 
-      setLastUpdate(Date.now());
-      onUpdate(symbol, transformedOrderBook);
+  const handleWebSocketMessage = useCallback((message) => {
+    metricsRef.current.recordMessage();
+    try {
+      storeRef.current.handleMessage(message);
+    } catch (error) {
+      console.error('Error processing WebSocket message:', error);
+      onErrorRef.current(error);
     }
-  } catch (error) {
-    console.error('Error processing WebSocket message:', error);
-    onError(error);
-  }
-}, [onUpdate, onError]);
+  }, []);
 
-  // Initialize WebSocket connection
+  // The connection comes from the surrounding WebSocketProvider when it serves wsUrl
   const {
+    connection,
     isConnected,
     readyState,
-    sendJsonMessage,
+    error: wsError,
+    endpoint,
+    subscriptionStatus: channelStatus,
+    sendMessage,
     subscribe: wsSubscribe,
     unsubscribe: wsUnsubscribe,
-    error: wsError,
     reconnect,
-    getConnectionStats
+    getConnectionStats,
+    startRecording,
+    stopRecording
   } = useWebSocket(enableWebSocket ? wsUrl : null, {
     onMessage: handleWebSocketMessage,
     onOpen: () => {
-      console.log('OrderBook WebSocket connected');
+      log('WebSocket connected');
+      disconnectedSinceRef.current = null;
+      connectedAtRef.current = Date.now();
       setLoading(false);
-      
-      // Resubscribe to symbols
-      if (symbols.length > 0) {
-        subscribeToSymbols(symbols);
-      }
     },
     onClose: () => {
-      console.log('OrderBook WebSocket disconnected');
+      log('WebSocket disconnected');
+      if (disconnectedSinceRef.current === null) {
+        disconnectedSinceRef.current = Date.now();
+      }
     },
     onError: (error) => {
       console.error('OrderBook WebSocket error:', error);
-      onError(error);
+      onErrorRef.current(error);
+    },
+    onEndpointChange: (event) => {
+      log(`WebSocket switched to ${event.url} (${event.reason})`);
+      onEndpointChange(event);
     },
     shouldReconnect: true,
     reconnectAttempts: 10,
     heartbeatInterval: 30000,
+    trackLastMessage: false,
+    useWorker,
+    codec,
+    auth,
+    workerOptions: { apiUrl, maxDepth, statsInterval, messageAdapter },
+    connection: replay || simulator,
     debug
   });
 
+  // A worker connection maintains the books itself and hands over finished snapshots
+  const workerMode = connection instanceof OrderBookWorkerClient;
+
+  // Whether REST calls are being held back by the client-side rate limiter (only changes re-render)
+  const updateRateLimit = useCallback(({ throttled, queued, pausedUntil }) => {
+    setRateLimit(prev => (prev.throttled === throttled && prev.queued === queued && prev.pausedUntil === pausedUntil
+      ? prev
+      : { throttled, queued, pausedUntil }));
+  }, []);
+
+  // Resyncs fetch snapshots through the REST API
+  useEffect(() => {
+    const api = apiUrl
+      ? new OrderBookAPI(apiUrl, { debug, cacheTimeout: 0, auth, fetch: simulator ? simulator.fetch : null })
+      : null;
+    apiRef.current = api;
+    // Per-venue resyncs ask the backend for that exchange's book only
+    storeRef.current.options.fetchSnapshot = api && !replay
+      ? (symbol, venue) => api.getOrderBook(symbol, venue && venue !== AGGREGATED_VENUE
+        ? { depth: maxDepth, exchange: venue }
+        : { depth: maxDepth })
+      : null;
+
+    // A worker connection makes its REST calls itself and reports its own limiter and circuits
+    if (!api || workerMode) return;
+    updateRateLimit(api.getRateLimitState());
+    setCircuits(api.getCircuitStates());
+    const offRateLimit = api.onRateLimitChange(updateRateLimit);
+    const offCircuits = api.onCircuitChange(() => setCircuits(api.getCircuitStates()));
+    return () => {
+      offRateLimit();
+      offCircuits();
+    };
+  }, [apiUrl, debug, maxDepth, auth, replay, simulator, workerMode, updateRateLimit]);
+
+  useEffect(() => {
+    if (!workerMode) return;
+
+    updateRateLimit(connection.getRateLimitState());
+    setCircuits(connection.getCircuitStates());
+    const offRateLimit = connection.on('rateLimit', updateRateLimit);
+    const offCircuits = connection.on('circuits', setCircuits);
+    return () => {
+      offRateLimit();
+      offCircuits();
+    };
+  }, [connection, workerMode, updateRateLimit]);
+
+  // Worst circuit state wins
+  const backendHealth = useMemo(() => {
+    const states = Object.values(circuits).map(circuit => circuit.state);
+    let status = BACKEND_HEALTH.UP;
+    if (states.includes(CIRCUIT_STATE.OPEN)) status = BACKEND_HEALTH.DOWN;
+    else if (states.includes(CIRCUIT_STATE.HALF_OPEN)) status = BACKEND_HEALTH.RECOVERING;
+    return { status, circuits };
+  }, [circuits]);
+
+  // A replay seeking backwards starts over from the beginning of the recording
+  useEffect(() => {
+    if (!replay) return;
+
+    return replay.on('reset', () => {
+      storeRef.current.clear();
+      pendingBooksRef.current.clear();
+      setOrderBooks({});
+    });
+  }, [replay]);
+
+  // Point a worker connection's books at this hook's settings (adapter objects can't cross over)
+  useEffect(() => {
+    if (!workerMode) return;
+
+    connection.configure(typeof messageAdapter === 'string'
+      ? { apiUrl, maxDepth, messageAdapter }
+      : { apiUrl, maxDepth });
+  }, [connection, workerMode, apiUrl, maxDepth, messageAdapter]);
+
+  // Mirror book updates (from the store, or from the worker's snapshots) into React state.
+  // Updates are conflated: bursts of messages are rendered as a single state change.
+  useEffect(() => {
+    const pipeline = workerMode ? connection : storeRef.current;
+    const pending = pendingBooksRef.current;
+    let frameHandle = null;
+    let timerHandle = null;
+
+    const flush = () => {
+      frameHandle = null;
+      timerHandle = null;
+      if (pending.size === 0) return;
+
+      const books = Object.fromEntries(pending);
+      pending.clear();
+
+      setOrderBooks(prev => ({ ...prev, ...books }));
+      setLastUpdate(Math.max(...Object.values(books).map(book => book.receivedAt)));
+    };
+
+    const scheduleFlush = () => {
+      if (!conflate) {
+        flush();
+      } else if (frameHandle === null && timerHandle === null) {
+        if (conflate === 'frame' && typeof requestAnimationFrame === 'function') {
+          frameHandle = requestAnimationFrame(flush);
+        } else {
+          timerHandle = setTimeout(flush, conflate === 'interval' ? updateInterval : FRAME_INTERVAL);
+        }
+      }
+    };
+
+    const offUpdate = pipeline.on('update', (update) => {
+      const { symbol, book } = update;
+      const timestamp = Date.now();
+
+      if (workerMode) {
+        // A shared worker carries every consumer's symbols
+        if (!subscriptionsRef.current.has(symbol)) return;
+      } else {
+        metricsRef.current.recordUpdate(update, timestamp);
+        // Stream data is as good as a 'subscribed' reply from servers that don't send one
+        if (update.source === 'stream') connection?.acknowledge(`orderbook.${symbol}`);
+      }
+
+      pending.set(symbol, {
+        ...book,
+        lastUpdate: timestamp,
+        receivedAt: timestamp
+      });
+      scheduleFlush();
+
+      // Consumers that need every update still get them, unconflated
+      onUpdateRef.current(symbol, book);
+    });
+
+    const offResync = pipeline.on('resync', ({ symbol, venue, reason }) => {
+      log(`Resyncing ${symbol}@${venue}: ${reason}`);
+    });
+
+    // Socket errors of a worker connection already arrive through useWebSocket
+    const offError = pipeline.on(workerMode ? 'bookError' : 'error', (error) => {
+      console.error('Order book pipeline error:', error);
+      onErrorRef.current(error);
+    });
+
+    return () => {
+      offUpdate();
+      offResync();
+      offError();
+      if (frameHandle !== null) cancelAnimationFrame(frameHandle);
+      if (timerHandle !== null) clearTimeout(timerHandle);
+      pending.clear();
+    };
+  }, [connection, workerMode, log, conflate, updateInterval]);
+
+  // Back from a hidden page, a network outage or sleep: every book may have missed updates.
+  // A worker connection resyncs its own books.
+  useEffect(() => {
+    if (!connection || workerMode) return;
+
+    return connection.on('resumed', ({ reason }) => {
+      storeRef.current.resyncAll(`resumed (${reason})`);
+    });
+  }, [connection, workerMode]);
+
   // REST API polling fallback
   const fetchOrderBookREST = useCallback(async (symbol) => {
-    if (!apiUrl) return null;
+    if (!apiUrl || replay) return null;
+
+    // While the stream is down the polled book stands in for the venue books it left behind
+    const standIn = transport === TRANSPORT.REST;
+
+    // A newer poll supersedes one still in flight, which must not overwrite its book
+    pollControllersRef.current.get(symbol)?.abort();
+    const controller = new AbortController();
+    pollControllersRef.current.set(symbol, controller);
 
     try {
-      const response = await fetch(`${apiUrl}/api/orderbook/${symbol}`);
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      // With a worker connection the snapshot is fetched and applied off the main thread
+      if (workerMode) {
+        await connection.fetchSnapshot(symbol, { standIn, signal: controller.signal });
+        return null;
       }
-      
-      const data = await response.json();
-      const timestamp = Date.now();
-      
-      setOrderBooks(prev => ({
-        ...prev,
-        [symbol]: {
-          ...data,
-          lastUpdate: timestamp,
-          receivedAt: timestamp
-        }
-      }));
-      
+
+      // Through OrderBookAPI so polling is authenticated like everything else
+      const data = await apiRef.current.getOrderBook(symbol, { depth: maxDepth }, { signal: controller.signal });
+
+      // Polled books are full snapshots; alongside a live stream the store drops them if the stream is already ahead
+      if (standIn) {
+        storeRef.current.applyPolledSnapshot(symbol, data);
+      } else {
+        storeRef.current.applyRestSnapshot(symbol, data);
+      }
+
       return data;
     } catch (error) {
-      console.error(`Failed to fetch order book for ${symbol}:`, error);
-      onError(error);
+      // Cancelled polls don't matter; an open circuit shows as backend health instead of an error per poll
+      if (!APIError.isAbort(error) && error.kind !== API_ERROR_KIND.CIRCUIT_OPEN) {
+        console.error(`Failed to fetch order book for ${symbol}:`, error);
+        onErrorRef.current(error);
+      }
       return null;
+    } finally {
+      if (pollControllersRef.current.get(symbol) === controller) {
+        pollControllersRef.current.delete(symbol);
+      }
     }
-  }, [apiUrl, onError]);
+  }, [apiUrl, maxDepth, connection, workerMode, replay, transport]);
+
+  // Polls still in flight are dropped with the hook
+  useEffect(() => {
+    const controllers = pollControllersRef.current;
+    return () => {
+      controllers.forEach(controller => controller.abort());
+      controllers.clear();
+    };
+  }, []);
 
   // Subscribe to symbol updates
   const subscribeToSymbols = useCallback((symbolList) => {
@@ -176,23 +394,22 @@ const handleWebSocketMessage = useCallback((message) => {
       if (!newSubscriptions.has(symbol)) {
         newSubscriptions.add(symbol);
         
-        if (enableWebSocket && isConnected) {
-          // Subscribe via WebSocket
+        if (enableWebSocket) {
+          // Sent straight away when connected, otherwise as soon as the socket opens
           wsSubscribe(`orderbook.${symbol}`);
-          if (debug) {
-            console.log(`[OrderBook] Subscribed to ${symbol} via WebSocket`);
-          }
+          log(`Subscribed to ${symbol} via WebSocket`);
         }
         
-        if (enablePolling) {
+        if (enablePolling || transport === TRANSPORT.REST) {
           // Fetch initial data via REST
           fetchOrderBookREST(symbol);
         }
       }
     });
     
+    subscriptionsRef.current = newSubscriptions;
     setSubscriptions(newSubscriptions);
-  }, [subscriptions, enableWebSocket, isConnected, wsSubscribe, enablePolling, fetchOrderBookREST, debug]);
+  }, [subscriptions, enableWebSocket, wsSubscribe, enablePolling, transport, fetchOrderBookREST, log]);
 
   // Unsubscribe from symbol updates
   const unsubscribeFromSymbols = useCallback((symbolList) => {
@@ -206,14 +423,16 @@ const handleWebSocketMessage = useCallback((message) => {
       if (newSubscriptions.has(symbol)) {
         newSubscriptions.delete(symbol);
         
-        if (enableWebSocket && isConnected) {
+        if (enableWebSocket) {
           wsUnsubscribe(`orderbook.${symbol}`);
-          if (debug) {
-            console.log(`[OrderBook] Unsubscribed from ${symbol}`);
-          }
+          log(`Unsubscribed from ${symbol}`);
         }
         
-        // Remove from order books
+        // Remove from order books, including a poll that's still on its way
+        pollControllersRef.current.get(symbol)?.abort();
+        storeRef.current.remove(symbol);
+        metricsRef.current.removeSymbol(symbol);
+        pendingBooksRef.current.delete(symbol);
         setOrderBooks(prev => {
           const newOrderBooks = { ...prev };
           delete newOrderBooks[symbol];
@@ -222,35 +441,52 @@ const handleWebSocketMessage = useCallback((message) => {
       }
     });
     
+    subscriptionsRef.current = newSubscriptions;
     setSubscriptions(newSubscriptions);
-  }, [subscriptions, enableWebSocket, isConnected, wsUnsubscribe, debug]);
+  }, [subscriptions, enableWebSocket, wsUnsubscribe, log]);
+
+  // Per-symbol age and staleness, ticking with the clock so ages keep counting between updates
+  useEffect(() => {
+    const timer = setInterval(() => setClock(Date.now()), STALENESS_INTERVAL);
+    return () => clearInterval(timer);
+  }, []);
+
+  const staleness = useMemo(() => {
+    return Object.fromEntries(Object.entries(orderBooks).map(([symbol, book]) => [symbol, {
+      age: OrderBookCalculator.getBookAge(book, clock),
+      stale: staleAfter > 0 && OrderBookCalculator.isStale(book, staleAfter, clock)
+    }]));
+  }, [orderBooks, clock, staleAfter]);
+
+  const isStale = useCallback((symbol) => staleness[symbol]?.stale || false, [staleness]);
+
+  // Per-symbol subscription state ({ status, error }) of this hook's symbols
+  const subscriptionStatus = useMemo(() => {
+    return Object.fromEntries(Array.from(subscriptions)
+      .filter(symbol => channelStatus[`orderbook.${symbol}`])
+      .map(symbol => [symbol, channelStatus[`orderbook.${symbol}`]]));
+  }, [subscriptions, channelStatus]);
+
+  const getSubscriptionStatus = useCallback((symbol) => subscriptionStatus[symbol] || null, [subscriptionStatus]);
 
   // Get order book for specific symbol
   const getOrderBook = useCallback((symbol) => {
     return orderBooks[symbol] || null;
   }, [orderBooks]);
 
-  // Get best prices for a symbol
-  const getBestPrices = useCallback((symbol) => {
-    const orderBook = orderBooks[symbol];
-    if (!orderBook || !orderBook.Bids || !orderBook.Asks) {
-      return { bestBid: 0, bestAsk: 0, spread: 0, midPrice: 0 };
-    }
-
-    const bids = Object.entries(orderBook.Bids)
-      .map(([price, qty]) => ({ price: parseFloat(price), quantity: parseFloat(qty) }))
-      .sort((a, b) => b.price - a.price);
-
-    const asks = Object.entries(orderBook.Asks)
-      .map(([price, qty]) => ({ price: parseFloat(price), quantity: parseFloat(qty) }))
-      .sort((a, b) => a.price - b.price);
+  // Per-exchange books behind the consolidated one (venue -> book)
+  const getVenueBooks = useCallback((symbol) => {
+    return orderBooks[symbol]?.Venues || {};
+  }, [orderBooks]);
 
-    const bestBid = bids.length > 0 ? bids[0].price : 0;
-    const bestAsk = asks.length > 0 ? asks[0].price : 0;
-    const spread = bestAsk - bestBid;
-    const midPrice = (bestBid + bestAsk) / 2;
+  // Cross-venue comparison (spreads, arbitrage) for a symbol
+  const compareVenues = useCallback((symbol) => {
+    return OrderBookCalculator.compareOrderBooks(Object.values(getVenueBooks(symbol)));
+  }, [getVenueBooks]);
 
-    return { bestBid, bestAsk, spread, midPrice };
+  // Prices are Decimals, spreadPercent is a number
+  const getBestPrices = useCallback((symbol) => {
+    return OrderBookCalculator.getBestPrices(orderBooks[symbol]);
   }, [orderBooks]);
 
   // Get aggregated market data
@@ -276,13 +512,10 @@ const handleWebSocketMessage = useCallback((message) => {
 
   // Helper function to calculate volume
   const calculateVolume = (orderBook) => {
-    if (!orderBook?.Bids || !orderBook?.Asks) return { bidVolume: 0, askVolume: 0 };
+    if (!orderBook?.Bids || !orderBook?.Asks) return { bidVolume: Decimal.ZERO, askVolume: Decimal.ZERO };
 
-    const bidVolume = Object.values(orderBook.Bids)
-      .reduce((sum, qty) => sum + parseFloat(qty), 0);
-    
-    const askVolume = Object.values(orderBook.Asks)
-      .reduce((sum, qty) => sum + parseFloat(qty), 0);
+    const bidVolume = orderBook.Bids.totalQuantity();
+    const askVolume = orderBook.Asks.totalQuantity();
 
     return { bidVolume, askVolume };
   };
@@ -292,16 +525,80 @@ const handleWebSocketMessage = useCallback((message) => {
     if (!orderBook?.Bids || !orderBook?.Asks) return { bidCount: 0, askCount: 0 };
 
     return {
-      bidCount: Object.keys(orderBook.Bids).length,
-      askCount: Object.keys(orderBook.Asks).length
+      bidCount: orderBook.Bids.size,
+      askCount: orderBook.Asks.size
     };
   };
 
-  // Setup polling if enabled
+  // Refresh stats on a fixed cadence rather than on every update
+  useEffect(() => {
+    const refresh = () => {
+      const now = Date.now();
+      const metrics = workerMode ? connection.metrics : metricsRef.current.snapshot(now);
+      if (!metrics) return;
+
+      setStats({
+        ...metrics,
+        timeSinceLastUpdate: metrics.lastUpdateTime === null ? null : now - metrics.lastUpdateTime
+      });
+    };
+
+    refresh();
+    const timer = setInterval(refresh, statsInterval);
+    return () => clearInterval(timer);
+  }, [statsInterval, connection, workerMode]);
+
+  // Adaptive transport: fall back to REST while the socket is closed or silent
+  useEffect(() => {
+    if (!enableWebSocket || !fallbackToPolling || !apiUrl || replay) {
+      if (enableWebSocket) setTransport(TRANSPORT.WEBSOCKET);
+      else setTransport(enablePolling ? TRANSPORT.REST : TRANSPORT.NONE);
+      return;
+    }
+
+    const check = () => {
+      const now = Date.now();
+      let healthy;
+
+      if (disconnectedSinceRef.current !== null) {
+        healthy = now - disconnectedSinceRef.current < fallbackDelay;
+      } else {
+        const metrics = workerMode ? connection.metrics : metricsRef.current;
+        const lastActivity = Math.max(metrics?.lastMessageTime || 0, connectedAtRef.current || 0);
+        healthy = now - lastActivity < silenceTimeout;
+      }
+
+      setTransport(healthy ? TRANSPORT.WEBSOCKET : TRANSPORT.REST);
+    };
+
+    check();
+    const timer = setInterval(check, HEALTH_CHECK_INTERVAL);
+    return () => clearInterval(timer);
+  }, [enableWebSocket, enablePolling, fallbackToPolling, fallbackDelay, silenceTimeout, apiUrl, connection, workerMode, replay]);
+
+  // Back on the stream after a fallback: books built from polling are rebuilt from scratch
+  const previousTransportRef = useRef(transport);
+  useEffect(() => {
+    const previous = previousTransportRef.current;
+    previousTransportRef.current = transport;
+    if (previous !== TRANSPORT.REST || transport !== TRANSPORT.WEBSOCKET) return;
+
+    const symbolList = Array.from(subscriptionsRef.current);
+    log('Stream recovered, resyncing', symbolList);
+
+    if (workerMode) {
+      connection.resync(symbolList, 'stream recovered');
+    } else {
+      symbolList.forEach(symbol => storeRef.current.resyncSymbol(symbol, 'stream recovered'));
+    }
+  }, [transport, connection, workerMode, log]);
+
+  // Poll REST when enabled, or while the socket is down in adaptive mode
+  const polling = enablePolling || transport === TRANSPORT.REST;
   useEffect(() => {
-    if (enablePolling && symbols.length > 0) {
+    if (polling && subscriptions.size > 0) {
       const poll = async () => {
-        for (const symbol of symbols) {
+        for (const symbol of subscriptions) {
           await fetchOrderBookREST(symbol);
         }
       };
@@ -318,7 +615,7 @@ const handleWebSocketMessage = useCallback((message) => {
         }
       };
     }
-  }, [enablePolling, symbols, updateInterval, fetchOrderBookREST]);
+  }, [polling, subscriptions, updateInterval, fetchOrderBookREST]);
 
   // Subscribe to initial symbols
   useEffect(() => {
@@ -336,12 +633,12 @@ const handleWebSocketMessage = useCallback((message) => {
 
   // Update loading state
   useEffect(() => {
-    if (enableWebSocket) {
+    if (transport === TRANSPORT.WEBSOCKET) {
       setLoading(!isConnected);
-    } else if (enablePolling) {
+    } else if (transport === TRANSPORT.REST) {
       setLoading(Object.keys(orderBooks).length === 0);
     }
-  }, [enableWebSocket, enablePolling, isConnected, orderBooks]);
+  }, [transport, isConnected, orderBooks]);
 
   return {
     // Data
@@ -349,28 +646,41 @@ const handleWebSocketMessage = useCallback((message) => {
     subscriptions: Array.from(subscriptions),
     lastUpdate,
     stats,
+    staleness,
+    subscriptionStatus,
     
     // State
     loading,
     isConnected,
     readyState,
     error: wsError,
+    endpoint,
+    transport,
+    rateLimit,               // { throttled, queued, pausedUntil } of REST calls
+    backendHealth,           // { status: 'up' | 'recovering' | 'down', circuits } of the REST backend
     
     // Actions
     subscribeToSymbols,
     unsubscribeFromSymbols,
     reconnect,
     refresh: () => symbols.forEach(fetchOrderBookREST),
+    startRecording,
+    stopRecording,
     
     // Getters
     getOrderBook,
+    getVenueBooks,
+    compareVenues,
     getBestPrices,
     getMarketSummary,
     getConnectionStats,
+    isStale,
+    getSubscriptionStatus,
     
     // Utils
-    sendMessage: sendJsonMessage
+    sendMessage
   };
 };
 
-export default useOrderBook;
\ No newline at end of file
+export default useOrderBook;
+export { TRANSPORT, BACKEND_HEALTH };
\ No newline at end of file
@@ -0,0 +1,140 @@
+import { renderHook, act } from '@testing-library/react';
+import useOrderBook from './useOrderBook';
+import OrderBookStore from '../services/orderBookStore';
+
+// Stands in for the browser WebSocket: the test opens sockets and delivers frames by hand
+class FakeSocket {
+  static CONNECTING = 0;
+  static OPEN = 1;
+  static CLOSED = 3;
+
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    this.readyState = FakeSocket.CONNECTING;
+    FakeSocket.instances.push(this);
+  }
+
+  send() {}
+
+  close() {
+    this.readyState = FakeSocket.CLOSED;
+  }
+
+  open() {
+    this.readyState = FakeSocket.OPEN;
+    this.onopen?.({});
+  }
+
+  receive(message) {
+    this.onmessage?.({ data: JSON.stringify(message) });
+  }
+}
+
+const snapshot = (version, bids) => ({
+  type: 'orderbook_snapshot',
+  data: { Symbol: 'BTCUSDT', Exchange: 'Binance', Version: version, Bids: bids, Asks: [['101', '1']] }
+});
+
+const delta = (version, bids) => ({
+  type: 'orderbook_delta',
+  data: { Symbol: 'BTCUSDT', Exchange: 'Binance', Version: version, PrevVersion: version - 1, Bids: bids, Asks: [] }
+});
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Kept outside the hook call: a new array each render would resubscribe every time
+const SYMBOLS = ['BTCUSDT'];
+
+describe('useOrderBook', () => {
+  const { WebSocket } = global;
+
+  beforeEach(() => {
+    FakeSocket.instances = [];
+    global.WebSocket = FakeSocket;
+  });
+
+  afterEach(() => {
+    global.WebSocket = WebSocket;
+    jest.restoreAllMocks();
+  });
+
+  const openFeed = async (options = {}) => {
+    const { result, unmount } = renderHook(() => useOrderBook('ws://feed.test', null, SYMBOLS, { useWorker: false, ...options }));
+    await act(async () => {
+      FakeSocket.instances[0].open();
+    });
+    return { result, unmount, socket: FakeSocket.instances[0] };
+  };
+
+  test('resyncs every book when the feed comes back from offline', async () => {
+    const resyncAll = jest.spyOn(OrderBookStore.prototype, 'resyncAll');
+    const { socket, unmount } = await openFeed();
+    act(() => socket.receive(snapshot(1, [['100', '1']])));
+
+    act(() => {
+      window.dispatchEvent(new Event('offline'));
+    });
+    expect(resyncAll).not.toHaveBeenCalled();
+
+    act(() => {
+      window.dispatchEvent(new Event('online'));
+    });
+    expect(resyncAll).toHaveBeenCalledWith('resumed (online)');
+    unmount();
+  });
+
+  describe('conflation', () => {
+    const BURST = [snapshot(1, [['100', '1']]), delta(2, [['100', '2']]), delta(3, [['99', '1']]), delta(4, [['100', '4']])];
+
+    // Renders are left to React's scheduler, as with a real socket, rather than flushed by act()
+    beforeEach(() => {
+      global.IS_REACT_ACT_ENVIRONMENT = false;
+    });
+
+    afterEach(() => {
+      global.IS_REACT_ACT_ENVIRONMENT = true;
+    });
+
+    // Each frame in a task of its own, like socket events, then time for the pending render
+    const play = async (socket, frames) => {
+      for (const frame of frames) {
+        socket.receive(frame);
+        await wait(5);
+      }
+      await wait(300);
+    };
+
+    // Distinct BTCUSDT books the hook has rendered
+    const renderBooks = async (options) => {
+      const books = new Set();
+      const onUpdate = jest.fn();
+      const { result, unmount } = renderHook(() => {
+        const orderBook = useOrderBook('ws://feed.test', null, SYMBOLS, { useWorker: false, onUpdate, ...options });
+        if (orderBook.orderBooks.BTCUSDT) books.add(orderBook.orderBooks.BTCUSDT);
+        return orderBook;
+      });
+      FakeSocket.instances[0].open();
+      await play(FakeSocket.instances[0], BURST);
+      return { books, onUpdate, result, unmount };
+    };
+
+    test('renders a burst of updates once, with the latest book', async () => {
+      const { books, onUpdate, result, unmount } = await renderBooks({ conflate: 'interval', updateInterval: 200 });
+
+      expect(onUpdate).toHaveBeenCalledTimes(BURST.length);
+      expect(books.size).toBe(1);
+      expect(result.current.orderBooks.BTCUSDT.Venues.Binance.Version).toBe(4);
+      unmount();
+    });
+
+    test('renders every update without conflation', async () => {
+      const { books, onUpdate, unmount } = await renderBooks({ conflate: false });
+
+      expect(onUpdate).toHaveBeenCalledTimes(BURST.length);
+      expect(books.size).toBe(BURST.length);
+      unmount();
+    });
+  });
+});
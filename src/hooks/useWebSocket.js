@@ -1,40 +1,110 @@
 // hooks/useWebSocket.js
-import { useState, useEffect, useRef, useCallback } from 'react';
+import { useState, useEffect, useRef, useCallback, useContext, useMemo } from 'react';
+import WebSocketContext, { createConnection, sameEndpoints, useEndpoints } from '../context/WebSocketContext';
+import watchConnectivity from '../services/connectivity';
+
+// WebSocket ready state of a connection (service or worker client)
+const readyStateOf = (connection) => {
+  if (!connection) return WebSocket.CLOSED;
+
+  const { isConnected, isConnecting, readyState } = connection.getState();
+  if (isConnected) return WebSocket.OPEN;
+  if (isConnecting) return WebSocket.CONNECTING;
+  return readyState ?? WebSocket.CLOSED;
+};
 
+/**
+ * Consume a WebSocket connection. Inside a WebSocketProvider the provider's connection is
+ * shared (pass no URL, or the provider's URL or an equal endpoint list); any other URL, or
+ * list of failover endpoints, gets a connection owned by this hook. A `null` URL leaves the hook disconnected.
+ * `options.connection` (e.g. a ReplayConnection) overrides all of that; its owner connects it.
+ */
 const useWebSocket = (url, options = {}) => {
   const {
     onOpen = () => {},
     onClose = () => {},
     onError = () => {},
     onMessage = () => {},
+    onEndpointChange = () => {},
     reconnectAttempts = 5,
     reconnectInterval = 3000,
     heartbeatInterval = 30000,
+    pongTimeout = 10000,     // Reconnect when a ping gets no pong (or other traffic) within this long
+    failoverAttempts = 2,    // Failures on one endpoint before trying the next (endpoint lists)
+    healthCheck = false,     // Probe endpoints' REST APIs before failing over to them
+    auth = null,             // Auth provider for a private connection (see services/auth.js)
+    authMode = 'query',      // Token on connect: 'query' parameter or first 'auth' message
+    hiddenMode = 'downgrade', // Feed while the page is hidden: 'downgrade', 'pause' or 'none'
+    followConnectivity = true, // Track page visibility and network state (private connections only)
     debug = false,
     protocols = [],
     shouldReconnect = true,
     filter = () => true, // Filter function for incoming messages
     retryOnError = true,
-    binaryType = 'blob'
+    binaryType = 'arraybuffer',
+    codec = 'json',          // Binary frame codec (private connections only)
+    useWorker = false,       // Run a private connection in a Web Worker (see createConnection)
+    shareAcrossTabs = false, // With useWorker: one tab's worker serves every tab (SharedFeedClient)
+    workerOptions = {},      // Extra OrderBookWorkerClient options (apiUrl, maxDepth, ...)
+    trackLastMessage = true, // Keep lastMessage/lastJsonMessage in state (one render per message)
+    connection: externalConnection = null // Use this connection instead of one for `url`
   } = options;
 
-  const [readyState, setReadyState] = useState(WebSocket.CONNECTING);
+  const shared = useContext(WebSocketContext);
+  const endpoints = useEndpoints(url);
+  const usesShared = !externalConnection && shared !== null && endpoints !== null &&
+                     (endpoints === undefined || sameEndpoints(endpoints, shared.url));
+
+  const onOpenRef = useRef(onOpen);
+  const onCloseRef = useRef(onClose);
+  const onErrorRef = useRef(onError);
+  const onMessageRef = useRef(onMessage);
+  const onEndpointChangeRef = useRef(onEndpointChange);
+  const filterRef = useRef(filter);
+  onOpenRef.current = onOpen;
+  onCloseRef.current = onClose;
+  onErrorRef.current = onError;
+  onMessageRef.current = onMessage;
+  onEndpointChangeRef.current = onEndpointChange;
+  filterRef.current = filter;
+
+  const connectionOptionsRef = useRef(null);
+  connectionOptionsRef.current = {
+    reconnectAttempts: shouldReconnect ? reconnectAttempts : 0,
+    keepRetrying: shouldReconnect, // Past reconnectAttempts, retry at maxReconnectInterval
+    reconnectInterval,
+    heartbeatInterval,
+    pongTimeout,
+    failoverAttempts,
+    healthCheck,
+    auth,
+    authMode,
+    hiddenMode,
+    debug,
+    protocols,
+    binaryType,
+    codec,
+    useWorker,
+    shareAcrossTabs,
+    ...workerOptions
+  };
+
+  // Private connection, recreated when the endpoints change
+  const ownConnection = useMemo(
+    () => (!externalConnection && !usesShared && endpoints ? createConnection(endpoints, connectionOptionsRef.current) : null),
+    [externalConnection, usesShared, endpoints]
+  );
+  const connection = externalConnection || (usesShared ? shared.connection : ownConnection);
+
+  const [readyState, setReadyState] = useState(() => readyStateOf(connection));
   const [lastMessage, setLastMessage] = useState(null);
   const [lastJsonMessage, setLastJsonMessage] = useState(null);
   const [connectionAttempts, setConnectionAttempts] = useState(0);
-  const [isConnected, setIsConnected] = useState(false);
+  const [isConnected, setIsConnected] = useState(() => connection?.isConnected || false);
   const [error, setError] = useState(null);
-
-  const webSocketRef = useRef(null);
-  const reconnectTimeoutRef = useRef(null);
-  const heartbeatTimeoutRef = useRef(null);
-  const messageQueueRef = useRef([]);
-  const urlRef = useRef(url);
-
-  // Update URL reference when it changes
-  useEffect(() => {
-    urlRef.current = url;
-  }, [url]);
+  const [endpoint, setEndpoint] = useState(() => connection?.url || null);
+  // channel -> { status, error }: pending, active, or rejected / timed out by the server
+  const [subscriptionStatus, setSubscriptionStatus] = useState(() => connection?.getSubscriptionStatuses() || {});
 
   const log = useCallback((message, data = '') => {
     if (debug) {
@@ -42,254 +112,174 @@ const useWebSocket = (url, options = {}) => {
     }
   }, [debug]);
 
-  const clearTimeouts = useCallback(() => {
-    if (reconnectTimeoutRef.current) {
-      clearTimeout(reconnectTimeoutRef.current);
-      reconnectTimeoutRef.current = null;
-    }
-    if (heartbeatTimeoutRef.current) {
-      clearTimeout(heartbeatTimeoutRef.current);
-      heartbeatTimeoutRef.current = null;
-    }
-  }, []);
-
-  const startHeartbeat = useCallback(() => {
-    if (heartbeatInterval > 0) {
-      heartbeatTimeoutRef.current = setTimeout(() => {
-        if (webSocketRef.current?.readyState === WebSocket.OPEN) {
-          log('Sending heartbeat ping');
-          webSocketRef.current.send(JSON.stringify({ type: 'ping', timestamp: Date.now() }));
-          startHeartbeat(); // Schedule next heartbeat
-        }
-      }, heartbeatInterval);
-    }
-  }, [heartbeatInterval, log]);
-
-  const processMessageQueue = useCallback(() => {
-    while (messageQueueRef.current.length > 0 && webSocketRef.current?.readyState === WebSocket.OPEN) {
-      const message = messageQueueRef.current.shift();
-      webSocketRef.current.send(message);
-      log('Sent queued message:', message);
-    }
-  }, [log]);
-
-  const connect = useCallback(() => {
-    if (!urlRef.current) {
-      log('No URL provided for WebSocket connection');
-      return;
-    }
+  // Mirror the connection's events into state and callbacks
+  useEffect(() => {
+    setReadyState(readyStateOf(connection));
+    setIsConnected(connection?.isConnected || false);
+    setEndpoint(connection?.url || null);
+    setSubscriptionStatus(connection?.getSubscriptionStatuses() || {});
+    if (!connection) return;
 
-    try {
-      log('Attempting to connect to:', urlRef.current);
+    const offConnecting = connection.on('connecting', () => {
+      setReadyState(WebSocket.CONNECTING);
+      setConnectionAttempts(connection.reconnectAttempts);
+    });
+
+    const offConnected = connection.on('connected', (event) => {
+      log('WebSocket connected');
+      setReadyState(WebSocket.OPEN);
+      setIsConnected(true);
+      setConnectionAttempts(0);
       setError(null);
-      
-      // Close existing connection if any
-      if (webSocketRef.current) {
-        webSocketRef.current.close();
+      onOpenRef.current(event);
+    });
+
+    const offDisconnected = connection.on('disconnected', (event) => {
+      log('WebSocket closed', event);
+      setReadyState(WebSocket.CLOSED);
+      setIsConnected(false);
+      setSubscriptionStatus(connection.getSubscriptionStatuses());
+      onCloseRef.current(event);
+    });
+
+    const offError = connection.on('error', (errorObj) => {
+      log('WebSocket error', errorObj);
+      setError(errorObj);
+      onErrorRef.current(errorObj);
+
+      if (retryOnError && shouldReconnect) {
+        setReadyState(WebSocket.CONNECTING);
+      }
+    });
+
+    const offEndpoint = connection.on('endpointChanged', (event) => {
+      log(`Endpoint changed to ${event.url} (${event.reason})`);
+      setEndpoint(event.url);
+      onEndpointChangeRef.current(event);
+    });
+
+    // Every endpoint kept failing; unless shouldReconnect is off the connection goes on trying, slowly
+    const offReconnectFailed = connection.on('reconnectFailed', ({ attempts }) => {
+      const errorObj = new Error(`Unable to reconnect after ${attempts} attempts`);
+      setReadyState(WebSocket.CLOSED);
+      setError(errorObj);
+      onErrorRef.current(errorObj);
+    });
+
+    const offSubscriptionStatus = connection.on('subscriptionStatus', ({ channel, status, error }) => {
+      setSubscriptionStatus(prev => {
+        const { [channel]: _previous, ...rest } = prev;
+        return status === null ? rest : { ...rest, [channel]: { status, error } };
+      });
+    });
+
+    // Raw messages (worker connections keep theirs in the worker and emit books instead)
+    const offMessage = connection.on('message', ({ data, raw, timestamp }) => {
+      if (!filterRef.current(raw)) {
+        return;
       }
 
-      // Create new WebSocket connection
-      webSocketRef.current = new WebSocket(urlRef.current, protocols);
-      webSocketRef.current.binaryType = binaryType;
-
-      webSocketRef.current.onopen = (event) => {
-        log('WebSocket connected');
-        setReadyState(WebSocket.OPEN);
-        setIsConnected(true);
-        setConnectionAttempts(0);
-        setError(null);
-        
-        startHeartbeat();
-        processMessageQueue();
-        onOpen(event);
-      };
-
-      webSocketRef.current.onclose = (event) => {
-        log('WebSocket closed', { code: event.code, reason: event.reason, wasClean: event.wasClean });
-        setReadyState(WebSocket.CLOSED);
-        setIsConnected(false);
-        clearTimeouts();
-        
-        onClose(event);
-
-        // Attempt to reconnect if configured
-        if (shouldReconnect && connectionAttempts < reconnectAttempts && !event.wasClean) {
-          const nextAttempt = connectionAttempts + 1;
-          setConnectionAttempts(nextAttempt);
-          
-          const delay = reconnectInterval * Math.pow(1.5, nextAttempt - 1); // Exponential backoff
-          log(`Reconnecting in ${delay}ms (attempt ${nextAttempt}/${reconnectAttempts})`);
-          
-          reconnectTimeoutRef.current = setTimeout(() => {
-            connect();
-          }, delay);
-        }
-      };
-
-      webSocketRef.current.onerror = (event) => {
-        log('WebSocket error', event);
-        const errorObj = new Error('WebSocket connection error');
-        setError(errorObj);
-        onError(errorObj);
-
-        if (retryOnError && shouldReconnect) {
-          setReadyState(WebSocket.CONNECTING);
-        }
-      };
-
-      webSocketRef.current.onmessage = (event) => {
-        const message = event.data;
-        
-        // Apply filter
-        if (!filter(message)) {
-          return;
-        }
-
-        setLastMessage(message);
-        log('Received message:', message);
-
-        // Try to parse as JSON
-        try {
-          const jsonMessage = JSON.parse(message);
-          setLastJsonMessage(jsonMessage);
-          
-          // Handle pong responses
-          if (jsonMessage.type === 'pong') {
-            log('Received heartbeat pong');
-            return;
-          }
-          
-          onMessage(jsonMessage, event);
-        } catch (parseError) {
-          // Not JSON, handle as raw message
-          onMessage(message, event);
-        }
-      };
+      if (trackLastMessage) {
+        setLastMessage(raw);
+        setLastJsonMessage(data !== null && typeof data === 'object' ? data : null);
+      }
 
-      setReadyState(WebSocket.CONNECTING);
+      onMessageRef.current(data, { data: raw, timestamp });
+    });
+
+    return () => {
+      offConnecting();
+      offConnected();
+      offDisconnected();
+      offError();
+      offEndpoint();
+      offReconnectFailed();
+      offSubscriptionStatus();
+      offMessage();
+    };
+  }, [connection, log, retryOnError, shouldReconnect, trackLastMessage]);
+
+  // A private connection lives as long as its URL; the provider manages a shared one
+  useEffect(() => {
+    if (!ownConnection) return;
+
+    log('Attempting to connect to:', endpoints);
+    const unwatch = followConnectivity ? watchConnectivity(ownConnection) : () => {};
+    ownConnection.connect();
+    return () => {
+      unwatch();
+      ownConnection.disconnect();
+    };
+  }, [ownConnection, endpoints, log, followConnectivity]);
 
-    } catch (error) {
-      log('Failed to create WebSocket:', error);
-      setError(error);
-      onError(error);
+  const connect = useCallback(() => {
+    if (!connection) {
+      log('No URL provided for WebSocket connection');
+      return;
     }
-  }, [
-    protocols,
-    binaryType,
-    onOpen,
-    onClose,
-    onError,
-    onMessage,
-    shouldReconnect,
-    connectionAttempts,
-    reconnectAttempts,
-    reconnectInterval,
-    retryOnError,
-    filter,
-    log,
-    startHeartbeat,
-    processMessageQueue,
-    clearTimeouts
-  ]);
+    setError(null);
+    connection.connect();
+  }, [connection, log]);
 
   const disconnect = useCallback(() => {
     log('Manually disconnecting WebSocket');
-    clearTimeouts();
-    
-    if (webSocketRef.current) {
-      webSocketRef.current.close(1000, 'Manual disconnect');
-    }
-    
+    connection?.disconnect();
     setReadyState(WebSocket.CLOSED);
     setIsConnected(false);
-  }, [log, clearTimeouts]);
+  }, [connection, log]);
 
+  // Strings are sent as-is, anything else through the connection's codec (JSON by default).
+  // Returns false when the message was queued for after the socket opens.
   const sendMessage = useCallback((message) => {
-    if (!webSocketRef.current) {
+    if (!connection) {
       log('WebSocket not initialized');
       return false;
     }
-
-    if (webSocketRef.current.readyState === WebSocket.OPEN) {
-      const messageStr = typeof message === 'string' ? message : JSON.stringify(message);
-      webSocketRef.current.send(messageStr);
-      log('Sent message:', messageStr);
-      return true;
-    } else {
-      // Queue message for later sending
-      const messageStr = typeof message === 'string' ? message : JSON.stringify(message);
-      messageQueueRef.current.push(messageStr);
-      log('Queued message (WebSocket not ready):', messageStr);
-      return false;
-    }
-  }, [log]);
+    return connection.send(message);
+  }, [connection, log]);
 
   const sendJsonMessage = useCallback((message) => {
     return sendMessage(JSON.stringify(message));
   }, [sendMessage]);
 
-  // Subscribe to specific channels or topics
+  // Subscribe to specific channels or topics (reference counted across consumers)
   const subscribe = useCallback((channels) => {
-    const subscribeMessage = {
-      type: 'subscribe',
-      channels: Array.isArray(channels) ? channels : [channels],
-      timestamp: Date.now()
-    };
-    return sendJsonMessage(subscribeMessage);
-  }, [sendJsonMessage]);
+    return connection ? connection.subscribe(channels) : false;
+  }, [connection]);
 
   // Unsubscribe from channels
   const unsubscribe = useCallback((channels) => {
-    const unsubscribeMessage = {
-      type: 'unsubscribe',
-      channels: Array.isArray(channels) ? channels : [channels],
-      timestamp: Date.now()
-    };
-    return sendJsonMessage(unsubscribeMessage);
-  }, [sendJsonMessage]);
+    return connection ? connection.unsubscribe(channels) : false;
+  }, [connection]);
 
   // Get connection statistics
   const getConnectionStats = useCallback(() => {
     return {
+      ...(connection ? connection.getStats() : {}),
       readyState,
       isConnected,
       connectionAttempts,
-      queuedMessages: messageQueueRef.current.length,
-      url: urlRef.current,
+      queuedMessages: connection ? connection.getStats().queuedMessages : 0,
+      url: connection?.url ?? url,
       error
     };
-  }, [readyState, isConnected, connectionAttempts, error]);
+  }, [connection, url, readyState, isConnected, connectionAttempts, error]);
+
+  // Capture raw inbound frames; stopRecording resolves with them as NDJSON (see feedRecorder.js)
+  const startRecording = useCallback((recordingOptions) => {
+    connection?.startRecording(recordingOptions);
+  }, [connection]);
+
+  const stopRecording = useCallback(() => {
+    return connection ? connection.stopRecording() : Promise.resolve(null);
+  }, [connection]);
 
   // Force reconnect
   const reconnect = useCallback(() => {
     log('Forcing reconnection');
     setConnectionAttempts(0);
-    disconnect();
-    setTimeout(connect, 100);
-  }, [log, disconnect, connect]);
-
-  // Initial connection
-  useEffect(() => {
-    if (url) {
-      connect();
-    }
-
-    // Cleanup on unmount
-    return () => {
-      clearTimeouts();
-      if (webSocketRef.current) {
-        webSocketRef.current.close();
-      }
-    };
-  }, []); // Only run on mount
-
-  // Reconnect when URL changes
-  useEffect(() => {
-    if (url && url !== urlRef.current) {
-      log('URL changed, reconnecting...');
-      reconnect();
-    }
-  }, [url, reconnect, log]);
+    connection?.reconnect();
+  }, [connection, log]);
 
   // Ready state constants for convenience
   const readyStateConstants = {
@@ -305,11 +295,14 @@ const useWebSocket = (url, options = {}) => {
     isConnected,
     connectionAttempts,
     error,
-    
+    endpoint,
+    connection,
+    subscriptionStatus,
+
     // Messages
     lastMessage,
     lastJsonMessage,
-    
+
     // Actions
     sendMessage,
     sendJsonMessage,
@@ -318,14 +311,16 @@ const useWebSocket = (url, options = {}) => {
     reconnect,
     subscribe,
     unsubscribe,
-    
+    startRecording,
+    stopRecording,
+
     // Utilities
     getConnectionStats,
     readyStateConstants,
-    
+
     // Queue info
-    queuedMessages: messageQueueRef.current.length
+    queuedMessages: connection ? connection.getStats().queuedMessages : 0
   };
 };
 
-export default useWebSocket;
\ No newline at end of file
+export default useWebSocket;
@@ -2,7 +2,23 @@ import React from 'react';
 import { createRoot } from 'react-dom/client';
 import './index.css';
 import App from './App';
+import { WebSocketProvider } from './context/WebSocketContext';
+import { WS_ENDPOINTS, REST_URL, SHARE_FEED_ACROSS_TABS, SIMULATE_MARKET, authProvider } from './config';
 
 const container = document.getElementById('root');
 const root = createRoot(container);
-root.render(<App />);
\ No newline at end of file
+root.render(
+  <WebSocketProvider
+    url={SIMULATE_MARKET ? null : WS_ENDPOINTS}
+    options={{
+      useWorker: true,
+      shareAcrossTabs: SHARE_FEED_ACROSS_TABS,
+      apiUrl: REST_URL,
+      reconnectAttempts: 10,
+      healthCheck: true,
+      auth: authProvider
+    }}
+  >
+    <App />
+  </WebSocketProvider>
+);
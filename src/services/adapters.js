@@ -0,0 +1,299 @@
+// services/adapters.js
+
+// Venue used when a payload names neither an Exchange nor a single source
+const DEFAULT_EXCHANGE = 'MEXC';
+
+// Venue for unattributed payloads that merge several sources
+const AGGREGATED_VENUE = 'Aggregated';
+
+// Parse a version/sequence number, returning null when absent or not numeric
+const parseVersion = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const version = Number(value);
+  return Number.isFinite(version) ? version : null;
+};
+
+// Convert Bids/Asks payloads ([{Price, Quantity}], [[price, qty, ...]] or { price: qty }) into [price, qty] pairs
+const toLevelPairs = (levels) => {
+  if (Array.isArray(levels)) {
+    return levels
+      .map(level => Array.isArray(level)
+        ? [level[0], level[1]]
+        : [level.Price ?? level.price, level.Quantity ?? level.quantity ?? level.qty])
+      .filter(([price, quantity]) => price !== undefined && price !== null && quantity !== undefined && quantity !== null);
+  }
+
+  if (levels && typeof levels === 'object') {
+    return Object.entries(levels);
+  }
+
+  return [];
+};
+
+// Parse a source timestamp (epoch ms as number/string, or an ISO date), returning null when absent
+const parseTimestamp = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const timestamp = typeof value === 'string' && !/^\d+(\.\d+)?$/.test(value) ? Date.parse(value) : Number(value);
+  return Number.isFinite(timestamp) && timestamp > 0 ? timestamp : null;
+};
+
+/**
+ * Build a canonical book event, filling in defaults.
+ * Every adapter produces these; the store only ever sees this shape.
+ * `sentAt` is the source's own timestamp (null when it sent none); `timestamp` falls back to receipt time.
+ * @param {Object} fields - { kind, symbol, version, prevVersion, firstVersion, bids, asks, timestamp, sources, exchange }
+ * @returns {Object} Canonical book event
+ */
+const createBookEvent = (fields) => {
+  const sources = fields.sources || [];
+  const sentAt = parseTimestamp(fields.timestamp);
+  let exchange = fields.exchange;
+  if (!exchange) {
+    if (sources.length === 0) exchange = DEFAULT_EXCHANGE;
+    else exchange = sources.length === 1 ? sources[0] : AGGREGATED_VENUE;
+  }
+
+  return {
+    kind: fields.kind === 'delta' ? 'delta' : 'snapshot',
+    symbol: fields.symbol,
+    version: parseVersion(fields.version),
+    prevVersion: parseVersion(fields.prevVersion),
+    firstVersion: parseVersion(fields.firstVersion),
+    bids: fields.bids || [],
+    asks: fields.asks || [],
+    timestamp: sentAt ?? Date.now(),
+    sentAt,
+    sources,
+    exchange
+  };
+};
+
+// ===== BUILT-IN ADAPTERS =====
+
+// Aggregator message types that always carry an order book
+const AGGREGATOR_BOOK_TYPES = ['orderbook_update', 'orderbook_snapshot', 'orderbook_delta'];
+
+/**
+ * Our aggregator: { type, data: { Symbol, Bids, Asks, Version, LastUpdate, Sources, Exchange } }.
+ * Deltas are flagged with `type: 'orderbook_delta'` or `IsDelta: true`; anything else is a snapshot.
+ * Each payload belongs to one venue: its Exchange, else its only source.
+ */
+const aggregatorAdapter = {
+  name: 'aggregator',
+
+  // Other payloads only count when they carry levels: control replies ({ type: 'subscribed', data })
+  // would otherwise become empty snapshots that wipe the venue's book
+  detect(data) {
+    if (Array.isArray(data)) return false;
+    if (AGGREGATOR_BOOK_TYPES.includes(data.type)) return true;
+
+    const payload = data.data;
+    return Boolean(payload) && typeof payload === 'object' && (payload.Bids !== undefined || payload.Asks !== undefined);
+  },
+
+  normalize(data) {
+    const rawOrderBook = data.data || data;
+    const symbol = rawOrderBook.Symbol || rawOrderBook.symbol;
+    if (!symbol) return [];
+
+    const isDelta = data.type === 'orderbook_delta' ||
+                    rawOrderBook.IsDelta === true ||
+                    rawOrderBook.Type === 'delta';
+
+    return [createBookEvent({
+      kind: isDelta ? 'delta' : 'snapshot',
+      symbol,
+      version: rawOrderBook.Version ?? rawOrderBook.Sequence ?? data.sequence,
+      prevVersion: rawOrderBook.PrevVersion ?? rawOrderBook.PrevSequence,
+      bids: toLevelPairs(rawOrderBook.Bids),
+      asks: toLevelPairs(rawOrderBook.Asks),
+      timestamp: rawOrderBook.LastUpdate,
+      sources: rawOrderBook.Sources,
+      exchange: rawOrderBook.Exchange
+    })];
+  }
+};
+
+/**
+ * Binance-style depth streams:
+ * diff updates { e: 'depthUpdate', E, s, U, u, pu?, b: [[price, qty]], a: [[price, qty]] }
+ * and partial books { lastUpdateId, bids, asks }, optionally wrapped as { stream, data }.
+ */
+const binanceAdapter = {
+  name: 'binance',
+
+  detect(data) {
+    const payload = data.stream && data.data ? data.data : data;
+    return !Array.isArray(payload) && (payload.e === 'depthUpdate' || payload.lastUpdateId !== undefined);
+  },
+
+  normalize(data) {
+    const payload = data.stream && data.data ? data.data : data;
+    const streamSymbol = data.stream ? data.stream.split('@')[0].toUpperCase() : null;
+    const symbol = payload.s || streamSymbol;
+    if (!symbol) return [];
+
+    if (payload.e === 'depthUpdate') {
+      return [createBookEvent({
+        kind: 'delta',
+        symbol,
+        version: payload.u,
+        firstVersion: payload.U,
+        prevVersion: payload.pu,
+        bids: toLevelPairs(payload.b),
+        asks: toLevelPairs(payload.a),
+        timestamp: payload.E,
+        exchange: 'Binance'
+      })];
+    }
+
+    return [createBookEvent({
+      kind: 'snapshot',
+      symbol,
+      version: payload.lastUpdateId,
+      bids: toLevelPairs(payload.bids),
+      asks: toLevelPairs(payload.asks),
+      timestamp: payload.E || payload.T,
+      exchange: 'Binance'
+    })];
+  }
+};
+
+// Kraken pair names ('XBT/USD') to our symbols ('BTCUSD')
+const KRAKEN_ASSETS = { XBT: 'BTC', XDG: 'DOGE' };
+const fromKrakenPair = (pair) => pair
+  .split('/')
+  .map(asset => KRAKEN_ASSETS[asset] || asset)
+  .join('');
+
+/**
+ * Kraken-style book tuples:
+ * [channelID, { as, bs }, 'book-N', 'XBT/USD'] snapshots and
+ * [channelID, { a }, { b, c }, 'book-N', 'XBT/USD'] updates, levels as [price, volume, timestamp].
+ * Kraken books are unversioned (integrity comes from checksums), so no sequence is set.
+ */
+const krakenAdapter = {
+  name: 'kraken',
+
+  detect(data) {
+    return Array.isArray(data) &&
+           data.length >= 4 &&
+           typeof data[data.length - 2] === 'string' &&
+           data[data.length - 2].startsWith('book');
+  },
+
+  normalize(data) {
+    const pair = data[data.length - 1];
+    const symbol = typeof pair === 'string' ? fromKrakenPair(pair) : null;
+    if (!symbol) return [];
+
+    const bodies = data.slice(1, -2).filter(body => body && typeof body === 'object');
+    const isSnapshot = bodies.some(body => body.as || body.bs);
+
+    const bids = [];
+    const asks = [];
+    let timestamp = 0;
+
+    bodies.forEach(body => {
+      (body.bs || body.b || []).forEach(level => bids.push(level));
+      (body.as || body.a || []).forEach(level => asks.push(level));
+    });
+
+    [...bids, ...asks].forEach(level => {
+      timestamp = Math.max(timestamp, parseFloat(level[2]) * 1000 || 0);
+    });
+
+    return [createBookEvent({
+      kind: isSnapshot ? 'snapshot' : 'delta',
+      symbol,
+      bids: toLevelPairs(bids),
+      asks: toLevelPairs(asks),
+      timestamp: Math.round(timestamp) || null,
+      exchange: 'Kraken'
+    })];
+  }
+};
+
+// ===== REGISTRY =====
+
+const adapters = new Map();
+
+/**
+ * Register a message adapter
+ * @param {Object} adapter - { name, detect(data) => boolean, normalize(data) => event[] }
+ */
+const registerAdapter = (adapter) => {
+  if (!adapter || !adapter.name || typeof adapter.normalize !== 'function') {
+    throw new TypeError('Adapter must have a name and a normalize function');
+  }
+
+  // Re-registering moves the adapter to the end, i.e. to the front of auto-detection
+  adapters.delete(adapter.name);
+  adapters.set(adapter.name, adapter);
+};
+
+const unregisterAdapter = (name) => adapters.delete(name);
+
+const getAdapter = (name) => adapters.get(name) || null;
+
+const listAdapters = () => Array.from(adapters.keys());
+
+/**
+ * Pick the adapter for a message
+ * @param {Object|Array} data - Parsed message
+ * @param {string|Object} selection - 'auto', an adapter name or an adapter object
+ * @returns {Object|null} Adapter, or null if none applies
+ */
+const resolveAdapter = (data, selection = 'auto') => {
+  if (selection && typeof selection === 'object') return selection;
+
+  if (selection && selection !== 'auto') {
+    const adapter = adapters.get(selection);
+    if (!adapter) {
+      throw new Error(`Unknown message adapter: ${selection}`);
+    }
+    return adapter;
+  }
+
+  // Most recently registered first, so custom adapters win over the built-ins
+  const candidates = Array.from(adapters.values()).reverse();
+  return candidates.find(adapter => typeof adapter.detect === 'function' && adapter.detect(data)) || null;
+};
+
+/**
+ * Normalise a raw socket/REST payload into canonical book events
+ * @param {string|Object|Array} message - Raw message (JSON strings are parsed)
+ * @param {string|Object} selection - Adapter selection (see resolveAdapter)
+ * @returns {Array} Canonical book events; empty for non-book messages
+ */
+const normalizeMessage = (message, selection = 'auto') => {
+  let data = message;
+
+  if (typeof message === 'string') {
+    data = JSON.parse(message);
+  }
+
+  if (!data || typeof data !== 'object') return [];
+
+  const adapter = resolveAdapter(data, selection);
+  if (!adapter) return [];
+  if (adapter.detect && !adapter.detect(data)) return [];
+
+  return adapter.normalize(data) || [];
+};
+
+registerAdapter(aggregatorAdapter);
+registerAdapter(binanceAdapter);
+registerAdapter(krakenAdapter);
+
+export {
+  DEFAULT_EXCHANGE,
+  AGGREGATED_VENUE,
+  createBookEvent,
+  registerAdapter,
+  unregisterAdapter,
+  getAdapter,
+  listAdapters,
+  resolveAdapter,
+  normalizeMessage
+};
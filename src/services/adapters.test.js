@@ -0,0 +1,102 @@
+import {
+  normalizeMessage,
+  registerAdapter,
+  unregisterAdapter,
+  resolveAdapter,
+  DEFAULT_EXCHANGE,
+  AGGREGATED_VENUE
+} from './adapters';
+
+describe('aggregator adapter', () => {
+  test('normalises snapshots and deltas', () => {
+    const [snapshot] = normalizeMessage(JSON.stringify({
+      type: 'orderbook_snapshot',
+      data: { Symbol: 'BTCUSDT', Exchange: 'Binance', Version: '7', Bids: [{ Price: '100', Quantity: '1' }], Asks: { 101: '2' }, LastUpdate: 1700000000000 }
+    }));
+    expect(snapshot).toMatchObject({
+      kind: 'snapshot',
+      symbol: 'BTCUSDT',
+      exchange: 'Binance',
+      version: 7,
+      bids: [['100', '1']],
+      asks: [['101', '2']],
+      sentAt: 1700000000000
+    });
+
+    const [delta] = normalizeMessage({ type: 'orderbook_delta', data: { Symbol: 'BTCUSDT', Version: 8, PrevVersion: 7, Bids: [['100', '0']] } });
+    expect(delta).toMatchObject({ kind: 'delta', version: 8, prevVersion: 7, bids: [['100', '0']], asks: [] });
+  });
+
+  test('attributes payloads to their venue', () => {
+    const venue = (data) => normalizeMessage({ type: 'orderbook_update', data: { Symbol: 'BTCUSDT', Bids: [], ...data } })[0].exchange;
+
+    expect(venue({ Exchange: 'Kraken' })).toBe('Kraken');
+    expect(venue({ Sources: ['Coinbase'] })).toBe('Coinbase');
+    expect(venue({ Sources: ['Coinbase', 'Kraken'] })).toBe(AGGREGATED_VENUE);
+    expect(venue({})).toBe(DEFAULT_EXCHANGE);
+  });
+
+  test('ignores control replies', () => {
+    [
+      { type: 'subscribed', data: { symbol: 'BTCUSDT' } },
+      { type: 'error', data: { Symbol: 'BTCUSDT', message: 'unknown symbol' } },
+      { type: 'pong', data: { timestamp: 1 } },
+      { type: 'subscribed' }
+    ].forEach(message => expect(normalizeMessage(message)).toEqual([]));
+  });
+
+  test('accepts untyped payloads that carry levels', () => {
+    const [event] = normalizeMessage({ data: { Symbol: 'ETHUSDT', Asks: [['10', '1']] } });
+    expect(event).toMatchObject({ kind: 'snapshot', symbol: 'ETHUSDT', asks: [['10', '1']] });
+  });
+});
+
+describe('binance adapter', () => {
+  test('normalises diff updates and partial books', () => {
+    const [delta] = normalizeMessage({
+      stream: 'btcusdt@depth',
+      data: { e: 'depthUpdate', E: 1700000000000, s: 'BTCUSDT', U: 11, u: 12, pu: 10, b: [['100', '1']], a: [] }
+    });
+    expect(delta).toMatchObject({ kind: 'delta', symbol: 'BTCUSDT', exchange: 'Binance', version: 12, firstVersion: 11, prevVersion: 10 });
+
+    const [snapshot] = normalizeMessage({ stream: 'ethusdt@depth20', data: { lastUpdateId: 5, bids: [['10', '1']], asks: [['11', '1']] } });
+    expect(snapshot).toMatchObject({ kind: 'snapshot', symbol: 'ETHUSDT', version: 5 });
+  });
+});
+
+describe('kraken adapter', () => {
+  test('normalises snapshots and updates with Kraken pair names', () => {
+    const [snapshot] = normalizeMessage([42, { as: [['101.0', '1.0', '1700000000.5']], bs: [['100.0', '2.0', '1700000000.1']] }, 'book-10', 'XBT/USD']);
+    expect(snapshot).toMatchObject({
+      kind: 'snapshot',
+      symbol: 'BTCUSD',
+      exchange: 'Kraken',
+      version: null,
+      bids: [['100.0', '2.0']],
+      asks: [['101.0', '1.0']],
+      sentAt: 1700000000500
+    });
+
+    const [update] = normalizeMessage([42, { a: [['101.0', '0.0', '1700000001.0']] }, { b: [['99.0', '1.0', '1700000001.0']], c: '123' }, 'book-10', 'XDG/USD']);
+    expect(update).toMatchObject({ kind: 'delta', symbol: 'DOGEUSD', bids: [['99.0', '1.0']], asks: [['101.0', '0.0']] });
+  });
+});
+
+describe('adapter registry', () => {
+  afterEach(() => unregisterAdapter('custom'));
+
+  test('prefers custom adapters and resolves explicit selections', () => {
+    const custom = {
+      name: 'custom',
+      detect: (data) => data.kind === 'book',
+      normalize: (data) => [{ kind: 'snapshot', symbol: data.pair }]
+    };
+    registerAdapter(custom);
+
+    expect(resolveAdapter({ kind: 'book', data: { Bids: [] } })).toBe(custom);
+    expect(normalizeMessage({ kind: 'book', pair: 'XRPUSDT' })).toEqual([{ kind: 'snapshot', symbol: 'XRPUSDT' }]);
+    expect(resolveAdapter({}, 'binance').name).toBe('binance');
+    expect(() => resolveAdapter({}, 'nope')).toThrow('Unknown message adapter: nope');
+    expect(() => registerAdapter({ name: 'broken' })).toThrow(TypeError);
+  });
+});
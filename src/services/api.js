@@ -1,13 +1,92 @@
 // services/api.js
+import Decimal from './decimal';
+import PriceLevels from './priceLevels';
+import { formatPrice, registerSymbolSpecs } from './symbolSpecs';
+import RequestCache from './requestCache';
+import RateLimiter from './rateLimiter';
+import CircuitBreaker, { CIRCUIT_STATE, circuitKey } from './circuitBreaker';
+import SCHEMAS, { INVALID, parseWith } from './schemas';
+
+// Per-endpoint freshness overriding cacheTimeout: listings rarely change, health must be live
+const DEFAULT_CACHE_TTLS = {
+  '/api/symbols': 300000,
+  '/api/exchanges/status': 10000,
+  '/api/health': 0
+};
+
+// What went wrong with a request
+const API_ERROR_KIND = {
+  HTTP: 'http',         // The server answered with an error status
+  TIMEOUT: 'timeout',   // An attempt ran out of time
+  ABORTED: 'aborted',   // The caller's signal cancelled the request
+  RATE_LIMITED: 'rate_limited', // 429: the server's quota ran out (check `retryAfter`)
+  CIRCUIT_OPEN: 'circuit_open', // Not sent: the endpoint keeps failing (check `retryAt`)
+  NETWORK: 'network',   // No response at all (offline, DNS, CORS, ...)
+  INVALID: 'invalid'    // The response didn't match its schema (check `path` and `errors`)
+};
+
+// How responses that don't match their schema are treated
+const VALIDATION_MODE = {
+  STRICT: 'strict',   // Any problem fails the request
+  LENIENT: 'lenient'  // Bad optional fields fall back to defaults and bad list items are dropped
+};
+
 class APIError extends Error {
-  constructor(message, status, response) {
+  constructor(message, status, response, kind = status ? API_ERROR_KIND.HTTP : API_ERROR_KIND.NETWORK) {
     super(message);
     this.name = 'APIError';
     this.status = status;
     this.response = response;
+    this.kind = kind;
+  }
+
+  static isAbort(error) {
+    return error?.kind === API_ERROR_KIND.ABORTED;
   }
 }
 
+// One attempt's signal: aborted by the caller's signal or once the attempt times out
+const attemptSignal = (signal, timeout) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  const abort = () => controller.abort();
+
+  if (signal?.aborted) abort();
+  signal?.addEventListener('abort', abort);
+
+  return {
+    signal: controller.signal,
+    release: () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', abort);
+    }
+  };
+};
+
+// Retry-After as ms from now: delta-seconds or an HTTP date; null when absent or unreadable
+const parseRetryAfter = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  if (/^\d+$/.test(value.trim())) return Number(value) * 1000;
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+// Resolves after `ms`, or rejects as soon as the signal aborts
+const delay = (ms, signal) => new Promise((resolve, reject) => {
+  const abort = () => {
+    clearTimeout(timer);
+    reject(new APIError('Request aborted', undefined, undefined, API_ERROR_KIND.ABORTED));
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', abort);
+    resolve();
+  }, ms);
+
+  if (signal?.aborted) abort();
+  signal?.addEventListener('abort', abort, { once: true });
+});
+
 class OrderBookAPI {
   constructor(baseUrl, options = {}) {
     this.baseUrl = baseUrl.replace(/\/$/, ''); // Remove trailing slash
@@ -23,13 +102,41 @@ class OrderBookAPI {
       ...options.headers
     };
     
-    // Request/response interceptors
-    this.requestInterceptors = [];
+    // Auth provider ({ getToken, refreshToken }, see auth.js) behind the bearer interceptor
+    this.auth = options.auth || null;
+
+    // Client-side rate limiting so polling never exceeds the aggregator's quota (it bans clients
+    // that do): RateLimiter options, a RateLimiter shared with other clients, or false for none
+    const { rateLimit = {} } = options;
+    this.limiter = rateLimit instanceof RateLimiter ? rateLimit : (rateLimit ? new RateLimiter(rateLimit) : null);
+    this.maxRetryAfter = options.maxRetryAfter ?? 60000; // Longest Retry-After honoured, in ms
+
+    // Per-endpoint circuit breakers so a dead backend fails fast instead of through every retry:
+    // CircuitBreaker options, a CircuitBreaker shared with other clients, or false for none
+    const { circuitBreaker = {} } = options;
+    this.breaker = circuitBreaker instanceof CircuitBreaker
+      ? circuitBreaker
+      : (circuitBreaker ? new CircuitBreaker(circuitBreaker) : null);
+
+    // Responses are checked against their endpoint's schema and normalised into models
+    this.validation = options.validation || VALIDATION_MODE.LENIENT;
+
+    // fetch() implementation to send requests with; the global one unless e.g. a MarketSimulator answers them
+    this.fetch = options.fetch || null;
+
+    // Request/response interceptors; the built-in auth interceptor always runs first
+    this.requestInterceptors = [(url, requestOptions) => this.authInterceptor(url, requestOptions)];
     this.responseInterceptors = [];
     
-    // Cache for GET requests
-    this.cache = new Map();
-    this.cacheTimeout = options.cacheTimeout || 5000; // 5 seconds default cache
+    // Cache for GET requests; identical GETs in flight are always shared
+    this.cacheTimeout = options.cacheTimeout ?? 5000; // 5 seconds default cache, 0 disables
+    this.cache = new RequestCache({
+      ttl: this.cacheTimeout,
+      // Endpoint prefix -> TTL; the defaults only apply while caching is enabled
+      ttls: { ...(this.cacheTimeout > 0 ? DEFAULT_CACHE_TTLS : {}), ...options.cacheTTLs },
+      staleWhileRevalidate: options.staleWhileRevalidate ?? 10000, // ms an expired response is still served while it's refreshed
+      maxEntries: options.cacheMaxEntries || 100
+    });
   }
 
   // Logging helper
@@ -39,6 +146,23 @@ class OrderBookAPI {
     }
   }
 
+  // Use (or, with null, stop using) an auth provider for subsequent requests
+  setAuthProvider(auth) {
+    this.auth = auth;
+    this.clearCache();
+  }
+
+  // Adds `Authorization: Bearer <token>` when an auth provider has a token
+  async authInterceptor(url, options) {
+    const token = this.auth ? await this.auth.getToken() : null;
+    if (!token) return options;
+
+    return {
+      ...options,
+      headers: { ...options.headers, Authorization: `Bearer ${token}` }
+    };
+  }
+
   // Add request interceptor
   addRequestInterceptor(interceptor) {
     this.requestInterceptors.push(interceptor);
@@ -71,51 +195,108 @@ class OrderBookAPI {
     return processedResponse;
   }
 
-  // Core HTTP request method
+  /**
+   * Core HTTP request method; GETs go through the cache
+   * @param {string} endpoint - Path and query under baseUrl
+   * @param {Object} options - fetch options; `signal` cancels the request (an ABORTED APIError)
+   */
   async request(endpoint, options = {}) {
     const url = `${this.baseUrl}${endpoint}`;
-    const method = options.method || 'GET';
-    
-    // Check cache for GET requests
-    if (method === 'GET' && this.cache.has(url)) {
-      const cached = this.cache.get(url);
-      if (Date.now() - cached.timestamp < this.cacheTimeout) {
-        this.log(`Cache hit for ${url}`);
-        return cached.data;
+    const { signal = null, ...fetchOptions } = options;
+    const method = fetchOptions.method || 'GET';
+
+    if (signal?.aborted) {
+      throw new APIError('Request aborted', undefined, undefined, API_ERROR_KIND.ABORTED);
+    }
+
+    if (method !== 'GET') {
+      return this.send(url, fetchOptions, signal);
+    }
+
+    const path = endpoint.split('?')[0];
+    const cached = this.cache.get(url);
+    if (cached) {
+      if (cached.stale) {
+        this.log(`Serving stale ${url} while revalidating`);
+        this.cache.load(url, path, (sharedSignal) => this.send(url, fetchOptions, sharedSignal))
+          .catch(error => this.log(`Revalidating ${url} failed:`, error.message));
       } else {
-        this.cache.delete(url);
+        this.log(`Cache hit for ${url}`);
       }
+      return cached.data;
     }
 
+    // A shared request is only cancelled once every caller waiting for it has aborted
+    try {
+      return await this.cache.load(url, path, (sharedSignal) => this.send(url, fetchOptions, sharedSignal), signal);
+    } catch (error) {
+      if (signal?.aborted && !APIError.isAbort(error)) {
+        throw new APIError('Request aborted', undefined, undefined, API_ERROR_KIND.ABORTED);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Perform a request with interceptors, token refresh and retries. Every attempt gets the
+   * full timeout; the signal cancels the attempt in progress and any retries still to come.
+   */
+  async send(url, options = {}, signal = null) {
+    const method = options.method || 'GET';
+    const path = url.slice(this.baseUrl.length);
     const requestOptions = {
       method,
       headers: { ...this.defaultHeaders, ...options.headers },
-      signal: AbortSignal.timeout(this.timeout),
       ...options
     };
 
     // Apply request interceptors
-    const processedOptions = await this.processRequest(url, requestOptions);
+    let processedOptions = await this.processRequest(url, requestOptions);
 
-    this.log(`${method} ${url}`, processedOptions);
+    this.log(`${method} ${url}`);
 
     let lastError;
+    let refreshedAuth = false;
     
     // Retry logic
     for (let attempt = 1; attempt <= this.retryAttempts; attempt++) {
+      let release = null;
+      let guard = null;
+      let retryIn = 0;
+
+      // An endpoint whose circuit is open fails fast, retries included
+      if (this.breaker && !this.breaker.allowRequest(path)) {
+        const retryAt = this.breaker.getRetryAt(path);
+        const error = new APIError(
+          `${circuitKey(path)} is unavailable${retryAt ? `, retrying after ${new Date(retryAt).toLocaleTimeString()}` : ''}`,
+          undefined,
+          undefined,
+          API_ERROR_KIND.CIRCUIT_OPEN
+        );
+        error.retryAt = retryAt;
+        throw error;
+      }
+
       try {
-        const response = await fetch(url, processedOptions);
+        // Waiting for the rate limiter doesn't count against the attempt's timeout
+        release = this.limiter ? await this.limiter.acquire(signal) : null;
+        guard = attemptSignal(signal, this.timeout);
+
+        const response = await (this.fetch || fetch)(url, { ...processedOptions, signal: guard.signal });
         
         // Apply response interceptors
         const processedResponse = await this.processResponse(response, url, processedOptions);
         
         if (!processedResponse.ok) {
           const errorText = await processedResponse.text();
-          throw new APIError(
+          const error = new APIError(
             `HTTP ${processedResponse.status}: ${errorText}`,
             processedResponse.status,
-            processedResponse
+            processedResponse,
+            processedResponse.status === 429 ? API_ERROR_KIND.RATE_LIMITED : API_ERROR_KIND.HTTP
           );
+          error.retryAfter = parseRetryAfter(processedResponse.headers.get('retry-after'));
+          throw error;
         }
 
         const contentType = processedResponse.headers.get('content-type');
@@ -127,68 +308,127 @@ class OrderBookAPI {
           data = await processedResponse.text();
         }
 
-        // Cache successful GET requests
-        if (method === 'GET') {
-          this.cache.set(url, {
-            data,
-            timestamp: Date.now()
-          });
-        }
-
+        this.breaker?.recordSuccess(path);
         this.log(`Success: ${method} ${url}`, data);
         return data;
 
-      } catch (error) {
+      } catch (caught) {
+        const error = this.toAPIError(caught, signal);
         lastError = error;
-        
-        if (error.name === 'AbortError') {
-          throw new APIError(`Request timeout after ${this.timeout}ms`, 408);
+        this.recordOutcome(path, error);
+
+        if (error.kind === API_ERROR_KIND.ABORTED) {
+          throw error;
+        }
+
+        // Expired token: refresh it once and replay the request with the new one
+        if (error.status === 401 && this.auth?.refreshToken && !refreshedAuth) {
+          refreshedAuth = true;
+          try {
+            await this.auth.refreshToken();
+          } catch (refreshError) {
+            this.log('Token refresh failed:', refreshError.message);
+            throw error;
+          }
+
+          this.log(`Retrying ${method} ${url} with a refreshed token`);
+          processedOptions = await this.processRequest(url, requestOptions);
+          attempt--; // The replay doesn't use up a retry
+          continue;
         }
         
         // Don't retry on client errors (4xx)
-        if (error.status >= 400 && error.status < 500) {
+        if (error.kind === API_ERROR_KIND.HTTP && error.status >= 400 && error.status < 500) {
           throw error;
         }
-        
-        // Retry on network errors and server errors (5xx)
+
+        const backoff = this.retryDelay * Math.pow(2, attempt - 1); // Exponential backoff
+        let wait = backoff;
+
+        // Over quota or overloaded: every request waits as long as the server asks
+        if (error.kind === API_ERROR_KIND.RATE_LIMITED || (error.status === 503 && error.retryAfter !== null)) {
+          wait = Math.min(error.retryAfter ?? backoff, this.maxRetryAfter);
+          this.log(`Rate limited (HTTP ${error.status}), pausing requests for ${wait}ms`);
+          if (this.limiter) {
+            this.limiter.pauseUntil(Date.now() + wait);
+            wait = 0; // The retry queues behind the pause
+          }
+        }
+
+        // Retry on rate limits, timeouts, network errors and server errors (5xx)
         if (attempt < this.retryAttempts) {
-          const delay = this.retryDelay * Math.pow(2, attempt - 1); // Exponential backoff
-          this.log(`Retry ${attempt}/${this.retryAttempts} in ${delay}ms for ${url}`);
-          await new Promise(resolve => setTimeout(resolve, delay));
+          this.log(`Retry ${attempt}/${this.retryAttempts} in ${wait}ms for ${url}`);
+          retryIn = wait;
         }
+      } finally {
+        guard?.release();
+        release?.();
+      }
+
+      // Backing off doesn't hold on to a rate limiter slot
+      if (retryIn > 0) {
+        await delay(retryIn, signal);
       }
     }
 
     throw lastError;
   }
 
-  // GET request
-  async get(endpoint, params = {}) {
+  // Only a backend that doesn't answer (or answers 5xx) counts against its circuit
+  recordOutcome(path, error) {
+    if (!this.breaker) return;
+
+    if (error.kind === API_ERROR_KIND.ABORTED) {
+      this.breaker.recordCancel(path);
+    } else if (error.kind === API_ERROR_KIND.TIMEOUT || error.kind === API_ERROR_KIND.NETWORK || error.status >= 500) {
+      this.breaker.recordFailure(path);
+    } else {
+      this.breaker.recordSuccess(path);
+    }
+  }
+
+  // Classify whatever a failed attempt threw
+  toAPIError(error, signal) {
+    if (error instanceof APIError) return error;
+
+    if (signal?.aborted) {
+      return new APIError('Request aborted', undefined, undefined, API_ERROR_KIND.ABORTED);
+    }
+    if (error?.name === 'AbortError' || error?.name === 'TimeoutError') {
+      return new APIError(`Request timeout after ${this.timeout}ms`, 408, undefined, API_ERROR_KIND.TIMEOUT);
+    }
+    return new APIError(`Network error: ${error?.message || error}`, undefined, undefined, API_ERROR_KIND.NETWORK);
+  }
+
+  // GET request; every method takes `{ signal }` last to make it cancellable
+  async get(endpoint, params = {}, { signal } = {}) {
     const queryString = new URLSearchParams(params).toString();
     const url = queryString ? `${endpoint}?${queryString}` : endpoint;
     
-    return this.request(url, { method: 'GET' });
+    return this.request(url, { method: 'GET', signal });
   }
 
   // POST request
-  async post(endpoint, data = {}) {
+  async post(endpoint, data = {}, { signal } = {}) {
     return this.request(endpoint, {
       method: 'POST',
-      body: JSON.stringify(data)
+      body: JSON.stringify(data),
+      signal
     });
   }
 
   // PUT request
-  async put(endpoint, data = {}) {
+  async put(endpoint, data = {}, { signal } = {}) {
     return this.request(endpoint, {
       method: 'PUT',
-      body: JSON.stringify(data)
+      body: JSON.stringify(data),
+      signal
     });
   }
 
   // DELETE request
-  async delete(endpoint) {
-    return this.request(endpoint, { method: 'DELETE' });
+  async delete(endpoint, { signal } = {}) {
+    return this.request(endpoint, { method: 'DELETE', signal });
   }
 
   // Clear cache
@@ -197,54 +437,97 @@ class OrderBookAPI {
     this.log('Cache cleared');
   }
 
-  // Get cache stats
+  // Rate limiter state for the UI: { queued, active, throttled, pausedUntil }
+  getRateLimitState() {
+    return this.limiter ? this.limiter.getState() : { queued: 0, active: 0, throttled: false, pausedUntil: null };
+  }
+
+  // Follow rate limiter state changes; returns a function that stops following
+  onRateLimitChange(callback) {
+    return this.limiter ? this.limiter.on('state', callback) : () => {};
+  }
+
+  // Circuit breaker state per endpoint: { [endpoint]: { state, failures, retryAt } }
+  getCircuitStates() {
+    return this.breaker ? this.breaker.getStates() : {};
+  }
+
+  // Follow circuit state changes ({ endpoint, state, previous, failures, retryAt }); returns a function that stops following
+  onCircuitChange(callback) {
+    return this.breaker ? this.breaker.on('stateChange', callback) : () => {};
+  }
+
+  /**
+   * Check a response against its schema and normalise it. Runs after the request succeeded, so a
+   * malformed response is neither retried nor counted against the endpoint's circuit.
+   * @param {Function} schema - One of SCHEMAS
+   * @param {*} data - Parsed response body
+   * @param {string} endpoint - For messages
+   * @returns {*} The normalised model
+   * @throws {APIError} INVALID, with `path` (the first offending one) and `errors` ([{ path, message }])
+   */
+  validate(schema, data, endpoint) {
+    const { value, issues } = parseWith(schema, data, { strict: this.validation === VALIDATION_MODE.STRICT });
+
+    if (value === INVALID) {
+      const [first] = issues;
+      const error = new APIError(
+        `Invalid response from ${endpoint}: ${first.path} ${first.message}`,
+        undefined,
+        undefined,
+        API_ERROR_KIND.INVALID
+      );
+      error.path = first.path;
+      error.errors = issues;
+      throw error;
+    }
+
+    if (issues.length > 0) {
+      this.log(`Normalised ${issues.length} problem(s) in ${endpoint}:`, issues);
+    }
+    return value;
+  }
+
+  // Drop cached responses for endpoints under a prefix, e.g. '/api/orderbook/BTCUSDT'
+  invalidateCache(prefix) {
+    const removed = this.cache.invalidate(prefix);
+    this.log(`Invalidated ${removed} cached response(s) under ${prefix}`);
+    return removed;
+  }
+
+  // Get cache stats: size, entries, hits, staleHits, misses, coalesced, evictions, inFlight, hitRate
   getCacheStats() {
-    return {
-      size: this.cache.size,
-      entries: Array.from(this.cache.keys())
-    };
+    return this.cache.getStats();
   }
 
   // ===== ORDER BOOK SPECIFIC METHODS =====
 
   // Get order book for a specific symbol
-  async getOrderBook(symbol, params = {}) {
+  async getOrderBook(symbol, params = {}, options = {}) {
     const defaultParams = {
       depth: 20,
       ...params
     };
     
     try {
-      const data = await this.get(`/api/orderbook/${symbol.toUpperCase()}`, defaultParams);
-      
-      // Validate response structure
-      if (!data || typeof data !== 'object') {
-        throw new APIError('Invalid order book response format');
-      }
-      
-      return {
-        Symbol: data.Symbol || symbol,
-        Bids: data.Bids || {},
-        Asks: data.Asks || {},
-        LastUpdate: data.LastUpdate || Date.now(),
-        Version: data.Version || '0',
-        Sources: data.Sources || [],
-        ...data
-      };
-      
+      const endpoint = `/api/orderbook/${symbol.toUpperCase()}`;
+      const orderBook = this.validate(SCHEMAS.orderBook, await this.get(endpoint, defaultParams, options), endpoint);
+
+      return { ...orderBook, Symbol: orderBook.Symbol || symbol.toUpperCase() };
+
     } catch (error) {
       this.log(`Failed to fetch order book for ${symbol}:`, error.message);
       throw error;
     }
   }
 
-  // Get multiple order books at once
-  async getMultipleOrderBooks(symbols, params = {}) {
+  // Get multiple order books at once; cancelling rejects the whole batch
+  async getMultipleOrderBooks(symbols, params = {}, options = {}) {
     const requests = symbols.map(symbol => 
-      this.getOrderBook(symbol, params).catch(error => ({
-        symbol,
-        error: error.message
-      }))
+      this.getOrderBook(symbol, params, options).catch(error => {
+        if (APIError.isAbort(error)) throw error;
+        return { symbol, error: error.message };
+      })
     );
     
     const results = await Promise.all(requests);
@@ -264,9 +547,9 @@ class OrderBookAPI {
   }
 
   // Get market summary for all symbols
-  async getMarketSummary() {
+  async getMarketSummary(options = {}) {
     try {
-      return await this.get('/api/market/summary');
+      return this.validate(SCHEMAS.marketSummary, await this.get('/api/market/summary', {}, options), '/api/market/summary');
     } catch (error) {
       this.log('Failed to fetch market summary:', error.message);
       throw error;
@@ -274,10 +557,13 @@ class OrderBookAPI {
   }
 
   // Get available symbols
-  async getSymbols() {
+  async getSymbols(options = {}) {
     try {
-      const response = await this.get('/api/symbols');
-      return Array.isArray(response) ? response : response.symbols || [];
+      const symbols = this.validate(SCHEMAS.symbols, await this.get('/api/symbols', {}, options), '/api/symbols');
+
+      // Listings with tick/lot sizes drive price and quantity formatting
+      registerSymbolSpecs(symbols);
+      return symbols;
     } catch (error) {
       this.log('Failed to fetch symbols:', error.message);
       throw error;
@@ -285,9 +571,9 @@ class OrderBookAPI {
   }
 
   // Get server health/status
-  async getHealth() {
+  async getHealth(options = {}) {
     try {
-      return await this.get('/api/health');
+      return this.validate(SCHEMAS.health, await this.get('/api/health', {}, options), '/api/health');
     } catch (error) {
       this.log('Health check failed:', error.message);
       throw error;
@@ -295,9 +581,9 @@ class OrderBookAPI {
   }
 
   // Get exchange status
-  async getExchangeStatus() {
+  async getExchangeStatus(options = {}) {
     try {
-      return await this.get('/api/exchanges/status');
+      return this.validate(SCHEMAS.exchangeStatus, await this.get('/api/exchanges/status', {}, options), '/api/exchanges/status');
     } catch (error) {
       this.log('Failed to fetch exchange status:', error.message);
       throw error;
@@ -305,7 +591,7 @@ class OrderBookAPI {
   }
 
   // Get historical data
-  async getHistoricalData(symbol, params = {}) {
+  async getHistoricalData(symbol, params = {}, options = {}) {
     const defaultParams = {
       interval: '1h',
       limit: 100,
@@ -313,7 +599,8 @@ class OrderBookAPI {
     };
     
     try {
-      return await this.get(`/api/history/${symbol.toUpperCase()}`, defaultParams);
+      const endpoint = `/api/history/${symbol.toUpperCase()}`;
+      return this.validate(SCHEMAS.history, await this.get(endpoint, defaultParams, options), endpoint);
     } catch (error) {
       this.log(`Failed to fetch historical data for ${symbol}:`, error.message);
       throw error;
@@ -321,9 +608,11 @@ class OrderBookAPI {
   }
 
   // Subscribe to symbol (if your backend supports subscription management)
-  async subscribeSymbol(symbol) {
+  async subscribeSymbol(symbol, options = {}) {
     try {
-      return await this.post('/api/subscribe', { symbol: symbol.toUpperCase() });
+      const result = await this.post('/api/subscribe', { symbol: symbol.toUpperCase() }, options);
+      this.invalidateCache('/api/subscriptions');
+      return this.validate(SCHEMAS.subscriptionChange, result, '/api/subscribe');
     } catch (error) {
       this.log(`Failed to subscribe to ${symbol}:`, error.message);
       throw error;
@@ -331,9 +620,12 @@ class OrderBookAPI {
   }
 
   // Unsubscribe from symbol
-  async unsubscribeSymbol(symbol) {
+  async unsubscribeSymbol(symbol, options = {}) {
     try {
-      return await this.delete(`/api/subscribe/${symbol.toUpperCase()}`);
+      const endpoint = `/api/subscribe/${symbol.toUpperCase()}`;
+      const result = await this.delete(endpoint, options);
+      this.invalidateCache('/api/subscriptions');
+      return this.validate(SCHEMAS.subscriptionChange, result, endpoint);
     } catch (error) {
       this.log(`Failed to unsubscribe from ${symbol}:`, error.message);
       throw error;
@@ -341,9 +633,9 @@ class OrderBookAPI {
   }
 
   // Get current subscriptions
-  async getSubscriptions() {
+  async getSubscriptions(options = {}) {
     try {
-      return await this.get('/api/subscriptions');
+      return this.validate(SCHEMAS.subscriptions, await this.get('/api/subscriptions', {}, options), '/api/subscriptions');
     } catch (error) {
       this.log('Failed to fetch subscriptions:', error.message);
       throw error;
@@ -358,44 +650,30 @@ class OrderBookAPI {
     return /^[A-Z]{2,10}[A-Z]{2,10}$/.test(symbol.toUpperCase());
   }
 
-  // Format price with appropriate decimal places
+  // Format price on the symbol's tick grid
   static formatPrice(price, symbol = '') {
-    const numPrice = parseFloat(price);
-    if (isNaN(numPrice)) return '0.00';
-    
-    // Adjust decimal places based on price magnitude
-    if (numPrice >= 1000) return numPrice.toFixed(2);
-    if (numPrice >= 1) return numPrice.toFixed(4);
-    if (numPrice >= 0.01) return numPrice.toFixed(6);
-    return numPrice.toFixed(8);
+    return formatPrice(price, symbol);
   }
 
-  // Calculate spread percentage
+  // Calculate spread percentage (a plain number; prices may be Decimals, strings or numbers)
   static calculateSpreadPercent(bestBid, bestAsk) {
-    if (!bestBid || !bestAsk || bestAsk <= bestBid) return 0;
-    const midPrice = (bestBid + bestAsk) / 2;
-    return ((bestAsk - bestBid) / midPrice) * 100;
+    const bid = Decimal.parse(bestBid);
+    const ask = Decimal.parse(bestAsk);
+    if (!bid || !ask || !bid.isPositive() || ask.lte(bid)) return 0;
+
+    const midPrice = bid.add(ask).div(2);
+    return ask.sub(bid).div(midPrice).toNumber() * 100;
   }
 
   // Parse order book and get best prices
   static getBestPrices(orderBook) {
     if (!orderBook || !orderBook.Bids || !orderBook.Asks) {
-      return { bestBid: 0, bestAsk: 0, spread: 0, spreadPercent: 0 };
+      return { bestBid: Decimal.ZERO, bestAsk: Decimal.ZERO, spread: Decimal.ZERO, spreadPercent: 0 };
     }
 
-    const bids = Object.keys(orderBook.Bids)
-      .map(price => parseFloat(price))
-      .filter(price => !isNaN(price))
-      .sort((a, b) => b - a); // Highest first
-
-    const asks = Object.keys(orderBook.Asks)
-      .map(price => parseFloat(price))
-      .filter(price => !isNaN(price))
-      .sort((a, b) => a - b); // Lowest first
-
-    const bestBid = bids.length > 0 ? bids[0] : 0;
-    const bestAsk = asks.length > 0 ? asks[0] : 0;
-    const spread = bestAsk - bestBid;
+    const bestBid = PriceLevels.from(orderBook.Bids, 'bids').best()?.price || Decimal.ZERO;
+    const bestAsk = PriceLevels.from(orderBook.Asks, 'asks').best()?.price || Decimal.ZERO;
+    const spread = bestAsk.sub(bestBid);
     const spreadPercent = this.calculateSpreadPercent(bestBid, bestAsk);
 
     return { bestBid, bestAsk, spread, spreadPercent };
@@ -453,4 +731,4 @@ defaultAPI.addResponseInterceptor(async (response, url, options) => {
 });
 
 export default defaultAPI;
-export { OrderBookAPI, APIError };
\ No newline at end of file
+export { OrderBookAPI, APIError, API_ERROR_KIND, VALIDATION_MODE, CIRCUIT_STATE };
\ No newline at end of file
@@ -0,0 +1,80 @@
+/**
+ * @jest-environment node
+ */
+import { OrderBookAPI, APIError, API_ERROR_KIND } from './api';
+
+const response = (status, body, headers = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: { get: (name) => headers[name] ?? (typeof body === 'string' ? 'text/plain' : 'application/json') },
+  json: async () => body,
+  text: async () => (typeof body === 'string' ? body : JSON.stringify(body))
+});
+
+// Never answers; rejects like fetch once its signal aborts
+const hang = (url, { signal }) => new Promise((resolve, reject) => {
+  signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+});
+
+const api = (fetch, options = {}) => new OrderBookAPI('http://api.test/', {
+  fetch: jest.fn(fetch),
+  retryAttempts: 1,
+  retryDelay: 1,
+  rateLimit: false,
+  circuitBreaker: false,
+  ...options
+});
+
+describe('OrderBookAPI', () => {
+  test('caches GET responses and shares requests in flight', async () => {
+    const client = api(async () => response(200, { ok: true }));
+
+    const [first, second] = await Promise.all([client.get('/api/x'), client.get('/api/x')]);
+    await client.get('/api/x');
+
+    expect(first).toEqual({ ok: true });
+    expect(second).toBe(first);
+    expect(client.fetch).toHaveBeenCalledTimes(1);
+    expect(client.fetch.mock.calls[0][0]).toBe('http://api.test/api/x');
+  });
+
+  test('retries server errors with backoff but not client errors', async () => {
+    const answers = [response(503, 'busy'), response(200, 'fine')];
+    const retrying = api(async () => answers.shift(), { retryAttempts: 3 });
+    await expect(retrying.post('/api/x')).resolves.toBe('fine');
+    expect(retrying.fetch).toHaveBeenCalledTimes(2);
+
+    const missing = api(async () => response(404, 'no such symbol'), { retryAttempts: 3 });
+    const error = await missing.post('/api/x').catch(caught => caught);
+    expect(error).toBeInstanceOf(APIError);
+    expect(error).toMatchObject({ kind: API_ERROR_KIND.HTTP, status: 404, message: 'HTTP 404: no such symbol' });
+    expect(missing.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('classifies timeouts, network failures and rate limits', async () => {
+    await expect(api(hang, { timeout: 10 }).get('/api/x')).rejects.toMatchObject({ kind: API_ERROR_KIND.TIMEOUT, status: 408 });
+
+    await expect(api(async () => { throw new TypeError('Failed to fetch'); }).get('/api/x'))
+      .rejects.toMatchObject({ kind: API_ERROR_KIND.NETWORK, message: 'Network error: Failed to fetch' });
+
+    const limited = await api(async () => response(429, 'slow down', { 'retry-after': '2' })).get('/api/x').catch(caught => caught);
+    expect(limited).toMatchObject({ kind: API_ERROR_KIND.RATE_LIMITED, status: 429, retryAfter: 2000 });
+  });
+
+  test('cancels a request and its fetch when the caller aborts', async () => {
+    const client = api(hang);
+    const controller = new AbortController();
+
+    const pending = client.get('/api/x', {}, { signal: controller.signal });
+    await new Promise(resolve => setTimeout(resolve, 0));
+    controller.abort();
+
+    const error = await pending.catch(caught => caught);
+    expect(APIError.isAbort(error)).toBe(true);
+    expect(client.fetch.mock.calls[0][1].signal.aborted).toBe(true);
+
+    // An already aborted signal never reaches fetch
+    await expect(client.post('/api/y', {}, { signal: controller.signal })).rejects.toMatchObject({ kind: API_ERROR_KIND.ABORTED });
+    expect(client.fetch).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,103 @@
+// services/auth.js
+
+/**
+ * Bearer token source for OrderBookAPI and OrderBookWebSocketService.
+ * Any object with `getToken()` and, optionally, `refreshToken()` (both may be async) can be
+ * used as an auth provider; this one keeps the token in memory and obtains new ones from
+ * `fetchToken(previousToken)`.
+ */
+class TokenAuthProvider {
+  constructor(options = {}) {
+    this.options = {
+      token: null,      // Initial token, if one is already known
+      fetchToken: null, // async (previousToken) => new token; without it the token can't be refreshed
+      debug: false,
+      ...options
+    };
+
+    this.token = this.options.token;
+    this.refreshing = null; // In-flight refresh shared by concurrent callers
+
+    this.eventListeners = new Map();
+  }
+
+  // Event system
+  on(event, callback) {
+    if (!this.eventListeners.has(event)) {
+      this.eventListeners.set(event, new Set());
+    }
+    this.eventListeners.get(event).add(callback);
+    return () => this.off(event, callback);
+  }
+
+  off(event, callback) {
+    if (this.eventListeners.has(event)) {
+      this.eventListeners.get(event).delete(callback);
+    }
+  }
+
+  emit(event, data) {
+    if (this.eventListeners.has(event)) {
+      this.eventListeners.get(event).forEach(callback => {
+        try {
+          callback(data);
+        } catch (error) {
+          this.log('Error in event callback:', error);
+        }
+      });
+    }
+  }
+
+  // Logging
+  log(message, data = '') {
+    if (this.options.debug) {
+      console.log(`[Auth] ${message}`, data);
+    }
+  }
+
+  // Current token, fetching the first one on demand
+  async getToken() {
+    if (this.token === null && this.options.fetchToken) {
+      return this.refreshToken();
+    }
+    return this.token;
+  }
+
+  /**
+   * Replace the token with a fresh one, e.g. after a 401. Concurrent calls share one request.
+   * @returns {Promise<string|null>} The new token
+   */
+  refreshToken() {
+    if (!this.options.fetchToken) {
+      return Promise.reject(new Error('Auth provider has no way to refresh its token'));
+    }
+
+    if (!this.refreshing) {
+      const previous = this.token;
+      this.log('Refreshing token');
+
+      this.refreshing = Promise.resolve()
+        .then(() => this.options.fetchToken(previous))
+        .then(token => {
+          this.setToken(token);
+          return this.token;
+        })
+        .finally(() => {
+          this.refreshing = null;
+        });
+    }
+
+    return this.refreshing;
+  }
+
+  setToken(token) {
+    this.token = token ?? null;
+    this.emit('tokenChanged', this.token);
+  }
+
+  clear() {
+    this.setToken(null);
+  }
+}
+
+export default TokenAuthProvider;
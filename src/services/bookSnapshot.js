@@ -0,0 +1,132 @@
+// services/bookSnapshot.js
+/* global BigInt, BigInt64Array */
+import Decimal from './decimal';
+import PriceLevels from './priceLevels';
+
+// Compact top-N book snapshots for posting consolidated books between threads.
+// Levels travel in a transferable BigInt64Array as (coefficient, scale) pairs, so prices and
+// quantities arrive exact; the rest of the book (versions, venues, sources) rides along as metadata.
+//
+// Layout: [bidCount, askCount, venueCount, ...levels], bids first, each level being
+// price, quantity and then one quantity per venue (0, 0 when the venue has nothing there).
+
+const HEADER_SIZE = 3;
+const MAX_COEFFICIENT = (1n << 63n) - 1n;
+
+// Coefficient and scale as 64-bit integers; a value needing more digits can't be packed exactly
+const writeDecimal = (values, offset, value) => {
+  if (value.coefficient > MAX_COEFFICIENT || value.coefficient < -MAX_COEFFICIENT) {
+    throw new RangeError(`Cannot pack ${value.toString()} exactly: its coefficient needs more than 64 bits`);
+  }
+  values[offset] = value.coefficient;
+  values[offset + 1] = BigInt(value.scale);
+};
+
+const readDecimal = (values, offset) => new Decimal(values[offset], Number(values[offset + 1]));
+
+/**
+ * Pack the best `depth` levels of a consolidated book
+ * @param {Object} book - Consolidated book as published by OrderBookStore
+ * @param {number} depth - Levels per side
+ * @returns {Object} { symbol, meta, buffer }; transfer `buffer` when posting
+ */
+const packBook = (book, depth = Infinity) => {
+  const venueBooks = book.Venues || {};
+  const venues = Object.keys(venueBooks);
+  const bids = book.Bids.top(depth);
+  const asks = book.Asks.top(depth);
+  const stride = 4 + venues.length * 2;
+
+  const values = new BigInt64Array(HEADER_SIZE + (bids.length + asks.length) * stride);
+  values[0] = BigInt(bids.length);
+  values[1] = BigInt(asks.length);
+  values[2] = BigInt(venues.length);
+
+  let offset = HEADER_SIZE;
+  [...bids, ...asks].forEach(level => {
+    writeDecimal(values, offset, level.price);
+    writeDecimal(values, offset + 2, level.quantity);
+    offset += 4;
+
+    venues.forEach(venue => {
+      const quantity = level.venues?.[venue];
+      if (quantity) writeDecimal(values, offset, quantity);
+      offset += 2;
+    });
+  });
+
+  const meta = {
+    Symbol: book.Symbol,
+    Version: book.Version,
+    Versions: book.Versions,
+    LastUpdate: book.LastUpdate,
+    Sources: book.Sources,
+    Exchange: book.Exchange,
+    venues: venues.map(venue => ({
+      Exchange: venue,
+      Version: venueBooks[venue].Version,
+      LastUpdate: venueBooks[venue].LastUpdate,
+      Sources: venueBooks[venue].Sources
+    }))
+  };
+
+  return { symbol: book.Symbol, meta, buffer: values.buffer };
+};
+
+/**
+ * Rebuild a consolidated book (with per-venue books) from a packed snapshot
+ * @param {Object} packet - { symbol, meta, buffer } from packBook
+ * @returns {Object} Book shaped like OrderBookStore's consolidated book, limited to the packed depth
+ */
+const unpackBook = ({ meta, buffer }) => {
+  const values = new BigInt64Array(buffer);
+  const [bidCount, askCount, venueCount] = Array.from(values.subarray(0, HEADER_SIZE), Number);
+
+  const Bids = new PriceLevels('bids');
+  const Asks = new PriceLevels('asks');
+  const Venues = {};
+  meta.venues.forEach(venue => {
+    Venues[venue.Exchange] = {
+      ...venue,
+      Symbol: meta.Symbol,
+      Bids: new PriceLevels('bids'),
+      Asks: new PriceLevels('asks')
+    };
+  });
+
+  let offset = HEADER_SIZE;
+  for (let i = 0; i < bidCount + askCount; i++) {
+    const side = i < bidCount ? 'Bids' : 'Asks';
+    const price = readDecimal(values, offset);
+    const quantity = readDecimal(values, offset + 2);
+    offset += 4;
+
+    if (venueCount === 0) {
+      (side === 'Bids' ? Bids : Asks).set(price, quantity);
+    }
+
+    for (let v = 0; v < venueCount; v++) {
+      const venueQuantity = readDecimal(values, offset);
+      offset += 2;
+      if (venueQuantity.isZero()) continue;
+
+      const venue = meta.venues[v].Exchange;
+      (side === 'Bids' ? Bids : Asks).setVenue(price, venue, venueQuantity);
+      Venues[venue][side].set(price, venueQuantity);
+    }
+  }
+
+  return {
+    Symbol: meta.Symbol,
+    Bids,
+    Asks,
+    Version: meta.Version,
+    Versions: meta.Versions,
+    LastUpdate: meta.LastUpdate,
+    Sources: meta.Sources,
+    Exchange: meta.Exchange,
+    Venues
+  };
+};
+
+export { packBook, unpackBook };
@@ -0,0 +1,53 @@
+import OrderBookStore from './orderBookStore';
+import { packBook, unpackBook } from './bookSnapshot';
+
+const snapshot = (exchange, bids, asks) => ({
+  type: 'orderbook_snapshot',
+  data: { Symbol: 'BTCUSDT', Exchange: exchange, Version: 1, Bids: bids, Asks: asks, LastUpdate: 1700000000000 }
+});
+
+const levels = (side) => side.top().map(({ price, quantity, venues }) => [
+  price.toString(),
+  quantity.toString(),
+  venues && Object.fromEntries(Object.entries(venues).map(([venue, value]) => [venue, value.toString()]))
+]);
+
+describe('bookSnapshot', () => {
+  test('round-trips a consolidated book with its venues', () => {
+    const store = new OrderBookStore();
+    store.handleMessage(snapshot('Binance', [['100.5', '1'], ['99', '2']], [['101', '0.25']]));
+    store.handleMessage(snapshot('Kraken', [['100.5', '3']], [['102', '4']]));
+    const book = store.getBook('BTCUSDT');
+
+    const unpacked = unpackBook(packBook(book));
+
+    expect(levels(unpacked.Bids)).toEqual(levels(book.Bids));
+    expect(levels(unpacked.Asks)).toEqual(levels(book.Asks));
+    expect(levels(unpacked.Venues.Kraken.Asks)).toEqual([['102', '4', null]]);
+    expect(unpacked.Venues.Binance).toMatchObject({ Exchange: 'Binance', Version: 1, LastUpdate: 1700000000000 });
+    expect(unpacked.Versions).toEqual({ Binance: 1, Kraken: 1 });
+  });
+
+  test('keeps the packed depth only', () => {
+    const store = new OrderBookStore();
+    store.handleMessage(snapshot('Binance', [['3', '1'], ['2', '1'], ['1', '1']], []));
+
+    const unpacked = unpackBook(packBook(store.getBook('BTCUSDT'), 2));
+    expect(levels(unpacked.Bids).map(([price]) => price)).toEqual(['3', '2']);
+  });
+
+  test('carries values beyond double precision exactly', () => {
+    const store = new OrderBookStore();
+    store.handleMessage(snapshot('Binance', [['12345678901234567.89', '0.000000000000000001']], []));
+
+    const [level] = levels(unpackBook(packBook(store.getBook('BTCUSDT'))).Bids);
+    expect(level.slice(0, 2)).toEqual(['12345678901234567.89', '0.000000000000000001']);
+  });
+
+  test('refuses to round values it cannot pack', () => {
+    const store = new OrderBookStore();
+    store.handleMessage(snapshot('Binance', [['123456789012345678901.5', '1']], []));
+
+    expect(() => packBook(store.getBook('BTCUSDT'))).toThrow(RangeError);
+  });
+});
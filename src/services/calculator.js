@@ -1,5 +1,20 @@
 // services/calculator.js
-
+import Decimal from './decimal';
+import PriceLevels from './priceLevels';
+import { formatPrice, formatQuantity } from './symbolSpecs';
+
+// A book that hasn't changed for this long (ms) is considered stale
+const STALE_AFTER = 10000;
+
+// Ratio of two Decimals as a plain number (percentages, scores); 0 when the denominator is 0
+const ratio = (numerator, denominator) => (
+  denominator.isZero() ? 0 : numerator.div(denominator).toNumber()
+);
+
+/**
+ * Order book analytics. Prices, quantities and costs are exact Decimals;
+ * percentages, ratios and scores are plain numbers.
+ */
 class OrderBookCalculator {
   
   // ===== PRICE CALCULATIONS =====
@@ -12,31 +27,19 @@ class OrderBookCalculator {
   static getBestPrices(orderBook) {
     if (!orderBook || !orderBook.Bids || !orderBook.Asks) {
       return {
-        bestBid: 0,
-        bestAsk: 0,
-        spread: 0,
+        bestBid: Decimal.ZERO,
+        bestAsk: Decimal.ZERO,
+        spread: Decimal.ZERO,
         spreadPercent: 0,
-        midPrice: 0
+        midPrice: Decimal.ZERO
       };
     }
 
-    // Get all bid prices and sort highest first
-    const bidPrices = Object.keys(orderBook.Bids)
-      .map(price => parseFloat(price))
-      .filter(price => !isNaN(price) && price > 0)
-      .sort((a, b) => b - a);
-
-    // Get all ask prices and sort lowest first
-    const askPrices = Object.keys(orderBook.Asks)
-      .map(price => parseFloat(price))
-      .filter(price => !isNaN(price) && price > 0)
-      .sort((a, b) => a - b);
-
-    const bestBid = bidPrices.length > 0 ? bidPrices[0] : 0;
-    const bestAsk = askPrices.length > 0 ? askPrices[0] : 0;
-    const spread = bestAsk - bestBid;
-    const midPrice = bestBid > 0 && bestAsk > 0 ? (bestBid + bestAsk) / 2 : 0;
-    const spreadPercent = midPrice > 0 ? (spread / midPrice) * 100 : 0;
+    const bestBid = PriceLevels.from(orderBook.Bids, 'bids').best()?.price || Decimal.ZERO;
+    const bestAsk = PriceLevels.from(orderBook.Asks, 'asks').best()?.price || Decimal.ZERO;
+    const spread = bestAsk.sub(bestBid);
+    const midPrice = bestBid.isPositive() && bestAsk.isPositive() ? bestBid.add(bestAsk).div(2) : Decimal.ZERO;
+    const spreadPercent = ratio(spread, midPrice) * 100;
 
     return {
       bestBid,
@@ -50,43 +53,39 @@ class OrderBookCalculator {
   /**
    * Calculate weighted average price for a given volume
    * @param {Object} orderBook - Order book data
-   * @param {number} volume - Volume to calculate VWAP for
+   * @param {Decimal|string|number} volume - Volume to calculate VWAP for
    * @param {string} side - 'buy' or 'sell'
    * @returns {Object} VWAP and other metrics
    */
   static calculateVWAP(orderBook, volume, side = 'buy') {
-    if (!orderBook || volume <= 0) {
-      return { vwap: 0, totalVolume: 0, remainingVolume: volume, priceImpact: 0 };
+    const targetVolume = Decimal.parse(volume) || Decimal.ZERO;
+
+    if (!orderBook || !targetVolume.isPositive()) {
+      return { vwap: Decimal.ZERO, totalVolume: Decimal.ZERO, remainingVolume: targetVolume, priceImpact: 0 };
     }
 
-    const orders = side === 'buy' ? orderBook.Asks : orderBook.Bids;
-    if (!orders || Object.keys(orders).length === 0) {
-      return { vwap: 0, totalVolume: 0, remainingVolume: volume, priceImpact: 0 };
+    const orders = side === 'buy'
+      ? PriceLevels.from(orderBook.Asks, 'asks')
+      : PriceLevels.from(orderBook.Bids, 'bids');
+    if (orders.size === 0) {
+      return { vwap: Decimal.ZERO, totalVolume: Decimal.ZERO, remainingVolume: targetVolume, priceImpact: 0 };
     }
 
-    // Sort orders by price (ascending for asks, descending for bids)
-    const sortedOrders = Object.entries(orders)
-      .map(([price, qty]) => ({
-        price: parseFloat(price),
-        quantity: parseFloat(qty)
-      }))
-      .filter(order => order.price > 0 && order.quantity > 0)
-      .sort((a, b) => side === 'buy' ? a.price - b.price : b.price - a.price);
-
-    let remainingVolume = volume;
-    let totalCost = 0;
-    let totalFilled = 0;
+    let remainingVolume = targetVolume;
+    let totalCost = Decimal.ZERO;
+    let totalFilled = Decimal.ZERO;
     const filledOrders = [];
 
-    for (const order of sortedOrders) {
-      if (remainingVolume <= 0) break;
+    // Walk the book from the best price outwards
+    for (const order of orders) {
+      if (!remainingVolume.isPositive()) break;
 
-      const fillQuantity = Math.min(remainingVolume, order.quantity);
-      const fillCost = fillQuantity * order.price;
+      const fillQuantity = Decimal.min(remainingVolume, order.quantity);
+      const fillCost = fillQuantity.mul(order.price);
 
-      totalCost += fillCost;
-      totalFilled += fillQuantity;
-      remainingVolume -= fillQuantity;
+      totalCost = totalCost.add(fillCost);
+      totalFilled = totalFilled.add(fillQuantity);
+      remainingVolume = remainingVolume.sub(fillQuantity);
 
       filledOrders.push({
         price: order.price,
@@ -95,10 +94,10 @@ class OrderBookCalculator {
       });
     }
 
-    const vwap = totalFilled > 0 ? totalCost / totalFilled : 0;
+    const vwap = totalFilled.isPositive() ? totalCost.div(totalFilled) : Decimal.ZERO;
     const bestPrice = this.getBestPrices(orderBook);
     const referencePrice = side === 'buy' ? bestPrice.bestAsk : bestPrice.bestBid;
-    const priceImpact = referencePrice > 0 ? ((vwap - referencePrice) / referencePrice) * 100 : 0;
+    const priceImpact = ratio(vwap.sub(referencePrice), referencePrice) * 100;
 
     return {
       vwap,
@@ -119,27 +118,20 @@ class OrderBookCalculator {
    */
   static calculateMarketDepth(orderBook, levels = 10) {
     if (!orderBook || !orderBook.Bids || !orderBook.Asks) {
-      return { bidDepth: [], askDepth: [], totalBidVolume: 0, totalAskVolume: 0 };
+      return { bidDepth: [], askDepth: [], totalBidVolume: Decimal.ZERO, totalAskVolume: Decimal.ZERO };
     }
 
     const processSide = (orders, isAsk = false) => {
-      const sortedOrders = Object.entries(orders)
-        .map(([price, qty]) => ({
-          price: parseFloat(price),
-          quantity: parseFloat(qty)
-        }))
-        .filter(order => order.price > 0 && order.quantity > 0)
-        .sort((a, b) => isAsk ? a.price - b.price : b.price - a.price)
-        .slice(0, levels);
-
-      let cumulativeVolume = 0;
+      const sortedOrders = PriceLevels.from(orders, isAsk ? 'asks' : 'bids').top(levels);
+
+      let cumulativeVolume = Decimal.ZERO;
       return sortedOrders.map(order => {
-        cumulativeVolume += order.quantity;
+        cumulativeVolume = cumulativeVolume.add(order.quantity);
         return {
           price: order.price,
           quantity: order.quantity,
           cumulativeVolume,
-          total: order.price * order.quantity
+          total: order.price.mul(order.quantity)
         };
       });
     };
@@ -147,15 +139,15 @@ class OrderBookCalculator {
     const bidDepth = processSide(orderBook.Bids, false);
     const askDepth = processSide(orderBook.Asks, true);
 
-    const totalBidVolume = bidDepth.reduce((sum, level) => sum + level.quantity, 0);
-    const totalAskVolume = askDepth.reduce((sum, level) => sum + level.quantity, 0);
+    const totalBidVolume = bidDepth.length > 0 ? bidDepth[bidDepth.length - 1].cumulativeVolume : Decimal.ZERO;
+    const totalAskVolume = askDepth.length > 0 ? askDepth[askDepth.length - 1].cumulativeVolume : Decimal.ZERO;
 
     return {
       bidDepth,
       askDepth,
       totalBidVolume,
       totalAskVolume,
-      imbalance: (totalBidVolume - totalAskVolume) / (totalBidVolume + totalAskVolume)
+      imbalance: ratio(totalBidVolume.sub(totalAskVolume), totalBidVolume.add(totalAskVolume))
     };
   }
 
@@ -169,37 +161,40 @@ class OrderBookCalculator {
    */
   static calculateVolumeStats(orderBook, priceRange = 1) {
     const bestPrices = this.getBestPrices(orderBook);
-    if (!bestPrices.bestBid || !bestPrices.bestAsk) {
-      return { bidVolume: 0, askVolume: 0, totalVolume: 0 };
+    if (!bestPrices.bestBid.isPositive() || !bestPrices.bestAsk.isPositive()) {
+      return { bidVolume: Decimal.ZERO, askVolume: Decimal.ZERO, totalVolume: Decimal.ZERO };
     }
 
+    const rangeFraction = Decimal.from(priceRange).div(100);
+
     const bidRange = {
-      min: bestPrices.bestBid * (1 - priceRange / 100),
+      min: bestPrices.bestBid.mul(Decimal.ONE.sub(rangeFraction)),
       max: bestPrices.bestBid
     };
 
     const askRange = {
       min: bestPrices.bestAsk,
-      max: bestPrices.bestAsk * (1 + priceRange / 100)
+      max: bestPrices.bestAsk.mul(Decimal.ONE.add(rangeFraction))
     };
 
+    // Levels are best-first, so stop at the first price outside the range
     const calculateRangeVolume = (orders, range) => {
-      return Object.entries(orders || {})
-        .filter(([price]) => {
-          const p = parseFloat(price);
-          return p >= range.min && p <= range.max;
-        })
-        .reduce((sum, [, qty]) => sum + parseFloat(qty), 0);
+      let volume = Decimal.ZERO;
+      for (const { price, quantity } of orders) {
+        if (price.lt(range.min) || price.gt(range.max)) break;
+        volume = volume.add(quantity);
+      }
+      return volume;
     };
 
-    const bidVolume = calculateRangeVolume(orderBook.Bids, bidRange);
-    const askVolume = calculateRangeVolume(orderBook.Asks, askRange);
+    const bidVolume = calculateRangeVolume(PriceLevels.from(orderBook.Bids, 'bids'), bidRange);
+    const askVolume = calculateRangeVolume(PriceLevels.from(orderBook.Asks, 'asks'), askRange);
 
     return {
       bidVolume,
       askVolume,
-      totalVolume: bidVolume + askVolume,
-      volumeRatio: askVolume > 0 ? bidVolume / askVolume : 0
+      totalVolume: bidVolume.add(askVolume),
+      volumeRatio: ratio(bidVolume, askVolume)
     };
   }
 
@@ -214,11 +209,11 @@ class OrderBookCalculator {
     const bestPrices = this.getBestPrices(orderBook);
     const depth = this.calculateMarketDepth(orderBook, 20);
     
-    if (!bestPrices.bestBid || !bestPrices.bestAsk) {
+    if (!bestPrices.bestBid.isPositive() || !bestPrices.bestAsk.isPositive()) {
       return {
-        spread: 0,
+        spread: Decimal.ZERO,
         spreadBps: 0,
-        depth: 0,
+        depth: Decimal.ZERO,
         liquidity: 0,
         efficiency: 0,
         stability: 0
@@ -226,11 +221,11 @@ class OrderBookCalculator {
     }
 
     // Spread in basis points
-    const spreadBps = (bestPrices.spread / bestPrices.midPrice) * 10000;
+    const spreadBps = ratio(bestPrices.spread, bestPrices.midPrice) * 10000;
 
     // Liquidity score (higher is better)
-    const totalNearVolume = depth.totalBidVolume + depth.totalAskVolume;
-    const liquidity = totalNearVolume / bestPrices.midPrice; // Volume per dollar
+    const totalNearVolume = depth.totalBidVolume.add(depth.totalAskVolume);
+    const liquidity = ratio(totalNearVolume, bestPrices.midPrice); // Volume per dollar
 
     // Market efficiency (lower spread and higher liquidity = more efficient)
     const efficiency = liquidity > 0 ? 1 / (spreadBps * (1 / liquidity)) : 0;
@@ -254,7 +249,7 @@ class OrderBookCalculator {
   /**
    * Calculate slippage for a market order
    * @param {Object} orderBook - Order book data
-   * @param {number} orderSize - Size of the order
+   * @param {Decimal|string|number} orderSize - Size of the order
    * @param {string} side - 'buy' or 'sell'
    * @returns {Object} Slippage analysis
    */
@@ -263,14 +258,13 @@ class OrderBookCalculator {
     const bestPrices = this.getBestPrices(orderBook);
     
     const referencePrice = side === 'buy' ? bestPrices.bestAsk : bestPrices.bestBid;
-    const slippagePercent = referencePrice > 0 ? 
-      ((vwap.vwap - referencePrice) / referencePrice) * 100 : 0;
+    const slippagePercent = ratio(vwap.vwap.sub(referencePrice), referencePrice) * 100;
 
     return {
       expectedPrice: vwap.vwap,
       slippagePercent,
-      slippageAbsolute: vwap.vwap - referencePrice,
-      canFillCompletely: vwap.remainingVolume === 0,
+      slippageAbsolute: vwap.vwap.sub(referencePrice),
+      canFillCompletely: vwap.remainingVolume.isZero(),
       fillableVolume: vwap.totalVolume,
       remainingVolume: vwap.remainingVolume
     };
@@ -284,25 +278,27 @@ class OrderBookCalculator {
    * @returns {Object} Optimal sizing recommendations
    */
   static calculateOptimalSizing(orderBook, maxSlippage = 0.1, side = 'buy') {
-    const orders = side === 'buy' ? orderBook.Asks : orderBook.Bids;
-    if (!orders || Object.keys(orders).length === 0) {
+    const orders = side === 'buy'
+      ? PriceLevels.from(orderBook.Asks, 'asks')
+      : PriceLevels.from(orderBook.Bids, 'bids');
+    if (orders.size === 0) {
       return { maxSize: 0, recommendations: [] };
     }
 
     const bestPrices = this.getBestPrices(orderBook);
     const referencePrice = side === 'buy' ? bestPrices.bestAsk : bestPrices.bestBid;
     
-    let currentSize = 0;
-    const step = Math.max(Object.values(orders)[0] || 0, 0.01);
+    let currentSize = Decimal.ZERO;
+    const step = Decimal.max(orders.best()?.quantity || Decimal.ZERO, '0.01');
     const recommendations = [];
 
-    while (currentSize < 1000) { // Test up to reasonable size
-      currentSize += step;
+    while (currentSize.lt(1000)) { // Test up to reasonable size
+      currentSize = currentSize.add(step);
       const vwap = this.calculateVWAP(orderBook, currentSize, side);
       
-      if (vwap.remainingVolume > 0) break; // Can't fill completely
+      if (vwap.remainingVolume.isPositive()) break; // Can't fill completely
       
-      const slippage = ((vwap.vwap - referencePrice) / referencePrice) * 100;
+      const slippage = ratio(vwap.vwap.sub(referencePrice), referencePrice) * 100;
       
       recommendations.push({
         size: currentSize,
@@ -315,7 +311,7 @@ class OrderBookCalculator {
     }
 
     const maxSize = recommendations.length > 0 ? 
-      recommendations[recommendations.length - 1].size : 0;
+      recommendations[recommendations.length - 1].size : Decimal.ZERO;
 
     return {
       maxSize,
@@ -327,42 +323,56 @@ class OrderBookCalculator {
   // ===== UTILITY FUNCTIONS =====
 
   /**
-   * Format price with appropriate decimal places
-   * @param {number} price - Price to format
+   * Format price on the symbol's tick grid (magnitude-based precision when unknown)
+   * @param {Decimal|string|number} price - Price to format
    * @param {string} symbol - Trading symbol (optional)
    * @returns {string} Formatted price
    */
   static formatPrice(price, symbol = '') {
-    const numPrice = parseFloat(price);
-    if (isNaN(numPrice)) return '0.00';
-    
-    if (numPrice >= 1000) return numPrice.toFixed(2);
-    if (numPrice >= 1) return numPrice.toFixed(4);
-    if (numPrice >= 0.01) return numPrice.toFixed(6);
-    return numPrice.toFixed(8);
+    return formatPrice(price, symbol);
   }
 
   /**
-   * Format volume/quantity with appropriate units
-   * @param {number} quantity - Quantity to format
+   * Format volume/quantity on the symbol's lot grid with appropriate units
+   * @param {Decimal|string|number} quantity - Quantity to format
+   * @param {string} symbol - Trading symbol (optional)
    * @returns {string} Formatted quantity
    */
-  static formatQuantity(quantity) {
-    const num = parseFloat(quantity);
-    if (isNaN(num)) return '0';
-    
-    if (num >= 1000000) return (num / 1000000).toFixed(2) + 'M';
-    if (num >= 1000) return (num / 1000).toFixed(2) + 'K';
-    if (num >= 1) return num.toFixed(3);
-    return num.toFixed(6);
+  static formatQuantity(quantity, symbol = '') {
+    return formatQuantity(quantity, symbol);
+  }
+
+  /**
+   * Milliseconds since a book last changed, by receipt time when known (immune to clock
+   * skew with the source), else by its source timestamp
+   * @param {Object} orderBook - Order book
+   * @param {number} now - Reference time
+   * @returns {number|null} Age in ms, null when the book has no timestamp
+   */
+  static getBookAge(orderBook, now = Date.now()) {
+    const updatedAt = orderBook?.receivedAt || orderBook?.LastUpdate;
+    return updatedAt ? Math.max(0, now - updatedAt) : null;
+  }
+
+  /**
+   * Whether a book has gone without updates for longer than `staleAfter` ms
+   * @param {Object} orderBook - Order book
+   * @param {number} staleAfter - Threshold in ms
+   * @param {number} now - Reference time
+   * @returns {boolean}
+   */
+  static isStale(orderBook, staleAfter = STALE_AFTER, now = Date.now()) {
+    const age = this.getBookAge(orderBook, now);
+    return age !== null && age > staleAfter;
   }
 
   /**
    * Validate order book structure and data quality
    * @param {Object} orderBook - Order book to validate
+   * @param {Object} options - { staleAfter } threshold in ms for the staleness warning
    * @returns {Object} Validation results
    */
-  static validateOrderBook(orderBook) {
+  static validateOrderBook(orderBook, { staleAfter = STALE_AFTER } = {}) {
     const issues = [];
     const warnings = [];
 
@@ -385,7 +395,7 @@ class OrderBookCalculator {
 
     // Check for crossed book
     const bestPrices = this.getBestPrices(orderBook);
-    if (bestPrices.bestBid >= bestPrices.bestAsk && bestPrices.bestBid > 0 && bestPrices.bestAsk > 0) {
+    if (bestPrices.bestBid.gte(bestPrices.bestAsk) && bestPrices.bestBid.isPositive() && bestPrices.bestAsk.isPositive()) {
       issues.push('Crossed book detected: best bid >= best ask');
     }
 
@@ -395,17 +405,17 @@ class OrderBookCalculator {
     }
 
     // Check for empty sides
-    if (Object.keys(orderBook.Bids).length === 0) {
+    if (PriceLevels.from(orderBook.Bids, 'bids').size === 0) {
       warnings.push('No bids available');
     }
 
-    if (Object.keys(orderBook.Asks).length === 0) {
+    if (PriceLevels.from(orderBook.Asks, 'asks').size === 0) {
       warnings.push('No asks available');
     }
 
     // Check for stale data
-    if (orderBook.LastUpdate && Date.now() - orderBook.LastUpdate > 10000) {
-      warnings.push('Order book data appears stale (>10 seconds old)');
+    if (this.isStale(orderBook, staleAfter)) {
+      warnings.push(`Order book data appears stale (>${Math.round(staleAfter / 1000)} seconds old)`);
     }
 
     return {
@@ -436,7 +446,7 @@ class OrderBookCalculator {
         ...quality,
         orderBook: ob
       };
-    }).filter(data => data.bestBid > 0 && data.bestAsk > 0);
+    }).filter(data => data.bestBid.isPositive() && data.bestAsk.isPositive());
 
     if (exchangeData.length < 2) {
       return { arbitrage: [], bestExchange: null, summary: {} };
@@ -450,9 +460,9 @@ class OrderBookCalculator {
         const sell = exchangeData[j];
         
         // Check if we can buy on one exchange and sell on another for profit
-        if (buy.bestAsk < sell.bestBid) {
-          const profit = sell.bestBid - buy.bestAsk;
-          const profitPercent = (profit / buy.bestAsk) * 100;
+        if (buy.bestAsk.lt(sell.bestBid)) {
+          const profit = sell.bestBid.sub(buy.bestAsk);
+          const profitPercent = ratio(profit, buy.bestAsk) * 100;
           
           arbitrage.push({
             buyExchange: buy.exchange,
@@ -465,9 +475,9 @@ class OrderBookCalculator {
         }
         
         // Check reverse direction
-        if (sell.bestAsk < buy.bestBid) {
-          const profit = buy.bestBid - sell.bestAsk;
-          const profitPercent = (profit / sell.bestAsk) * 100;
+        if (sell.bestAsk.lt(buy.bestBid)) {
+          const profit = buy.bestBid.sub(sell.bestAsk);
+          const profitPercent = ratio(profit, sell.bestAsk) * 100;
           
           arbitrage.push({
             buyExchange: sell.exchange,
@@ -494,9 +504,9 @@ class OrderBookCalculator {
     
     const summary = {
       averageSpread: spreads.reduce((a, b) => a + b, 0) / spreads.length,
-      averageMidPrice: midPrices.reduce((a, b) => a + b, 0) / midPrices.length,
+      averageMidPrice: Decimal.sum(midPrices).div(midPrices.length),
       spreadRange: { min: Math.min(...spreads), max: Math.max(...spreads) },
-      priceRange: { min: Math.min(...midPrices), max: Math.max(...midPrices) },
+      priceRange: { min: Decimal.min(...midPrices), max: Decimal.max(...midPrices) },
       exchanges: exchangeData.map(d => d.exchange)
     };
 
@@ -509,4 +519,5 @@ class OrderBookCalculator {
   }
 }
 
-export default OrderBookCalculator;
\ No newline at end of file
+export default OrderBookCalculator;
+export { STALE_AFTER };
\ No newline at end of file
@@ -0,0 +1,149 @@
+// services/circuitBreaker.js
+
+const CIRCUIT_STATE = {
+  CLOSED: 'closed',       // Requests go through
+  OPEN: 'open',           // Requests fail fast until the cooldown is over
+  HALF_OPEN: 'half-open'  // One probe request decides between closing and reopening
+};
+
+// Order book calls for every symbol share one circuit: '/api/orderbook/BTCUSDT' -> '/api/orderbook'
+const circuitKey = (path) => path.split('?')[0].split('/').slice(0, 3).join('/');
+
+/**
+ * Per-endpoint circuit breakers for OrderBookAPI. After `failureThreshold` consecutive failures
+ * (network errors, timeouts, 5xx) an endpoint's circuit opens and its requests fail fast; after
+ * `cooldown` ms one request is let through, and its outcome closes or reopens the circuit.
+ * 'stateChange' events report { endpoint, state, previous, failures, retryAt }.
+ */
+class CircuitBreaker {
+  constructor(options = {}) {
+    this.options = {
+      failureThreshold: 5, // Consecutive failures that open a circuit
+      cooldown: 10000,     // ms an open circuit fails fast before letting a probe through
+      ...options
+    };
+
+    this.circuits = new Map(); // endpoint -> { state, failures, openedAt, probing }
+    this.eventListeners = new Map();
+  }
+
+  // Event system
+  on(event, callback) {
+    if (!this.eventListeners.has(event)) {
+      this.eventListeners.set(event, new Set());
+    }
+    this.eventListeners.get(event).add(callback);
+    return () => this.off(event, callback);
+  }
+
+  off(event, callback) {
+    if (this.eventListeners.has(event)) {
+      this.eventListeners.get(event).delete(callback);
+    }
+  }
+
+  emit(event, data) {
+    if (this.eventListeners.has(event)) {
+      this.eventListeners.get(event).forEach(callback => {
+        try {
+          callback(data);
+        } catch (error) {
+          console.error('Error in circuit breaker callback:', error);
+        }
+      });
+    }
+  }
+
+  getCircuit(endpoint) {
+    if (!this.circuits.has(endpoint)) {
+      this.circuits.set(endpoint, { state: CIRCUIT_STATE.CLOSED, failures: 0, openedAt: null, probing: false });
+    }
+    return this.circuits.get(endpoint);
+  }
+
+  transition(endpoint, circuit, state, now = Date.now()) {
+    const previous = circuit.state;
+    if (previous === state) return;
+
+    circuit.state = state;
+    if (state === CIRCUIT_STATE.OPEN) circuit.openedAt = now;
+    this.emit('stateChange', { endpoint, state, previous, failures: circuit.failures, retryAt: this.retryAt(circuit) });
+  }
+
+  retryAt(circuit) {
+    return circuit.state === CIRCUIT_STATE.OPEN ? circuit.openedAt + this.options.cooldown : null;
+  }
+
+  /**
+   * Whether a request to the endpoint may go out. A true answer in the half-open state makes
+   * that request the probe, so it must be followed by recordSuccess, recordFailure or recordCancel.
+   * @param {string} path - Request path (its endpoint is derived from it)
+   */
+  allowRequest(path, now = Date.now()) {
+    const endpoint = circuitKey(path);
+    const circuit = this.getCircuit(endpoint);
+
+    if (circuit.state === CIRCUIT_STATE.OPEN && now - circuit.openedAt >= this.options.cooldown) {
+      this.transition(endpoint, circuit, CIRCUIT_STATE.HALF_OPEN, now);
+    }
+
+    if (circuit.state === CIRCUIT_STATE.HALF_OPEN) {
+      if (circuit.probing) return false;
+      circuit.probing = true;
+      return true;
+    }
+
+    return circuit.state === CIRCUIT_STATE.CLOSED;
+  }
+
+  recordSuccess(path) {
+    const endpoint = circuitKey(path);
+    const circuit = this.getCircuit(endpoint);
+    circuit.failures = 0;
+    circuit.probing = false;
+    this.transition(endpoint, circuit, CIRCUIT_STATE.CLOSED);
+  }
+
+  recordFailure(path, now = Date.now()) {
+    const endpoint = circuitKey(path);
+    const circuit = this.getCircuit(endpoint);
+    circuit.failures++;
+
+    if (circuit.state === CIRCUIT_STATE.HALF_OPEN) {
+      circuit.probing = false;
+      this.transition(endpoint, circuit, CIRCUIT_STATE.OPEN, now);
+    } else if (circuit.state === CIRCUIT_STATE.CLOSED && circuit.failures >= this.options.failureThreshold) {
+      this.transition(endpoint, circuit, CIRCUIT_STATE.OPEN, now);
+    }
+  }
+
+  // A cancelled request tells nothing about the backend; a probe slot is handed back
+  recordCancel(path) {
+    this.getCircuit(circuitKey(path)).probing = false;
+  }
+
+  // When an open circuit lets requests through again (null unless open)
+  getRetryAt(path) {
+    return this.retryAt(this.getCircuit(circuitKey(path)));
+  }
+
+  // endpoint -> { state, failures, retryAt }
+  getStates() {
+    return Object.fromEntries(Array.from(this.circuits.entries()).map(([endpoint, circuit]) => [endpoint, {
+      state: circuit.state,
+      failures: circuit.failures,
+      retryAt: this.retryAt(circuit)
+    }]));
+  }
+
+  reset() {
+    this.circuits.forEach((circuit, endpoint) => {
+      circuit.failures = 0;
+      circuit.probing = false;
+      this.transition(endpoint, circuit, CIRCUIT_STATE.CLOSED);
+    });
+  }
+}
+
+export default CircuitBreaker;
+export { CIRCUIT_STATE, circuitKey };
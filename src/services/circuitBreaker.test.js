@@ -0,0 +1,57 @@
+import CircuitBreaker, { CIRCUIT_STATE, circuitKey } from './circuitBreaker';
+
+const BOOK = '/api/orderbook/BTCUSDT';
+
+const fail = (breaker, times, now = 0) => {
+  for (let i = 0; i < times; i++) breaker.recordFailure(BOOK, now);
+};
+
+describe('CircuitBreaker', () => {
+  test('groups paths by endpoint', () => {
+    expect(circuitKey('/api/orderbook/BTCUSDT?depth=20')).toBe('/api/orderbook');
+    expect(circuitKey('/api/symbols')).toBe('/api/symbols');
+  });
+
+  test('opens after consecutive failures and fails fast until the cooldown is over', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 3, cooldown: 1000 });
+    fail(breaker, 2);
+    breaker.recordSuccess(BOOK);
+    fail(breaker, 2);
+    expect(breaker.allowRequest(BOOK, 0)).toBe(true);
+
+    fail(breaker, 1, 100);
+    expect(breaker.allowRequest('/api/orderbook/ETHUSDT', 500)).toBe(false);
+    expect(breaker.allowRequest('/api/symbols', 500)).toBe(true);
+    expect(breaker.getRetryAt(BOOK)).toBe(1100);
+    expect(breaker.getStates()['/api/orderbook']).toEqual({ state: CIRCUIT_STATE.OPEN, failures: 3, retryAt: 1100 });
+  });
+
+  test('lets one probe through after the cooldown and follows its outcome', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 1, cooldown: 1000 });
+    const changes = [];
+    breaker.on('stateChange', ({ state }) => changes.push(state));
+    fail(breaker, 1);
+
+    expect(breaker.allowRequest(BOOK, 1000)).toBe(true);
+    expect(breaker.allowRequest(BOOK, 1000)).toBe(false);
+    breaker.recordFailure(BOOK, 1000);
+    expect(breaker.allowRequest(BOOK, 1500)).toBe(false);
+
+    expect(breaker.allowRequest(BOOK, 2000)).toBe(true);
+    breaker.recordSuccess(BOOK);
+    expect(breaker.allowRequest(BOOK, 2000)).toBe(true);
+    expect(changes).toEqual([CIRCUIT_STATE.OPEN, CIRCUIT_STATE.HALF_OPEN, CIRCUIT_STATE.OPEN, CIRCUIT_STATE.HALF_OPEN, CIRCUIT_STATE.CLOSED]);
+  });
+
+  test('hands the probe back when it is cancelled', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 1, cooldown: 1000 });
+    fail(breaker, 1);
+
+    expect(breaker.allowRequest(BOOK, 1000)).toBe(true);
+    breaker.recordCancel(BOOK);
+    expect(breaker.allowRequest(BOOK, 1000)).toBe(true);
+
+    breaker.reset();
+    expect(breaker.getStates()['/api/orderbook']).toEqual({ state: CIRCUIT_STATE.CLOSED, failures: 0, retryAt: null });
+  });
+});
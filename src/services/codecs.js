@@ -0,0 +1,146 @@
+// services/codecs.js
+import * as msgpack from './msgpack';
+import { decodeMessage, encodeMessage } from './protobuf';
+
+// Wire codecs for OrderBookWebSocketService.
+// A codec is { name, decode(bytes) => message, encode(message) => string | Uint8Array }:
+// decode() handles binary frames (text frames are always read as JSON) and encode() is used
+// by send() for anything that isn't already a string or binary buffer.
+
+/**
+ * Message definitions for the aggregator's binary protocol.
+ * Prices and quantities are decimal strings so they stay exact end to end.
+ */
+const ORDERBOOK_SCHEMA = {
+  // Server -> client frame; `data` carries the same fields as the JSON order book payload
+  Envelope: {
+    1: { name: 'type', type: 'string' },
+    2: { name: 'data', type: 'message', message: 'OrderBook' },
+    3: { name: 'trade', type: 'message', message: 'Trade' },
+    4: { name: 'sequence', type: 'uint64' },
+    5: { name: 'timestamp', type: 'int64' },
+    6: { name: 'requestTime', type: 'int64' },
+    7: { name: 'connectionId', type: 'string' },
+    8: { name: 'channels', type: 'string', repeated: true }, // 'subscribed' / 'error' replies
+    9: { name: 'message', type: 'string' }
+  },
+  OrderBook: {
+    1: { name: 'Symbol', type: 'string' },
+    2: { name: 'Bids', type: 'message', message: 'Level', repeated: true },
+    3: { name: 'Asks', type: 'message', message: 'Level', repeated: true },
+    4: { name: 'Version', type: 'uint64' },
+    5: { name: 'PrevVersion', type: 'uint64' },
+    6: { name: 'LastUpdate', type: 'int64' },
+    7: { name: 'Sources', type: 'string', repeated: true },
+    8: { name: 'Exchange', type: 'string' },
+    9: { name: 'IsDelta', type: 'bool' }
+  },
+  Level: {
+    1: { name: 'Price', type: 'string' },
+    2: { name: 'Quantity', type: 'string' }
+  },
+  Trade: {
+    1: { name: 'Symbol', type: 'string' },
+    2: { name: 'Price', type: 'string' },
+    3: { name: 'Quantity', type: 'string' },
+    4: { name: 'Side', type: 'string' },
+    5: { name: 'Timestamp', type: 'int64' },
+    6: { name: 'Exchange', type: 'string' },
+    7: { name: 'TradeId', type: 'string' }
+  },
+  // Client -> server frame (subscriptions, pings)
+  ClientMessage: {
+    1: { name: 'type', type: 'string' },
+    2: { name: 'symbol', type: 'string' },
+    3: { name: 'timestamp', type: 'int64' },
+    4: { name: 'requestTime', type: 'int64' },
+    5: { name: 'connectionId', type: 'string' },
+    6: { name: 'channels', type: 'string', repeated: true },
+    7: { name: 'token', type: 'string' },
+    8: { name: 'depth', type: 'uint64' },    // Downgraded subscriptions (hidden page)
+    9: { name: 'throttle', type: 'uint64' }
+  }
+};
+
+const jsonCodec = {
+  name: 'json',
+
+  // JSON sent in binary frames; anything unparseable is passed through untouched
+  decode(bytes) {
+    try {
+      return JSON.parse(msgpack.decodeUtf8(msgpack.toBytes(bytes)));
+    } catch (error) {
+      return bytes;
+    }
+  },
+
+  encode(message) {
+    return JSON.stringify(message);
+  }
+};
+
+const messagePackCodec = {
+  name: 'msgpack',
+  decode: msgpack.decode,
+  encode: msgpack.encode
+};
+
+/**
+ * Create a protobuf codec for a schema
+ * @param {Object} config - { schema, inbound: message type read from the server, outbound: message type sent to it, name }
+ * @returns {Object} Codec
+ */
+const createProtobufCodec = ({
+  schema = ORDERBOOK_SCHEMA,
+  inbound = 'Envelope',
+  outbound = 'ClientMessage',
+  name = 'protobuf'
+} = {}) => ({
+  name,
+  decode: (bytes) => decodeMessage(schema, inbound, bytes),
+  encode: (message) => encodeMessage(schema, outbound, message)
+});
+
+// ===== REGISTRY =====
+
+const codecs = new Map();
+
+/**
+ * Register a codec under its name
+ * @param {Object} codec - { name, decode, encode }
+ */
+const registerCodec = (codec) => {
+  if (!codec || !codec.name || typeof codec.decode !== 'function' || typeof codec.encode !== 'function') {
+    throw new TypeError('Codec must have a name, a decode and an encode function');
+  }
+  codecs.set(codec.name, codec);
+};
+
+const getCodec = (name) => codecs.get(name) || null;
+
+/**
+ * Resolve a codec option
+ * @param {string|Object} selection - Registered codec name or codec object
+ * @returns {Object} Codec
+ */
+const resolveCodec = (selection = 'json') => {
+  if (selection && typeof selection === 'object') return selection;
+
+  const codec = codecs.get(selection);
+  if (!codec) {
+    throw new Error(`Unknown codec: ${selection}`);
+  }
+  return codec;
+};
+
+registerCodec(jsonCodec);
+registerCodec(messagePackCodec);
+registerCodec(createProtobufCodec());
+
+export {
+  ORDERBOOK_SCHEMA,
+  createProtobufCodec,
+  registerCodec,
+  getCodec,
+  resolveCodec
+};
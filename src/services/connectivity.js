@@ -0,0 +1,55 @@
+// services/connectivity.js
+
+// Timers don't run while the machine sleeps, so a tick arriving far later than scheduled
+// means it just woke up (and its sockets are probably dead)
+const WAKE_CHECK_INTERVAL = 5000;
+const WAKE_THRESHOLD = 20000;
+
+/**
+ * Feed page visibility, online/offline changes and wake-ups from sleep into a connection
+ * (OrderBookWebSocketService or OrderBookWorkerClient): see its setVisible, setOnline and
+ * resume. Does nothing outside a browser.
+ * @param {Object} connection
+ * @returns {Function} Stops watching
+ */
+const watchConnectivity = (connection) => {
+  if (typeof window === 'undefined' || typeof document === 'undefined') {
+    return () => {};
+  }
+
+  let lastTick = Date.now();
+
+  const handleVisibilityChange = () => {
+    lastTick = Date.now(); // Hidden pages' timers are throttled, which isn't sleep
+    connection.setVisible(document.visibilityState !== 'hidden');
+  };
+  const handleOnline = () => connection.setOnline(true);
+  const handleOffline = () => connection.setOnline(false);
+
+  const wakeTimer = setInterval(() => {
+    const now = Date.now();
+    if (document.visibilityState !== 'hidden' && now - lastTick > WAKE_THRESHOLD) {
+      connection.resume('wake');
+    }
+    lastTick = now;
+  }, WAKE_CHECK_INTERVAL);
+
+  document.addEventListener('visibilitychange', handleVisibilityChange);
+  window.addEventListener('online', handleOnline);
+  window.addEventListener('offline', handleOffline);
+
+  // Start from the current state
+  connection.setVisible(document.visibilityState !== 'hidden');
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+    connection.setOnline(false);
+  }
+
+  return () => {
+    clearInterval(wakeTimer);
+    document.removeEventListener('visibilitychange', handleVisibilityChange);
+    window.removeEventListener('online', handleOnline);
+    window.removeEventListener('offline', handleOffline);
+  };
+};
+
+export default watchConnectivity;
@@ -0,0 +1,76 @@
+import watchConnectivity from './connectivity';
+
+describe('watchConnectivity', () => {
+  let visibilityState;
+  let connection;
+  let unwatch;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(0);
+    visibilityState = 'visible';
+    Object.defineProperty(document, 'visibilityState', { get: () => visibilityState, configurable: true });
+    connection = { setVisible: jest.fn(), setOnline: jest.fn(), resume: jest.fn() };
+  });
+
+  afterEach(() => {
+    unwatch?.();
+    delete document.visibilityState;
+    jest.useRealTimers();
+  });
+
+  const changeVisibility = (state) => {
+    visibilityState = state;
+    document.dispatchEvent(new Event('visibilitychange'));
+  };
+
+  test('reports page visibility, starting from the current state', () => {
+    visibilityState = 'hidden';
+    unwatch = watchConnectivity(connection);
+    expect(connection.setVisible).toHaveBeenLastCalledWith(false);
+
+    changeVisibility('visible');
+    expect(connection.setVisible).toHaveBeenLastCalledWith(true);
+    changeVisibility('hidden');
+    expect(connection.setVisible).toHaveBeenLastCalledWith(false);
+  });
+
+  test('reports the network going away and coming back', () => {
+    unwatch = watchConnectivity(connection);
+
+    window.dispatchEvent(new Event('offline'));
+    expect(connection.setOnline).toHaveBeenLastCalledWith(false);
+    window.dispatchEvent(new Event('online'));
+    expect(connection.setOnline).toHaveBeenLastCalledWith(true);
+  });
+
+  test('resumes after a wake-up from sleep, but not for a throttled hidden page', () => {
+    unwatch = watchConnectivity(connection);
+
+    // Timers stopped for a minute: the machine slept
+    jest.setSystemTime(60000);
+    jest.advanceTimersByTime(5000);
+    expect(connection.resume).toHaveBeenCalledWith('wake');
+
+    connection.resume.mockClear();
+    changeVisibility('hidden');
+    jest.setSystemTime(200000);
+    jest.advanceTimersByTime(5000);
+    expect(connection.resume).not.toHaveBeenCalled();
+  });
+
+  test('stops watching when told to', () => {
+    unwatch = watchConnectivity(connection);
+    unwatch();
+    connection.setVisible.mockClear();
+
+    changeVisibility('hidden');
+    window.dispatchEvent(new Event('offline'));
+    jest.setSystemTime(60000);
+    jest.advanceTimersByTime(5000);
+
+    expect(connection.setVisible).not.toHaveBeenCalled();
+    expect(connection.setOnline).not.toHaveBeenCalled();
+    expect(connection.resume).not.toHaveBeenCalled();
+  });
+});
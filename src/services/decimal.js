@@ -0,0 +1,270 @@
+// services/decimal.js
+/* global BigInt */
+
+const DECIMAL_PATTERN = /^([+-])?(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i;
+
+// Fractional digits kept by div() unless told otherwise
+const DEFAULT_DIVISION_SCALE = 18;
+
+const POWERS_OF_TEN = [1n];
+const pow10 = (exponent) => {
+  while (POWERS_OF_TEN.length <= exponent) {
+    POWERS_OF_TEN.push(POWERS_OF_TEN[POWERS_OF_TEN.length - 1] * 10n);
+  }
+  return POWERS_OF_TEN[exponent];
+};
+
+const abs = (value) => (value < 0n ? -value : value);
+
+// Integer division with explicit rounding: 'half-up' (away from zero), 'floor', 'ceil' or 'down' (towards zero)
+const divideRounded = (numerator, denominator, mode = 'half-up') => {
+  if (denominator < 0n) {
+    numerator = -numerator;
+    denominator = -denominator;
+  }
+
+  const quotient = numerator / denominator;
+  const remainder = numerator % denominator;
+  if (remainder === 0n) return quotient;
+
+  const negative = numerator < 0n;
+  switch (mode) {
+    case 'down':
+      return quotient;
+    case 'floor':
+      return negative ? quotient - 1n : quotient;
+    case 'ceil':
+      return negative ? quotient : quotient + 1n;
+    default:
+      if (abs(remainder) * 2n >= denominator) {
+        return negative ? quotient - 1n : quotient + 1n;
+      }
+      return quotient;
+  }
+};
+
+/**
+ * Immutable fixed-point decimal: value = coefficient / 10^scale.
+ * Values are kept canonical (no trailing fractional zeros), so "0.10" and "0.1"
+ * produce the same instance state and the same toString().
+ */
+class Decimal {
+  constructor(coefficient = 0n, scale = 0) {
+    while (scale > 0 && coefficient % 10n === 0n) {
+      coefficient /= 10n;
+      scale--;
+    }
+
+    this.coefficient = coefficient;
+    this.scale = coefficient === 0n ? 0 : scale;
+  }
+
+  /**
+   * Parse a decimal from a string, number, bigint or Decimal
+   * @param {*} value - Value to parse
+   * @returns {Decimal|null} Parsed value, or null if the input isn't a finite number
+   */
+  static parse(value) {
+    if (value instanceof Decimal) return value;
+    if (typeof value === 'bigint') return new Decimal(value, 0);
+    if (typeof value === 'number' && !Number.isFinite(value)) return null;
+    if (typeof value !== 'string' && typeof value !== 'number') return null;
+
+    const match = DECIMAL_PATTERN.exec(String(value).trim());
+    if (!match) return null;
+
+    const [, sign, integerPart = '', fractionPart = '', exponent = '0'] = match;
+    if (integerPart.length === 0 && fractionPart.length === 0) return null;
+
+    let coefficient = BigInt(`${integerPart}${fractionPart}` || '0');
+    let scale = fractionPart.length - parseInt(exponent, 10);
+
+    if (scale < 0) {
+      coefficient *= pow10(-scale);
+      scale = 0;
+    }
+
+    return new Decimal(sign === '-' ? -coefficient : coefficient, scale);
+  }
+
+  /**
+   * Like parse(), but throws on invalid input
+   * @param {*} value - Value to convert
+   * @returns {Decimal}
+   */
+  static from(value) {
+    const result = Decimal.parse(value);
+    if (result === null) {
+      throw new TypeError(`Invalid decimal value: ${value}`);
+    }
+    return result;
+  }
+
+  static min(...values) {
+    return values.map(Decimal.from).reduce((min, value) => (value.lt(min) ? value : min));
+  }
+
+  static max(...values) {
+    return values.map(Decimal.from).reduce((max, value) => (value.gt(max) ? value : max));
+  }
+
+  static sum(values) {
+    return values.reduce((total, value) => total.add(value), Decimal.ZERO);
+  }
+
+  // Coefficients of both operands expressed at a common scale
+  align(other) {
+    const scale = Math.max(this.scale, other.scale);
+    return [
+      this.coefficient * pow10(scale - this.scale),
+      other.coefficient * pow10(scale - other.scale),
+      scale
+    ];
+  }
+
+  // ===== ARITHMETIC =====
+
+  add(value) {
+    const [a, b, scale] = this.align(Decimal.from(value));
+    return new Decimal(a + b, scale);
+  }
+
+  sub(value) {
+    const [a, b, scale] = this.align(Decimal.from(value));
+    return new Decimal(a - b, scale);
+  }
+
+  mul(value) {
+    const other = Decimal.from(value);
+    return new Decimal(this.coefficient * other.coefficient, this.scale + other.scale);
+  }
+
+  /**
+   * Divide, rounding the result to a fixed number of fractional digits
+   * @param {*} value - Divisor
+   * @param {number} scale - Fractional digits to keep
+   * @param {string} mode - Rounding mode ('half-up', 'floor', 'ceil', 'down')
+   * @returns {Decimal}
+   */
+  div(value, scale = DEFAULT_DIVISION_SCALE, mode = 'half-up') {
+    const other = Decimal.from(value);
+    if (other.isZero()) {
+      throw new RangeError('Division by zero');
+    }
+
+    const numerator = this.coefficient * pow10(scale + other.scale);
+    const denominator = other.coefficient * pow10(this.scale);
+    return new Decimal(divideRounded(numerator, denominator, mode), scale);
+  }
+
+  neg() {
+    return new Decimal(-this.coefficient, this.scale);
+  }
+
+  abs() {
+    return this.coefficient < 0n ? this.neg() : this;
+  }
+
+  // ===== ROUNDING =====
+
+  /**
+   * Round to a number of fractional digits
+   * @param {number} decimals - Fractional digits to keep
+   * @param {string} mode - Rounding mode
+   * @returns {Decimal}
+   */
+  round(decimals = 0, mode = 'half-up') {
+    if (this.scale <= decimals) return this;
+    const divisor = pow10(this.scale - decimals);
+    return new Decimal(divideRounded(this.coefficient, divisor, mode), decimals);
+  }
+
+  /**
+   * Round to a multiple of an increment (tick size, lot size)
+   * @param {*} step - Increment
+   * @param {string} mode - Rounding mode
+   * @returns {Decimal}
+   */
+  roundToStep(step, mode = 'half-up') {
+    const increment = Decimal.from(step);
+    if (!increment.isPositive()) return this;
+    return this.div(increment, 0, mode).mul(increment);
+  }
+
+  // ===== COMPARISON =====
+
+  cmp(value) {
+    const [a, b] = this.align(Decimal.from(value));
+    if (a === b) return 0;
+    return a < b ? -1 : 1;
+  }
+
+  eq(value) {
+    return this.cmp(value) === 0;
+  }
+
+  lt(value) {
+    return this.cmp(value) < 0;
+  }
+
+  lte(value) {
+    return this.cmp(value) <= 0;
+  }
+
+  gt(value) {
+    return this.cmp(value) > 0;
+  }
+
+  gte(value) {
+    return this.cmp(value) >= 0;
+  }
+
+  isZero() {
+    return this.coefficient === 0n;
+  }
+
+  isPositive() {
+    return this.coefficient > 0n;
+  }
+
+  isNegative() {
+    return this.coefficient < 0n;
+  }
+
+  // ===== CONVERSION =====
+
+  toString() {
+    const digits = abs(this.coefficient).toString().padStart(this.scale + 1, '0');
+    const sign = this.coefficient < 0n ? '-' : '';
+    if (this.scale === 0) return `${sign}${digits}`;
+
+    const point = digits.length - this.scale;
+    return `${sign}${digits.slice(0, point)}.${digits.slice(point)}`;
+  }
+
+  /**
+   * Fixed-point string, rounded half-up like Number.prototype.toFixed
+   * @param {number} decimals - Fractional digits
+   * @returns {string}
+   */
+  toFixed(decimals = 0) {
+    const rounded = this.round(decimals);
+    const [integerPart, fractionPart = ''] = rounded.toString().split('.');
+    if (decimals === 0) return integerPart;
+    return `${integerPart}.${fractionPart.padEnd(decimals, '0')}`;
+  }
+
+  // Lossy: only for ratios, chart geometry and other display-only maths
+  toNumber() {
+    return Number(this.toString());
+  }
+
+  toJSON() {
+    return this.toString();
+  }
+}
+
+Decimal.ZERO = new Decimal(0n, 0);
+Decimal.ONE = new Decimal(1n, 0);
+
+export default Decimal;
@@ -0,0 +1,55 @@
+import Decimal from './decimal';
+
+const d = (value) => Decimal.from(value);
+
+describe('Decimal', () => {
+  test('parses strings, numbers and exponents canonically', () => {
+    expect(d('0.10').toString()).toBe('0.1');
+    expect(d('-001.500').toString()).toBe('-1.5');
+    expect(d('1.5e3').toString()).toBe('1500');
+    expect(d('25e-4').toString()).toBe('0.0025');
+    expect(d(0.1).toString()).toBe('0.1');
+    expect(d('.5').toString()).toBe('0.5');
+  });
+
+  test('rejects what is not a finite number', () => {
+    ['', '.', 'abc', '1.2.3', null, undefined, {}, NaN, Infinity].forEach(value => {
+      expect(Decimal.parse(value)).toBeNull();
+    });
+    expect(() => Decimal.from('abc')).toThrow(TypeError);
+  });
+
+  test('adds, subtracts and multiplies exactly', () => {
+    expect(d('0.1').add('0.2').toString()).toBe('0.3');
+    expect(d('1').sub('0.0000001').toString()).toBe('0.9999999');
+    expect(d('123456789.123456789').mul('1000000000').toString()).toBe('123456789123456789');
+    expect(d('99999999999999999.99').add('0.01').toString()).toBe('100000000000000000');
+  });
+
+  test('divides with explicit scale and rounding', () => {
+    expect(d('1').div('3', 4).toString()).toBe('0.3333');
+    expect(d('2').div('3', 2).toString()).toBe('0.67');
+    expect(d('2').div('3', 2, 'down').toString()).toBe('0.66');
+    expect(d('-1').div('3', 2, 'floor').toString()).toBe('-0.34');
+    expect(() => d('1').div('0')).toThrow(RangeError);
+  });
+
+  test('rounds to decimals and to steps', () => {
+    expect(d('1.005').round(2).toString()).toBe('1.01');
+    expect(d('-1.005').round(2).toString()).toBe('-1.01');
+    expect(d('1.239').round(2, 'floor').toString()).toBe('1.23');
+    expect(d('101.37').roundToStep('0.25').toString()).toBe('101.25');
+    expect(d('0.123456').roundToStep('0.001', 'ceil').toString()).toBe('0.124');
+    expect(d('1.5').toFixed(3)).toBe('1.500');
+    expect(d('2.345').toFixed(2)).toBe('2.35');
+  });
+
+  test('compares across scales', () => {
+    expect(d('0.10').eq('0.1')).toBe(true);
+    expect(d('1.01').gt('1.001')).toBe(true);
+    expect(d('-2').lt('-1.5')).toBe(true);
+    expect(Decimal.max('1', '3.5', '2').toString()).toBe('3.5');
+    expect(Decimal.min('1', '-3.5', '2').toString()).toBe('-3.5');
+    expect(Decimal.sum(['0.1', '0.2', '0.3']).toString()).toBe('0.6');
+  });
+});
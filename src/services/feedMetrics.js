@@ -0,0 +1,148 @@
+// services/feedMetrics.js
+
+/**
+ * Rolling statistics for an order book feed: update counts (global and per symbol),
+ * message rate, end-to-end latency percentiles and contributing exchanges.
+ * Latency is receipt time minus the source timestamp, so it includes clock skew
+ * between the exchange/backend and this machine.
+ */
+class FeedMetrics {
+  constructor(options = {}) {
+    this.options = {
+      latencySamples: 1000, // Latencies kept for percentiles
+      rateWindow: 10000,    // ms over which messages/sec is averaged
+      ...options
+    };
+
+    this.reset();
+  }
+
+  reset() {
+    this.totalUpdates = 0;
+    this.totalMessages = 0;
+    this.updatesBySymbol = new Map();
+    this.sourcesBySymbol = new Map();
+    this.lastUpdateTime = null;
+    this.lastMessageTime = null;
+
+    // Ring buffer of latency samples
+    this.latencies = [];
+    this.latencyIndex = 0;
+
+    // Message arrival counts per second: second -> count
+    this.messageBuckets = new Map();
+    this.firstMessageAt = null;
+  }
+
+  // A raw feed message arrived (book or not)
+  recordMessage(now = Date.now()) {
+    this.totalMessages++;
+    this.lastMessageTime = now;
+    if (this.firstMessageAt === null) this.firstMessageAt = now;
+
+    const second = Math.floor(now / 1000);
+    this.messageBuckets.set(second, (this.messageBuckets.get(second) || 0) + 1);
+
+    // Drop buckets that fell out of the window
+    const oldest = second - Math.ceil(this.options.rateWindow / 1000);
+    this.messageBuckets.forEach((count, bucket) => {
+      if (bucket <= oldest) this.messageBuckets.delete(bucket);
+    });
+  }
+
+  /**
+   * A book changed
+   * @param {Object} update - Store update event ({ symbol, book, sentAt })
+   * @param {number} now - Receipt time
+   */
+  recordUpdate({ symbol, book, sentAt }, now = Date.now()) {
+    this.totalUpdates++;
+    this.updatesBySymbol.set(symbol, (this.updatesBySymbol.get(symbol) || 0) + 1);
+    this.lastUpdateTime = now;
+
+    if (book?.Sources) {
+      this.sourcesBySymbol.set(symbol, book.Sources);
+    }
+
+    if (sentAt) {
+      const latency = Math.max(0, now - sentAt);
+      if (this.latencies.length < this.options.latencySamples) {
+        this.latencies.push(latency);
+      } else {
+        this.latencies[this.latencyIndex] = latency;
+        this.latencyIndex = (this.latencyIndex + 1) % this.options.latencySamples;
+      }
+    }
+  }
+
+  // Forget a symbol's counts and sources (e.g. on unsubscribe)
+  removeSymbol(symbol) {
+    this.updatesBySymbol.delete(symbol);
+    this.sourcesBySymbol.delete(symbol);
+  }
+
+  messagesPerSecond(now = Date.now()) {
+    if (this.firstMessageAt === null) return 0;
+
+    const windowStart = now - this.options.rateWindow;
+    let count = 0;
+    this.messageBuckets.forEach((bucketCount, second) => {
+      if (second * 1000 >= windowStart) count += bucketCount;
+    });
+
+    // Don't under-report while the feed is younger than the window
+    const elapsed = Math.min(this.options.rateWindow, Math.max(1000, now - this.firstMessageAt));
+    return count / (elapsed / 1000);
+  }
+
+  /**
+   * Latency summary over the kept samples
+   * @returns {Object} { average, p50, p90, p99, max, samples } in ms (0 when there are no samples)
+   */
+  latencyStats() {
+    const sorted = [...this.latencies].sort((a, b) => a - b);
+    const samples = sorted.length;
+    if (samples === 0) {
+      return { average: 0, p50: 0, p90: 0, p99: 0, max: 0, samples };
+    }
+
+    // Nearest-rank percentile
+    const percentile = (p) => sorted[Math.min(samples - 1, Math.ceil((p / 100) * samples) - 1)];
+
+    return {
+      average: Math.round(sorted.reduce((sum, value) => sum + value, 0) / samples),
+      p50: percentile(50),
+      p90: percentile(90),
+      p99: percentile(99),
+      max: sorted[samples - 1],
+      samples
+    };
+  }
+
+  /**
+   * Plain, cloneable view of the metrics
+   * @param {number} now - Reference time for rates and time since the last update
+   * @returns {Object} Stats as returned by useOrderBook
+   */
+  snapshot(now = Date.now()) {
+    const exchanges = new Set();
+    this.sourcesBySymbol.forEach(sources => sources.forEach(source => exchanges.add(source)));
+
+    const latency = this.latencyStats();
+
+    return {
+      totalUpdates: this.totalUpdates,
+      totalMessages: this.totalMessages,
+      updatesBySymbol: Object.fromEntries(this.updatesBySymbol),
+      messagesPerSecond: Math.round(this.messagesPerSecond(now) * 10) / 10,
+      averageLatency: latency.average,
+      latency,
+      exchanges,
+      lastUpdateTime: this.lastUpdateTime,
+      lastMessageTime: this.lastMessageTime,
+      timeSinceLastUpdate: this.lastUpdateTime === null ? null : now - this.lastUpdateTime
+    };
+  }
+}
+
+export default FeedMetrics;
@@ -0,0 +1,72 @@
+import FeedMetrics from './feedMetrics';
+
+describe('FeedMetrics', () => {
+  test('averages the message rate over the time the feed has been up', () => {
+    const metrics = new FeedMetrics();
+    for (let t = 0; t < 2000; t += 100) metrics.recordMessage(t);
+
+    expect(metrics.messagesPerSecond(2000)).toBe(10);
+    expect(metrics.snapshot(2000)).toMatchObject({ totalMessages: 20, messagesPerSecond: 10, lastMessageTime: 1900 });
+  });
+
+  test('does not over-report a burst in the feed\'s first second', () => {
+    const metrics = new FeedMetrics();
+    for (let i = 0; i < 5; i++) metrics.recordMessage(0);
+
+    expect(metrics.messagesPerSecond(0)).toBe(5);
+    expect(new FeedMetrics().messagesPerSecond(0)).toBe(0);
+  });
+
+  test('only counts messages inside the rate window', () => {
+    const metrics = new FeedMetrics({ rateWindow: 10000 });
+    for (let t = 0; t < 1000; t += 100) metrics.recordMessage(t);
+    metrics.recordMessage(14000);
+
+    expect(metrics.messagesPerSecond(15000)).toBe(0.1);
+    expect(metrics.messageBuckets.has(0)).toBe(false);
+  });
+
+  test('summarises latency as average and nearest-rank percentiles', () => {
+    const metrics = new FeedMetrics();
+    for (let latency = 10; latency <= 100; latency += 10) {
+      metrics.recordUpdate({ symbol: 'BTCUSDT', book: null, sentAt: 1000 - latency }, 1000);
+    }
+
+    expect(metrics.latencyStats()).toEqual({ average: 55, p50: 50, p90: 90, p99: 100, max: 100, samples: 10 });
+    expect(new FeedMetrics().latencyStats()).toEqual({ average: 0, p50: 0, p90: 0, p99: 0, max: 0, samples: 0 });
+  });
+
+  test('keeps the latest latency samples and clamps clock skew to zero', () => {
+    const metrics = new FeedMetrics({ latencySamples: 3 });
+    [5, 10, 20, 30].forEach(latency => metrics.recordUpdate({ symbol: 'BTCUSDT', sentAt: 1000 - latency }, 1000));
+    expect(metrics.latencyStats()).toMatchObject({ samples: 3, max: 30, p50: 20 });
+
+    // A source clock ahead of ours
+    metrics.recordUpdate({ symbol: 'BTCUSDT', sentAt: 1500 }, 1000);
+    expect(metrics.latencyStats()).toMatchObject({ samples: 3, p50: 20, max: 30 });
+    expect(metrics.latencies).toContain(0);
+
+    // Updates without a source timestamp have no latency
+    metrics.recordUpdate({ symbol: 'BTCUSDT' }, 1000);
+    expect(metrics.latencyStats().samples).toBe(3);
+  });
+
+  test('counts updates and exchanges per symbol until the symbol is removed', () => {
+    const metrics = new FeedMetrics();
+    metrics.recordUpdate({ symbol: 'BTCUSDT', book: { Sources: ['binance', 'kraken'] } }, 1000);
+    metrics.recordUpdate({ symbol: 'BTCUSDT', book: { Sources: ['binance'] } }, 1100);
+    metrics.recordUpdate({ symbol: 'ETHUSDT', book: { Sources: ['coinbase'] } }, 1200);
+
+    let snapshot = metrics.snapshot(1500);
+    expect(snapshot).toMatchObject({ totalUpdates: 3, updatesBySymbol: { BTCUSDT: 2, ETHUSDT: 1 }, lastUpdateTime: 1200, timeSinceLastUpdate: 300 });
+    expect(snapshot.exchanges).toEqual(new Set(['binance', 'coinbase']));
+
+    metrics.removeSymbol('ETHUSDT');
+    snapshot = metrics.snapshot(1500);
+    expect(snapshot.updatesBySymbol).toEqual({ BTCUSDT: 2 });
+    expect(snapshot.exchanges).toEqual(new Set(['binance']));
+
+    metrics.reset();
+    expect(metrics.snapshot(1500)).toMatchObject({ totalUpdates: 0, lastUpdateTime: null, timeSinceLastUpdate: null });
+  });
+});
@@ -0,0 +1,131 @@
+// services/feedRecorder.js
+
+// Recordings are NDJSON: a header line, then one line per inbound frame as received, before
+// any decoding. Text frames are kept verbatim, binary frames base64-encoded:
+//
+//   {"type":"header","version":1,"url":"wss://...","codec":"protobuf","startedAt":1700000000000}
+//   {"t":1700000000012,"data":"{\"type\":\"snapshot\",...}"}
+//   {"t":1700000000020,"binary":"CgdCVENVU0RU..."}
+
+const RECORDING_VERSION = 1;
+
+const toBase64 = (data) => {
+  const bytes = data instanceof ArrayBuffer
+    ? new Uint8Array(data)
+    : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+const fromBase64 = (text) => {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes.buffer;
+};
+
+/**
+ * Captures raw inbound frames with their receive times (see
+ * OrderBookWebSocketService.startRecording) and serialises them to NDJSON
+ */
+class FeedRecorder {
+  constructor(options = {}) {
+    this.options = {
+      url: null,
+      codec: 'json',
+      maxFrames: 500000, // The oldest frames are discarded beyond this
+      ...options
+    };
+
+    this.startedAt = Date.now();
+    this.frames = []; // { t, data } with data a string or ArrayBuffer
+    this.discarded = 0;
+  }
+
+  get size() {
+    return this.frames.length;
+  }
+
+  record(data, receivedAt = Date.now()) {
+    // Binary frames may be views over buffers that get reused, so keep a copy
+    const frame = typeof data === 'string'
+      ? data
+      : (data instanceof ArrayBuffer ? data.slice(0) : data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength));
+
+    this.frames.push({ t: receivedAt, data: frame });
+    if (this.frames.length > this.options.maxFrames) {
+      this.frames.shift();
+      this.discarded++;
+    }
+  }
+
+  toNDJSON() {
+    const header = {
+      type: 'header',
+      version: RECORDING_VERSION,
+      url: this.options.url,
+      codec: this.options.codec,
+      startedAt: this.startedAt,
+      discarded: this.discarded
+    };
+
+    const lines = this.frames.map(({ t, data }) => JSON.stringify(typeof data === 'string'
+      ? { t, data }
+      : { t, binary: toBase64(data) }));
+
+    return [JSON.stringify(header), ...lines].join('\n') + '\n';
+  }
+
+  /**
+   * Parse an NDJSON recording
+   * @param {string} text
+   * @returns {Object} { header, frames: [{ t, data }] } with frames in time order
+   */
+  static parse(text) {
+    const lines = text.split('\n').filter(line => line.trim() !== '');
+    let header = null;
+    const frames = [];
+
+    lines.forEach((line, index) => {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        throw new Error(`Invalid recording: line ${index + 1} is not JSON`);
+      }
+
+      if (entry.type === 'header') {
+        header = entry;
+      } else if (typeof entry.t === 'number') {
+        frames.push({ t: entry.t, data: entry.binary !== undefined ? fromBase64(entry.binary) : entry.data });
+      }
+    });
+
+    if (header && header.version > RECORDING_VERSION) {
+      throw new Error(`Unsupported recording version ${header.version}`);
+    }
+
+    frames.sort((a, b) => a.t - b.t);
+    return { header: header || { version: RECORDING_VERSION, codec: 'json' }, frames };
+  }
+
+  // Offer a recording as a file download (browser only)
+  static download(ndjson, filename = `orderbook-feed-${new Date().toISOString().replace(/[:.]/g, '-')}.ndjson`) {
+    const url = URL.createObjectURL(new Blob([ndjson], { type: 'application/x-ndjson' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+}
+
+export default FeedRecorder;
@@ -0,0 +1,592 @@
+// services/marketSimulator.js
+import { OrderBookWebSocketService, ORDERBOOK_CHANNEL_PREFIX, SUBSCRIPTION_STATUS } from './websocket';
+
+// Simulated listings: starting mid price and exchange grid
+const DEFAULT_MARKETS = {
+  BTCUSDT: { price: 65000, tickSize: '0.01', lotSize: '0.00001' },
+  ETHUSDT: { price: 3200, tickSize: '0.01', lotSize: '0.0001' },
+  BNBUSDT: { price: 580, tickSize: '0.01', lotSize: '0.001' },
+  SOLUSDT: { price: 150, tickSize: '0.01', lotSize: '0.001' },
+  ADAUSDT: { price: 0.45, tickSize: '0.0001', lotSize: '0.1' },
+  DOTUSDT: { price: 6.5, tickSize: '0.001', lotSize: '0.01' },
+  LINKUSDT: { price: 14, tickSize: '0.001', lotSize: '0.01' }
+};
+
+const DEFAULT_VENUES = ['binance', 'coinbase', 'kraken'];
+
+const LEVEL_SPACING = 0.0001;  // Distance between book levels, relative to the starting price
+const HALF_SPREAD = 0.0001;    // Each venue's distance from its mid to the touch, relative
+const VENUE_DRIFT = 0.00005;   // How far venue mids wander from the market mid, relative
+const LEVEL_NOTIONAL = 20000;  // Typical quote value of a level
+
+const INTERVALS = { '1m': 60000, '5m': 300000, '15m': 900000, '1h': 3600000, '4h': 14400000, '1d': 86400000 };
+
+// Deterministic uniform [0, 1) generator for seeded runs (mulberry32)
+const seededRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const decimalsOf = (step) => (String(step).split('.')[1] || '').length;
+
+// Minimal fetch Response for OrderBookAPI
+const respond = (status, body) => {
+  const text = JSON.stringify(body);
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: status === 200 ? 'OK' : 'Not Found',
+    headers: { get: (name) => (name.toLowerCase() === 'content-type' ? 'application/json' : null) },
+    json: async () => JSON.parse(text),
+    text: async () => text
+  };
+};
+
+/**
+ * A synthetic market for running the app (and UI tests) without a backend.
+ *
+ * Each symbol's mid price follows a random walk (`volatility` is the standard deviation of its
+ * relative move per √second); every venue quotes a book around its own slightly drifting copy
+ * of it. Level updates arrive as a Poisson process (`updateRate` per second and symbol): each
+ * one moves the market, requotes one venue and sends that venue's changed levels as an
+ * aggregator delta, so the store sees the same snapshots, deltas, versions and Sources as it
+ * would from the live feed.
+ *
+ * The simulator implements the connection interface of OrderBookWebSocketService, so
+ * useOrderBook can take it in place of a socket, and `fetch` answers the OrderBookAPI
+ * endpoints in-process (pass it as OrderBookAPI's `fetch` option). Pass a `seed` for
+ * reproducible markets.
+ */
+class MarketSimulator {
+  constructor(options = {}) {
+    this.options = {
+      markets: DEFAULT_MARKETS,
+      venues: DEFAULT_VENUES,
+      volatility: 0.0002,  // Relative mid move per √second (one standard deviation)
+      updateRate: 20,      // Mean level updates per second per subscribed symbol
+      depth: 25,           // Levels per side and venue
+      seed: null,          // Number for a reproducible market; null uses Math.random
+      debug: false,
+      ...options
+    };
+
+    this.random = this.options.seed === null ? Math.random : seededRandom(this.options.seed);
+    this.startedAt = Date.now();
+    this.markets = new Map(); // symbol -> market state, created on first use
+
+    this.url = 'simulator';
+    this.isConnected = false;
+    this.reconnectAttempts = 0;
+    this.subscriptions = new Map(); // channel -> number of subscribers
+    this.restSubscriptions = new Set(); // Symbols registered through POST /api/subscribe
+
+    this.stats = { totalMessages: 0, bytesReceived: 0 };
+    this.eventListeners = new Map();
+
+    this.fetch = this.fetch.bind(this);
+  }
+
+  // Event system
+  on(event, callback) {
+    if (!this.eventListeners.has(event)) {
+      this.eventListeners.set(event, new Set());
+    }
+    this.eventListeners.get(event).add(callback);
+    return () => this.off(event, callback);
+  }
+
+  off(event, callback) {
+    if (this.eventListeners.has(event)) {
+      this.eventListeners.get(event).delete(callback);
+    }
+  }
+
+  emit(event, data) {
+    if (this.eventListeners.has(event)) {
+      this.eventListeners.get(event).forEach(callback => {
+        try {
+          callback(data);
+        } catch (error) {
+          this.log('Error in event callback:', error);
+        }
+      });
+    }
+  }
+
+  // Logging
+  log(message, data = '') {
+    if (this.options.debug) {
+      console.log(`[Simulator] ${message}`, data);
+    }
+  }
+
+  // ===== CONNECTION INTERFACE =====
+
+  connect() {
+    if (this.isConnected) return;
+
+    this.log(`Simulating ${this.options.venues.join(', ')}`);
+    this.emit('connecting', {});
+    this.isConnected = true;
+    this.emit('connected', { connectionId: 'simulator' });
+
+    this.subscriptions.forEach((count, channel) => this.startChannel(channel));
+  }
+
+  disconnect() {
+    this.markets.forEach(market => this.stopMarket(market));
+    if (!this.isConnected) return;
+
+    this.isConnected = false;
+    this.emit('disconnected', { code: 1000, reason: 'Simulator stopped', wasClean: true, willReconnect: false });
+  }
+
+  reconnect() {
+    this.disconnect();
+    this.connect();
+  }
+
+  subscribe(channels) {
+    (Array.isArray(channels) ? channels : [channels]).map(OrderBookWebSocketService.toChannel).forEach(channel => {
+      const count = this.subscriptions.get(channel) || 0;
+      this.subscriptions.set(channel, count + 1);
+      if (count === 0 && this.isConnected) this.startChannel(channel);
+    });
+    return true;
+  }
+
+  unsubscribe(channels) {
+    (Array.isArray(channels) ? channels : [channels]).map(OrderBookWebSocketService.toChannel).forEach(channel => {
+      const count = this.subscriptions.get(channel) || 0;
+      if (count > 1) {
+        this.subscriptions.set(channel, count - 1);
+        return;
+      }
+
+      this.subscriptions.delete(channel);
+      const market = this.markets.get(this.symbolOf(channel));
+      if (market) this.stopMarket(market);
+      if (count === 1) this.emit('subscriptionStatus', { channel, status: null, error: null });
+    });
+    return true;
+  }
+
+  send() {
+    return false; // There is no server to talk to
+  }
+
+  acknowledge() {}
+
+  startRecording() {}
+
+  stopRecording() {
+    return Promise.resolve(null);
+  }
+
+  setVisible() {}
+
+  setOnline() {}
+
+  resume() {}
+
+  getSubscriptionStatuses() {
+    return Object.fromEntries(Array.from(this.subscriptions.keys())
+      .map(channel => [channel, this.isConnected
+        ? this.channelStatus(channel)
+        : { status: SUBSCRIPTION_STATUS.PENDING, error: null }]));
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      isConnected: this.isConnected,
+      reconnectAttempts: 0,
+      subscriptions: Array.from(this.subscriptions.keys()),
+      queuedMessages: 0,
+      endpoint: this.url
+    };
+  }
+
+  getState() {
+    return {
+      isConnected: this.isConnected,
+      isConnecting: false,
+      readyState: this.isConnected ? WebSocket.OPEN : WebSocket.CLOSED,
+      url: this.url,
+      subscriptions: Array.from(this.subscriptions.keys())
+    };
+  }
+
+  symbolOf(channel) {
+    return channel.startsWith(ORDERBOOK_CHANNEL_PREFIX) ? channel.slice(ORDERBOOK_CHANNEL_PREFIX.length) : null;
+  }
+
+  // Order book channels of unlisted symbols are rejected like the server does; others are accepted
+  channelStatus(channel) {
+    const symbol = this.symbolOf(channel);
+    return symbol && !this.options.markets[symbol]
+      ? { status: SUBSCRIPTION_STATUS.ERROR, error: `unknown symbol ${symbol}` }
+      : { status: SUBSCRIPTION_STATUS.ACTIVE, error: null };
+  }
+
+  // Acknowledge a channel, send a snapshot per venue and start its update stream
+  startChannel(channel) {
+    const { status, error } = this.channelStatus(channel);
+    this.emit('subscriptionStatus', { channel, status, error });
+
+    const symbol = this.symbolOf(channel);
+    if (!symbol || status !== SUBSCRIPTION_STATUS.ACTIVE) return;
+
+    const market = this.getMarket(symbol);
+    this.advance(market);
+    this.options.venues.forEach(venue => {
+      this.requote(market, venue);
+      this.deliver({ type: 'orderbook_snapshot', data: this.venueSnapshot(market, venue) });
+    });
+    this.scheduleUpdate(market);
+  }
+
+  deliver(data) {
+    const raw = JSON.stringify(data);
+    this.stats.totalMessages++;
+    this.stats.bytesReceived += raw.length;
+    this.emit('message', { data, raw, timestamp: Date.now() });
+  }
+
+  // ===== MARKET MODEL =====
+
+  getMarket(symbol) {
+    if (!this.markets.has(symbol)) {
+      const { price, tickSize, lotSize } = this.options.markets[symbol];
+      const tick = Number(tickSize);
+
+      this.markets.set(symbol, {
+        symbol,
+        mid: price,
+        openPrice: price,
+        tick,
+        lot: Number(lotSize),
+        priceDecimals: decimalsOf(tickSize),
+        quantityDecimals: decimalsOf(lotSize),
+        step: Math.max(tick, Math.round((price * LEVEL_SPACING) / tick) * tick),
+        steppedAt: Date.now(),
+        timer: null,
+        venues: new Map(this.options.venues.map(venue => [venue, {
+          offset: 0,
+          bids: new Map(), // price string -> quantity string
+          asks: new Map(),
+          version: 0
+        }]))
+      });
+    }
+    return this.markets.get(symbol);
+  }
+
+  // Standard normal sample (Box-Muller)
+  gaussian() {
+    const u = 1 - this.random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * this.random());
+  }
+
+  // Walk the mid (and each venue's offset from it) forward to now
+  advance(market, now = Date.now()) {
+    const elapsed = Math.max(0, now - market.steppedAt) / 1000;
+    market.steppedAt = now;
+    if (elapsed === 0) return;
+
+    market.mid *= Math.exp(this.options.volatility * Math.sqrt(elapsed) * this.gaussian());
+    market.venues.forEach(venue => {
+      venue.offset = venue.offset * 0.9 + VENUE_DRIFT * 0.3 * this.gaussian();
+    });
+  }
+
+  randomQuantity(market) {
+    const lots = Math.max(1, Math.round((LEVEL_NOTIONAL / market.mid) * (0.1 + 2 * this.random() ** 2) / market.lot));
+    return (lots * market.lot).toFixed(market.quantityDecimals);
+  }
+
+  /**
+   * Move a venue's book to its current mid: levels off the grid around it are removed, missing
+   * ones added, and one resting level changes size
+   * @returns {Object} { bids, asks } changed levels as [price, quantity] with '0' for removals
+   */
+  requote(market, venueName) {
+    const venue = market.venues.get(venueName);
+    const mid = market.mid * (1 + venue.offset);
+    const { step, priceDecimals, lot } = market;
+    const bestBid = Math.floor((mid * (1 - HALF_SPREAD)) / step) * step;
+    const bestAsk = Math.max(bestBid + step, Math.ceil((mid * (1 + HALF_SPREAD)) / step) * step);
+
+    const changes = { bids: [], asks: [] };
+    [['bids', bestBid, -1], ['asks', bestAsk, 1]].forEach(([side, best, direction]) => {
+      const levels = venue[side];
+      const wanted = new Set();
+      for (let i = 0; i < this.options.depth; i++) {
+        const price = best + direction * i * step;
+        if (price > 0) wanted.add(price.toFixed(priceDecimals));
+      }
+
+      levels.forEach((quantity, price) => {
+        if (!wanted.has(price)) {
+          levels.delete(price);
+          changes[side].push([price, '0']);
+        }
+      });
+      wanted.forEach(price => {
+        if (!levels.has(price)) {
+          const quantity = this.randomQuantity(market);
+          levels.set(price, quantity);
+          changes[side].push([price, quantity]);
+        }
+      });
+    });
+
+    // The Poisson arrival itself: an order resting somewhere in the book is added or reduced
+    const side = this.random() < 0.5 ? 'bids' : 'asks';
+    const prices = Array.from(venue[side].keys());
+    if (prices.length > 0) {
+      const price = prices[Math.floor(this.random() * prices.length)];
+      const quantity = Number(venue[side].get(price)) * (0.5 + this.random());
+      const updated = (Math.max(1, Math.round(quantity / lot)) * lot).toFixed(market.quantityDecimals);
+      venue[side].set(price, updated);
+      changes[side] = changes[side].filter(([level]) => level !== price).concat([[price, updated]]);
+    }
+
+    venue.version++;
+    return changes;
+  }
+
+  // Exponentially distributed gaps between updates make their arrivals a Poisson process
+  scheduleUpdate(market) {
+    clearTimeout(market.timer);
+    const wait = (-Math.log(1 - this.random()) / this.options.updateRate) * 1000;
+    market.timer = setTimeout(() => this.update(market), wait);
+  }
+
+  update(market) {
+    market.timer = null;
+    if (!this.isConnected) return;
+
+    this.advance(market);
+    const venueName = this.options.venues[Math.floor(this.random() * this.options.venues.length)];
+    const { bids, asks } = this.requote(market, venueName);
+    const version = market.venues.get(venueName).version;
+
+    this.deliver({
+      type: 'orderbook_delta',
+      data: {
+        Symbol: market.symbol,
+        Exchange: venueName,
+        Sources: [venueName],
+        Bids: bids,
+        Asks: asks,
+        Version: version,
+        PrevVersion: version - 1,
+        LastUpdate: market.steppedAt
+      }
+    });
+    this.scheduleUpdate(market);
+  }
+
+  stopMarket(market) {
+    clearTimeout(market.timer);
+    market.timer = null;
+  }
+
+  // Only markets nobody streams may move on a REST request; streamed books move with their deltas
+  refresh(market) {
+    if (market.timer !== null) return;
+
+    this.advance(market);
+    this.options.venues.forEach(venue => this.requote(market, venue));
+  }
+
+  sortedLevels(levels, side) {
+    return Array.from(levels.entries())
+      .sort(([a], [b]) => (side === 'bids' ? Number(b) - Number(a) : Number(a) - Number(b)));
+  }
+
+  venueSnapshot(market, venueName, depth = this.options.depth) {
+    const venue = market.venues.get(venueName);
+    return {
+      Symbol: market.symbol,
+      Exchange: venueName,
+      Sources: [venueName],
+      Bids: this.sortedLevels(venue.bids, 'bids').slice(0, depth),
+      Asks: this.sortedLevels(venue.asks, 'asks').slice(0, depth),
+      Version: venue.version,
+      LastUpdate: market.steppedAt
+    };
+  }
+
+  // Every venue's levels summed per price, as the aggregator's REST endpoint serves them
+  aggregatedSnapshot(market, depth = this.options.depth) {
+    const sides = { bids: new Map(), asks: new Map() };
+    let version = 0;
+    market.venues.forEach(venue => {
+      version += venue.version;
+      ['bids', 'asks'].forEach(side => venue[side].forEach((quantity, price) => {
+        sides[side].set(price, (sides[side].get(price) || 0) + Number(quantity));
+      }));
+    });
+
+    const format = (side) => this.sortedLevels(sides[side], side)
+      .slice(0, depth)
+      .map(([price, quantity]) => [price, quantity.toFixed(market.quantityDecimals)]);
+
+    return {
+      Symbol: market.symbol,
+      Sources: Array.from(market.venues.keys()),
+      Bids: format('bids'),
+      Asks: format('asks'),
+      Version: version,
+      LastUpdate: market.steppedAt
+    };
+  }
+
+  summarize(market) {
+    const { Bids, Asks } = this.aggregatedSnapshot(market, 1);
+    const bestBid = Bids.length > 0 ? Number(Bids[0][0]) : null;
+    const bestAsk = Asks.length > 0 ? Number(Asks[0][0]) : null;
+
+    return {
+      symbol: market.symbol,
+      price: market.mid.toFixed(market.priceDecimals),
+      bestBid: Bids[0]?.[0] ?? null,
+      bestAsk: Asks[0]?.[0] ?? null,
+      spread: bestBid !== null && bestAsk !== null ? (bestAsk - bestBid).toFixed(market.priceDecimals) : null,
+      change: ((market.mid / market.openPrice - 1) * 100).toFixed(2),
+      exchanges: Array.from(market.venues.keys())
+    };
+  }
+
+  // Candles walked backwards from the current mid
+  history(market, interval, limit) {
+    const duration = INTERVALS[interval] || INTERVALS['1h'];
+    const swing = this.options.volatility * Math.sqrt(duration / 1000);
+    const end = Math.floor(Date.now() / duration) * duration;
+    const candles = [];
+
+    let close = market.mid;
+    for (let i = 0; i < limit; i++) {
+      const open = close * Math.exp(-swing * this.gaussian());
+      const high = Math.max(open, close) * (1 + Math.abs(swing * this.gaussian()) / 2);
+      const low = Math.min(open, close) * (1 - Math.abs(swing * this.gaussian()) / 2);
+      candles.unshift({
+        time: end - i * duration,
+        open: open.toFixed(market.priceDecimals),
+        high: high.toFixed(market.priceDecimals),
+        low: low.toFixed(market.priceDecimals),
+        close: close.toFixed(market.priceDecimals),
+        volume: ((LEVEL_NOTIONAL / market.mid) * (20 + 80 * this.random())).toFixed(market.quantityDecimals)
+      });
+      close = open;
+    }
+    return candles;
+  }
+
+  // ===== REST API =====
+
+  /**
+   * fetch() stand-in serving the OrderBookAPI endpoints from the simulated market
+   * @param {string} url - Request URL; only its path and query matter
+   * @param {Object} options - fetch options (method, body, signal)
+   * @returns {Promise<Object>} Response-like object (ok, status, headers.get, json, text)
+   */
+  async fetch(url, options = {}) {
+    if (options.signal?.aborted) {
+      throw options.signal.reason || new DOMException('The operation was aborted.', 'AbortError');
+    }
+
+    const { pathname, searchParams } = new URL(url, 'http://simulator');
+    const method = (options.method || 'GET').toUpperCase();
+    const [api, resource, name] = pathname.split('/').filter(Boolean);
+    this.log(`${method} ${pathname}`);
+
+    if (api !== 'api') return respond(404, { error: `No route for ${pathname}` });
+
+    const listed = (symbol) => Boolean(symbol && this.options.markets[symbol.toUpperCase()]);
+    const unknown = (symbol) => respond(404, { error: `unknown symbol ${symbol}` });
+
+    switch (`${method} ${resource}`) {
+      case 'GET orderbook': {
+        if (!listed(name)) return unknown(name);
+        const market = this.getMarket(name.toUpperCase());
+        const depth = Number(searchParams.get('depth')) || this.options.depth;
+        const exchange = searchParams.get('exchange');
+
+        if (exchange && !market.venues.has(exchange)) {
+          return respond(404, { error: `unknown exchange ${exchange}` });
+        }
+        this.refresh(market);
+        return respond(200, exchange ? this.venueSnapshot(market, exchange, depth) : this.aggregatedSnapshot(market, depth));
+      }
+
+      case 'GET symbols':
+        return respond(200, {
+          symbols: Object.entries(this.options.markets).map(([symbol, { tickSize, lotSize }]) => ({
+            symbol,
+            tickSize,
+            lotSize,
+            exchanges: this.options.venues
+          }))
+        });
+
+      case 'GET health':
+        return respond(200, {
+          status: 'ok',
+          simulated: true,
+          uptime: Math.floor((Date.now() - this.startedAt) / 1000),
+          timestamp: Date.now()
+        });
+
+      case 'GET market':
+        if (name !== 'summary') break;
+        return respond(200, Object.keys(this.options.markets).map(symbol => {
+          const market = this.getMarket(symbol);
+          this.refresh(market);
+          return this.summarize(market);
+        }));
+
+      case 'GET exchanges':
+        if (name !== 'status') break;
+        return respond(200, {
+          exchanges: this.options.venues.map(venue => ({ name: venue, status: 'connected', simulated: true }))
+        });
+
+      case 'GET history': {
+        if (!listed(name)) return unknown(name);
+        const limit = Math.min(1000, Number(searchParams.get('limit')) || 100);
+        return respond(200, this.history(this.getMarket(name.toUpperCase()), searchParams.get('interval'), limit));
+      }
+
+      case 'POST subscribe': {
+        const { symbol } = JSON.parse(options.body || '{}');
+        if (!listed(symbol)) return unknown(symbol);
+        this.restSubscriptions.add(symbol.toUpperCase());
+        return respond(200, { symbol: symbol.toUpperCase(), subscribed: true });
+      }
+
+      case 'DELETE subscribe':
+        this.restSubscriptions.delete(name?.toUpperCase());
+        return respond(200, { symbol: name?.toUpperCase(), subscribed: false });
+
+      case 'GET subscriptions':
+        return respond(200, { subscriptions: Array.from(this.restSubscriptions) });
+
+      default:
+        break;
+    }
+
+    return respond(404, { error: `No route for ${method} ${pathname}` });
+  }
+}
+
+export default MarketSimulator;
+export { DEFAULT_MARKETS };
@@ -0,0 +1,90 @@
+import MarketSimulator from './marketSimulator';
+import OrderBookStore, { SYNC_STATUS } from './orderBookStore';
+import { OrderBookAPI } from './api';
+
+describe('MarketSimulator', () => {
+  let simulator;
+
+  afterEach(() => {
+    simulator?.disconnect();
+    jest.useRealTimers();
+  });
+
+  test('streams a snapshot per venue, then in-sequence deltas, like the live feed', () => {
+    jest.useFakeTimers();
+    simulator = new MarketSimulator({ seed: 7 });
+    const store = new OrderBookStore();
+    const statuses = [];
+    simulator.on('message', ({ data }) => store.handleMessage(data));
+    simulator.on('subscriptionStatus', event => statuses.push(event));
+
+    // Subscriptions made before connecting start with the connection
+    simulator.subscribe('btcusdt');
+    expect(simulator.getSubscriptionStatuses()).toEqual({ 'orderbook.BTCUSDT': { status: 'pending', error: null } });
+    simulator.connect();
+
+    expect(statuses).toEqual([{ channel: 'orderbook.BTCUSDT', status: 'active', error: null }]);
+    expect(simulator.getState()).toMatchObject({ isConnected: true, readyState: WebSocket.OPEN, url: 'simulator' });
+    expect(Object.keys(store.getVenueBooks('BTCUSDT')).sort()).toEqual(['binance', 'coinbase', 'kraken']);
+
+    const messages = simulator.getStats().totalMessages;
+    jest.advanceTimersByTime(2000);
+    expect(simulator.getStats().totalMessages).toBeGreaterThan(messages);
+    expect(store.getStatus('BTCUSDT')).toBe(SYNC_STATUS.LIVE);
+
+    // Stream data acknowledges nothing further; the simulator replies to subscriptions itself
+    expect(() => simulator.acknowledge('orderbook.BTCUSDT')).not.toThrow();
+  });
+
+  test('rejects unlisted symbols and stops streaming on unsubscribe or disconnect', () => {
+    jest.useFakeTimers();
+    simulator = new MarketSimulator({ seed: 7 });
+    const statuses = [];
+    simulator.on('subscriptionStatus', event => statuses.push(event));
+    simulator.connect();
+
+    simulator.subscribe(['XYZUSDT', 'ETHUSDT']);
+    expect(simulator.getSubscriptionStatuses()).toEqual({
+      'orderbook.XYZUSDT': { status: 'error', error: 'unknown symbol XYZUSDT' },
+      'orderbook.ETHUSDT': { status: 'active', error: null }
+    });
+
+    simulator.unsubscribe('ETHUSDT');
+    expect(statuses[statuses.length - 1]).toEqual({ channel: 'orderbook.ETHUSDT', status: null, error: null });
+    const messages = simulator.getStats().totalMessages;
+    jest.advanceTimersByTime(2000);
+    expect(simulator.getStats().totalMessages).toBe(messages);
+
+    const disconnected = jest.fn();
+    simulator.on('disconnected', disconnected);
+    simulator.disconnect();
+    expect(disconnected).toHaveBeenCalledWith(expect.objectContaining({ wasClean: true, willReconnect: false }));
+    expect(simulator.getState().readyState).toBe(WebSocket.CLOSED);
+  });
+
+  test('answers the OrderBookAPI endpoints', async () => {
+    simulator = new MarketSimulator({ seed: 7 });
+    const api = new OrderBookAPI('http://simulator', { fetch: simulator.fetch, rateLimit: false, circuitBreaker: false, cacheTimeout: 0 });
+
+    const book = await api.getOrderBook('btcusdt', { depth: 5 });
+    expect(book.Sources).toEqual(['binance', 'coinbase', 'kraken']);
+    expect(book.Bids).toHaveLength(5);
+    expect(Number(book.Bids[0][0])).toBeLessThan(Number(book.Asks[0][0]));
+
+    const venueBook = await api.getOrderBook('BTCUSDT', { exchange: 'kraken' });
+    expect(venueBook.Exchange).toBe('kraken');
+    await expect(api.getOrderBook('XYZUSDT')).rejects.toMatchObject({ status: 404 });
+    await expect(api.getOrderBook('BTCUSDT', { exchange: 'nowhere' })).rejects.toMatchObject({ status: 404 });
+
+    expect((await api.getSymbols()).map(({ symbol }) => symbol)).toContain('ETHUSDT');
+    expect(await api.getHealth()).toMatchObject({ status: 'ok', simulated: true });
+    expect(await api.getExchangeStatus()).toHaveLength(3);
+    expect(await api.getMarketSummary()).toHaveLength(7);
+    expect(await api.getHistoricalData('ETHUSDT', { limit: 10 })).toHaveLength(10);
+
+    await expect(api.subscribeSymbol('solusdt')).resolves.toEqual({ symbol: 'SOLUSDT', subscribed: true });
+    await expect(api.getSubscriptions()).resolves.toEqual(['SOLUSDT']);
+    await api.unsubscribeSymbol('SOLUSDT');
+    await expect(api.getSubscriptions()).resolves.toEqual([]);
+  });
+});
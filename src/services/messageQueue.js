@@ -0,0 +1,154 @@
+// services/messageQueue.js
+
+// Lower numbers go out first once the socket opens
+const PRIORITY = {
+  AUTH: 0,
+  SUBSCRIPTION: 1,
+  NORMAL: 2
+};
+
+const SUBSCRIPTION_TYPES = ['subscribe', 'unsubscribe'];
+
+// Queued messages are kept as sent; JSON text is looked into so it can be prioritised too
+const parse = (data) => {
+  if (typeof data === 'string') {
+    if (!data.startsWith('{')) return null;
+    try {
+      return JSON.parse(data);
+    } catch (error) {
+      return null;
+    }
+  }
+  if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) return null;
+  return data && typeof data === 'object' ? data : null;
+};
+
+/**
+ * Outbound messages waiting for the socket to open. The queue is bounded (the oldest of the
+ * least important messages make room), entries expire after their TTL, identical messages are
+ * queued once, and subscribe/unsubscribe requests are coalesced per channel: subscribing and
+ * then unsubscribing a channel before reconnecting sends nothing at all.
+ */
+class MessageQueue {
+  constructor(options = {}) {
+    this.options = {
+      maxSize: 100,
+      ttl: 30000, // ms a message stays sendable; 0 keeps messages until sent
+      ...options
+    };
+
+    this.entries = [];       // { data, key, priority, expiresAt }
+    this.channels = new Map(); // channel -> { type: 'subscribe' | 'unsubscribe', fields }
+    this.dropped = 0;
+  }
+
+  static priorityOf(message) {
+    if (message?.type === 'auth') return PRIORITY.AUTH;
+    if (SUBSCRIPTION_TYPES.includes(message?.type)) return PRIORITY.SUBSCRIPTION;
+    return PRIORITY.NORMAL;
+  }
+
+  get size() {
+    return this.entries.length + this.channels.size;
+  }
+
+  /**
+   * Queue a message
+   * @param {*} data - Anything OrderBookWebSocketService.send accepts
+   * @param {Object} options - { priority, ttl } overriding the defaults
+   * @returns {Array} Messages dropped to make room (possibly `data` itself)
+   */
+  enqueue(data, options = {}) {
+    const message = parse(data);
+    this.removeExpired();
+
+    if (SUBSCRIPTION_TYPES.includes(message?.type) && Array.isArray(message.channels)) {
+      this.coalesce(message);
+      return this.trim();
+    }
+
+    const key = typeof data === 'string' ? data : (message ? JSON.stringify(message) : null);
+    const ttl = options.ttl ?? this.options.ttl;
+    const expiresAt = ttl > 0 ? Date.now() + ttl : Infinity;
+
+    const duplicate = key !== null && this.entries.find(entry => entry.key === key);
+    if (duplicate) {
+      duplicate.expiresAt = expiresAt;
+      return [];
+    }
+
+    this.entries.push({
+      data,
+      key,
+      priority: options.priority ?? MessageQueue.priorityOf(message),
+      expiresAt
+    });
+    return this.trim();
+  }
+
+  // A channel's latest request wins; the opposite request cancels a pending one
+  coalesce({ type, channels, timestamp: _timestamp, ...fields }) {
+    channels.forEach(channel => {
+      const pending = this.channels.get(channel);
+      if (pending && pending.type !== type) {
+        this.channels.delete(channel);
+      } else {
+        this.channels.set(channel, { type, fields });
+      }
+    });
+  }
+
+  // Drop the oldest least important messages beyond maxSize; subscriptions are never dropped
+  trim() {
+    const dropped = [];
+    while (this.size > this.options.maxSize && this.entries.length > 0) {
+      const lowest = Math.max(...this.entries.map(entry => entry.priority));
+      const index = this.entries.findIndex(entry => entry.priority === lowest);
+      dropped.push(this.entries.splice(index, 1)[0].data);
+    }
+    this.dropped += dropped.length;
+    return dropped;
+  }
+
+  removeExpired(now = Date.now()) {
+    const before = this.entries.length;
+    this.entries = this.entries.filter(entry => entry.expiresAt > now);
+    this.dropped += before - this.entries.length;
+  }
+
+  /**
+   * Empty the queue
+   * @returns {Array} Unexpired messages in sending order: by priority, then oldest first
+   */
+  drain() {
+    this.removeExpired();
+
+    const requests = new Map(); // type -> subscribe/unsubscribe message
+    this.channels.forEach(({ type, fields }, channel) => {
+      if (!requests.has(type)) {
+        requests.set(type, { type, ...fields, channels: [], timestamp: Date.now() });
+      }
+      requests.get(type).channels.push(channel);
+    });
+
+    const entries = [
+      ...Array.from(requests.values()).map(data => ({ data, priority: PRIORITY.SUBSCRIPTION })),
+      ...this.entries
+    ];
+    this.entries = [];
+    this.channels.clear();
+
+    // Array.prototype.sort is stable, so equal priorities keep their order
+    return entries
+      .sort((a, b) => a.priority - b.priority)
+      .map(entry => entry.data);
+  }
+
+  clear() {
+    this.entries = [];
+    this.channels.clear();
+  }
+}
+
+export default MessageQueue;
+export { PRIORITY };
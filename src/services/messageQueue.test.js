@@ -0,0 +1,66 @@
+import MessageQueue, { PRIORITY } from './messageQueue';
+
+describe('MessageQueue', () => {
+  afterEach(() => jest.useRealTimers());
+
+  test('drains auth first, then subscriptions, then the rest in order', () => {
+    const queue = new MessageQueue();
+    queue.enqueue({ type: 'ping' });
+    queue.enqueue(JSON.stringify({ type: 'subscribe', channels: ['orderbook.BTCUSDT'] }));
+    queue.enqueue('raw text');
+    queue.enqueue({ type: 'auth', token: 't' });
+
+    const [auth, subscribe, ping, raw] = queue.drain();
+    expect(auth).toEqual({ type: 'auth', token: 't' });
+    expect(subscribe).toMatchObject({ type: 'subscribe', channels: ['orderbook.BTCUSDT'] });
+    expect(ping).toEqual({ type: 'ping' });
+    expect(raw).toBe('raw text');
+    expect(queue.size).toBe(0);
+  });
+
+  test('queues identical messages once', () => {
+    const queue = new MessageQueue();
+    queue.enqueue({ type: 'ping', id: 1 });
+    queue.enqueue({ type: 'ping', id: 1 });
+    queue.enqueue({ type: 'ping', id: 2 });
+
+    expect(queue.drain()).toEqual([{ type: 'ping', id: 1 }, { type: 'ping', id: 2 }]);
+  });
+
+  test('coalesces subscription requests per channel', () => {
+    const queue = new MessageQueue();
+    queue.enqueue({ type: 'subscribe', channels: ['orderbook.BTCUSDT', 'orderbook.ETHUSDT'], timestamp: 1 });
+    queue.enqueue({ type: 'unsubscribe', channels: ['orderbook.BTCUSDT'], timestamp: 2 });
+    queue.enqueue({ type: 'unsubscribe', channels: ['orderbook.XRPUSDT'], timestamp: 3 });
+
+    const requests = queue.drain();
+    expect(requests.map(({ type, channels }) => ({ type, channels }))).toEqual([
+      { type: 'subscribe', channels: ['orderbook.ETHUSDT'] },
+      { type: 'unsubscribe', channels: ['orderbook.XRPUSDT'] }
+    ]);
+  });
+
+  test('drops the oldest least important messages when full, never subscriptions', () => {
+    const queue = new MessageQueue({ maxSize: 2 });
+    queue.enqueue({ type: 'subscribe', channels: ['orderbook.BTCUSDT'] });
+    queue.enqueue({ type: 'ping', id: 1 });
+
+    expect(queue.enqueue({ type: 'auth', token: 't' })).toEqual([{ type: 'ping', id: 1 }]);
+    expect(queue.enqueue({ type: 'ping', id: 2 })).toEqual([{ type: 'ping', id: 2 }]);
+    expect(queue.enqueue({ type: 'note' }, { priority: PRIORITY.SUBSCRIPTION })).toEqual([{ type: 'note' }]);
+    expect(queue.size).toBe(2);
+    expect(queue.dropped).toBe(3);
+  });
+
+  test('expires messages past their TTL', () => {
+    jest.useFakeTimers();
+    jest.setSystemTime(0);
+    const queue = new MessageQueue({ ttl: 1000 });
+    queue.enqueue({ type: 'ping' });
+    queue.enqueue({ type: 'order' }, { ttl: 0 });
+
+    jest.setSystemTime(1500);
+    expect(queue.drain()).toEqual([{ type: 'order' }]);
+    expect(queue.dropped).toBe(1);
+  });
+});
@@ -0,0 +1,311 @@
+// services/msgpack.js
+/* global BigInt */
+
+// MessagePack (https://msgpack.org) encoder/decoder for socket frames.
+// Integers beyond the safe range decode to BigInt; the timestamp extension (-1) decodes to a Date.
+
+const TIMESTAMP_EXT = -1;
+
+let textEncoder = null;
+let textDecoder = null;
+
+const encodeUtf8 = (value) => {
+  textEncoder = textEncoder || new TextEncoder();
+  return textEncoder.encode(value);
+};
+
+const decodeUtf8 = (bytes) => {
+  textDecoder = textDecoder || new TextDecoder();
+  return textDecoder.decode(bytes);
+};
+
+// View any binary input as bytes without copying
+const toBytes = (data) => {
+  if (data instanceof Uint8Array) return data;
+  if (data instanceof ArrayBuffer) return new Uint8Array(data);
+  if (ArrayBuffer.isView(data)) return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  throw new TypeError('Expected binary data');
+};
+
+// ===== ENCODING =====
+
+class Writer {
+  constructor(initialSize = 256) {
+    this.bytes = new Uint8Array(initialSize);
+    this.view = new DataView(this.bytes.buffer);
+    this.offset = 0;
+  }
+
+  ensure(size) {
+    if (this.offset + size <= this.bytes.length) return;
+
+    let length = this.bytes.length * 2;
+    while (length < this.offset + size) length *= 2;
+
+    const bytes = new Uint8Array(length);
+    bytes.set(this.bytes);
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer);
+  }
+
+  u8(value) {
+    this.ensure(1);
+    this.view.setUint8(this.offset, value);
+    this.offset += 1;
+  }
+
+  u16(value) {
+    this.ensure(2);
+    this.view.setUint16(this.offset, value);
+    this.offset += 2;
+  }
+
+  u32(value) {
+    this.ensure(4);
+    this.view.setUint32(this.offset, value);
+    this.offset += 4;
+  }
+
+  u64(value) {
+    this.ensure(8);
+    this.view.setBigUint64(this.offset, BigInt(value));
+    this.offset += 8;
+  }
+
+  i64(value) {
+    this.ensure(8);
+    this.view.setBigInt64(this.offset, BigInt(value));
+    this.offset += 8;
+  }
+
+  f64(value) {
+    this.ensure(8);
+    this.view.setFloat64(this.offset, value);
+    this.offset += 8;
+  }
+
+  raw(bytes) {
+    this.ensure(bytes.length);
+    this.bytes.set(bytes, this.offset);
+    this.offset += bytes.length;
+  }
+
+  result() {
+    return this.bytes.slice(0, this.offset);
+  }
+}
+
+const encodeInteger = (writer, value) => {
+  if (value >= 0) {
+    if (value < 0x80) writer.u8(value);
+    else if (value <= 0xff) { writer.u8(0xcc); writer.u8(value); }
+    else if (value <= 0xffff) { writer.u8(0xcd); writer.u16(value); }
+    else if (value <= 0xffffffff) { writer.u8(0xce); writer.u32(value); }
+    else { writer.u8(0xcf); writer.u64(value); }
+    return;
+  }
+
+  if (value >= -0x20) writer.u8(value & 0xff);
+  else if (value >= -0x80) { writer.u8(0xd0); writer.u8(value & 0xff); }
+  else if (value >= -0x8000) { writer.u8(0xd1); writer.u16(value & 0xffff); }
+  else if (value >= -0x80000000) { writer.u8(0xd2); writer.u32(value >>> 0); }
+  else { writer.u8(0xd3); writer.i64(value); }
+};
+
+const encodeLength = (writer, length, fix, fixLimit, codes) => {
+  if (fix !== null && length < fixLimit) writer.u8(fix | length);
+  else if (codes[0] !== null && length <= 0xff) { writer.u8(codes[0]); writer.u8(length); }
+  else if (length <= 0xffff) { writer.u8(codes[1]); writer.u16(length); }
+  else { writer.u8(codes[2]); writer.u32(length); }
+};
+
+const encodeValue = (writer, value) => {
+  if (value === null || value === undefined) {
+    writer.u8(0xc0);
+  } else if (value === false) {
+    writer.u8(0xc2);
+  } else if (value === true) {
+    writer.u8(0xc3);
+  } else if (typeof value === 'number') {
+    if (Number.isSafeInteger(value)) encodeInteger(writer, value);
+    else { writer.u8(0xcb); writer.f64(value); }
+  } else if (typeof value === 'bigint') {
+    if (value >= 0n) { writer.u8(0xcf); writer.u64(value); }
+    else { writer.u8(0xd3); writer.i64(value); }
+  } else if (typeof value === 'string') {
+    const bytes = encodeUtf8(value);
+    encodeLength(writer, bytes.length, 0xa0, 32, [0xd9, 0xda, 0xdb]);
+    writer.raw(bytes);
+  } else if (value instanceof Date) {
+    // timestamp 96: nanoseconds (uint32) + seconds (int64)
+    const millis = value.getTime();
+    const seconds = Math.floor(millis / 1000);
+    writer.u8(0xc7);
+    writer.u8(12);
+    writer.u8(TIMESTAMP_EXT & 0xff);
+    writer.u32((millis - seconds * 1000) * 1000000);
+    writer.i64(seconds);
+  } else if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) {
+    const bytes = toBytes(value);
+    encodeLength(writer, bytes.length, null, 0, [0xc4, 0xc5, 0xc6]);
+    writer.raw(bytes);
+  } else if (Array.isArray(value)) {
+    encodeLength(writer, value.length, 0x90, 16, [null, 0xdc, 0xdd]);
+    value.forEach(item => encodeValue(writer, item));
+  } else if (typeof value.toJSON === 'function') {
+    // Decimals and similar value objects travel in their JSON form
+    encodeValue(writer, value.toJSON());
+  } else if (typeof value === 'object') {
+    const entries = Object.entries(value).filter(([, item]) => item !== undefined);
+    encodeLength(writer, entries.length, 0x80, 16, [null, 0xde, 0xdf]);
+    entries.forEach(([key, item]) => {
+      encodeValue(writer, key);
+      encodeValue(writer, item);
+    });
+  } else {
+    throw new TypeError(`Cannot encode ${typeof value} as MessagePack`);
+  }
+};
+
+/**
+ * Encode a value as MessagePack
+ * @param {*} value - Plain data (objects, arrays, strings, numbers, booleans, null, binary, Dates)
+ * @returns {Uint8Array} Encoded bytes
+ */
+const encode = (value) => {
+  const writer = new Writer();
+  encodeValue(writer, value);
+  return writer.result();
+};
+
+// ===== DECODING =====
+
+class Reader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    this.offset = 0;
+  }
+
+  check(size) {
+    if (this.offset + size > this.bytes.length) {
+      throw new RangeError('Unexpected end of MessagePack data');
+    }
+  }
+
+  read(method, size) {
+    this.check(size);
+    const value = this.view[method](this.offset);
+    this.offset += size;
+    return value;
+  }
+
+  slice(length) {
+    this.check(length);
+    const bytes = this.bytes.subarray(this.offset, this.offset + length);
+    this.offset += length;
+    return bytes;
+  }
+}
+
+// 64-bit integers become numbers when they fit, BigInts otherwise
+const fromBigInt = (value) => (
+  value >= BigInt(Number.MIN_SAFE_INTEGER) && value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value
+);
+
+const decodeExtension = (reader, length) => {
+  const type = reader.read('getInt8', 1);
+  const data = reader.slice(length);
+
+  if (type !== TIMESTAMP_EXT) return { type, data };
+
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  if (length === 4) return new Date(view.getUint32(0) * 1000);
+  if (length === 8) {
+    const high = view.getUint32(0);
+    const nanoseconds = high >>> 2;
+    const seconds = (high & 0x3) * 0x100000000 + view.getUint32(4);
+    return new Date(seconds * 1000 + nanoseconds / 1e6);
+  }
+  return new Date(Number(view.getBigInt64(4)) * 1000 + view.getUint32(0) / 1e6);
+};
+
+const decodeArray = (reader, length) => {
+  const result = new Array(length);
+  for (let i = 0; i < length; i++) {
+    result[i] = decodeValue(reader);
+  }
+  return result;
+};
+
+const decodeMap = (reader, length) => {
+  const result = {};
+  for (let i = 0; i < length; i++) {
+    const key = decodeValue(reader);
+    result[String(key)] = decodeValue(reader);
+  }
+  return result;
+};
+
+const decodeValue = (reader) => {
+  const byte = reader.read('getUint8', 1);
+
+  if (byte < 0x80) return byte;
+  if (byte < 0x90) return decodeMap(reader, byte & 0x0f);
+  if (byte < 0xa0) return decodeArray(reader, byte & 0x0f);
+  if (byte < 0xc0) return decodeUtf8(reader.slice(byte & 0x1f));
+  if (byte >= 0xe0) return byte - 0x100;
+
+  switch (byte) {
+    case 0xc0: return null;
+    case 0xc2: return false;
+    case 0xc3: return true;
+    case 0xc4: return reader.slice(reader.read('getUint8', 1)).slice();
+    case 0xc5: return reader.slice(reader.read('getUint16', 2)).slice();
+    case 0xc6: return reader.slice(reader.read('getUint32', 4)).slice();
+    case 0xc7: return decodeExtension(reader, reader.read('getUint8', 1));
+    case 0xc8: return decodeExtension(reader, reader.read('getUint16', 2));
+    case 0xc9: return decodeExtension(reader, reader.read('getUint32', 4));
+    case 0xca: return reader.read('getFloat32', 4);
+    case 0xcb: return reader.read('getFloat64', 8);
+    case 0xcc: return reader.read('getUint8', 1);
+    case 0xcd: return reader.read('getUint16', 2);
+    case 0xce: return reader.read('getUint32', 4);
+    case 0xcf: return fromBigInt(reader.read('getBigUint64', 8));
+    case 0xd0: return reader.read('getInt8', 1);
+    case 0xd1: return reader.read('getInt16', 2);
+    case 0xd2: return reader.read('getInt32', 4);
+    case 0xd3: return fromBigInt(reader.read('getBigInt64', 8));
+    case 0xd4: return decodeExtension(reader, 1);
+    case 0xd5: return decodeExtension(reader, 2);
+    case 0xd6: return decodeExtension(reader, 4);
+    case 0xd7: return decodeExtension(reader, 8);
+    case 0xd8: return decodeExtension(reader, 16);
+    case 0xd9: return decodeUtf8(reader.slice(reader.read('getUint8', 1)));
+    case 0xda: return decodeUtf8(reader.slice(reader.read('getUint16', 2)));
+    case 0xdb: return decodeUtf8(reader.slice(reader.read('getUint32', 4)));
+    case 0xdc: return decodeArray(reader, reader.read('getUint16', 2));
+    case 0xdd: return decodeArray(reader, reader.read('getUint32', 4));
+    case 0xde: return decodeMap(reader, reader.read('getUint16', 2));
+    case 0xdf: return decodeMap(reader, reader.read('getUint32', 4));
+    default:
+      throw new TypeError(`Invalid MessagePack type byte 0x${byte.toString(16)}`);
+  }
+};
+
+/**
+ * Decode one MessagePack value
+ * @param {ArrayBuffer|Uint8Array} data - Encoded bytes
+ * @returns {*} Decoded value
+ */
+const decode = (data) => {
+  const reader = new Reader(toBytes(data));
+  const value = decodeValue(reader);
+
+  if (reader.offset !== reader.bytes.length) {
+    throw new RangeError(`Trailing bytes after MessagePack value (${reader.bytes.length - reader.offset})`);
+  }
+  return value;
+};
+
+export { encode, decode, toBytes, encodeUtf8, decodeUtf8 };
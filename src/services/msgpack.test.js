@@ -0,0 +1,56 @@
+/**
+ * @jest-environment node
+ */
+/* global BigInt */
+import { encode, decode } from './msgpack';
+
+const hex = (bytes) => Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join(' ');
+
+describe('MessagePack', () => {
+  test('encodes with the smallest representation', () => {
+    expect(hex(encode(1))).toBe('01');
+    expect(hex(encode(-1))).toBe('ff');
+    expect(hex(encode(200))).toBe('cc c8');
+    expect(hex(encode(-200))).toBe('d1 ff 38');
+    expect(hex(encode('a'))).toBe('a1 61');
+    expect(hex(encode([true, null]))).toBe('92 c3 c0');
+    expect(hex(encode({ a: 1 }))).toBe('81 a1 61 01');
+    expect(hex(encode(1.5))).toBe('cb 3f f8 00 00 00 00 00 00');
+  });
+
+  test('round-trips order book payloads', () => {
+    const message = {
+      type: 'orderbook_delta',
+      data: {
+        Symbol: 'BTCUSDT',
+        Bids: [['64993.50', '0.47307']],
+        Asks: [],
+        Version: 4294967296,
+        Sources: ['binance', 'kraken'],
+        IsDelta: true,
+        Note: 'ü'.repeat(40)
+      }
+    };
+    expect(decode(encode(message))).toEqual(message);
+  });
+
+  test('keeps 64-bit integers beyond the safe range as BigInt', () => {
+    const big = BigInt(Number.MAX_SAFE_INTEGER) + 2n;
+    expect(decode(encode(big))).toBe(big);
+    expect(decode(encode(-big))).toBe(-big);
+    expect(decode(encode(BigInt(42)))).toBe(42);
+  });
+
+  test('decodes timestamps and binary', () => {
+    const date = new Date(1700000000123);
+    expect(decode(encode(date))).toEqual(date);
+    expect(decode(encode(new Uint8Array([1, 2, 3])))).toEqual(new Uint8Array([1, 2, 3]));
+    expect(decode(new Uint8Array([0xd6, 0xff, 0x65, 0x53, 0xf1, 0x00]))).toEqual(new Date(1700000000000));
+  });
+
+  test('rejects truncated and trailing data', () => {
+    expect(() => decode(new Uint8Array([0xcd, 0x01]))).toThrow(RangeError);
+    expect(() => decode(new Uint8Array([0x01, 0x02]))).toThrow(RangeError);
+    expect(() => decode(new Uint8Array([0xc1]))).toThrow(TypeError);
+  });
+});
@@ -0,0 +1,472 @@
+// services/orderBookStore.js
+import PriceLevels from './priceLevels';
+import { normalizeMessage, DEFAULT_EXCHANGE, AGGREGATED_VENUE } from './adapters';
+
+// Sync states for a symbol's book
+const SYNC_STATUS = {
+  AWAITING_SNAPSHOT: 'awaiting_snapshot',
+  LIVE: 'live',
+  RESYNCING: 'resyncing'
+};
+
+// Sync state key for one venue's stream of a symbol
+const streamKey = (symbol, venue) => `${symbol}::${venue}`;
+
+class OrderBookStore {
+  constructor(options = {}) {
+    this.options = {
+      debug: false,
+      adapter: 'auto',         // Message adapter name or object (see adapters.js); 'auto' detects per message
+      fetchSnapshot: null,     // async (symbol, venue) => raw REST order book, used for resyncs
+      maxBufferedDeltas: 1000, // Deltas kept per symbol while a resync is in flight
+      resyncRetryDelay: 2000,
+      ...options
+    };
+
+    // symbol -> venue -> venue book ({ Symbol, Exchange, Bids, Asks, Version, LastUpdate, Sources })
+    this.venueBooks = new Map();
+
+    // symbol -> consolidated book; its Bids/Asks carry a per-venue breakdown for every level
+    this.books = new Map();
+
+    // `${symbol}::${venue}` -> { symbol, venue, status, buffer, resyncId, retryTimer, lastResyncAt }
+    this.syncState = new Map();
+
+    // symbol -> { venue, streamed } of a REST-polled book standing in for the stream (see applyPolledSnapshot)
+    this.polled = new Map();
+
+    this.eventListeners = new Map();
+    this.resyncCounter = 0;
+  }
+
+  // Event system
+  on(event, callback) {
+    if (!this.eventListeners.has(event)) {
+      this.eventListeners.set(event, new Set());
+    }
+    this.eventListeners.get(event).add(callback);
+    return () => this.off(event, callback);
+  }
+
+  off(event, callback) {
+    if (this.eventListeners.has(event)) {
+      this.eventListeners.get(event).delete(callback);
+    }
+  }
+
+  emit(event, data) {
+    if (this.eventListeners.has(event)) {
+      this.eventListeners.get(event).forEach(callback => {
+        try {
+          callback(data);
+        } catch (error) {
+          this.log('Error in event callback:', error);
+        }
+      });
+    }
+  }
+
+  // Logging
+  log(message, data = '') {
+    if (this.options.debug) {
+      console.log(`[OrderBookStore] ${message}`, data);
+    }
+  }
+
+  // ===== EVENT HANDLING =====
+
+  // Handle a raw message; returns true when it carried order book data
+  handleMessage(message) {
+    const events = normalizeMessage(message, this.options.adapter);
+    if (events.length === 0) return false;
+
+    events.forEach(event => this.applyEvent(event));
+    return true;
+  }
+
+  // Apply a REST order book response as a snapshot of one venue
+  applyRestSnapshot(symbol, snapshot, venue = null) {
+    const [event] = normalizeMessage({ type: 'orderbook_snapshot', data: { Symbol: symbol, ...snapshot } }, 'aggregator');
+    if (!event) return;
+
+    // The REST API reports Version 0 when the backend doesn't version books
+    this.applySnapshot({ ...event, symbol, exchange: venue || event.exchange, version: event.version || null, source: 'rest' });
+  }
+
+  /**
+   * Apply a REST-polled book while the stream is down. The backend's book already merges every
+   * venue, so it stands in for the venue books the stream left behind: those are dropped rather
+   * than counted twice, and resyncSymbol drops the stand-in again once the stream is back.
+   */
+  applyPolledSnapshot(symbol, snapshot) {
+    const [event] = normalizeMessage({ type: 'orderbook_snapshot', data: { Symbol: symbol, ...snapshot } }, 'aggregator');
+    if (!event) return;
+
+    const venue = event.exchange;
+    if (!this.polled.has(symbol)) {
+      this.polled.set(symbol, { venue, streamed: this.syncState.has(streamKey(symbol, venue)) });
+    }
+
+    // Stream venues wait for a resync; one still in flight is abandoned
+    this.syncState.forEach(state => {
+      if (state.symbol !== symbol || state.venue === venue) return;
+      this.finishResync(state);
+      state.status = SYNC_STATUS.AWAITING_SNAPSHOT;
+      if (this.getVenueBook(symbol, state.venue)) this.replaceVenueBook(symbol, state.venue, null);
+    });
+
+    this.applyRestSnapshot(symbol, snapshot);
+  }
+
+  // Forget a symbol's polled stand-in book, unless the stream feeds that venue itself
+  dropPolledBook(symbol) {
+    const polled = this.polled.get(symbol);
+    if (!polled) return;
+
+    this.polled.delete(symbol);
+    if (polled.streamed) return;
+
+    const key = streamKey(symbol, polled.venue);
+    const state = this.syncState.get(key);
+    if (state) {
+      this.finishResync(state);
+      this.syncState.delete(key);
+    }
+    if (this.getVenueBook(symbol, polled.venue)) this.replaceVenueBook(symbol, polled.venue, null);
+  }
+
+  applyEvent(event) {
+    if (event.kind === 'snapshot') {
+      this.applySnapshot(event);
+    } else {
+      this.applyDelta(event);
+    }
+  }
+
+  getSyncState(symbol, venue) {
+    const key = streamKey(symbol, venue);
+    if (!this.syncState.has(key)) {
+      this.syncState.set(key, {
+        symbol,
+        venue,
+        status: SYNC_STATUS.AWAITING_SNAPSHOT,
+        buffer: [],
+        resyncId: null,
+        retryTimer: null,
+        lastResyncAt: 0
+      });
+    }
+    return this.syncState.get(key);
+  }
+
+  isCurrentState(state) {
+    return this.syncState.get(streamKey(state.symbol, state.venue)) === state;
+  }
+
+  getVenueBook(symbol, venue) {
+    return this.venueBooks.get(symbol)?.get(venue) || null;
+  }
+
+  // Swap a venue's book, moving its contribution in the consolidated book along with it
+  replaceVenueBook(symbol, venue, venueBook) {
+    if (!this.venueBooks.has(symbol)) {
+      this.venueBooks.set(symbol, new Map());
+    }
+    if (!this.books.has(symbol)) {
+      this.books.set(symbol, {
+        Symbol: symbol,
+        Bids: new PriceLevels('bids'),
+        Asks: new PriceLevels('asks')
+      });
+    }
+
+    const venues = this.venueBooks.get(symbol);
+    const consolidated = this.books.get(symbol);
+    const previous = venues.get(venue);
+
+    if (previous) {
+      for (const { price } of previous.Bids) consolidated.Bids.setVenue(price, venue, 0);
+      for (const { price } of previous.Asks) consolidated.Asks.setVenue(price, venue, 0);
+    }
+
+    if (venueBook) {
+      for (const { price, quantity } of venueBook.Bids) consolidated.Bids.setVenue(price, venue, quantity);
+      for (const { price, quantity } of venueBook.Asks) consolidated.Asks.setVenue(price, venue, quantity);
+      venues.set(venue, venueBook);
+    } else {
+      venues.delete(venue);
+    }
+  }
+
+  // Rebuild the consolidated book object around its (shared) sides and notify listeners;
+  // sentAt is the source timestamp of the event that caused the change (for latency metrics),
+  // source whether it came from the stream or a REST snapshot
+  publish(symbol, venue, kind, sentAt = null, source = 'stream') {
+    const venues = this.venueBooks.get(symbol);
+    const current = this.books.get(symbol);
+    const venueBook = venues.get(venue);
+
+    const Venues = Object.fromEntries(venues);
+    const Versions = {};
+    const Sources = new Set();
+    venues.forEach((book, name) => {
+      Versions[name] = book.Version;
+      book.Sources.forEach(source => Sources.add(source));
+    });
+
+    const book = {
+      Symbol: symbol,
+      Bids: current.Bids,
+      Asks: current.Asks,
+      Version: venues.size === 1 ? venueBook.Version : null,
+      Versions,
+      LastUpdate: venueBook.LastUpdate,
+      Sources: Array.from(Sources),
+      Exchange: venue,
+      Venues
+    };
+
+    this.books.set(symbol, book);
+    this.emit('update', { symbol, venue, book, venueBook, kind, sentAt, source });
+  }
+
+  // Replace a venue's book with a full snapshot
+  applySnapshot(event) {
+    const venue = event.exchange;
+    const state = this.getSyncState(event.symbol, venue);
+    const current = this.getVenueBook(event.symbol, venue);
+
+    // Ignore snapshots older than what we already hold
+    if (current && current.Version !== null && event.version !== null && event.version < current.Version) {
+      this.log(`Ignoring stale snapshot for ${event.symbol}@${venue}`, { current: current.Version, received: event.version });
+      return;
+    }
+
+    const venueBook = {
+      Symbol: event.symbol,
+      Exchange: venue,
+      Bids: PriceLevels.from(event.bids, 'bids'),
+      Asks: PriceLevels.from(event.asks, 'asks'),
+      Version: event.version,
+      LastUpdate: event.timestamp,
+      Sources: event.sources.length > 0 ? event.sources : [venue]
+    };
+
+    this.replaceVenueBook(event.symbol, venue, venueBook);
+
+    const buffered = state.status === SYNC_STATUS.RESYNCING ? state.buffer : [];
+    this.finishResync(state);
+    state.status = SYNC_STATUS.LIVE;
+
+    this.publish(event.symbol, venue, 'snapshot', event.sentAt, event.source);
+
+    // Replay deltas that arrived while the snapshot was in flight
+    buffered
+      .filter(delta => venueBook.Version === null || delta.version === null || delta.version > venueBook.Version)
+      .forEach(delta => this.applyDelta(delta));
+  }
+
+  // Apply per-level changes to a venue's book; quantity 0 removes the level
+  applyDelta(event) {
+    const venue = event.exchange;
+    const state = this.getSyncState(event.symbol, venue);
+
+    if (state.status === SYNC_STATUS.RESYNCING) {
+      state.buffer.push(event);
+      if (state.buffer.length > this.options.maxBufferedDeltas) {
+        state.buffer.shift();
+      }
+      return;
+    }
+
+    const current = this.getVenueBook(event.symbol, venue);
+    if (!current) {
+      // Without a REST source we can only wait for the stream's next snapshot
+      if (!this.options.fetchSnapshot && state.status === SYNC_STATUS.AWAITING_SNAPSHOT) return;
+      this.resync(event.symbol, venue, 'delta received before snapshot', event);
+      return;
+    }
+
+    // Sequence checks only apply when both sides are versioned
+    if (current.Version !== null && event.version !== null) {
+      if (event.version <= current.Version) {
+        this.log(`Dropping duplicate delta for ${event.symbol}@${venue}`, { current: current.Version, received: event.version });
+        return;
+      }
+
+      // Events may cover a range of updates (firstVersion..version) that must include the next one
+      let inSequence;
+      if (event.prevVersion !== null) {
+        inSequence = event.prevVersion === current.Version;
+      } else if (event.firstVersion !== null) {
+        inSequence = event.firstVersion <= current.Version + 1;
+      } else {
+        inSequence = event.version === current.Version + 1;
+      }
+
+      if (!inSequence) {
+        this.resync(event.symbol, venue, `sequence gap: expected ${current.Version + 1}, got ${event.version}`, event);
+        return;
+      }
+    }
+
+    // Levels are updated in place; book objects are replaced so consumers see new references
+    const consolidated = this.books.get(event.symbol);
+    event.bids.forEach(([price, quantity]) => {
+      current.Bids.set(price, quantity);
+      consolidated.Bids.setVenue(price, venue, quantity);
+    });
+    event.asks.forEach(([price, quantity]) => {
+      current.Asks.set(price, quantity);
+      consolidated.Asks.setVenue(price, venue, quantity);
+    });
+
+    this.venueBooks.get(event.symbol).set(venue, {
+      ...current,
+      Version: event.version ?? current.Version,
+      LastUpdate: event.timestamp,
+      Sources: event.sources.length > 0 ? event.sources : current.Sources
+    });
+
+    this.publish(event.symbol, venue, 'delta', event.sentAt);
+  }
+
+  // ===== RESYNC =====
+
+  /**
+   * Discard a venue's book and rebuild it from a REST snapshot.
+   * Deltas received meanwhile are buffered and replayed on top of the snapshot.
+   */
+  async resync(symbol, venue = DEFAULT_EXCHANGE, reason = 'manual', triggeringDelta = null) {
+    const state = this.getSyncState(symbol, venue);
+
+    if (state.status === SYNC_STATUS.RESYNCING) {
+      if (triggeringDelta) state.buffer.push(triggeringDelta);
+      return;
+    }
+
+    this.log(`Resyncing ${symbol}@${venue}: ${reason}`);
+    this.emit('resync', { symbol, venue, reason });
+
+    if (this.getVenueBook(symbol, venue)) {
+      this.replaceVenueBook(symbol, venue, null);
+    }
+
+    if (!this.options.fetchSnapshot) {
+      // No REST source: wait for the stream to send the next snapshot
+      state.status = SYNC_STATUS.AWAITING_SNAPSHOT;
+      state.buffer = [];
+      return;
+    }
+
+    const resyncId = ++this.resyncCounter;
+    state.status = SYNC_STATUS.RESYNCING;
+    state.resyncId = resyncId;
+    state.buffer = triggeringDelta ? [triggeringDelta] : [];
+
+    // Don't hammer the REST endpoint when resyncs follow each other closely
+    const wait = Math.max(0, state.lastResyncAt + this.options.resyncRetryDelay - Date.now());
+    state.lastResyncAt = Date.now() + wait;
+
+    try {
+      if (wait > 0) {
+        await new Promise(resolve => setTimeout(resolve, wait));
+        if (state.resyncId !== resyncId || !this.isCurrentState(state)) return;
+      }
+
+      const snapshot = await this.options.fetchSnapshot(symbol, venue);
+
+      // Superseded by a stream snapshot, another resync or removal
+      if (state.resyncId !== resyncId || !this.isCurrentState(state)) return;
+
+      this.applyRestSnapshot(symbol, snapshot, venue);
+    } catch (error) {
+      if (state.resyncId !== resyncId || !this.isCurrentState(state)) return;
+
+      this.log(`Resync failed for ${symbol}@${venue}:`, error.message);
+      this.emit('error', error);
+
+      state.retryTimer = setTimeout(() => {
+        state.retryTimer = null;
+        if (state.resyncId !== resyncId) return;
+        state.status = SYNC_STATUS.AWAITING_SNAPSHOT;
+        this.resync(symbol, venue, 'retry after failed resync');
+      }, this.options.resyncRetryDelay);
+    }
+  }
+
+  // Resync every venue of a symbol, e.g. once the stream is back after an outage
+  resyncSymbol(symbol, reason = 'manual') {
+    this.dropPolledBook(symbol);
+
+    const venues = Array.from(this.syncState.values())
+      .filter(state => state.symbol === symbol)
+      .map(state => state.venue);
+
+    venues.forEach(venue => this.resync(symbol, venue, reason));
+  }
+
+  // Resync every book, e.g. after the connection was suspended
+  resyncAll(reason = 'manual') {
+    Array.from(this.syncState.values())
+      .forEach(state => this.resync(state.symbol, state.venue, reason));
+  }
+
+  finishResync(state) {
+    if (state.retryTimer) {
+      clearTimeout(state.retryTimer);
+      state.retryTimer = null;
+    }
+    state.resyncId = null;
+    state.buffer = [];
+  }
+
+  // ===== ACCESSORS =====
+
+  // Consolidated book across all venues
+  getBook(symbol) {
+    return this.books.get(symbol)?.Venues ? this.books.get(symbol) : null;
+  }
+
+  // venue -> venue book for a symbol
+  getVenueBooks(symbol) {
+    return Object.fromEntries(this.venueBooks.get(symbol) || []);
+  }
+
+  // Worst sync status across the symbol's venues
+  getStatus(symbol) {
+    const statuses = Array.from(this.syncState.values())
+      .filter(state => state.symbol === symbol)
+      .map(state => state.status);
+
+    if (statuses.length === 0) return null;
+    if (statuses.includes(SYNC_STATUS.RESYNCING)) return SYNC_STATUS.RESYNCING;
+    if (statuses.includes(SYNC_STATUS.AWAITING_SNAPSHOT)) return SYNC_STATUS.AWAITING_SNAPSHOT;
+    return SYNC_STATUS.LIVE;
+  }
+
+  // Forget a symbol entirely (e.g. on unsubscribe)
+  remove(symbol) {
+    Array.from(this.syncState.entries()).forEach(([key, state]) => {
+      if (state.symbol === symbol) {
+        this.finishResync(state);
+        this.syncState.delete(key);
+      }
+    });
+
+    this.polled.delete(symbol);
+    this.venueBooks.delete(symbol);
+    this.books.delete(symbol);
+  }
+
+  clear() {
+    const symbols = new Set([
+      ...this.books.keys(),
+      ...Array.from(this.syncState.values()).map(state => state.symbol)
+    ]);
+    symbols.forEach(symbol => this.remove(symbol));
+  }
+}
+
+export default OrderBookStore;
+export { SYNC_STATUS, DEFAULT_EXCHANGE, AGGREGATED_VENUE };
@@ -0,0 +1,123 @@
+import OrderBookStore, { SYNC_STATUS, AGGREGATED_VENUE } from './orderBookStore';
+import SCHEMAS, { parseWith } from './schemas';
+
+const snapshot = (version, bids, asks, extra = {}) => ({
+  type: 'orderbook_snapshot',
+  data: { Symbol: 'BTCUSDT', Exchange: 'Binance', Version: version, Bids: bids, Asks: asks, ...extra }
+});
+
+const delta = (version, prevVersion, bids, asks = []) => ({
+  type: 'orderbook_delta',
+  data: { Symbol: 'BTCUSDT', Exchange: 'Binance', Version: version, PrevVersion: prevVersion, Bids: bids, Asks: asks }
+});
+
+const levels = (side) => side.top().map(({ price, quantity }) => [price.toString(), quantity.toString()]);
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('OrderBookStore', () => {
+  test('applies a snapshot and in-sequence deltas', () => {
+    const store = new OrderBookStore();
+    store.handleMessage(snapshot(1, [['100', '1'], ['99', '2']], [['101', '1']]));
+    store.handleMessage(delta(2, 1, [['100', '0'], ['98', '3']], [['101', '4']]));
+
+    const book = store.getBook('BTCUSDT');
+    expect(levels(book.Bids)).toEqual([['99', '2'], ['98', '3']]);
+    expect(levels(book.Asks)).toEqual([['101', '4']]);
+    expect(store.getVenueBook('BTCUSDT', 'Binance').Version).toBe(2);
+    expect(store.getStatus('BTCUSDT')).toBe(SYNC_STATUS.LIVE);
+  });
+
+  test('drops duplicate deltas and snapshots older than the book', () => {
+    const store = new OrderBookStore();
+    store.handleMessage(snapshot(5, [['100', '1']], []));
+    store.handleMessage(delta(5, 4, [['100', '9']]));
+    store.handleMessage(snapshot(3, [['90', '1']], []));
+
+    expect(levels(store.getBook('BTCUSDT').Bids)).toEqual([['100', '1']]);
+  });
+
+  test('waits for the next stream snapshot after a gap without a REST source', () => {
+    const store = new OrderBookStore();
+    const resyncs = [];
+    store.on('resync', event => resyncs.push(event));
+
+    store.handleMessage(snapshot(1, [['100', '1']], []));
+    store.handleMessage(delta(3, 2, [['100', '2']]));
+
+    expect(resyncs).toEqual([{ symbol: 'BTCUSDT', venue: 'Binance', reason: 'sequence gap: expected 2, got 3' }]);
+    expect(store.getStatus('BTCUSDT')).toBe(SYNC_STATUS.AWAITING_SNAPSHOT);
+    expect(store.getVenueBook('BTCUSDT', 'Binance')).toBeNull();
+  });
+
+  test('resyncs a gap from REST and replays the deltas buffered meanwhile', async () => {
+    let answer;
+    const fetchSnapshot = jest.fn(() => new Promise(resolve => { answer = resolve; }));
+    const store = new OrderBookStore({ fetchSnapshot });
+
+    store.handleMessage(snapshot(1, [['100', '1']], []));
+    store.handleMessage(delta(4, 3, [['100', '4']]));
+    expect(store.getStatus('BTCUSDT')).toBe(SYNC_STATUS.RESYNCING);
+    await flush();
+    expect(fetchSnapshot).toHaveBeenCalledWith('BTCUSDT', 'Binance');
+
+    // Arrives while the snapshot is in flight
+    store.handleMessage(delta(5, 4, [['99', '5']]));
+
+    answer({ Symbol: 'BTCUSDT', Version: 4, Bids: [['100', '4']], Asks: [] });
+    await flush();
+
+    expect(store.getStatus('BTCUSDT')).toBe(SYNC_STATUS.LIVE);
+    expect(levels(store.getBook('BTCUSDT').Bids)).toEqual([['100', '4'], ['99', '5']]);
+    expect(store.getVenueBook('BTCUSDT', 'Binance').Version).toBe(5);
+  });
+
+  test('consolidates venues and forgets removed symbols', () => {
+    const store = new OrderBookStore();
+    store.handleMessage(snapshot(1, [['100', '1']], []));
+    store.handleMessage(snapshot(1, [['100', '2']], [], { Exchange: 'Kraken' }));
+
+    const [best] = store.getBook('BTCUSDT').Bids.top(1);
+    expect(best.quantity.toString()).toBe('3');
+    expect(Object.keys(best.venues).sort()).toEqual(['Binance', 'Kraken']);
+
+    store.remove('BTCUSDT');
+    expect(store.getBook('BTCUSDT')).toBeNull();
+    expect(store.getStatus('BTCUSDT')).toBeNull();
+  });
+
+  test('merges a REST book into the stream book of the same venue', () => {
+    const store = new OrderBookStore();
+    store.handleMessage(snapshot(1, [['100', '1']], []));
+
+    // As OrderBookAPI.getOrderBook hands it over
+    const { value: rest } = parseWith(SCHEMAS.orderBook, { symbol: 'btcusdt', exchange: 'Binance', sequence: 2, bids: [['100', '2']], asks: [] });
+    store.applyRestSnapshot('BTCUSDT', rest);
+
+    const [best] = store.getBook('BTCUSDT').Bids.top(1);
+    expect(best.quantity.toString()).toBe('2');
+    expect(Object.keys(store.getVenueBooks('BTCUSDT'))).toEqual(['Binance']);
+  });
+
+  test('lets a polled book stand in for the stream venues while the stream is down', () => {
+    const store = new OrderBookStore();
+    store.handleMessage(snapshot(1, [['100', '1']], []));
+    store.handleMessage(snapshot(1, [['100', '2']], [], { Exchange: 'Kraken' }));
+
+    store.applyPolledSnapshot('BTCUSDT', { Sources: ['Binance', 'Kraken'], Bids: [['100', '3']], Asks: [] });
+    let [best] = store.getBook('BTCUSDT').Bids.top(1);
+    expect(best.quantity.toString()).toBe('3');
+    expect(Object.keys(store.getVenueBooks('BTCUSDT'))).toEqual([AGGREGATED_VENUE]);
+
+    // Stream recovered: the stand-in goes, the stream venues come back
+    store.resyncSymbol('BTCUSDT', 'stream recovered');
+    expect(store.getVenueBooks('BTCUSDT')).toEqual({});
+    store.handleMessage(snapshot(2, [['100', '1']], []));
+    store.handleMessage(snapshot(2, [['100', '2']], [], { Exchange: 'Kraken' }));
+
+    [best] = store.getBook('BTCUSDT').Bids.top(1);
+    expect(best.quantity.toString()).toBe('3');
+    expect(Object.keys(best.venues).sort()).toEqual(['Binance', 'Kraken']);
+    expect(store.getStatus('BTCUSDT')).toBe(SYNC_STATUS.LIVE);
+  });
+});
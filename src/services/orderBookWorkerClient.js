@@ -0,0 +1,454 @@
+// services/orderBookWorkerClient.js
+import { unpackBook } from './bookSnapshot';
+import { OrderBookWebSocketService } from './websocket';
+import { APIError, API_ERROR_KIND } from './api';
+
+// Options handed through to the worker's OrderBookWebSocketService when given
+const SOCKET_OPTIONS = [
+  'reconnectAttempts',
+  'keepRetrying',
+  'reconnectInterval',
+  'heartbeatInterval',
+  'pongTimeout',
+  'maxReconnectInterval',
+  'failoverAttempts',
+  'healthCheck',
+  'healthCheckTimeout',
+  'authMode',
+  'authParam',
+  'subscribeTimeout',
+  'subscribeRetries',
+  'hiddenMode',
+  'hiddenDepth',
+  'hiddenThrottle',
+  'maxQueueSize',
+  'queueTTL'
+];
+
+/**
+ * Main-thread side of the worker pipeline (see workers/orderBook.worker.js).
+ * Offers the same connection interface as OrderBookWebSocketService (connect, subscribe,
+ * send, getStats, 'connecting' / 'connected' / 'disconnected' / 'error' events) except that
+ * raw messages stay in the worker: instead it emits the books the worker maintains, as
+ * 'update' / 'resync' / 'bookError' events shaped like OrderBookStore's. Subscription
+ * acknowledgements are mirrored as 'subscriptionStatus' events, and setVisible / setOnline /
+ * resume are forwarded to the worker's socket, which reports back 'suspended' / 'resumed'.
+ */
+class OrderBookWorkerClient {
+  constructor(url, options = {}) {
+    this.endpoints = OrderBookWebSocketService.normalizeEndpoints(url);
+    this.url = this.endpoints[0]?.url;
+    this.options = {
+      debug: false,
+      apiUrl: null,          // REST API for resync snapshots and polling
+      maxDepth: 20,
+      frameInterval: 16,
+      statsInterval: 1000,
+      messageAdapter: 'auto',
+      codec: 'json',
+      auth: null,            // Auth provider; stays on this thread and hands tokens to the worker
+      ...options
+    };
+
+    this.worker = null;
+    this.generation = 0;            // Bumped by connect/disconnect so a stale worker load is discarded
+    this.pending = [];              // Messages posted before the worker finished loading
+    this.subscriptions = new Map(); // channel -> number of subscribers, replayed to every new worker
+    this.subscriptionStatus = new Map(); // channel -> { status, error }, as reported by the worker
+    this.requests = new Map();
+    this.requestCounter = 0;
+
+    this.isConnected = false;
+    this.readyState = WebSocket.CLOSED;
+    this.visible = true; // Kept here as well so a new worker starts in the same state
+    this.online = true;
+    this.stats = {};
+    this.metrics = null; // Latest FeedMetrics snapshot from the worker
+    this.rateLimit = { queued: 0, active: 0, throttled: false, pausedUntil: null }; // The worker's REST rate limiter
+    this.circuits = {}; // endpoint -> { state, failures, retryAt } of the worker's REST calls
+
+    this.eventListeners = new Map();
+  }
+
+  // Event system
+  on(event, callback) {
+    if (!this.eventListeners.has(event)) {
+      this.eventListeners.set(event, new Set());
+    }
+    this.eventListeners.get(event).add(callback);
+    return () => this.off(event, callback);
+  }
+
+  off(event, callback) {
+    if (this.eventListeners.has(event)) {
+      this.eventListeners.get(event).delete(callback);
+    }
+  }
+
+  emit(event, data) {
+    if (this.eventListeners.has(event)) {
+      this.eventListeners.get(event).forEach(callback => {
+        try {
+          callback(data);
+        } catch (error) {
+          this.log('Error in event callback:', error);
+        }
+      });
+    }
+  }
+
+  // Logging
+  log(message, data = '') {
+    if (this.options.debug) {
+      console.log(`[OrderBookWorker] ${message}`, data);
+    }
+  }
+
+  // Load the worker and let it open the socket
+  async connect() {
+    if (this.worker) return;
+
+    const generation = ++this.generation;
+    this.readyState = WebSocket.CONNECTING;
+    this.emit('connecting', {});
+
+    try {
+      // Loaded lazily so the worker bundle (and import.meta) is only pulled in when used
+      const { default: createOrderBookWorker } = await import('../workers/createOrderBookWorker');
+      if (generation !== this.generation) return;
+
+      this.worker = createOrderBookWorker();
+    } catch (error) {
+      this.readyState = WebSocket.CLOSED;
+      this.emit('error', error);
+      return;
+    }
+
+    this.worker.onmessage = (event) => this.handleWorkerMessage(event.data);
+    this.worker.onerror = (event) => {
+      this.emit('error', new Error(event.message || 'Order book worker failed'));
+    };
+
+    const { debug, apiUrl, maxDepth, frameInterval, statsInterval, messageAdapter, codec } = this.options;
+    const socket = Object.fromEntries(SOCKET_OPTIONS
+      .filter(key => this.options[key] !== undefined)
+      .map(key => [key, this.options[key]]));
+
+    this.worker.postMessage({
+      type: 'init',
+      options: {
+        wsUrl: this.endpoints.length > 0 ? this.endpoints : null,
+        debug, apiUrl, maxDepth, frameInterval, statsInterval, messageAdapter, codec, socket,
+        auth: Boolean(this.options.auth),
+        visible: this.visible,
+        online: this.online
+      }
+    });
+
+    if (this.subscriptions.size > 0) {
+      this.worker.postMessage({ type: 'subscribe', channels: Array.from(this.subscriptions.keys()) });
+    }
+    this.pending.forEach(message => this.worker.postMessage(message));
+    this.pending = [];
+    this.log('Worker started');
+  }
+
+  // Terminate the worker (and with it the socket and books)
+  disconnect() {
+    this.generation++;
+
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+      this.log('Worker stopped');
+    }
+
+    this.requests.forEach(request => request.reject(new Error('Order book worker stopped')));
+    this.requests.clear();
+    this.pending = [];
+    this.subscriptions.clear();
+    this.subscriptionStatus.clear();
+
+    const wasConnected = this.isConnected;
+    this.isConnected = false;
+    this.readyState = WebSocket.CLOSED;
+    if (wasConnected) {
+      this.emit('disconnected', { code: 1000, reason: 'Manual disconnect', wasClean: true, willReconnect: false });
+    }
+  }
+
+  reconnect() {
+    this.post({ type: 'reconnect' });
+  }
+
+  // Like OrderBookWebSocketService.switchEndpoint; 'endpointChanged' follows from the worker
+  switchEndpoint(target) {
+    this.post({ type: 'switchEndpoint', target });
+  }
+
+  /**
+   * Update the worker's book settings (REST API, depth, message adapter)
+   * @param {Object} options - Any of apiUrl, maxDepth, messageAdapter
+   */
+  configure(options = {}) {
+    this.options = { ...this.options, ...options };
+    this.post({ type: 'configure', options });
+  }
+
+  post(message) {
+    if (!this.worker) {
+      this.pending.push(message);
+      return;
+    }
+    this.worker.postMessage(message);
+  }
+
+  handleWorkerMessage(message) {
+    switch (message.type) {
+      case 'books':
+        message.books.forEach(packet => {
+          this.emit('update', {
+            symbol: packet.symbol,
+            venue: packet.venue,
+            kind: packet.kind,
+            book: unpackBook(packet)
+          });
+        });
+        break;
+
+      case 'connection': {
+        const wasConnected = this.isConnected;
+        this.isConnected = message.state.isConnected;
+        this.readyState = message.state.readyState;
+
+        if (this.isConnected && !wasConnected) {
+          this.emit('connected', {});
+        } else if (!this.isConnected && wasConnected) {
+          this.emit('disconnected', message.state.event || {});
+        }
+        break;
+      }
+
+      case 'stats':
+        this.stats = message.stats;
+        this.metrics = message.metrics;
+        break;
+
+      case 'rateLimit':
+        this.rateLimit = message.state;
+        this.emit('rateLimit', message.state);
+        break;
+
+      case 'circuits':
+        this.circuits = message.circuits;
+        this.emit('circuits', message.circuits);
+        break;
+
+      case 'resync':
+        this.emit('resync', { symbol: message.symbol, venue: message.venue, reason: message.reason });
+        break;
+
+      case 'endpoint':
+        this.url = message.event.url;
+        this.emit('endpointChanged', message.event);
+        break;
+
+      case 'reconnectFailed':
+        this.emit('reconnectFailed', message.event);
+        break;
+
+      case 'suspended':
+      case 'resumed':
+        this.emit(message.type, message.event);
+        break;
+
+      case 'subscriptionStatus': {
+        const { channel, status, error } = message.event;
+        if (status === null) {
+          this.subscriptionStatus.delete(channel);
+        } else {
+          this.subscriptionStatus.set(channel, { status, error });
+        }
+        this.emit('subscriptionStatus', message.event);
+        break;
+      }
+
+      case 'error': {
+        const error = Object.assign(new Error(message.error.message), message.error, { source: message.source });
+        this.emit(message.source === 'socket' ? 'error' : 'bookError', error);
+        break;
+      }
+
+      case 'token':
+        this.provideToken(message);
+        break;
+
+      case 'fetched':
+      case 'recording': {
+        const request = this.requests.get(message.requestId);
+        if (!request) break;
+
+        this.requests.delete(message.requestId);
+        if (message.error) {
+          request.reject(Object.assign(new Error(message.error.message), message.error));
+        } else {
+          request.resolve(message.ndjson);
+        }
+        break;
+      }
+
+      default:
+        break;
+    }
+  }
+
+  // Answer the worker's request for the current (or a refreshed) auth token
+  async provideToken({ requestId, refresh }) {
+    const { auth } = this.options;
+    try {
+      const token = refresh ? await auth.refreshToken() : await auth.getToken();
+      this.worker?.postMessage({ type: 'token', requestId, token });
+    } catch (error) {
+      this.worker?.postMessage({ type: 'token', requestId, error: { name: error.name, message: error.message } });
+    }
+  }
+
+  // Reference-counted like OrderBookWebSocketService.subscribe
+  subscribe(channels) {
+    const list = (Array.isArray(channels) ? channels : [channels]).map(OrderBookWebSocketService.toChannel);
+    const added = list.filter(channel => {
+      const count = this.subscriptions.get(channel) || 0;
+      this.subscriptions.set(channel, count + 1);
+      return count === 0;
+    });
+
+    if (added.length > 0 && this.worker) {
+      this.worker.postMessage({ type: 'subscribe', channels: added });
+    }
+    return true;
+  }
+
+  unsubscribe(channels) {
+    const list = (Array.isArray(channels) ? channels : [channels]).map(OrderBookWebSocketService.toChannel);
+    const removed = list.filter(channel => {
+      const count = this.subscriptions.get(channel) || 0;
+      if (count <= 1) {
+        this.subscriptions.delete(channel);
+        return count === 1;
+      }
+      this.subscriptions.set(channel, count - 1);
+      return false;
+    });
+
+    if (removed.length > 0 && this.worker) {
+      this.worker.postMessage({ type: 'unsubscribe', channels: removed });
+    }
+    return true;
+  }
+
+  // The worker acknowledges its socket's stream data itself (see OrderBookWebSocketService.acknowledge),
+  // so there's nothing to forward; kept so every connection offers the same interface
+  acknowledge() {}
+
+  // See OrderBookWebSocketService.setVisible / setOnline / resume; the worker resyncs its own books
+  setVisible(visible) {
+    if (visible === this.visible) return;
+    this.visible = visible;
+    if (this.worker) this.worker.postMessage({ type: 'visibility', visible });
+  }
+
+  setOnline(online) {
+    if (online === this.online) return;
+    this.online = online;
+    if (this.worker) this.worker.postMessage({ type: 'online', online });
+  }
+
+  resume(reason) {
+    if (this.worker) this.worker.postMessage({ type: 'resume', reason });
+  }
+
+  // { queued, active, throttled, pausedUntil } of the worker's REST calls (see OrderBookAPI.getRateLimitState)
+  getRateLimitState() {
+    return this.rateLimit;
+  }
+
+  // endpoint -> { state, failures, retryAt } (see OrderBookAPI.getCircuitStates)
+  getCircuitStates() {
+    return this.circuits;
+  }
+
+  // channel -> { status, error } (see OrderBookWebSocketService.getSubscriptionStatuses)
+  getSubscriptionStatuses() {
+    return Object.fromEntries(this.subscriptionStatus);
+  }
+
+  // Resync the worker's books for these symbols (see OrderBookStore.resyncSymbol)
+  resync(symbols, reason = 'manual') {
+    this.post({ type: 'resync', symbols: Array.isArray(symbols) ? symbols : [symbols], reason });
+  }
+
+  // Fetch and apply a REST snapshot inside the worker; resolves once it has been applied.
+  // `standIn` applies it in place of the stream's venue books (see OrderBookStore.applyPolledSnapshot);
+  // `signal` cancels it like an OrderBookAPI request, so a superseded poll never reaches the books
+  fetchSnapshot(symbol, { standIn = false, signal = null } = {}) {
+    if (signal?.aborted) {
+      return Promise.reject(new APIError('Request aborted', undefined, undefined, API_ERROR_KIND.ABORTED));
+    }
+
+    const requestId = this.nextRequestId();
+    const cancel = () => this.post({ type: 'cancelFetch', requestId });
+    signal?.addEventListener('abort', cancel, { once: true });
+
+    return new Promise((resolve, reject) => {
+      this.requests.set(requestId, { resolve, reject });
+      this.post({ type: 'fetch', symbol, standIn, requestId });
+    }).finally(() => signal?.removeEventListener('abort', cancel));
+  }
+
+  // Frames are recorded where the socket is, in the worker (see OrderBookWebSocketService.startRecording)
+  startRecording(options = {}) {
+    this.post({ type: 'startRecording', options });
+  }
+
+  stopRecording() {
+    const requestId = this.nextRequestId();
+    return new Promise((resolve, reject) => {
+      this.requests.set(requestId, { resolve, reject });
+      this.post({ type: 'stopRecording', requestId });
+    });
+  }
+
+  nextRequestId() {
+    return ++this.requestCounter;
+  }
+
+  send(data) {
+    this.post({ type: 'send', data });
+    return this.isConnected;
+  }
+
+  get reconnectAttempts() {
+    return this.stats.reconnectAttempts || 0;
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      isConnected: this.isConnected,
+      subscriptions: Array.from(this.subscriptions.keys()),
+      queuedMessages: this.pending.length + (this.stats.queuedMessages || 0)
+    };
+  }
+
+  getState() {
+    return {
+      isConnected: this.isConnected,
+      isConnecting: this.readyState === WebSocket.CONNECTING,
+      readyState: this.readyState,
+      url: this.url,
+      subscriptions: Array.from(this.subscriptions.keys())
+    };
+  }
+}
+
+export default OrderBookWorkerClient;
@@ -0,0 +1,264 @@
+// services/priceLevels.js
+import Decimal from './decimal';
+
+const MAX_LEVEL = 16;
+const LEVEL_PROBABILITY = 0.5;
+
+/**
+ * One side of an order book kept sorted by price.
+ * Backed by a skip list (O(log n) insert/remove) plus a price index
+ * (O(1) lookup); the best price is always the first node (O(1)).
+ * Prices and quantities are Decimals; the index is keyed by the canonical
+ * price string, so "0.10" and "0.1" address the same level.
+ * Consolidated sides built with setVenue() also carry a per-venue breakdown
+ * for every level, whose quantity is then the sum across venues.
+ */
+class PriceLevels {
+  /**
+   * @param {string} side - 'bids' (highest first) or 'asks' (lowest first)
+   */
+  constructor(side = 'bids') {
+    this.side = side;
+    this.descending = side === 'bids';
+    this.head = { price: null, quantity: null, next: new Array(MAX_LEVEL).fill(null) };
+    this.level = 1;
+    this.index = new Map();
+  }
+
+  /**
+   * Build levels from any supported side representation
+   * @param {PriceLevels|Object|Array} levels - PriceLevels, { price: qty } map or [price, qty] / {Price, Quantity} array
+   * @param {string} side - 'bids' or 'asks'
+   * @returns {PriceLevels} The input itself when it already is a PriceLevels
+   */
+  static from(levels, side = 'bids') {
+    if (levels instanceof PriceLevels) return levels;
+
+    const result = new PriceLevels(side);
+    if (Array.isArray(levels)) {
+      levels.forEach(level => {
+        if (Array.isArray(level)) {
+          result.set(level[0], level[1]);
+        } else if (level) {
+          result.set(level.Price ?? level.price, level.Quantity ?? level.quantity);
+        }
+      });
+    } else if (levels && typeof levels === 'object') {
+      Object.entries(levels).forEach(([price, quantity]) => result.set(price, quantity));
+    }
+    return result;
+  }
+
+  // Negative when price a sorts before price b on this side
+  compare(a, b) {
+    return this.descending ? b.cmp(a) : a.cmp(b);
+  }
+
+  randomLevel() {
+    let level = 1;
+    while (level < MAX_LEVEL && Math.random() < LEVEL_PROBABILITY) {
+      level++;
+    }
+    return level;
+  }
+
+  // Nodes preceding `price` on every level of the list
+  findPredecessors(price) {
+    const update = new Array(MAX_LEVEL);
+    let node = this.head;
+
+    for (let i = this.level - 1; i >= 0; i--) {
+      while (node.next[i] && this.compare(node.next[i].price, price) < 0) {
+        node = node.next[i];
+      }
+      update[i] = node;
+    }
+
+    return update;
+  }
+
+  /**
+   * Insert or update a level; a zero (or invalid) quantity removes it.
+   * The quantity is unattributed, so it replaces any per-venue breakdown the level had.
+   * @returns {boolean} True if the book changed
+   */
+  set(price, quantity) {
+    const levelPrice = Decimal.parse(price);
+    const size = Decimal.parse(quantity);
+
+    if (levelPrice === null || !levelPrice.isPositive()) return false;
+    if (size === null || !size.isPositive()) return this.remove(levelPrice);
+
+    const existing = this.index.get(levelPrice.toString());
+    if (existing) {
+      existing.quantity = size;
+      existing.venues = null;
+      return true;
+    }
+
+    this.insertNode(levelPrice, size);
+    return true;
+  }
+
+  /**
+   * Set one venue's quantity at a price; a zero quantity drops the venue from the level
+   * @returns {boolean} True if the book changed
+   */
+  setVenue(price, venue, quantity) {
+    const levelPrice = Decimal.parse(price);
+    const size = Decimal.parse(quantity);
+
+    if (levelPrice === null || !levelPrice.isPositive()) return false;
+
+    const node = this.index.get(levelPrice.toString());
+
+    if (size === null || !size.isPositive()) {
+      if (!node?.venues?.has(venue)) return false;
+
+      node.venues.delete(venue);
+      if (node.venues.size === 0) return this.remove(levelPrice);
+
+      node.quantity = Decimal.sum(Array.from(node.venues.values()));
+      return true;
+    }
+
+    if (!node) {
+      this.insertNode(levelPrice, size).venues = new Map([[venue, size]]);
+      return true;
+    }
+
+    node.venues = node.venues || new Map();
+    node.venues.set(venue, size);
+    node.quantity = Decimal.sum(Array.from(node.venues.values()));
+    return true;
+  }
+
+  // Link a new node into the list; the price must not be present yet
+  insertNode(levelPrice, size) {
+    const update = this.findPredecessors(levelPrice);
+    const level = this.randomLevel();
+
+    if (level > this.level) {
+      for (let i = this.level; i < level; i++) {
+        update[i] = this.head;
+      }
+      this.level = level;
+    }
+
+    const node = { price: levelPrice, quantity: size, venues: null, next: new Array(level).fill(null) };
+    for (let i = 0; i < level; i++) {
+      node.next[i] = update[i].next[i];
+      update[i].next[i] = node;
+    }
+
+    this.index.set(levelPrice.toString(), node);
+    return node;
+  }
+
+  /**
+   * Remove a price level
+   * @returns {boolean} True if the level existed
+   */
+  remove(price) {
+    const key = Decimal.parse(price)?.toString();
+    const node = this.index.get(key);
+    if (!node) return false;
+
+    const update = this.findPredecessors(node.price);
+    for (let i = 0; i < node.next.length; i++) {
+      if (update[i].next[i] === node) {
+        update[i].next[i] = node.next[i];
+      }
+    }
+
+    while (this.level > 1 && !this.head.next[this.level - 1]) {
+      this.level--;
+    }
+
+    this.index.delete(key);
+    return true;
+  }
+
+  get(price) {
+    return this.index.get(Decimal.parse(price)?.toString())?.quantity ?? Decimal.ZERO;
+  }
+
+  has(price) {
+    return this.index.has(Decimal.parse(price)?.toString());
+  }
+
+  clear() {
+    this.head.next.fill(null);
+    this.level = 1;
+    this.index.clear();
+  }
+
+  get size() {
+    return this.index.size;
+  }
+
+  // Public view of a node; venues is { venue: quantity } on consolidated sides, null otherwise
+  static toLevel(node) {
+    return {
+      price: node.price,
+      quantity: node.quantity,
+      venues: node.venues ? Object.fromEntries(node.venues) : null
+    };
+  }
+
+  /**
+   * Top of book
+   * @returns {Object|null} { price, quantity, venues } of the best level
+   */
+  best() {
+    const node = this.head.next[0];
+    return node ? PriceLevels.toLevel(node) : null;
+  }
+
+  // Iterate levels best-first as { price, quantity, venues }
+  *[Symbol.iterator]() {
+    let node = this.head.next[0];
+    while (node) {
+      yield PriceLevels.toLevel(node);
+      node = node.next[0];
+    }
+  }
+
+  /**
+   * Best `limit` levels, best-first
+   * @param {number} limit - Maximum number of levels (all when omitted)
+   * @returns {Array} [{ price, quantity, venues }]
+   */
+  top(limit = Infinity) {
+    const levels = [];
+    let node = this.head.next[0];
+    while (node && levels.length < limit) {
+      levels.push(PriceLevels.toLevel(node));
+      node = node.next[0];
+    }
+    return levels;
+  }
+
+  totalQuantity() {
+    let total = Decimal.ZERO;
+    this.index.forEach(node => {
+      total = total.add(node.quantity);
+    });
+    return total;
+  }
+
+  // Plain { price: quantity } map, used for serialisation
+  toObject() {
+    const result = {};
+    for (const { price, quantity } of this) {
+      result[price.toString()] = quantity.toString();
+    }
+    return result;
+  }
+
+  toJSON() {
+    return this.toObject();
+  }
+}
+
+export default PriceLevels;
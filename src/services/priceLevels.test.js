@@ -0,0 +1,74 @@
+import Decimal from './decimal';
+import PriceLevels from './priceLevels';
+
+const prices = (side) => side.top().map(({ price }) => price.toString());
+
+describe('PriceLevels', () => {
+  test('keeps bids highest first and asks lowest first', () => {
+    const bids = PriceLevels.from([['100', '1'], ['102', '1'], ['101', '1']], 'bids');
+    const asks = PriceLevels.from({ 103: '1', 101: '1', 102: '1' }, 'asks');
+
+    expect(prices(bids)).toEqual(['102', '101', '100']);
+    expect(prices(asks)).toEqual(['101', '102', '103']);
+    expect(bids.best().price.toString()).toBe('102');
+  });
+
+  test('addresses a level by its canonical price', () => {
+    const side = new PriceLevels('asks');
+    side.set('0.10', '1');
+    side.set('0.1', '2');
+
+    expect(side.size).toBe(1);
+    expect(side.get('0.100').toString()).toBe('2');
+    expect(side.has('0.1')).toBe(true);
+  });
+
+  test('removes a level on a zero quantity and ignores invalid prices', () => {
+    const side = PriceLevels.from([{ Price: '100', Quantity: '1' }, { price: '99', quantity: '2' }]);
+
+    expect(side.set('100', '0')).toBe(true);
+    expect(side.set('-1', '1')).toBe(false);
+    expect(side.set('abc', '1')).toBe(false);
+    expect(side.remove('42')).toBe(false);
+    expect(prices(side)).toEqual(['99']);
+    expect(side.get('100').isZero()).toBe(true);
+  });
+
+  test('stays sorted through many random updates', () => {
+    const side = new PriceLevels('bids');
+    const expected = new Map();
+    for (let i = 0; i < 500; i++) {
+      const price = String(1 + Math.floor(Math.random() * 200));
+      const quantity = Math.random() < 0.3 ? '0' : String(1 + Math.floor(Math.random() * 10));
+      side.set(price, quantity);
+      if (quantity === '0') expected.delete(price);
+      else expected.set(price, quantity);
+    }
+
+    const sorted = Array.from(expected.keys()).sort((a, b) => Number(b) - Number(a));
+    expect(prices(side)).toEqual(sorted);
+    expect(side.top(3)).toHaveLength(Math.min(3, sorted.length));
+  });
+
+  test('keeps the venue breakdown adding up to the level quantity', () => {
+    const side = new PriceLevels('bids');
+    side.setVenue('100', 'Binance', '1');
+    side.setVenue('100', 'Kraken', '2');
+    expect(side.best().quantity.toString()).toBe('3');
+    expect(side.best().venues).toEqual({ Binance: Decimal.from('1'), Kraken: Decimal.from('2') });
+
+    side.setVenue('100', 'Binance', '0');
+    expect(side.best().quantity.toString()).toBe('2');
+    expect(Object.keys(side.best().venues)).toEqual(['Kraken']);
+
+    // An unattributed quantity can't be split across venues, so it replaces the breakdown
+    side.set('100', '5');
+    expect(side.best()).toEqual({ price: Decimal.from('100'), quantity: Decimal.from('5'), venues: null });
+  });
+
+  test('serialises to a { price: quantity } map', () => {
+    const side = PriceLevels.from([['1.50', '2'], ['1.25', '0.5']], 'asks');
+    expect(JSON.stringify(side)).toBe('{"1.25":"0.5","1.5":"2"}');
+    expect(side.totalQuantity().toString()).toBe('2.5');
+  });
+});
@@ -0,0 +1,310 @@
+// services/protobuf.js
+/* global BigInt */
+import { toBytes, encodeUtf8, decodeUtf8 } from './msgpack';
+
+// Schema-driven protobuf (proto3 wire format) encoder/decoder.
+// A schema maps message names to their fields by number:
+//   { Level: { 1: { name: 'Price', type: 'string' }, 2: { name: 'Quantity', type: 'string' } } }
+// Field types: double, float, int32, int64, uint32, uint64, sint32, sint64, fixed32, fixed64,
+// sfixed32, sfixed64, bool, string, bytes, enum, message (with `message: 'TypeName'`).
+// `repeated: true` fields decode to arrays (packed or not); 64-bit integers decode to numbers
+// when they are safe, BigInts otherwise. Unknown fields are skipped.
+
+const WIRE_TYPE = {
+  VARINT: 0,
+  FIXED64: 1,
+  LENGTH_DELIMITED: 2,
+  FIXED32: 5
+};
+
+const SCALAR_WIRE_TYPES = {
+  double: WIRE_TYPE.FIXED64,
+  float: WIRE_TYPE.FIXED32,
+  int32: WIRE_TYPE.VARINT,
+  int64: WIRE_TYPE.VARINT,
+  uint32: WIRE_TYPE.VARINT,
+  uint64: WIRE_TYPE.VARINT,
+  sint32: WIRE_TYPE.VARINT,
+  sint64: WIRE_TYPE.VARINT,
+  fixed32: WIRE_TYPE.FIXED32,
+  fixed64: WIRE_TYPE.FIXED64,
+  sfixed32: WIRE_TYPE.FIXED32,
+  sfixed64: WIRE_TYPE.FIXED64,
+  bool: WIRE_TYPE.VARINT,
+  enum: WIRE_TYPE.VARINT
+};
+
+const UINT64_MASK = (1n << 64n) - 1n;
+
+const fromBigInt = (value) => (
+  value >= BigInt(Number.MIN_SAFE_INTEGER) && value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value
+);
+
+const getMessageFields = (schema, typeName) => {
+  const fields = schema[typeName];
+  if (!fields) {
+    throw new Error(`Unknown protobuf message type: ${typeName}`);
+  }
+  return fields;
+};
+
+// ===== DECODING =====
+
+class Reader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    this.offset = 0;
+  }
+
+  check(size) {
+    if (this.offset + size > this.bytes.length) {
+      throw new RangeError('Unexpected end of protobuf data');
+    }
+  }
+
+  varint() {
+    let result = 0n;
+    let shift = 0n;
+
+    for (;;) {
+      this.check(1);
+      const byte = this.bytes[this.offset++];
+      result |= BigInt(byte & 0x7f) << shift;
+      if ((byte & 0x80) === 0) return result;
+
+      shift += 7n;
+      if (shift >= 70n) throw new RangeError('Malformed protobuf varint');
+    }
+  }
+
+  fixed(method, size) {
+    this.check(size);
+    const value = this.view[method](this.offset, true);
+    this.offset += size;
+    return value;
+  }
+
+  slice(length) {
+    this.check(length);
+    const bytes = this.bytes.subarray(this.offset, this.offset + length);
+    this.offset += length;
+    return bytes;
+  }
+
+  skip(wireType) {
+    switch (wireType) {
+      case WIRE_TYPE.VARINT: this.varint(); break;
+      case WIRE_TYPE.FIXED64: this.slice(8); break;
+      case WIRE_TYPE.LENGTH_DELIMITED: this.slice(Number(this.varint())); break;
+      case WIRE_TYPE.FIXED32: this.slice(4); break;
+      default:
+        throw new TypeError(`Unsupported protobuf wire type ${wireType}`);
+    }
+  }
+}
+
+const decodeScalar = (reader, type) => {
+  switch (type) {
+    case 'double': return reader.fixed('getFloat64', 8);
+    case 'float': return reader.fixed('getFloat32', 4);
+    case 'fixed32': return reader.fixed('getUint32', 4);
+    case 'sfixed32': return reader.fixed('getInt32', 4);
+    case 'fixed64': return fromBigInt(reader.fixed('getBigUint64', 8));
+    case 'sfixed64': return fromBigInt(reader.fixed('getBigInt64', 8));
+    case 'bool': return reader.varint() !== 0n;
+    case 'uint32': return Number(BigInt.asUintN(32, reader.varint()));
+    case 'uint64': return fromBigInt(BigInt.asUintN(64, reader.varint()));
+    case 'int32':
+    case 'enum': return Number(BigInt.asIntN(32, reader.varint()));
+    case 'int64': return fromBigInt(BigInt.asIntN(64, reader.varint()));
+    case 'sint32':
+    case 'sint64': {
+      const value = reader.varint();
+      return fromBigInt((value >> 1n) ^ -(value & 1n));
+    }
+    default:
+      throw new TypeError(`Unknown protobuf field type: ${type}`);
+  }
+};
+
+const decodeFields = (schema, typeName, reader, end) => {
+  const fields = getMessageFields(schema, typeName);
+  const result = {};
+
+  Object.values(fields).forEach(field => {
+    if (field.repeated) result[field.name] = [];
+  });
+
+  while (reader.offset < end) {
+    const tag = Number(reader.varint());
+    const fieldNumber = tag >>> 3;
+    const wireType = tag & 0x7;
+    const field = fields[fieldNumber];
+
+    if (!field) {
+      reader.skip(wireType);
+      continue;
+    }
+
+    let values;
+    if (field.type === 'message') {
+      const length = Number(reader.varint());
+      values = [decodeFields(schema, field.message, reader, reader.offset + length)];
+    } else if (field.type === 'string') {
+      values = [decodeUtf8(reader.slice(Number(reader.varint())))];
+    } else if (field.type === 'bytes') {
+      values = [reader.slice(Number(reader.varint())).slice()];
+    } else if (wireType === WIRE_TYPE.LENGTH_DELIMITED) {
+      // Packed repeated scalars
+      const length = Number(reader.varint());
+      const packedEnd = reader.offset + length;
+      values = [];
+      while (reader.offset < packedEnd) {
+        values.push(decodeScalar(reader, field.type));
+      }
+    } else {
+      values = [decodeScalar(reader, field.type)];
+    }
+
+    if (field.repeated) {
+      result[field.name].push(...values);
+    } else {
+      result[field.name] = values[values.length - 1];
+    }
+  }
+
+  if (reader.offset !== end) {
+    throw new RangeError(`Malformed protobuf message: ${typeName}`);
+  }
+
+  return result;
+};
+
+/**
+ * Decode a protobuf message
+ * @param {Object} schema - Message definitions (see top of file)
+ * @param {string} typeName - Message type to decode
+ * @param {ArrayBuffer|Uint8Array} data - Encoded bytes
+ * @returns {Object} Decoded message; absent scalar fields are omitted, repeated fields default to []
+ */
+const decodeMessage = (schema, typeName, data) => {
+  const reader = new Reader(toBytes(data));
+  return decodeFields(schema, typeName, reader, reader.bytes.length);
+};
+
+// ===== ENCODING =====
+
+class Writer {
+  constructor() {
+    this.chunks = [];
+    this.length = 0;
+  }
+
+  push(bytes) {
+    this.chunks.push(bytes);
+    this.length += bytes.length;
+  }
+
+  varint(value) {
+    let remaining = BigInt.asUintN(64, BigInt(value));
+    const bytes = [];
+    while (remaining > 0x7fn) {
+      bytes.push(Number(remaining & 0x7fn) | 0x80);
+      remaining >>= 7n;
+    }
+    bytes.push(Number(remaining));
+    this.push(Uint8Array.from(bytes));
+  }
+
+  fixed(method, size, value) {
+    const bytes = new Uint8Array(size);
+    new DataView(bytes.buffer)[method](0, value, true);
+    this.push(bytes);
+  }
+
+  lengthDelimited(bytes) {
+    this.varint(bytes.length);
+    this.push(bytes);
+  }
+
+  result() {
+    const bytes = new Uint8Array(this.length);
+    let offset = 0;
+    this.chunks.forEach(chunk => {
+      bytes.set(chunk, offset);
+      offset += chunk.length;
+    });
+    return bytes;
+  }
+}
+
+// Integers may arrive as numbers, numeric strings or BigInts
+const toInteger = (value) => BigInt(typeof value === 'number' ? Math.trunc(value) : value);
+
+const encodeScalar = (writer, type, value) => {
+  switch (type) {
+    case 'double': writer.fixed('setFloat64', 8, Number(value)); break;
+    case 'float': writer.fixed('setFloat32', 4, Number(value)); break;
+    case 'fixed32': writer.fixed('setUint32', 4, Number(value)); break;
+    case 'sfixed32': writer.fixed('setInt32', 4, Number(value)); break;
+    case 'fixed64': writer.fixed('setBigUint64', 8, BigInt.asUintN(64, toInteger(value))); break;
+    case 'sfixed64': writer.fixed('setBigInt64', 8, BigInt.asIntN(64, toInteger(value))); break;
+    case 'bool': writer.varint(value ? 1 : 0); break;
+    case 'int32':
+    case 'int64':
+    case 'uint32':
+    case 'uint64':
+    case 'enum': writer.varint(toInteger(value)); break;
+    case 'sint32':
+    case 'sint64': {
+      const integer = toInteger(value);
+      writer.varint(((integer << 1n) ^ (integer < 0n ? UINT64_MASK : 0n)) & UINT64_MASK);
+      break;
+    }
+    default:
+      throw new TypeError(`Unknown protobuf field type: ${type}`);
+  }
+};
+
+const encodeFields = (schema, typeName, value) => {
+  const fields = getMessageFields(schema, typeName);
+  const writer = new Writer();
+
+  Object.entries(fields).forEach(([number, field]) => {
+    const fieldValue = value[field.name];
+    if (fieldValue === undefined || fieldValue === null) return;
+
+    const fieldNumber = Number(number);
+    const items = field.repeated ? fieldValue : [fieldValue];
+
+    items.forEach(item => {
+      if (field.type === 'message') {
+        writer.varint((fieldNumber << 3) | WIRE_TYPE.LENGTH_DELIMITED);
+        writer.lengthDelimited(encodeFields(schema, field.message, item));
+      } else if (field.type === 'string') {
+        writer.varint((fieldNumber << 3) | WIRE_TYPE.LENGTH_DELIMITED);
+        writer.lengthDelimited(encodeUtf8(String(item)));
+      } else if (field.type === 'bytes') {
+        writer.varint((fieldNumber << 3) | WIRE_TYPE.LENGTH_DELIMITED);
+        writer.lengthDelimited(toBytes(item));
+      } else {
+        writer.varint((fieldNumber << 3) | SCALAR_WIRE_TYPES[field.type]);
+        encodeScalar(writer, field.type, item);
+      }
+    });
+  });
+
+  return writer.result();
+};
+
+/**
+ * Encode a protobuf message
+ * @param {Object} schema - Message definitions (see top of file)
+ * @param {string} typeName - Message type to encode
+ * @param {Object} value - Plain object keyed by field name; unknown keys are ignored
+ * @returns {Uint8Array} Encoded bytes
+ */
+const encodeMessage = (schema, typeName, value) => encodeFields(schema, typeName, value || {});
+
+export { decodeMessage, encodeMessage };
@@ -0,0 +1,57 @@
+/**
+ * @jest-environment node
+ */
+import { decodeMessage, encodeMessage } from './protobuf';
+import { ORDERBOOK_SCHEMA } from './codecs';
+
+const SCHEMA = {
+  Sample: {
+    1: { name: 'name', type: 'string' },
+    2: { name: 'count', type: 'uint32' },
+    3: { name: 'offset', type: 'sint64' },
+    4: { name: 'ids', type: 'uint32', repeated: true },
+    5: { name: 'ratio', type: 'double' },
+    6: { name: 'child', type: 'message', message: 'Sample' }
+  }
+};
+
+const hex = (bytes) => Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join(' ');
+
+describe('protobuf', () => {
+  test('encodes fields with their wire types', () => {
+    expect(hex(encodeMessage(SCHEMA, 'Sample', { name: 'a', count: 150 }))).toBe('0a 01 61 10 96 01');
+    expect(hex(encodeMessage(SCHEMA, 'Sample', { offset: -1 }))).toBe('18 01');
+  });
+
+  test('round-trips scalars, repeated fields and nested messages', () => {
+    const message = { name: 'book', count: 3, offset: -42, ids: [1, 300], ratio: 0.25, child: { name: 'inner', ids: [] } };
+    expect(decodeMessage(SCHEMA, 'Sample', encodeMessage(SCHEMA, 'Sample', message))).toEqual(message);
+  });
+
+  test('reads packed repeated scalars and skips unknown fields', () => {
+    // ids packed as [1, 2], then unknown field 9 (varint)
+    const bytes = new Uint8Array([0x22, 0x02, 0x01, 0x02, 0x48, 0x05]);
+    expect(decodeMessage(SCHEMA, 'Sample', bytes)).toEqual({ ids: [1, 2] });
+  });
+
+  test('decodes order book envelopes with exact decimal strings', () => {
+    const envelope = {
+      type: 'orderbook_snapshot',
+      sequence: 7,
+      channels: [],
+      data: {
+        Symbol: 'BTCUSDT',
+        Bids: [{ Price: '64993.50', Quantity: '0.10000000' }],
+        Asks: [],
+        Version: 7,
+        Sources: ['binance'],
+        IsDelta: false
+      }
+    };
+    expect(decodeMessage(ORDERBOOK_SCHEMA, 'Envelope', encodeMessage(ORDERBOOK_SCHEMA, 'Envelope', envelope))).toEqual(envelope);
+  });
+
+  test('rejects truncated messages', () => {
+    expect(() => decodeMessage(SCHEMA, 'Sample', new Uint8Array([0x0a, 0x05, 0x61]))).toThrow(RangeError);
+  });
+});
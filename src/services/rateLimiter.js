@@ -0,0 +1,157 @@
+// services/rateLimiter.js
+
+/**
+ * Token bucket with a concurrency cap, gating OrderBookAPI requests.
+ *
+ * Every request takes a token (refilled at `rate` per second, up to `burst`) and a slot (at most
+ * `maxConcurrent` at once); requests that can't have both wait in line, first come first
+ * served. `pauseUntil` holds every request back, e.g. for a server's Retry-After.
+ * 'state' events report { queued, active, throttled, pausedUntil } whenever they change.
+ */
+class RateLimiter {
+  constructor(options = {}) {
+    this.options = {
+      rate: 10,         // Requests per second, sustained
+      burst: 20,        // Requests that may go out at once after a quiet spell
+      maxConcurrent: 6, // Requests in flight at the same time
+      ...options
+    };
+
+    this.tokens = this.options.burst;
+    this.refilledAt = Date.now();
+    this.active = 0;
+    this.queue = [];       // { resolve, reject, signal, abort } waiting for a token and a slot
+    this.pausedUntil = 0;  // Epoch ms before which nothing goes out
+    this.timer = null;
+    this.lastState = null;
+
+    this.eventListeners = new Map();
+  }
+
+  // Event system
+  on(event, callback) {
+    if (!this.eventListeners.has(event)) {
+      this.eventListeners.set(event, new Set());
+    }
+    this.eventListeners.get(event).add(callback);
+    return () => this.off(event, callback);
+  }
+
+  off(event, callback) {
+    if (this.eventListeners.has(event)) {
+      this.eventListeners.get(event).delete(callback);
+    }
+  }
+
+  emit(event, data) {
+    if (this.eventListeners.has(event)) {
+      this.eventListeners.get(event).forEach(callback => {
+        try {
+          callback(data);
+        } catch (error) {
+          console.error('Error in rate limiter callback:', error);
+        }
+      });
+    }
+  }
+
+  /**
+   * Wait for a token and a free slot
+   * @param {AbortSignal} signal - Gives up the place in line, rejecting with the signal's reason
+   * @returns {Promise<Function>} Resolves with a function that frees the slot again
+   */
+  acquire(signal = null) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      const waiter = { resolve, reject, signal, abort: null };
+      waiter.abort = () => {
+        this.queue = this.queue.filter(entry => entry !== waiter);
+        reject(signal.reason);
+        this.process();
+      };
+      signal?.addEventListener('abort', waiter.abort, { once: true });
+
+      this.queue.push(waiter);
+      this.process();
+    });
+  }
+
+  // Hold every request back until the given time (never shortens an earlier pause)
+  pauseUntil(time) {
+    if (time <= this.pausedUntil) return;
+
+    this.pausedUntil = time;
+    this.process();
+  }
+
+  refill(now) {
+    const elapsed = (now - this.refilledAt) / 1000;
+    this.tokens = Math.min(this.options.burst, this.tokens + elapsed * this.options.rate);
+    this.refilledAt = now;
+  }
+
+  // Let waiting requests go as far as tokens, slots and pauses allow, and plan the next check
+  process() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const now = Date.now();
+    this.refill(now);
+    const paused = now < this.pausedUntil;
+
+    while (!paused && this.queue.length > 0 && this.active < this.options.maxConcurrent && this.tokens >= 1) {
+      const waiter = this.queue.shift();
+      waiter.signal?.removeEventListener('abort', waiter.abort);
+      this.tokens--;
+      this.active++;
+      waiter.resolve(this.releaser());
+    }
+
+    // Slots come back through their release; tokens and the end of a pause need a timer
+    if (paused) {
+      this.timer = setTimeout(() => this.process(), this.pausedUntil - now);
+    } else if (this.queue.length > 0 && this.active < this.options.maxConcurrent) {
+      this.timer = setTimeout(() => this.process(), ((1 - this.tokens) / this.options.rate) * 1000);
+    }
+
+    this.emitState(now);
+  }
+
+  releaser() {
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      this.active--;
+      this.process();
+    };
+  }
+
+  getState(now = Date.now()) {
+    const paused = now < this.pausedUntil;
+    return {
+      queued: this.queue.length,
+      active: this.active,
+      throttled: paused || (this.queue.length > 0 && this.tokens < 1),
+      pausedUntil: paused ? this.pausedUntil : null
+    };
+  }
+
+  emitState(now) {
+    const state = this.getState(now);
+    const last = this.lastState;
+    if (last && last.queued === state.queued && last.active === state.active &&
+        last.throttled === state.throttled && last.pausedUntil === state.pausedUntil) {
+      return;
+    }
+
+    this.lastState = state;
+    this.emit('state', state);
+  }
+}
+
+export default RateLimiter;
@@ -0,0 +1,83 @@
+/**
+ * @jest-environment node
+ */
+import RateLimiter from './rateLimiter';
+
+// Settles promise callbacks queued by the limiter
+const flush = () => Promise.resolve().then(() => Promise.resolve());
+
+describe('RateLimiter', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(0);
+  });
+
+  afterEach(() => jest.useRealTimers());
+
+  test('lets a burst through, then refills at the sustained rate', async () => {
+    const limiter = new RateLimiter({ rate: 10, burst: 2, maxConcurrent: 10 });
+    const granted = [];
+    for (let i = 0; i < 4; i++) limiter.acquire().then(() => granted.push(i));
+
+    await flush();
+    expect(granted).toEqual([0, 1]);
+    expect(limiter.getState()).toMatchObject({ queued: 2, active: 2, throttled: true });
+
+    jest.advanceTimersByTime(100);
+    await flush();
+    expect(granted).toEqual([0, 1, 2]);
+
+    jest.advanceTimersByTime(100);
+    await flush();
+    expect(granted).toEqual([0, 1, 2, 3]);
+  });
+
+  test('caps concurrency until a slot is released', async () => {
+    const limiter = new RateLimiter({ maxConcurrent: 1 });
+    const release = await limiter.acquire();
+    let second = false;
+    limiter.acquire().then(() => { second = true; });
+
+    await flush();
+    expect(second).toBe(false);
+
+    release();
+    release(); // Releasing twice frees one slot only
+    await flush();
+    expect(second).toBe(true);
+    expect(limiter.active).toBe(1);
+  });
+
+  test('holds everything back while paused', async () => {
+    const limiter = new RateLimiter();
+    const states = [];
+    limiter.on('state', state => states.push(state));
+    limiter.pauseUntil(5000);
+    limiter.pauseUntil(1000); // Never shortens a pause
+
+    let granted = false;
+    limiter.acquire().then(() => { granted = true; });
+    jest.advanceTimersByTime(4999);
+    await flush();
+    expect(granted).toBe(false);
+    expect(limiter.getState()).toMatchObject({ queued: 1, throttled: true, pausedUntil: 5000 });
+
+    jest.advanceTimersByTime(1);
+    await flush();
+    expect(granted).toBe(true);
+    expect(states[states.length - 1]).toEqual({ queued: 0, active: 1, throttled: false, pausedUntil: null });
+  });
+
+  test('gives up a place in line when the signal aborts', async () => {
+    const limiter = new RateLimiter({ maxConcurrent: 1 });
+    await limiter.acquire();
+    const controller = new AbortController();
+
+    const waiting = limiter.acquire(controller.signal);
+    controller.abort();
+
+    await expect(waiting).rejects.toBe(controller.signal.reason);
+    expect(limiter.getState().queued).toBe(0);
+    await expect(limiter.acquire(controller.signal)).rejects.toBe(controller.signal.reason);
+  });
+});
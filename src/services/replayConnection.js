@@ -0,0 +1,341 @@
+// services/replayConnection.js
+import { resolveCodec } from './codecs';
+import FeedRecorder from './feedRecorder';
+import { OrderBookWebSocketService, SUBSCRIPTION_STATUS } from './websocket';
+
+const MIN_SPEED = 0.25;
+const MAX_SPEED = 50;
+const PROGRESS_INTERVAL = 250; // ms between 'playback' events while playing
+
+/**
+ * Plays a FeedRecorder recording back through the connection interface of
+ * OrderBookWebSocketService (connect, subscribe, 'connected' / 'message' events, ...), so
+ * useWebSocket and useOrderBook can run on it instead of a live socket, offline included.
+ *
+ * Positions are ms from the first frame. Seeking backwards emits 'reset' (consumers drop their
+ * books) and fast-forwards from the start, since deltas only make sense on top of what came
+ * before. 'playback' events report { playing, position, duration, speed }.
+ */
+class ReplayConnection {
+  constructor(recording, options = {}) {
+    this.options = {
+      speed: 1,
+      autoplay: true, // Start playing on connect()
+      loop: false,
+      codec: null,    // Defaults to the recording's
+      debug: false,
+      ...options
+    };
+
+    const { header, frames } = typeof recording === 'string' ? FeedRecorder.parse(recording) : recording;
+    this.header = header;
+    this.frames = frames;
+    this.startTime = frames.length > 0 ? frames[0].t : 0;
+    this.duration = frames.length > 0 ? frames[frames.length - 1].t - this.startTime : 0;
+    this.codec = resolveCodec(this.options.codec || header.codec || 'json');
+
+    this.url = header.url ? `replay:${header.url}` : 'replay';
+    this.isConnected = false;
+    this.reconnectAttempts = 0;
+    this.subscriptions = new Map(); // channel -> number of subscribers
+
+    // Playback
+    this.index = 0;           // Next frame to deliver
+    this.position = 0;        // ms into the recording
+    this.playing = false;
+    this.speed = this.clampSpeed(this.options.speed);
+    this.playStartedAt = null; // Wall clock when playback last (re)started at `position`
+    this.playStartPosition = 0;
+    this.timer = null;
+    this.lastProgress = 0;
+
+    this.stats = { totalMessages: 0, bytesReceived: 0 };
+    this.eventListeners = new Map();
+  }
+
+  // Event system
+  on(event, callback) {
+    if (!this.eventListeners.has(event)) {
+      this.eventListeners.set(event, new Set());
+    }
+    this.eventListeners.get(event).add(callback);
+    return () => this.off(event, callback);
+  }
+
+  off(event, callback) {
+    if (this.eventListeners.has(event)) {
+      this.eventListeners.get(event).delete(callback);
+    }
+  }
+
+  emit(event, data) {
+    if (this.eventListeners.has(event)) {
+      this.eventListeners.get(event).forEach(callback => {
+        try {
+          callback(data);
+        } catch (error) {
+          this.log('Error in event callback:', error);
+        }
+      });
+    }
+  }
+
+  // Logging
+  log(message, data = '') {
+    if (this.options.debug) {
+      console.log(`[Replay] ${message}`, data);
+    }
+  }
+
+  clampSpeed(speed) {
+    return Math.min(MAX_SPEED, Math.max(MIN_SPEED, Number(speed) || 1));
+  }
+
+  // ===== CONNECTION INTERFACE =====
+
+  connect() {
+    if (this.isConnected) return;
+
+    this.log(`Replaying ${this.frames.length} frames (${this.duration}ms) from ${this.header.url || 'recording'}`);
+    this.emit('connecting', {});
+    this.isConnected = true;
+    this.emit('connected', { connectionId: 'replay' });
+
+    if (this.options.autoplay) this.play();
+  }
+
+  disconnect() {
+    this.pause();
+    if (!this.isConnected) return;
+
+    this.isConnected = false;
+    this.emit('disconnected', { code: 1000, reason: 'Replay stopped', wasClean: true, willReconnect: false });
+  }
+
+  reconnect() {
+    this.disconnect();
+    this.connect();
+  }
+
+  // Recorded sessions can't be changed; subscriptions are tracked and acknowledged at once
+  subscribe(channels) {
+    (Array.isArray(channels) ? channels : [channels]).map(OrderBookWebSocketService.toChannel).forEach(channel => {
+      const count = this.subscriptions.get(channel) || 0;
+      this.subscriptions.set(channel, count + 1);
+      if (count === 0) {
+        this.emit('subscriptionStatus', { channel, status: SUBSCRIPTION_STATUS.ACTIVE, error: null });
+      }
+    });
+    return true;
+  }
+
+  unsubscribe(channels) {
+    (Array.isArray(channels) ? channels : [channels]).map(OrderBookWebSocketService.toChannel).forEach(channel => {
+      const count = this.subscriptions.get(channel) || 0;
+      if (count <= 1) {
+        this.subscriptions.delete(channel);
+        if (count === 1) this.emit('subscriptionStatus', { channel, status: null, error: null });
+      } else {
+        this.subscriptions.set(channel, count - 1);
+      }
+    });
+    return true;
+  }
+
+  send() {
+    return false; // Nobody is listening
+  }
+
+  acknowledge() {}
+
+  startRecording() {}
+
+  stopRecording() {
+    return Promise.resolve(null); // It's a recording already
+  }
+
+  setVisible() {}
+
+  setOnline() {}
+
+  resume() {}
+
+  getSubscriptionStatuses() {
+    return Object.fromEntries(Array.from(this.subscriptions.keys())
+      .map(channel => [channel, { status: SUBSCRIPTION_STATUS.ACTIVE, error: null }]));
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      isConnected: this.isConnected,
+      reconnectAttempts: 0,
+      subscriptions: Array.from(this.subscriptions.keys()),
+      queuedMessages: 0,
+      endpoint: this.url,
+      replay: this.getPlayback()
+    };
+  }
+
+  getState() {
+    return {
+      isConnected: this.isConnected,
+      isConnecting: false,
+      readyState: this.isConnected ? WebSocket.OPEN : WebSocket.CLOSED,
+      url: this.url,
+      subscriptions: Array.from(this.subscriptions.keys())
+    };
+  }
+
+  // ===== PLAYBACK =====
+
+  getPlayback() {
+    return {
+      playing: this.playing,
+      position: this.currentPosition(),
+      duration: this.duration,
+      speed: this.speed,
+      startTime: this.startTime
+    };
+  }
+
+  currentPosition(now = Date.now()) {
+    if (!this.playing) return this.position;
+    return Math.min(this.duration, this.playStartPosition + (now - this.playStartedAt) * this.speed);
+  }
+
+  play() {
+    if (this.playing || !this.isConnected) return;
+
+    if (this.index >= this.frames.length) {
+      this.seek(0); // Played to the end: start over
+    }
+
+    this.playing = true;
+    this.playStartedAt = Date.now();
+    this.playStartPosition = this.position;
+    this.emitPlayback();
+    this.tick();
+  }
+
+  pause() {
+    if (!this.playing) return;
+
+    this.position = this.currentPosition();
+    this.playing = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.emitPlayback();
+  }
+
+  // 0.25x to 50x
+  setSpeed(speed) {
+    const position = this.currentPosition();
+    this.speed = this.clampSpeed(speed);
+    this.position = position;
+
+    if (this.playing) {
+      this.playStartedAt = Date.now();
+      this.playStartPosition = position;
+      clearTimeout(this.timer);
+      this.tick();
+    }
+    this.emitPlayback();
+  }
+
+  /**
+   * Jump to a position, delivering every frame up to it at once
+   * @param {number} position - ms from the first frame
+   */
+  seek(position) {
+    const target = Math.min(this.duration, Math.max(0, position));
+
+    // Frames past the target have been delivered already
+    if (this.index > 0 && this.frames[this.index - 1].t - this.startTime > target) {
+      this.log(`Seeking back to ${target}ms, replaying from the start`);
+      this.index = 0;
+      this.emit('reset', { position: target });
+    }
+
+    this.position = target;
+    this.deliverUntil(target);
+
+    if (this.playing) {
+      this.playStartedAt = Date.now();
+      this.playStartPosition = target;
+      clearTimeout(this.timer);
+      this.tick();
+    }
+    this.emitPlayback();
+  }
+
+  // Deliver the frames that are due and wait for the next one
+  tick() {
+    this.timer = null;
+    const now = Date.now();
+    const position = this.currentPosition(now);
+    this.position = position;
+    this.deliverUntil(position);
+
+    if (this.index >= this.frames.length) {
+      this.position = this.duration;
+      this.playing = false;
+      this.emitPlayback();
+      this.emit('ended', {});
+
+      if (this.options.loop) this.play();
+      return;
+    }
+
+    if (now - this.lastProgress >= PROGRESS_INTERVAL) {
+      this.emitPlayback(now);
+    }
+
+    const wait = (this.frames[this.index].t - this.startTime - position) / this.speed;
+    this.timer = setTimeout(() => this.tick(), Math.max(0, Math.min(wait, PROGRESS_INTERVAL)));
+  }
+
+  deliverUntil(position) {
+    while (this.index < this.frames.length && this.frames[this.index].t - this.startTime <= position) {
+      this.deliver(this.frames[this.index]);
+      this.index++;
+    }
+  }
+
+  // Decoded like OrderBookWebSocketService.handleMessage
+  deliver({ data: raw }) {
+    this.stats.totalMessages++;
+    this.stats.bytesReceived += raw.length || raw.byteLength || 0;
+
+    let data = raw;
+    try {
+      if (typeof raw === 'string') {
+        try {
+          data = JSON.parse(raw);
+        } catch (parseError) {
+          // Keep as string if not JSON
+        }
+      } else {
+        data = this.codec.decode(raw);
+      }
+    } catch (error) {
+      this.emit('messageError', { error, raw });
+      return;
+    }
+
+    // Heartbeats and control replies of the recorded session mean nothing now
+    if (data && typeof data === 'object' && ['pong', 'subscribed', 'error', 'auth_expired'].includes(data.type)) {
+      return;
+    }
+
+    this.emit('message', { data, raw, timestamp: Date.now() });
+  }
+
+  emitPlayback(now = Date.now()) {
+    this.lastProgress = now;
+    this.emit('playback', this.getPlayback());
+  }
+}
+
+export default ReplayConnection;
+export { MIN_SPEED, MAX_SPEED };
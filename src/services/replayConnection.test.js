@@ -0,0 +1,160 @@
+import ReplayConnection from './replayConnection';
+import FeedRecorder from './feedRecorder';
+import OrderBookStore from './orderBookStore';
+import { OrderBookWebSocketService } from './websocket';
+
+// Stands in for the browser WebSocket: the test delivers the frames to record
+class FakeSocket {
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    FakeSocket.instances.push(this);
+  }
+
+  send() {}
+
+  close() {}
+}
+
+const snapshot = (version, bids) => ({
+  type: 'orderbook_snapshot',
+  data: { Symbol: 'BTCUSDT', Exchange: 'Binance', Version: version, Bids: bids, Asks: [['101', '1']] }
+});
+
+const delta = (version, bids) => ({
+  type: 'orderbook_delta',
+  data: { Symbol: 'BTCUSDT', Exchange: 'Binance', Version: version, PrevVersion: version - 1, Bids: bids, Asks: [] }
+});
+
+// The session: ms after the start, frame
+const SESSION = [
+  [0, snapshot(1, [['100', '1'], ['99', '2']])],
+  [100, delta(2, [['100', '3']])],
+  [200, delta(3, [['98', '1']])],
+  [300, { type: 'pong', requestTime: 0 }],
+  [400, delta(4, [['99', '0']])]
+];
+
+const levels = (book) => book.Bids.top().map(({ price, quantity }) => [price.toString(), quantity.toString()]);
+
+// A store fed by a connection's 'message' events, cleared on its 'reset'
+const storeFor = (connection) => {
+  const store = new OrderBookStore();
+  connection.on('message', ({ data }) => store.handleMessage(data));
+  connection.on('reset', () => store.clear());
+  return store;
+};
+
+describe('ReplayConnection', () => {
+  const { WebSocket } = global;
+  let live;
+  let liveStore;
+  let ndjson;
+
+  // Record SESSION off a live connection, keeping its books to compare replays with
+  beforeEach(async () => {
+    jest.useFakeTimers();
+    jest.setSystemTime(1000);
+    FakeSocket.instances = [];
+    global.WebSocket = FakeSocket;
+
+    live = new OrderBookWebSocketService('ws://feed.test', { heartbeatInterval: 0 });
+    liveStore = storeFor(live);
+    live.connect();
+    const [socket] = FakeSocket.instances;
+    socket.onopen({});
+    live.startRecording();
+
+    SESSION.forEach(([at, frame]) => {
+      jest.setSystemTime(1000 + at);
+      socket.onmessage({ data: JSON.stringify(frame) });
+    });
+    ndjson = await live.stopRecording();
+    live.disconnect();
+    global.WebSocket = WebSocket;
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('records the frames as NDJSON, header first', () => {
+    const [header, ...lines] = ndjson.trim().split('\n').map(line => JSON.parse(line));
+    expect(header).toMatchObject({ type: 'header', version: 1, url: 'ws://feed.test', codec: 'json', startedAt: 1000 });
+    expect(lines).toEqual(SESSION.map(([at, frame]) => ({ t: 1000 + at, data: JSON.stringify(frame) })));
+
+    const { frames } = FeedRecorder.parse(ndjson);
+    expect(frames).toHaveLength(SESSION.length);
+  });
+
+  test('replays the recording into the same books, in recorded time', () => {
+    const replay = new ReplayConnection(ndjson);
+    const store = storeFor(replay);
+    const ended = jest.fn();
+    const messages = jest.fn();
+    replay.on('ended', ended);
+    replay.on('message', messages);
+    replay.connect();
+
+    expect(replay.getState().url).toBe('replay:ws://feed.test');
+    expect(levels(store.getBook('BTCUSDT'))).toEqual([['100', '1'], ['99', '2']]);
+
+    jest.advanceTimersByTime(250);
+    expect(store.getVenueBook('BTCUSDT', 'Binance').Version).toBe(3);
+
+    jest.advanceTimersByTime(150);
+    expect(ended).toHaveBeenCalledTimes(1);
+    expect(levels(store.getBook('BTCUSDT'))).toEqual(levels(liveStore.getBook('BTCUSDT')));
+    expect(replay.getPlayback()).toMatchObject({ playing: false, position: 400, duration: 400 });
+
+    // Recorded pongs aren't replayed
+    expect(messages).toHaveBeenCalledTimes(SESSION.length - 1);
+    replay.disconnect();
+  });
+
+  test('plays faster or slower with the speed', () => {
+    const replay = new ReplayConnection(ndjson, { speed: 4 });
+    const store = storeFor(replay);
+    replay.connect();
+
+    jest.advanceTimersByTime(100);
+    expect(replay.getPlayback()).toMatchObject({ playing: false, position: 400, speed: 4 });
+    expect(levels(store.getBook('BTCUSDT'))).toEqual(levels(liveStore.getBook('BTCUSDT')));
+
+    // Clamped to the supported range
+    replay.setSpeed(1000);
+    expect(replay.getPlayback().speed).toBe(50);
+    replay.setSpeed(0.01);
+    expect(replay.getPlayback().speed).toBe(0.25);
+    replay.disconnect();
+  });
+
+  test('seeks forward by delivering what was skipped, and back by starting over', () => {
+    const replay = new ReplayConnection(ndjson, { autoplay: false });
+    const store = storeFor(replay);
+    const reset = jest.fn();
+    replay.on('reset', reset);
+    replay.connect();
+
+    replay.seek(250);
+    expect(store.getVenueBook('BTCUSDT', 'Binance').Version).toBe(3);
+    expect(reset).not.toHaveBeenCalled();
+
+    replay.seek(50);
+    expect(reset).toHaveBeenCalledWith({ position: 50 });
+    expect(store.getVenueBook('BTCUSDT', 'Binance').Version).toBe(1);
+    expect(levels(store.getBook('BTCUSDT'))).toEqual([['100', '1'], ['99', '2']]);
+
+    // Playing on from there ends on the recorded books
+    replay.play();
+    jest.advanceTimersByTime(400);
+    expect(levels(store.getBook('BTCUSDT'))).toEqual(levels(liveStore.getBook('BTCUSDT')));
+
+    // At the end, play() starts over
+    reset.mockClear();
+    replay.play();
+    expect(reset).toHaveBeenCalledWith({ position: 0 });
+    replay.disconnect();
+  });
+});
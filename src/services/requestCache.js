@@ -0,0 +1,174 @@
+// services/requestCache.js
+
+/**
+ * GET response cache behind OrderBookAPI.
+ *
+ * Entries are keyed by URL and live for their endpoint's TTL (the longest matching prefix in
+ * `ttls`, else `ttl`). Past that they are still served for `staleWhileRevalidate` ms while the
+ * caller refreshes them in the background. At most `maxEntries` are kept, least recently used
+ * first out. Concurrent loads of the same URL share one request, cached or not.
+ */
+class RequestCache {
+  constructor(options = {}) {
+    this.options = {
+      ttl: 5000,                  // ms a response stays fresh; 0 disables caching
+      ttls: {},                   // Endpoint prefix -> ttl, e.g. { '/api/symbols': 300000 }
+      staleWhileRevalidate: 10000, // ms past its TTL a response may still be served while it's refreshed
+      maxEntries: 100,
+      ...options
+    };
+
+    this.entries = new Map(); // url -> { data, endpoint, storedAt, ttl }, least recently used first
+    this.pending = new Map(); // url -> { promise, endpoint, controller, waiting, pinned } of the request in flight
+    this.counters = { hits: 0, staleHits: 0, misses: 0, coalesced: 0, evictions: 0 };
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  // The most specific configured prefix wins
+  ttlFor(endpoint) {
+    const prefix = Object.keys(this.options.ttls)
+      .filter(candidate => endpoint.startsWith(candidate))
+      .sort((a, b) => b.length - a.length)[0];
+    return prefix !== undefined ? this.options.ttls[prefix] : this.options.ttl;
+  }
+
+  /**
+   * Look a URL up
+   * @param {string} url
+   * @returns {Object|null} { data, stale } or null when there's nothing servable
+   */
+  get(url, now = Date.now()) {
+    const entry = this.entries.get(url);
+    if (entry) {
+      const age = now - entry.storedAt;
+
+      if (age < entry.ttl + this.options.staleWhileRevalidate) {
+        // Re-insert to mark it most recently used
+        this.entries.delete(url);
+        this.entries.set(url, entry);
+
+        const stale = age >= entry.ttl;
+        this.counters[stale ? 'staleHits' : 'hits']++;
+        return { data: entry.data, stale };
+      }
+
+      this.entries.delete(url);
+    }
+
+    this.counters.misses++;
+    return null;
+  }
+
+  set(url, endpoint, data, now = Date.now()) {
+    const ttl = this.ttlFor(endpoint);
+    if (ttl <= 0) return;
+
+    this.entries.delete(url);
+    this.entries.set(url, { data, endpoint, storedAt: now, ttl });
+
+    while (this.entries.size > this.options.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.counters.evictions++;
+    }
+  }
+
+  /**
+   * Run `load` for a URL unless it's already running, and cache what it resolves to
+   * @param {string} url
+   * @param {string} endpoint - Path the URL belongs to (for its TTL and invalidation)
+   * @param {Function} load - Performs the request given an AbortSignal, returning a promise of its data
+   * @param {AbortSignal} signal - Stops this caller waiting; the request itself is aborted once
+   *   nobody is left waiting for it (callers without a signal always wait)
+   * @returns {Promise} The data, shared by every caller while the request is in flight
+   */
+  load(url, endpoint, load, signal = null) {
+    let request = this.pending.get(url);
+    if (request) {
+      this.counters.coalesced++;
+    } else {
+      request = { endpoint, controller: new AbortController(), waiting: 0, pinned: false };
+      request.promise = load(request.controller.signal).then(
+        data => {
+          // An invalidation while in flight means this response may be out of date already
+          if (this.pending.get(url) === request) {
+            this.pending.delete(url);
+            this.set(url, endpoint, data);
+          }
+          return data;
+        },
+        error => {
+          if (this.pending.get(url) === request) this.pending.delete(url);
+          throw error;
+        }
+      );
+      this.pending.set(url, request);
+    }
+
+    if (!signal) {
+      request.pinned = true;
+      return request.promise;
+    }
+
+    request.waiting++;
+    return new Promise((resolve, reject) => {
+      const abandon = () => {
+        request.waiting--;
+        if (request.waiting === 0 && !request.pinned) {
+          if (this.pending.get(url) === request) this.pending.delete(url);
+          request.controller.abort();
+        }
+        reject(signal.reason);
+      };
+
+      if (signal.aborted) {
+        abandon();
+        return;
+      }
+      signal.addEventListener('abort', abandon, { once: true });
+      request.promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', abandon));
+    });
+  }
+
+  /**
+   * Drop cached responses (and forget requests in flight) for endpoints under a prefix
+   * @param {string} prefix - e.g. '/api/orderbook' or '/api/orderbook/BTCUSDT'
+   * @returns {number} Entries removed
+   */
+  invalidate(prefix = '') {
+    let removed = 0;
+    this.entries.forEach((entry, url) => {
+      if (entry.endpoint.startsWith(prefix)) {
+        this.entries.delete(url);
+        removed++;
+      }
+    });
+
+    // Later callers must not join a request that started before the invalidation
+    this.pending.forEach((request, url) => {
+      if (request.endpoint.startsWith(prefix)) this.pending.delete(url);
+    });
+    return removed;
+  }
+
+  clear() {
+    this.entries.clear();
+    this.pending.clear();
+  }
+
+  getStats() {
+    const lookups = this.counters.hits + this.counters.staleHits + this.counters.misses;
+    return {
+      size: this.entries.size,
+      maxEntries: this.options.maxEntries,
+      entries: Array.from(this.entries.keys()),
+      inFlight: this.pending.size,
+      ...this.counters,
+      hitRate: lookups > 0 ? (this.counters.hits + this.counters.staleHits) / lookups : 0
+    };
+  }
+}
+
+export default RequestCache;
@@ -0,0 +1,102 @@
+/**
+ * @jest-environment node
+ */
+import RequestCache from './requestCache';
+
+// A load the test settles by hand, recording the signal it was given
+const deferredLoad = () => {
+  const load = jest.fn(signal => new Promise((resolve, reject) => {
+    load.signal = signal;
+    load.resolve = resolve;
+    load.reject = reject;
+  }));
+  return load;
+};
+
+describe('RequestCache', () => {
+  test('serves fresh, then stale, then nothing as an entry ages', () => {
+    const cache = new RequestCache({ ttl: 1000, staleWhileRevalidate: 500, ttls: { '/api/symbols': 60000 } });
+    cache.set('/api/orderbook/BTCUSDT', '/api/orderbook/BTCUSDT', 'book', 0);
+    cache.set('/api/symbols', '/api/symbols', 'symbols', 0);
+
+    expect(cache.get('/api/orderbook/BTCUSDT', 999)).toEqual({ data: 'book', stale: false });
+    expect(cache.get('/api/orderbook/BTCUSDT', 1200)).toEqual({ data: 'book', stale: true });
+    expect(cache.get('/api/orderbook/BTCUSDT', 1500)).toBeNull();
+    expect(cache.get('/api/symbols', 1500)).toEqual({ data: 'symbols', stale: false });
+    expect(cache.getStats()).toMatchObject({ hits: 2, staleHits: 1, misses: 1, size: 1 });
+  });
+
+  test('evicts the least recently used entry', () => {
+    const cache = new RequestCache({ maxEntries: 2 });
+    cache.set('/a', '/a', 1);
+    cache.set('/b', '/b', 2);
+    cache.get('/a');
+    cache.set('/c', '/c', 3);
+
+    expect(cache.getStats().entries).toEqual(['/a', '/c']);
+    expect(cache.getStats().evictions).toBe(1);
+  });
+
+  test('shares one request between concurrent loads and caches its result', async () => {
+    const cache = new RequestCache();
+    const load = deferredLoad();
+
+    const first = cache.load('/api/x', '/api/x', load);
+    const second = cache.load('/api/x', '/api/x', load);
+    load.resolve('data');
+
+    await expect(Promise.all([first, second])).resolves.toEqual(['data', 'data']);
+    expect(load).toHaveBeenCalledTimes(1);
+    expect(cache.get('/api/x').data).toBe('data');
+    expect(cache.getStats()).toMatchObject({ coalesced: 1, inFlight: 0 });
+  });
+
+  test('aborts a shared request only once every caller has given up', async () => {
+    const cache = new RequestCache();
+    const load = deferredLoad();
+    const a = new AbortController();
+    const b = new AbortController();
+
+    const first = cache.load('/api/x', '/api/x', load, a.signal);
+    const second = cache.load('/api/x', '/api/x', load, b.signal);
+
+    a.abort();
+    await expect(first).rejects.toBeDefined();
+    expect(load.signal.aborted).toBe(false);
+
+    b.abort();
+    await expect(second).rejects.toBeDefined();
+    expect(load.signal.aborted).toBe(true);
+    expect(cache.getStats().inFlight).toBe(0);
+  });
+
+  test('keeps a request running for callers without a signal', async () => {
+    const cache = new RequestCache();
+    const load = deferredLoad();
+    const controller = new AbortController();
+
+    const abandoned = cache.load('/api/x', '/api/x', load, controller.signal);
+    const pinned = cache.load('/api/x', '/api/x', load);
+    controller.abort();
+    await expect(abandoned).rejects.toBeDefined();
+
+    load.resolve('data');
+    await expect(pinned).resolves.toBe('data');
+    expect(load.signal.aborted).toBe(false);
+  });
+
+  test('invalidates by prefix and does not cache responses that were in flight', async () => {
+    const cache = new RequestCache();
+    cache.set('/api/orderbook/BTCUSDT', '/api/orderbook/BTCUSDT', 'btc');
+    cache.set('/api/orderbook/ETHUSDT', '/api/orderbook/ETHUSDT', 'eth');
+    cache.set('/api/symbols', '/api/symbols', 'symbols');
+    const load = deferredLoad();
+    const inFlight = cache.load('/api/orderbook/XRPUSDT', '/api/orderbook/XRPUSDT', load);
+
+    expect(cache.invalidate('/api/orderbook')).toBe(2);
+    load.resolve('xrp');
+    await expect(inFlight).resolves.toBe('xrp');
+
+    expect(cache.getStats().entries).toEqual(['/api/symbols']);
+  });
+});
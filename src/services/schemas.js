@@ -0,0 +1,305 @@
+// services/schemas.js
+import Decimal from './decimal';
+
+// Response schemas for the OrderBookAPI endpoints. A schema is a function
+// (value, context, path) -> normalised value, reporting problems through context.issue; the
+// builders below compose them declaratively. Field names are looked up in any casing
+// ('lastUpdate' also matches 'LastUpdate' and 'last_update') plus the field's aliases, and come
+// out in the casing the model declares.
+//
+// In strict mode every problem fails the response. In lenient mode a bad optional field falls
+// back to its default and a bad array item is dropped; only a response that can't be made into
+// its model at all (a missing required field, say) fails.
+
+const INVALID = Symbol('invalid');
+
+const describe = (value) => {
+  if (value === undefined) return 'nothing';
+  const text = JSON.stringify(value) ?? String(value);
+  return text.length > 40 ? `${text.slice(0, 40)}…` : text;
+};
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const pascalCase = (key) => key.charAt(0).toUpperCase() + key.slice(1);
+const camelCase = (key) => key.charAt(0).toLowerCase() + key.slice(1);
+const snakeCase = (key) => key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase();
+
+// Find a field in whichever casing (or alias) the server used
+const lookup = (value, key, aliases = []) => {
+  const candidate = [key, pascalCase(key), camelCase(key), snakeCase(key), ...aliases].find(name => name in value);
+  return candidate === undefined ? undefined : value[candidate];
+};
+
+// Epoch seconds are told apart from epoch ms by size (1e11 s is in the year 5138)
+const toEpochMs = (value) => {
+  if (typeof value === 'string' && !/^\d+(\.\d+)?$/.test(value.trim())) {
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : date;
+  }
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) return null;
+  return Math.round(number < 1e11 ? number * 1000 : number);
+};
+
+// ===== BUILDERS =====
+
+const string = ({ letterCase = null } = {}) => (value, context, path) => {
+  if (typeof value !== 'string' && typeof value !== 'number') return context.issue(path, 'a string', value);
+
+  const text = String(value);
+  if (letterCase === 'upper') return text.toUpperCase();
+  if (letterCase === 'lower') return text.toLowerCase();
+  return text;
+};
+
+// Numeric strings are accepted and parsed
+const number = () => (value, context, path) => {
+  const parsed = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  return typeof parsed === 'number' && Number.isFinite(parsed) ? parsed : context.issue(path, 'a number', value);
+};
+
+// Prices and quantities, as Decimals
+const decimal = () => (value, context, path) => Decimal.parse(value) ?? context.issue(path, 'a decimal', value);
+
+const boolean = () => (value, context, path) => {
+  if (typeof value === 'boolean') return value;
+  if (value === 'true' || value === 1) return true;
+  if (value === 'false' || value === 0) return false;
+  return context.issue(path, 'a boolean', value);
+};
+
+// Epoch ms from epoch ms, epoch seconds or a date string
+const timestamp = () => (value, context, path) => toEpochMs(value) ?? context.issue(path, 'a timestamp', value);
+
+const array = (item) => (value, context, path) => {
+  if (!Array.isArray(value)) return context.issue(path, 'an array', value);
+
+  const result = [];
+  let invalid = false;
+  value.forEach((entry, index) => {
+    const parsed = item(entry, context, `${path}[${index}]`);
+    if (parsed !== INVALID) {
+      result.push(parsed);
+    } else if (context.strict) {
+      invalid = true;
+    }
+  });
+  return invalid ? INVALID : result;
+};
+
+const object = (fields) => (value, context, path) => {
+  if (!isObject(value)) return context.issue(path, 'an object', value);
+
+  const result = {};
+  let invalid = false;
+  Object.entries(fields).forEach(([key, schema]) => {
+    const raw = lookup(value, key, schema.aliases);
+    const fieldPath = `${path}.${key}`;
+    const fallback = () => (typeof schema.fallback === 'function' ? schema.fallback() : schema.fallback);
+
+    if (raw === undefined || raw === null) {
+      if (schema.optional) {
+        result[key] = fallback();
+      } else {
+        context.issue(fieldPath, 'a value', raw);
+        invalid = true;
+      }
+      return;
+    }
+
+    const parsed = schema(raw, context, fieldPath);
+    if (parsed !== INVALID) {
+      result[key] = parsed;
+    } else if (schema.optional && !context.strict) {
+      result[key] = fallback();
+    } else {
+      invalid = true;
+    }
+  });
+  return invalid ? INVALID : result;
+};
+
+// The value may come bare or wrapped in an object under one of `keys`, e.g. [..] or { symbols: [..] }
+const envelope = (keys, schema) => (value, context, path) => {
+  if (isObject(value)) {
+    const key = keys.find(candidate => candidate in value);
+    if (key === undefined) return context.issue(path, `an object with ${keys.join(' or ')}`, value);
+    return schema(value[key], context, `${path}.${key}`);
+  }
+  return schema(value, context, path);
+};
+
+// Reshape a value before validating it (e.g. array-encoded records)
+const preprocess = (transform, schema) => (value, context, path) => schema(transform(value), context, path);
+
+// Mark a field optional: missing (or, when lenient, invalid) values become `fallback` (a function is called)
+const optional = (schema, fallback = null) => Object.assign((...args) => schema(...args), {
+  optional: true,
+  fallback,
+  aliases: schema.aliases
+});
+
+// Further names a field may come under
+const aliased = (schema, ...aliases) => Object.assign((...args) => schema(...args), {
+  optional: schema.optional,
+  fallback: schema.fallback,
+  aliases
+});
+
+// Book side: [[price, qty]], [{ price, quantity }] or { price: qty } -> [[price, qty]] with string values
+const levels = () => (value, context, path) => {
+  let pairs;
+  if (Array.isArray(value)) {
+    pairs = value.map(level => (Array.isArray(level)
+      ? [level[0], level[1]]
+      : [level?.Price ?? level?.price, level?.Quantity ?? level?.quantity ?? level?.qty]));
+  } else if (isObject(value)) {
+    pairs = Object.entries(value);
+  } else {
+    return context.issue(path, 'price levels', value);
+  }
+
+  const result = [];
+  let invalid = false;
+  pairs.forEach(([price, quantity], index) => {
+    const parsedPrice = Decimal.parse(price);
+    const parsedQuantity = Decimal.parse(quantity);
+    if (parsedPrice && parsedQuantity && !parsedPrice.isNegative() && !parsedQuantity.isNegative()) {
+      result.push([String(price), String(quantity)]);
+      return;
+    }
+
+    context.issue(`${path}[${index}]`, 'a [price, quantity] level', Array.isArray(value) ? value[index] : { [price]: quantity });
+    if (context.strict) invalid = true;
+  });
+  return invalid ? INVALID : result;
+};
+
+/**
+ * Validate and normalise a response
+ * @param {Function} schema
+ * @param {*} data - Parsed response body
+ * @param {Object} options - { strict }
+ * @returns {Object} { value, issues } where value is INVALID when the response is unusable and
+ *   issues are [{ path, message }], the first one being the offending path
+ */
+const parseWith = (schema, data, { strict = false } = {}) => {
+  const issues = [];
+  const context = {
+    strict,
+    issue(path, expected, value) {
+      issues.push({ path, message: `expected ${expected}, got ${describe(value)}` });
+      return INVALID;
+    }
+  };
+
+  const value = schema(data, context, '$');
+  return { value: strict && issues.length > 0 ? INVALID : value, issues };
+};
+
+// ===== MODELS =====
+
+// { Symbol, Bids, Asks, LastUpdate, Version, Sources, Exchange } as the store and components expect
+const orderBookSchema = object({
+  Symbol: optional(string({ letterCase: 'upper' })), // Filled in with the requested symbol
+  Bids: optional(levels(), () => []),
+  Asks: optional(levels(), () => []),
+  LastUpdate: optional(timestamp(), () => Date.now()),
+  Version: optional(aliased(number(), 'Sequence', 'sequence'), 0),
+  Sources: optional(array(string()), () => []),
+  Exchange: optional(string())
+});
+
+// [{ symbol, baseAsset, quoteAsset, tickSize, lotSize, status, exchanges }]
+const symbolsSchema = envelope(['symbols', 'data'], array(object({
+  symbol: aliased(string({ letterCase: 'upper' }), 'name'),
+  baseAsset: optional(string({ letterCase: 'upper' })),
+  quoteAsset: optional(string({ letterCase: 'upper' })),
+  tickSize: optional(decimal()),
+  lotSize: optional(aliased(decimal(), 'stepSize', 'StepSize')),
+  status: optional(string({ letterCase: 'lower' })),
+  exchanges: optional(array(string()), () => [])
+})));
+
+// { status, uptime (s), timestamp, version, simulated }; a plain-text body ('OK') is the status
+const healthSchema = preprocess(value => (typeof value === 'string' ? { status: value } : value), object({
+  status: string({ letterCase: 'lower' }),
+  uptime: optional(number()),
+  timestamp: optional(timestamp()),
+  version: optional(string()),
+  simulated: optional(boolean(), false)
+}));
+
+// [{ symbol, price, bestBid, bestAsk, spread, change (%), volume, exchanges }]
+const marketSummarySchema = envelope(['markets', 'summary', 'data'], array(object({
+  symbol: string({ letterCase: 'upper' }),
+  price: optional(aliased(decimal(), 'midPrice', 'lastPrice')),
+  bestBid: optional(decimal()),
+  bestAsk: optional(decimal()),
+  spread: optional(decimal()),
+  change: optional(aliased(number(), 'change24h', 'priceChangePercent')),
+  volume: optional(aliased(decimal(), 'volume24h')),
+  exchanges: optional(array(string()), () => [])
+})));
+
+// [{ name, status, latency (ms), lastUpdate }]
+const exchangeStatusSchema = envelope(['exchanges', 'data'], array(object({
+  name: aliased(string(), 'exchange', 'id'),
+  status: string({ letterCase: 'lower' }),
+  latency: optional(number()),
+  lastUpdate: optional(timestamp())
+})));
+
+// Candles may also come array-encoded: [time, open, high, low, close, volume]
+const toCandle = (value) => (Array.isArray(value)
+  ? { time: value[0], open: value[1], high: value[2], low: value[3], close: value[4], volume: value[5] }
+  : value);
+
+// [{ time, open, high, low, close, volume }] oldest first
+const historySchema = envelope(['candles', 'history', 'data'], array(preprocess(toCandle, object({
+  time: aliased(timestamp(), 'timestamp', 'openTime', 't'),
+  open: decimal(),
+  high: decimal(),
+  low: decimal(),
+  close: decimal(),
+  volume: optional(decimal())
+}))));
+
+// Subscribed symbols
+const subscriptionsSchema = envelope(['subscriptions', 'symbols', 'data'], array(string({ letterCase: 'upper' })));
+
+// Reply to subscribe/unsubscribe: { symbol, subscribed }; backends may answer with an empty or text body
+const subscriptionChangeSchema = preprocess(value => (isObject(value) ? value : {}), object({
+  symbol: optional(string({ letterCase: 'upper' })),
+  subscribed: optional(boolean())
+}));
+
+const SCHEMAS = {
+  orderBook: orderBookSchema,
+  symbols: symbolsSchema,
+  health: healthSchema,
+  marketSummary: marketSummarySchema,
+  exchangeStatus: exchangeStatusSchema,
+  history: historySchema,
+  subscriptions: subscriptionsSchema,
+  subscriptionChange: subscriptionChangeSchema
+};
+
+export default SCHEMAS;
+export {
+  INVALID,
+  parseWith,
+  string,
+  number,
+  decimal,
+  boolean,
+  timestamp,
+  array,
+  object,
+  envelope,
+  preprocess,
+  optional,
+  aliased,
+  levels
+};
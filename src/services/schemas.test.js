@@ -0,0 +1,71 @@
+import SCHEMAS, { INVALID, parseWith } from './schemas';
+
+describe('schemas', () => {
+  test('normalises an order book whatever casing the server used', () => {
+    const { value, issues } = parseWith(SCHEMAS.orderBook, {
+      symbol: 'btcusdt',
+      bids: [{ price: '100', qty: '1' }],
+      asks: { 101: '2' },
+      last_update: 1700000000,
+      sequence: '7',
+      sources: ['Binance', 'Kraken'],
+      exchange: 'Binance'
+    });
+
+    expect(issues).toEqual([]);
+    expect(value).toEqual({
+      Symbol: 'BTCUSDT',
+      Bids: [['100', '1']],
+      Asks: [['101', '2']],
+      LastUpdate: 1700000000000,
+      Version: 7,
+      Sources: ['Binance', 'Kraken'], // Venue names keep their case to match the stream's
+      Exchange: 'Binance'
+    });
+  });
+
+  test('reports the offending path and rejects anything wrong in strict mode', () => {
+    const response = { Bids: [['100', '1'], ['abc', '1']], Asks: [], Version: 'seven' };
+
+    const strict = parseWith(SCHEMAS.orderBook, response, { strict: true });
+    expect(strict.value).toBe(INVALID);
+    expect(strict.issues).toEqual([
+      { path: '$.Bids[1]', message: 'expected a [price, quantity] level, got ["abc","1"]' },
+      { path: '$.Version', message: 'expected a number, got "seven"' }
+    ]);
+
+    // Lenient mode drops the bad level and falls back to the default version
+    const lenient = parseWith(SCHEMAS.orderBook, response);
+    expect(lenient.value).toMatchObject({ Bids: [['100', '1']], Version: 0 });
+    expect(lenient.issues).toHaveLength(2);
+  });
+
+  test('fails a response missing a required field even when lenient', () => {
+    const { value, issues } = parseWith(SCHEMAS.health, { uptime: 12 });
+
+    expect(value).toBe(INVALID);
+    expect(issues).toEqual([{ path: '$.status', message: 'expected a value, got nothing' }]);
+  });
+
+  test('unwraps envelopes, aliases and array-encoded records', () => {
+    expect(parseWith(SCHEMAS.exchangeStatus, { data: [{ exchange: 'Kraken', status: 'ONLINE' }] }).value)
+      .toEqual([{ name: 'Kraken', status: 'online', latency: null, lastUpdate: null }]);
+
+    const [candle] = parseWith(SCHEMAS.history, { candles: [[1700000000, '1', '2', '0.5', '1.5', '10']] }).value;
+    expect(candle.time).toBe(1700000000000);
+    expect(candle.close.toString()).toBe('1.5');
+
+    expect(parseWith(SCHEMAS.health, 'OK').value).toMatchObject({ status: 'ok', simulated: false });
+    expect(parseWith(SCHEMAS.subscriptions, { symbols: ['btcusdt'] }).value).toEqual(['BTCUSDT']);
+  });
+
+  test('drops bad list items when lenient', () => {
+    const { value, issues } = parseWith(SCHEMAS.symbols, [
+      { symbol: 'btcusdt', exchanges: ['Binance'] },
+      { baseAsset: 'ETH' }
+    ]);
+
+    expect(value).toEqual([expect.objectContaining({ symbol: 'BTCUSDT', exchanges: ['Binance'] })]);
+    expect(issues[0].path).toBe('$[1].symbol');
+  });
+});
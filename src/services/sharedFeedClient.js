@@ -0,0 +1,263 @@
+// services/sharedFeedClient.js
+import OrderBookWorkerClient from './orderBookWorkerClient';
+
+/**
+ * One order book feed shared by every tab of the app (opt-in, see createConnection).
+ * The tabs elect a leader through a Web Lock: the leader runs the worker pipeline exactly
+ * like OrderBookWorkerClient and relays its messages over a BroadcastChannel, the other tabs
+ * post their commands to it the same way. When the leader tab goes away its lock is released,
+ * the next tab in line takes over with a fresh worker and every tab replays its subscriptions.
+ *
+ * Channel messages, followers -> leader: hello, command, bye
+ *                   leader -> followers: leader, event, bye
+ */
+class SharedFeedClient extends OrderBookWorkerClient {
+  constructor(url, options = {}) {
+    super(url, options);
+
+    this.tabId = Math.random().toString(36).substr(2, 9);
+    this.channelName = `orderbook-feed:${this.endpoints.map(endpoint => endpoint.url).join(',')}`;
+    this.channel = null;
+    this.isLeader = false;
+    this.leaderId = null;
+    this.lockController = null;
+    this.releaseLock = null;
+    this.tabVisibility = new Map(); // Follower tab -> visible (leader only)
+    this.feedVisible = true;        // What the worker was last told
+
+    this.handlePageHide = this.handlePageHide.bind(this);
+  }
+
+  log(message, data = '') {
+    if (this.options.debug) {
+      console.log(`[SharedFeed ${this.tabId}] ${message}`, data);
+    }
+  }
+
+  // Join the tabs sharing this feed; follow the current leader until the lock is ours
+  async connect() {
+    if (this.channel) return;
+
+    this.channel = new BroadcastChannel(this.channelName);
+    this.channel.onmessage = (event) => this.handleChannelMessage(event.data);
+    if (typeof window !== 'undefined') {
+      window.addEventListener('pagehide', this.handlePageHide);
+    }
+
+    if (typeof navigator === 'undefined' || !navigator.locks) {
+      this.log('Web Locks unavailable, running an unshared feed');
+      await this.lead();
+      return;
+    }
+
+    this.readyState = WebSocket.CONNECTING;
+    this.emit('connecting', {});
+    this.channel.postMessage({ type: 'hello', from: this.tabId });
+
+    // Held until disconnect(), or until the tab closes
+    const controller = this.lockController = new AbortController();
+    navigator.locks.request(this.channelName, { signal: controller.signal }, () => new Promise(resolve => {
+      this.releaseLock = resolve;
+      this.lead();
+    })).catch(error => {
+      if (error.name !== 'AbortError') this.emit('error', error);
+    });
+  }
+
+  // Become the tab that runs the worker for everyone
+  async lead() {
+    this.log('Leading the shared feed');
+    if (this.leaderId !== null) this.handleLeaderGone(); // Its worker and socket went with it
+
+    this.isLeader = true;
+    this.leaderId = this.tabId;
+    this.feedVisible = this.visible;
+
+    await super.connect();
+    if (!this.isLeader) return; // Disconnected while the worker loaded
+
+    this.announce();
+    this.updateVisibility();
+  }
+
+  // Tell the other tabs who leads, and bring late joiners up to date
+  announce() {
+    this.channel.postMessage({ type: 'leader', from: this.tabId });
+    this.channel.postMessage({
+      type: 'event',
+      message: { type: 'connection', state: { isConnected: this.isConnected, readyState: this.readyState, event: null } }
+    });
+    this.subscriptionStatus.forEach(({ status, error }, channel) => {
+      this.channel.postMessage({ type: 'event', message: { type: 'subscriptionStatus', event: { channel, status, error } } });
+    });
+    this.channel.postMessage({ type: 'event', message: { type: 'rateLimit', state: this.rateLimit } });
+    this.channel.postMessage({ type: 'event', message: { type: 'circuits', circuits: this.circuits } });
+  }
+
+  // Drive the leader's worker through the channel, as if it were our own
+  follow(leaderId) {
+    this.log(`Following tab ${leaderId}`);
+    this.leaderId = leaderId;
+
+    this.worker = {
+      postMessage: (message) => this.channel?.postMessage({ type: 'command', from: this.tabId, message }),
+      terminate: () => {
+        if (this.subscriptions.size > 0) {
+          this.worker.postMessage({ type: 'unsubscribe', channels: Array.from(this.subscriptions.keys()) });
+        }
+        this.channel?.postMessage({ type: 'bye', from: this.tabId });
+      }
+    };
+
+    this.worker.postMessage({ type: 'visibility', visible: this.visible });
+    if (this.subscriptions.size > 0) {
+      this.worker.postMessage({ type: 'subscribe', channels: Array.from(this.subscriptions.keys()) });
+    }
+    this.pending.forEach(message => this.worker.postMessage(message));
+    this.pending = [];
+  }
+
+  handleChannelMessage(data) {
+    switch (data.type) {
+      case 'hello':
+        if (this.isLeader && this.worker) this.announce();
+        break;
+
+      case 'leader':
+        if (!this.isLeader && data.from !== this.leaderId) this.follow(data.from);
+        break;
+
+      case 'command':
+        if (this.isLeader) this.handleCommand(data.from, data.message);
+        break;
+
+      case 'event':
+        if (!this.isLeader) this.handleWorkerMessage(data.message);
+        break;
+
+      case 'bye':
+        if (this.isLeader) {
+          this.tabVisibility.delete(data.from);
+          this.updateVisibility();
+        } else if (data.from === this.leaderId) {
+          this.handleLeaderGone();
+        }
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  // A follower's worker message
+  handleCommand(from, message) {
+    switch (message.type) {
+      case 'visibility':
+        this.tabVisibility.set(from, message.visible);
+        this.updateVisibility();
+        break;
+
+      case 'online':
+        break; // The leader's network is the one that counts
+
+      default:
+        this.post(message);
+        break;
+    }
+  }
+
+  // Until another tab takes the lock and announces itself, the feed is down
+  handleLeaderGone() {
+    this.log('Leader tab left');
+    this.leaderId = null;
+    this.worker = null;
+    super.handleWorkerMessage({
+      type: 'connection',
+      state: {
+        isConnected: false,
+        readyState: WebSocket.CONNECTING,
+        event: { code: 1001, reason: 'Leader tab closed', wasClean: false, willReconnect: true }
+      }
+    });
+  }
+
+  handleWorkerMessage(message) {
+    if (this.isLeader) {
+      // Tokens stay with the leader's auth provider
+      if (message.type !== 'token') this.channel?.postMessage({ type: 'event', message });
+    } else if (message.type === 'token') {
+      return;
+    }
+    super.handleWorkerMessage(message);
+  }
+
+  handlePageHide() {
+    this.disconnect();
+  }
+
+  disconnect() {
+    const wasLeader = this.isLeader;
+    this.isLeader = false;
+
+    // A follower's terminate() hands its subscriptions back to the leader
+    super.disconnect();
+
+    if (this.channel) {
+      if (wasLeader) this.channel.postMessage({ type: 'bye', from: this.tabId });
+      this.channel.close();
+      this.channel = null;
+    }
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('pagehide', this.handlePageHide);
+    }
+
+    this.lockController?.abort();
+    this.lockController = null;
+    this.releaseLock?.();
+    this.releaseLock = null;
+
+    this.leaderId = null;
+    this.tabVisibility.clear();
+  }
+
+  // The feed is only downgraded while every tab is hidden
+  setVisible(visible) {
+    this.visible = visible;
+
+    if (this.isLeader) {
+      this.updateVisibility();
+    } else if (this.worker) {
+      this.worker.postMessage({ type: 'visibility', visible });
+    }
+  }
+
+  updateVisibility() {
+    const visible = this.visible || Array.from(this.tabVisibility.values()).some(Boolean);
+    if (visible === this.feedVisible) return;
+
+    this.feedVisible = visible;
+    if (this.worker) this.worker.postMessage({ type: 'visibility', visible });
+  }
+
+  setOnline(online) {
+    if (this.isLeader) {
+      super.setOnline(online);
+    } else {
+      this.online = online; // Used if this tab becomes the leader
+    }
+  }
+
+  // Request ids are echoed to every tab, so they must not collide between tabs
+  nextRequestId() {
+    return `${this.tabId}:${super.nextRequestId()}`;
+  }
+
+  getStats() {
+    return {
+      ...super.getStats(),
+      sharedFeed: { tabId: this.tabId, isLeader: this.isLeader, leaderId: this.leaderId }
+    };
+  }
+}
+
+export default SharedFeedClient;
@@ -0,0 +1,155 @@
+import SharedFeedClient from './sharedFeedClient';
+
+// Every worker the clients start, in order; they only record what they're sent
+const mockWorkers = [];
+jest.mock('../workers/createOrderBookWorker', () => ({
+  __esModule: true,
+  default: () => {
+    const worker = {
+      posted: [],
+      postMessage(message) {
+        this.posted.push(message);
+      },
+      terminate: jest.fn()
+    };
+    mockWorkers.push(worker);
+    return worker;
+  }
+}));
+
+// Delivers to every other open channel of the same name, asynchronously like the browser's
+class FakeChannel {
+  static open = [];
+
+  constructor(name) {
+    this.name = name;
+    FakeChannel.open.push(this);
+  }
+
+  postMessage(data) {
+    FakeChannel.open
+      .filter(channel => channel !== this && channel.name === this.name)
+      .forEach(channel => Promise.resolve().then(() => channel.onmessage?.({ data })));
+  }
+
+  close() {
+    FakeChannel.open = FakeChannel.open.filter(channel => channel !== this);
+  }
+}
+
+// One exclusive lock, granted to requests in order and held until the callback's promise settles
+class FakeLocks {
+  queue = [];
+  held = null;
+
+  request(name, { signal }, callback) {
+    return new Promise((resolve, reject) => {
+      const entry = { callback, resolve, reject };
+      signal?.addEventListener('abort', () => {
+        if (this.held === entry) return;
+        this.queue = this.queue.filter(queued => queued !== entry);
+        reject(Object.assign(new Error('Lock request aborted'), { name: 'AbortError' }));
+      });
+      this.queue.push(entry);
+      this.grant();
+    });
+  }
+
+  grant() {
+    if (this.held || this.queue.length === 0) return;
+
+    const entry = this.held = this.queue.shift();
+    Promise.resolve(entry.callback())
+      .then(entry.resolve, entry.reject)
+      .finally(() => {
+        this.held = null;
+        this.grant();
+      });
+  }
+}
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const sent = (worker, type) => worker.posted.filter(message => message.type === type);
+
+describe('SharedFeedClient', () => {
+  const { BroadcastChannel } = global;
+  let tabs;
+
+  beforeEach(() => {
+    mockWorkers.length = 0;
+    FakeChannel.open = [];
+    global.BroadcastChannel = FakeChannel;
+    Object.defineProperty(global.navigator, 'locks', { value: new FakeLocks(), configurable: true });
+    tabs = [new SharedFeedClient('ws://feed.test'), new SharedFeedClient('ws://feed.test')];
+  });
+
+  afterEach(() => {
+    tabs.forEach(tab => tab.disconnect());
+    global.BroadcastChannel = BroadcastChannel;
+    delete global.navigator.locks;
+  });
+
+  test('the first tab to take the lock runs the only worker', async () => {
+    const [leader, follower] = tabs;
+    await leader.connect();
+    await flush();
+    await follower.connect();
+    await flush();
+
+    expect(leader.isLeader).toBe(true);
+    expect(follower.isLeader).toBe(false);
+    expect(follower.leaderId).toBe(leader.tabId);
+    expect(mockWorkers).toHaveLength(1);
+    expect(sent(mockWorkers[0], 'init')).toHaveLength(1);
+  });
+
+  test('followers drive the leader\'s worker and get its events over the channel', async () => {
+    const [leader, follower] = tabs;
+    await leader.connect();
+    await flush();
+    await follower.connect();
+    await flush();
+
+    follower.subscribe('BTCUSDT');
+    await flush();
+    expect(sent(mockWorkers[0], 'subscribe')).toEqual([{ type: 'subscribe', channels: ['orderbook.BTCUSDT'] }]);
+
+    const connected = jest.fn();
+    follower.on('connected', connected);
+    const [worker] = mockWorkers;
+    worker.onmessage({ data: { type: 'connection', state: { isConnected: true, readyState: WebSocket.OPEN, event: null } } });
+    worker.onmessage({ data: { type: 'subscriptionStatus', event: { channel: 'orderbook.BTCUSDT', status: 'active', error: null } } });
+    await flush();
+
+    expect(connected).toHaveBeenCalledTimes(1);
+    expect(follower.getSubscriptionStatuses()).toEqual({ 'orderbook.BTCUSDT': { status: 'active', error: null } });
+
+    // The leader's worker acknowledges stream data itself; followers have nothing to send
+    expect(() => follower.acknowledge('orderbook.BTCUSDT')).not.toThrow();
+    expect(worker.posted.some(message => message.type === 'acknowledge')).toBe(false);
+  });
+
+  test('the next tab takes over with a fresh worker when the leader releases the lock', async () => {
+    const [leader, follower] = tabs;
+    await leader.connect();
+    await flush();
+    await follower.connect();
+    await flush();
+    follower.subscribe('BTCUSDT');
+    mockWorkers[0].onmessage({ data: { type: 'connection', state: { isConnected: true, readyState: WebSocket.OPEN, event: null } } });
+    await flush();
+
+    const disconnected = jest.fn();
+    follower.on('disconnected', disconnected);
+    leader.disconnect();
+    await flush();
+
+    expect(mockWorkers[0].terminate).toHaveBeenCalled();
+    expect(disconnected).toHaveBeenCalledWith(expect.objectContaining({ reason: 'Leader tab closed', willReconnect: true }));
+    expect(follower.isLeader).toBe(true);
+    expect(follower.leaderId).toBe(follower.tabId);
+    expect(mockWorkers).toHaveLength(2);
+    expect(sent(mockWorkers[1], 'subscribe')).toEqual([{ type: 'subscribe', channels: ['orderbook.BTCUSDT'] }]);
+  });
+});
@@ -0,0 +1,116 @@
+// services/symbolSpecs.js
+import Decimal from './decimal';
+
+// Price increment (tick) and quantity increment (lot) for symbols we know about.
+// Backends can override these through registerSymbolSpecs (e.g. from /api/symbols).
+const DEFAULT_SPECS = {
+  BTCUSDT: { tickSize: '0.01', lotSize: '0.00001' },
+  ETHUSDT: { tickSize: '0.01', lotSize: '0.0001' },
+  BNBUSDT: { tickSize: '0.01', lotSize: '0.001' },
+  SOLUSDT: { tickSize: '0.01', lotSize: '0.001' },
+  ADAUSDT: { tickSize: '0.0001', lotSize: '0.1' },
+  DOTUSDT: { tickSize: '0.001', lotSize: '0.01' },
+  LINKUSDT: { tickSize: '0.001', lotSize: '0.01' }
+};
+
+const specs = new Map();
+
+/**
+ * Register tick and lot size for a symbol
+ * @param {string} symbol - Trading symbol
+ * @param {Object} spec - { tickSize, lotSize } as strings or numbers
+ */
+const registerSymbolSpec = (symbol, { tickSize, lotSize } = {}) => {
+  if (!symbol) return;
+
+  const tick = Decimal.parse(tickSize);
+  const lot = Decimal.parse(lotSize);
+
+  specs.set(symbol.toUpperCase(), {
+    tickSize: tick && tick.isPositive() ? tick : null,
+    lotSize: lot && lot.isPositive() ? lot : null
+  });
+};
+
+/**
+ * Register specs from a symbols listing; entries without tick/lot information are ignored
+ * @param {Array} symbols - [{ symbol|Symbol, tickSize|TickSize, lotSize|LotSize|stepSize }]
+ */
+const registerSymbolSpecs = (symbols = []) => {
+  symbols.forEach(entry => {
+    if (!entry || typeof entry !== 'object') return;
+
+    const symbol = entry.symbol || entry.Symbol;
+    const tickSize = entry.tickSize ?? entry.TickSize;
+    const lotSize = entry.lotSize ?? entry.LotSize ?? entry.stepSize ?? entry.StepSize;
+
+    if (symbol && (tickSize !== undefined || lotSize !== undefined)) {
+      registerSymbolSpec(symbol, { tickSize, lotSize });
+    }
+  });
+};
+
+/**
+ * Look up a symbol's increments
+ * @param {string} symbol - Trading symbol
+ * @returns {Object|null} { tickSize, lotSize } as Decimals (either may be null)
+ */
+const getSymbolSpec = (symbol = '') => {
+  if (!symbol) return null;
+  return specs.get(symbol.toUpperCase()) || null;
+};
+
+/**
+ * Format a price on the symbol's tick grid, falling back to magnitude-based precision
+ * @param {*} price - Price to format
+ * @param {string} symbol - Trading symbol (optional)
+ * @returns {string} Formatted price
+ */
+const formatPrice = (price, symbol = '') => {
+  const value = Decimal.parse(price);
+  if (value === null) return '0.00';
+
+  const tickSize = getSymbolSpec(symbol)?.tickSize;
+  if (tickSize) {
+    return value.roundToStep(tickSize).toFixed(tickSize.scale);
+  }
+
+  const magnitude = value.abs();
+  if (magnitude.gte(1000)) return value.toFixed(2);
+  if (magnitude.gte(1)) return value.toFixed(4);
+  if (magnitude.gte('0.01')) return value.toFixed(6);
+  return value.toFixed(8);
+};
+
+/**
+ * Format a quantity on the symbol's lot grid; large values are abbreviated
+ * @param {*} quantity - Quantity to format
+ * @param {string} symbol - Trading symbol (optional)
+ * @returns {string} Formatted quantity
+ */
+const formatQuantity = (quantity, symbol = '') => {
+  const value = Decimal.parse(quantity);
+  if (value === null) return '0';
+
+  const magnitude = value.abs();
+  if (magnitude.gte(1000000)) return value.div(1000000, 2).toFixed(2) + 'M';
+  if (magnitude.gte(1000)) return value.div(1000, 2).toFixed(2) + 'K';
+
+  const lotSize = getSymbolSpec(symbol)?.lotSize;
+  if (lotSize) {
+    return value.roundToStep(lotSize, 'down').toFixed(lotSize.scale);
+  }
+
+  if (magnitude.gte(1)) return value.toFixed(3);
+  return value.toFixed(6);
+};
+
+Object.entries(DEFAULT_SPECS).forEach(([symbol, spec]) => registerSymbolSpec(symbol, spec));
+
+export {
+  registerSymbolSpec,
+  registerSymbolSpecs,
+  getSymbolSpec,
+  formatPrice,
+  formatQuantity
+};
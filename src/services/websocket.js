@@ -1,4 +1,20 @@
 // services/websocket.js
+import { resolveCodec } from './codecs';
+import { OrderBookAPI } from './api';
+import MessageQueue from './messageQueue';
+import FeedRecorder from './feedRecorder';
+
+// Channels carrying a symbol's order book are named `${ORDERBOOK_CHANNEL_PREFIX}${symbol}`
+const ORDERBOOK_CHANNEL_PREFIX = 'orderbook.';
+
+// Lifecycle of a channel subscription, driven by the server's 'subscribed' / 'error' replies
+const SUBSCRIPTION_STATUS = {
+  PENDING: 'pending',   // Requested (or waiting for the socket), not acknowledged yet
+  ACTIVE: 'active',
+  ERROR: 'error',       // Rejected by the server, e.g. unknown symbol
+  TIMEOUT: 'timeout'    // No acknowledgement after all retries
+};
+
 class WebSocketError extends Error {
   constructor(message, code, event) {
     super(message);
@@ -9,19 +25,47 @@ class WebSocketError extends Error {
 }
 
 class OrderBookWebSocketService {
+  /**
+   * @param {string|Array} url - WebSocket URL, or an ordered list of endpoints to fail over
+   *   between: URLs or { url, apiUrl } objects, where apiUrl is the REST API used to probe them
+   * @param {Object} options - Connection options
+   */
   constructor(url, options = {}) {
-    this.url = url;
     this.options = {
-      reconnectAttempts: 10,
+      reconnectAttempts: 10,   // Attempts before reporting 'reconnectFailed', across all endpoints
+      keepRetrying: true,      // Past reconnectAttempts, go on trying every maxReconnectInterval instead of giving up
       reconnectInterval: 3000,
       heartbeatInterval: 30000,
+      pongTimeout: 10000,      // A ping with no pong (or other traffic) within this long drops the socket; 0 disables
       maxReconnectInterval: 30000,
+      failoverAttempts: 2,     // Consecutive failures on one endpoint before moving to the next
+      healthCheck: false,      // Probe candidates with OrderBookAPI.getHealth before switching
+      healthCheckTimeout: 3000,
       protocols: [],
       debug: false,
       binaryType: 'arraybuffer',
+      codec: 'json', // Binary frame codec: 'json', 'msgpack', 'protobuf' or a codec object (see codecs.js)
+      auth: null,          // Auth provider ({ getToken, refreshToken }, see auth.js)
+      authMode: 'query',   // How the token is passed: 'query' (URL parameter) or 'message' (first frame)
+      authParam: 'token',  // Query parameter name in 'query' mode
+      subscribeTimeout: 5000, // ms to wait for a subscription acknowledgement; 0 disables tracking
+      subscribeRetries: 2,    // Resends of an unacknowledged subscription before it times out
+      hiddenMode: 'downgrade', // Feed while the page is hidden: 'downgrade', 'pause' or 'none' (unchanged)
+      hiddenDepth: 10,         // Levels requested while downgraded
+      hiddenThrottle: 1000,    // Minimum ms between updates requested while downgraded
+      maxQueueSize: 100,       // Messages kept while disconnected (see messageQueue.js)
+      queueTTL: 30000,         // ms a queued message stays worth sending; 0 keeps it until sent
       ...options
     };
 
+    this.codec = resolveCodec(this.options.codec);
+
+    // Endpoints
+    this.endpoints = OrderBookWebSocketService.normalizeEndpoints(url);
+    this.endpointIndex = 0;
+    this.endpointFailures = 0;
+    this.url = this.endpoints[0]?.url;
+
     // Connection state
     this.ws = null;
     this.isConnected = false;
@@ -29,15 +73,24 @@ class OrderBookWebSocketService {
     this.reconnectAttempts = 0;
     this.lastConnectTime = null;
     this.connectionId = null;
+    this.authToken = null; // Token the current connection was opened with
+    this.wantsConnection = false; // Between connect() and disconnect(); resume() only reconnects then
+
+    // Environment (see connectivity.js): hidden pages and offline networks suspend the connection
+    this.visible = true;
+    this.online = true;
+    this.suspendedAt = null;
 
     // Event handling
     this.eventListeners = new Map();
-    this.messageQueue = [];
-    this.subscriptions = new Set();
+    this.messageQueue = new MessageQueue({ maxSize: this.options.maxQueueSize, ttl: this.options.queueTTL });
+    this.subscriptions = new Map(); // channel -> number of subscribers
+    this.subscriptionStatus = new Map(); // channel -> { status, error, attempts, timer }
 
     // Timers
     this.reconnectTimer = null;
     this.heartbeatTimer = null;
+    this.pongTimer = null;
     this.connectionTimer = null;
 
     // Statistics
@@ -52,6 +105,7 @@ class OrderBookWebSocketService {
     };
 
     this.latencyMeasurements = [];
+    this.recorder = null; // FeedRecorder while recording
   }
 
   // Event system
@@ -101,11 +155,18 @@ class OrderBookWebSocketService {
     }
 
     this.isConnecting = true;
-    this.connectionId = this.generateConnectionId();
-    this.log(`Connecting to ${this.url} (${this.connectionId})`);
+    this.wantsConnection = true;
+    const connectionId = this.connectionId = this.generateConnectionId();
+    this.log(`Connecting to ${this.url} (${connectionId})`);
+    this.emit('connecting', { connectionId });
 
     try {
-      this.ws = new WebSocket(this.url, this.options.protocols);
+      // Fetched on every connect so reconnects pick up refreshed tokens
+      const token = this.options.auth ? await this.options.auth.getToken() : null;
+      if (!this.isConnecting || this.connectionId !== connectionId) return; // Superseded meanwhile
+
+      this.authToken = token;
+      this.ws = new WebSocket(this.getConnectUrl(token), this.options.protocols);
       this.ws.binaryType = this.options.binaryType;
       
       // Set connection timeout
@@ -123,24 +184,79 @@ class OrderBookWebSocketService {
     }
   }
 
+  // URL to open, carrying the token in 'query' auth mode
+  getConnectUrl(token) {
+    if (!token || this.options.authMode !== 'query') return this.url;
+
+    const separator = this.url.includes('?') ? '&' : '?';
+    return `${this.url}${separator}${encodeURIComponent(this.options.authParam)}=${encodeURIComponent(token)}`;
+  }
+
+  // Authenticate the open connection in 'message' auth mode
+  sendAuth(token) {
+    this.send({
+      type: 'auth',
+      token,
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * The server reported the session token as expired: refresh it, then re-authenticate and
+   * resubscribe ('message' mode) or reconnect with the new token ('query' mode).
+   */
+  async handleAuthExpired() {
+    this.log('Authentication expired');
+    this.emit('authExpired', { connectionId: this.connectionId });
+
+    if (!this.options.auth?.refreshToken) {
+      this.emit('error', new WebSocketError('Authentication expired', 'AUTH_EXPIRED'));
+      return;
+    }
+
+    try {
+      const token = await this.options.auth.refreshToken();
+
+      // A connection opened meanwhile already used the new token
+      if (this.isConnected) {
+        if (this.options.authMode === 'message') {
+          this.authToken = token;
+          this.sendAuth(token);
+          this.resubscribe();
+        } else {
+          this.reconnect();
+        }
+      }
+
+      this.emit('authRefreshed', { connectionId: this.connectionId });
+    } catch (error) {
+      this.log('Token refresh failed:', error.message);
+      this.emit('error', new WebSocketError(`Token refresh failed: ${error.message}`, 'AUTH_REFRESH_FAILED', error));
+    }
+  }
+
   // Setup WebSocket event handlers
   setupEventHandlers() {
     if (!this.ws) return;
 
-    this.ws.onopen = (event) => {
-      this.handleConnectionOpen(event);
+    // Events from a socket that has since been dropped or replaced are ignored
+    const ws = this.ws;
+    const isStale = () => this.ws !== ws;
+
+    ws.onopen = (event) => {
+      if (!isStale()) this.handleConnectionOpen(event);
     };
 
-    this.ws.onclose = (event) => {
-      this.handleConnectionClose(event);
+    ws.onclose = (event) => {
+      if (!isStale()) this.handleConnectionClose(event);
     };
 
-    this.ws.onerror = (event) => {
-      this.handleConnectionError(event);
+    ws.onerror = (event) => {
+      if (!isStale()) this.handleConnectionError(event);
     };
 
-    this.ws.onmessage = (event) => {
-      this.handleMessage(event);
+    ws.onmessage = (event) => {
+      if (!isStale()) this.handleMessage(event);
     };
   }
 
@@ -156,11 +272,17 @@ class OrderBookWebSocketService {
     this.isConnected = true;
     this.isConnecting = false;
     this.reconnectAttempts = 0;
+    this.endpointFailures = 0;
     this.lastConnectTime = Date.now();
 
     // Start heartbeat
     this.startHeartbeat();
 
+    // Authenticate before anything else goes out
+    if (this.authToken && this.options.authMode === 'message') {
+      this.sendAuth(this.authToken);
+    }
+
     // Process queued messages
     this.processMessageQueue();
 
@@ -183,8 +305,8 @@ class OrderBookWebSocketService {
 
     this.cleanup();
 
-    const shouldReconnect = !event.wasClean && 
-                           this.reconnectAttempts < this.options.reconnectAttempts;
+    const shouldReconnect = !event.wasClean &&
+                           (this.options.keepRetrying || this.reconnectAttempts < this.options.reconnectAttempts);
 
     this.emit('disconnected', {
       code: event.code,
@@ -193,7 +315,8 @@ class OrderBookWebSocketService {
       willReconnect: shouldReconnect
     });
 
-    if (shouldReconnect) {
+    // Past the attempt limit this reports 'reconnectFailed' instead
+    if (!event.wasClean) {
       this.scheduleReconnect();
     }
   }
@@ -220,7 +343,9 @@ class OrderBookWebSocketService {
   // Handle incoming messages
   handleMessage(event) {
     this.stats.totalMessages++;
+    this.clearPongTimer(); // Any traffic proves the socket is alive
     this.stats.bytesReceived += event.data.length || event.data.byteLength || 0;
+    this.recorder?.record(event.data);
 
     let data = event.data;
 
@@ -233,9 +358,19 @@ class OrderBookWebSocketService {
         } catch (parseError) {
           // Keep as string if not JSON
         }
-      } else if (data instanceof ArrayBuffer) {
-        // Handle binary data (protobuf)
-        this.log('Received binary message', data.byteLength + ' bytes');
+      } else if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) {
+        // Binary frames are decoded with the configured codec
+        this.log(`Received binary message (${this.codec.name})`, data.byteLength + ' bytes');
+        data = this.codec.decode(data);
+      }
+
+      if (data && typeof data === 'object' && (data.type === 'subscribed' || data.type === 'error')) {
+        this.handleSubscriptionReply(data);
+      }
+
+      if (data && typeof data === 'object' && data.type === 'auth_expired') {
+        this.handleAuthExpired();
+        return;
       }
 
       // Handle heartbeat responses
@@ -289,11 +424,22 @@ class OrderBookWebSocketService {
     this.stats.averageLatency = this.latencyMeasurements.reduce((a, b) => a + b, 0) / this.latencyMeasurements.length;
   }
 
-  // Send message
-  send(data) {
+  /**
+   * Send a message, or queue it until the socket opens
+   * @param {*} data - String or binary data as-is, anything else through the codec
+   * @param {Object} queueOptions - { priority, ttl } if it has to be queued (see MessageQueue)
+   * @returns {boolean} Whether it went out now
+   */
+  send(data, queueOptions = {}) {
     if (!this.isConnected || !this.ws) {
+      // Pings only mean something on the socket they were meant for
+      if (data?.type === 'ping') return false;
+
       this.log('Queueing message (not connected):', data);
-      this.messageQueue.push(data);
+      this.messageQueue.enqueue(data, queueOptions).forEach(dropped => {
+        this.log('Queue full, dropping message:', dropped);
+        this.emit('messageDropped', { data: dropped, reason: 'queue_full' });
+      });
       return false;
     }
 
@@ -302,10 +448,10 @@ class OrderBookWebSocketService {
       
       if (typeof data === 'string') {
         message = data;
-      } else if (data instanceof ArrayBuffer) {
+      } else if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) {
         message = data;
       } else {
-        message = JSON.stringify(data);
+        message = this.codec.encode(data);
       }
 
       this.ws.send(message);
@@ -320,32 +466,80 @@ class OrderBookWebSocketService {
     }
   }
 
-  // Send JSON message
+  // Send JSON text regardless of the codec; use send() for codec-encoded messages
   sendJSON(data) {
     return this.send(JSON.stringify(data));
   }
 
-  // Process queued messages
+  // Send what was queued while disconnected, most important first. Channels resubscribe()
+  // is about to request anyway are left out of queued subscribe requests.
   processMessageQueue() {
-    while (this.messageQueue.length > 0 && this.isConnected) {
-      const message = this.messageQueue.shift();
+    this.messageQueue.drain().forEach(message => {
+      if (message?.type === 'subscribe' && Array.isArray(message.channels)) {
+        const channels = message.channels.filter(channel => !this.subscriptions.has(channel));
+        if (channels.length === 0) return;
+        message = { ...message, channels };
+      }
       this.send(message);
-    }
+    });
   }
 
   // Start heartbeat mechanism
   startHeartbeat() {
-    if (this.options.heartbeatInterval <= 0) return;
+    if (this.options.heartbeatInterval <= 0 || this.heartbeatTimer || this.isSuspended()) return;
 
-    this.heartbeatTimer = setInterval(() => {
-      if (this.isConnected) {
-        this.sendJSON({
-          type: 'ping',
-          requestTime: Date.now(),
-          connectionId: this.connectionId
-        });
-      }
-    }, this.options.heartbeatInterval);
+    this.heartbeatTimer = setInterval(() => this.sendPing(), this.options.heartbeatInterval);
+  }
+
+  // Ping, expecting a pong (or any other traffic) within pongTimeout
+  sendPing() {
+    if (!this.isConnected) return;
+
+    this.send({
+      type: 'ping',
+      requestTime: Date.now(),
+      connectionId: this.connectionId
+    });
+
+    if (this.options.pongTimeout > 0 && !this.pongTimer) {
+      this.pongTimer = setTimeout(() => this.handleHeartbeatTimeout(), this.options.pongTimeout);
+    }
+  }
+
+  clearPongTimer() {
+    if (this.pongTimer) {
+      clearTimeout(this.pongTimer);
+      this.pongTimer = null;
+    }
+  }
+
+  // The socket looks open but the server stopped answering: drop it and reconnect
+  handleHeartbeatTimeout() {
+    this.pongTimer = null;
+    if (!this.ws) return;
+
+    this.log(`No pong within ${this.options.pongTimeout}ms, reconnecting`);
+    this.emit('heartbeatTimeout', {
+      connectionId: this.connectionId,
+      timeout: this.options.pongTimeout
+    });
+
+    // A dead connection may never complete the close handshake, so don't wait for onclose
+    this.dropSocket(4000, 'Heartbeat timeout');
+
+    this.handleConnectionClose({ code: 4000, reason: 'Heartbeat timeout', wasClean: false });
+  }
+
+  // Close the current socket without hearing from it again: its late onclose would otherwise
+  // clean up after whichever connection attempt has started since. Returns whether there was one.
+  dropSocket(code, reason) {
+    const ws = this.ws;
+    if (!ws) return false;
+
+    ws.onopen = ws.onclose = ws.onerror = ws.onmessage = null;
+    ws.close(code, reason);
+    this.ws = null;
+    return true;
   }
 
   // Stop heartbeat
@@ -354,28 +548,157 @@ class OrderBookWebSocketService {
       clearInterval(this.heartbeatTimer);
       this.heartbeatTimer = null;
     }
+    this.clearPongTimer();
   }
 
-  // Schedule reconnection
+  // Schedule reconnection, moving on to the next endpoint once the current one keeps failing
   scheduleReconnect() {
     if (this.reconnectTimer) return;
 
+    // resume() reconnects straight away once the page is back or the network returns
+    if (this.isSuspended()) {
+      this.log('Connection suspended, deferring reconnect');
+      return;
+    }
+
+    // Out of attempts: report it once, then either stop or keep trying at the slowest pace so
+    // the feed comes back by itself once any endpoint does
+    const exhausted = this.reconnectAttempts >= this.options.reconnectAttempts;
+    if (exhausted && (!this.options.keepRetrying || this.reconnectAttempts === this.options.reconnectAttempts)) {
+      this.log(`${this.options.keepRetrying ? 'Slowing down' : 'Giving up'} after ${this.reconnectAttempts} reconnect attempts`);
+      this.emit('reconnectFailed', {
+        attempts: this.reconnectAttempts,
+        endpoints: this.endpoints.map(endpoint => endpoint.url),
+        willRetry: this.options.keepRetrying
+      });
+    }
+    if (exhausted && !this.options.keepRetrying) return;
+
     this.reconnectAttempts++;
     this.stats.totalReconnects++;
+    this.endpointFailures++;
+
+    const failover = this.endpoints.length > 1 &&
+                     this.endpointFailures >= this.options.failoverAttempts;
 
-    // Exponential backoff with jitter
+    // Exponential backoff with jitter; a fresh endpoint starts from the base delay, and once out
+    // of attempts every try waits the longest
     const baseDelay = this.options.reconnectInterval;
     const maxDelay = this.options.maxReconnectInterval;
-    const exponentialDelay = Math.min(baseDelay * Math.pow(2, this.reconnectAttempts - 1), maxDelay);
+    let exponentialDelay = Math.min(baseDelay * Math.pow(2, this.endpointFailures - 1), maxDelay);
+    if (exhausted) {
+      exponentialDelay = maxDelay;
+    } else if (failover) {
+      exponentialDelay = baseDelay;
+    }
     const jitter = Math.random() * 1000; // Add up to 1 second jitter
     const delay = exponentialDelay + jitter;
 
     this.log(`Reconnecting in ${Math.round(delay)}ms (attempt ${this.reconnectAttempts}/${this.options.reconnectAttempts})`);
 
-    this.reconnectTimer = setTimeout(() => {
+    const timer = setTimeout(async () => {
+      if (failover) {
+        const index = await this.selectNextEndpoint();
+        if (this.reconnectTimer !== timer) return; // Cancelled while probing
+
+        this.setEndpoint(index, 'connection_failed');
+      }
+
       this.reconnectTimer = null;
       this.connect();
     }, delay);
+    this.reconnectTimer = timer;
+  }
+
+  // Normalise a URL or list of URLs / { url, apiUrl } objects into endpoint objects
+  static normalizeEndpoints(endpoints) {
+    return (Array.isArray(endpoints) ? endpoints : [endpoints])
+      .filter(Boolean)
+      .map(endpoint => (typeof endpoint === 'string'
+        ? { url: endpoint, apiUrl: null }
+        : { apiUrl: null, ...endpoint }));
+  }
+
+  // Current endpoint ({ url, apiUrl })
+  getEndpoint() {
+    return this.endpoints[this.endpointIndex];
+  }
+
+  /**
+   * Pick the endpoint to fail over to: the next one in order, or with `healthCheck` the next
+   * one whose REST API reports healthy. Falls back to plain rotation when none answers.
+   * @returns {Promise<number>} Endpoint index
+   */
+  async selectNextEndpoint() {
+    const count = this.endpoints.length;
+    const candidates = Array.from({ length: count - 1 }, (_, i) => (this.endpointIndex + 1 + i) % count);
+
+    if (this.options.healthCheck) {
+      for (const index of candidates) {
+        if (await this.probeEndpoint(this.endpoints[index])) return index;
+      }
+      this.log('No endpoint passed its health check, rotating anyway');
+    }
+
+    return candidates[0];
+  }
+
+  // Check an endpoint's REST API; endpoints without one can't be probed and count as healthy
+  async probeEndpoint(endpoint) {
+    if (!endpoint.apiUrl) return true;
+
+    try {
+      const api = new OrderBookAPI(endpoint.apiUrl, {
+        timeout: this.options.healthCheckTimeout,
+        retryAttempts: 1,
+        cacheTimeout: 0,
+        debug: this.options.debug,
+        auth: this.options.auth
+      });
+      await api.getHealth();
+      return true;
+    } catch (error) {
+      this.log(`Health check failed for ${endpoint.url}:`, error.message);
+      return false;
+    }
+  }
+
+  // Make an endpoint current and announce it; the next connect() uses it
+  setEndpoint(index, reason) {
+    if (index === this.endpointIndex) return;
+
+    const previous = this.url;
+    this.endpointIndex = index;
+    this.endpointFailures = 0;
+    this.url = this.endpoints[index].url;
+
+    this.log(`Switching endpoint to ${this.url} (${reason})`);
+    this.emit('endpointChanged', {
+      previous,
+      url: this.url,
+      apiUrl: this.endpoints[index].apiUrl,
+      index,
+      reason
+    });
+  }
+
+  /**
+   * Move to another endpoint right away, reconnecting if a connection is open or pending
+   * @param {number|string} target - Endpoint index or URL
+   */
+  switchEndpoint(target) {
+    const index = typeof target === 'number'
+      ? target
+      : this.endpoints.findIndex(endpoint => endpoint.url === target);
+
+    if (index < 0 || index >= this.endpoints.length) {
+      throw new WebSocketError(`Unknown endpoint: ${target}`);
+    }
+    if (index === this.endpointIndex) return;
+
+    const active = this.isConnected || this.isConnecting || this.reconnectTimer !== null;
+    this.setEndpoint(index, 'manual');
+    if (active) this.reconnect();
   }
 
   // Cancel reconnection
@@ -398,6 +721,13 @@ class OrderBookWebSocketService {
 
     this.stopHeartbeat();
 
+    // Acknowledgements don't outlive the connection; resubscribe() asks again
+    this.subscriptionStatus.forEach((entry, channel) => {
+      clearTimeout(entry.timer);
+      entry.timer = null;
+      this.updateSubscription(channel, SUBSCRIPTION_STATUS.PENDING);
+    });
+
     if (this.lastConnectTime) {
       this.stats.connectionUptime += Date.now() - this.lastConnectTime;
       this.lastConnectTime = null;
@@ -408,51 +738,337 @@ class OrderBookWebSocketService {
   disconnect(code = 1000, reason = 'Manual disconnect') {
     this.log('Manually disconnecting');
     
+    this.wantsConnection = false;
     this.cancelReconnect();
     
-    if (this.ws) {
-      this.ws.close(code, reason);
-      this.ws = null;
-    }
+    const hadSocket = this.dropSocket(code, reason);
     
+    this.subscriptionStatus.forEach(entry => clearTimeout(entry.timer));
+    this.subscriptionStatus.clear();
     this.cleanup();
     this.subscriptions.clear();
-    this.messageQueue.length = 0;
+    this.messageQueue.clear();
+
+    // The dropped socket's onclose won't report it
+    if (hadSocket) {
+      this.emit('disconnected', { code, reason, wasClean: true, willReconnect: false });
+    }
   }
 
-  // Subscribe to symbol/channel
-  subscribe(symbol) {
-    const subscription = {
-      type: 'subscribe',
-      symbol: symbol.toUpperCase(),
-      timestamp: Date.now()
-    };
+  // Drop the current socket and connect again, keeping subscriptions and queued messages
+  reconnect() {
+    this.log('Forcing reconnection');
+
+    this.cancelReconnect();
+
+    const hadSocket = this.dropSocket(1000, 'Reconnect');
+
+    this.cleanup();
+    if (hadSocket) {
+      this.emit('disconnected', { code: 1000, reason: 'Reconnect', wasClean: true, willReconnect: true });
+    }
+
+    this.reconnectAttempts = 0;
+    this.endpointFailures = 0;
+    this.connect();
+  }
 
-    this.subscriptions.add(symbol.toUpperCase());
-    return this.sendJSON(subscription);
+  // Bare symbols ('btcusdt') are shorthand for their order book channel ('orderbook.BTCUSDT')
+  static toChannel(target) {
+    return target.includes('.') ? target : `${ORDERBOOK_CHANNEL_PREFIX}${target.toUpperCase()}`;
   }
 
-  // Unsubscribe from symbol/channel
-  unsubscribe(symbol) {
-    const subscription = {
+  /**
+   * Subscribe to channels. Subscriptions are reference counted so several consumers can
+   * share a channel; the server only hears about the first subscriber.
+   * @param {string|Array} channels - Channel(s) or symbol(s)
+   */
+  subscribe(channels) {
+    const list = (Array.isArray(channels) ? channels : [channels]).map(OrderBookWebSocketService.toChannel);
+
+    const added = list.filter(channel => {
+      const count = this.subscriptions.get(channel) || 0;
+      this.subscriptions.set(channel, count + 1);
+      return count === 0;
+    });
+
+    if (added.length === 0) return true;
+
+    // While disconnected, resubscribe() sends everything once the socket opens
+    if (!this.isConnected) {
+      added.forEach(channel => this.updateSubscription(channel, SUBSCRIPTION_STATUS.PENDING));
+      return true;
+    }
+
+    return this.sendSubscribe(added);
+  }
+
+  // Unsubscribe from channels; the server is told once the last subscriber has left
+  unsubscribe(channels) {
+    const list = (Array.isArray(channels) ? channels : [channels]).map(OrderBookWebSocketService.toChannel);
+
+    const removed = list.filter(channel => {
+      const count = this.subscriptions.get(channel) || 0;
+      if (count <= 1) {
+        this.subscriptions.delete(channel);
+        return count === 1;
+      }
+      this.subscriptions.set(channel, count - 1);
+      return false;
+    });
+
+    removed.forEach(channel => this.forgetSubscription(channel));
+
+    if (removed.length === 0 || !this.isConnected) return true;
+
+    return this.send({
       type: 'unsubscribe',
-      symbol: symbol.toUpperCase(),
+      channels: removed,
       timestamp: Date.now()
-    };
-
-    this.subscriptions.delete(symbol.toUpperCase());
-    return this.sendJSON(subscription);
+    });
   }
 
   // Re-subscribe to all previous subscriptions
   resubscribe() {
     if (this.subscriptions.size === 0) return;
 
-    this.log('Re-subscribing to channels:', Array.from(this.subscriptions));
-    
-    this.subscriptions.forEach(symbol => {
-      this.subscribe(symbol);
+    const channels = Array.from(this.subscriptions.keys());
+    this.log('Re-subscribing to channels:', channels);
+
+    // A new connection gets a fresh set of retries
+    channels.forEach(channel => {
+      this.getSubscriptionEntry(channel).attempts = 0;
     });
+    this.sendSubscribe(channels);
+  }
+
+  // ===== SUBSCRIPTION ACKNOWLEDGEMENTS =====
+
+  // Send a subscribe request and wait for each channel's acknowledgement
+  sendSubscribe(channels) {
+    const feed = this.getFeedOptions();
+    if (feed === null) {
+      // Paused while hidden; resume() subscribes again
+      channels.forEach(channel => this.updateSubscription(channel, SUBSCRIPTION_STATUS.PENDING));
+      return true;
+    }
+
+    channels.forEach(channel => {
+      const entry = this.getSubscriptionEntry(channel);
+      clearTimeout(entry.timer);
+      entry.timer = null;
+      entry.attempts++;
+
+      if (this.options.subscribeTimeout > 0) {
+        this.updateSubscription(channel, SUBSCRIPTION_STATUS.PENDING);
+        entry.timer = setTimeout(() => this.handleSubscribeTimeout(channel), this.options.subscribeTimeout);
+      } else {
+        this.updateSubscription(channel, SUBSCRIPTION_STATUS.ACTIVE);
+      }
+    });
+
+    return this.send({
+      type: 'subscribe',
+      channels,
+      ...feed,
+      timestamp: Date.now()
+    });
+  }
+
+  getSubscriptionEntry(channel) {
+    if (!this.subscriptionStatus.has(channel)) {
+      this.subscriptionStatus.set(channel, { status: null, error: null, attempts: 0, timer: null });
+    }
+    return this.subscriptionStatus.get(channel);
+  }
+
+  // Record a channel's status and announce changes
+  updateSubscription(channel, status, error = null) {
+    const entry = this.getSubscriptionEntry(channel);
+    if (status !== SUBSCRIPTION_STATUS.PENDING && entry.timer) {
+      clearTimeout(entry.timer);
+      entry.timer = null;
+    }
+
+    if (entry.status === status && entry.error === error) return;
+
+    entry.status = status;
+    entry.error = error;
+    this.emit('subscriptionStatus', { channel, status, error });
+  }
+
+  // Stop tracking a channel nobody subscribes to any more
+  forgetSubscription(channel) {
+    const entry = this.subscriptionStatus.get(channel);
+    if (!entry) return;
+
+    clearTimeout(entry.timer);
+    this.subscriptionStatus.delete(channel);
+    this.emit('subscriptionStatus', { channel, status: null, error: null });
+  }
+
+  handleSubscribeTimeout(channel) {
+    const entry = this.subscriptionStatus.get(channel);
+    if (!entry) return;
+
+    entry.timer = null;
+    if (!this.isConnected) return; // Sent again by resubscribe() on reconnect
+
+    if (entry.attempts <= this.options.subscribeRetries) {
+      this.log(`No acknowledgement for ${channel}, retrying (${entry.attempts}/${this.options.subscribeRetries})`);
+      this.sendSubscribe([channel]);
+    } else {
+      this.log(`Subscription to ${channel} timed out`);
+      this.updateSubscription(channel, SUBSCRIPTION_STATUS.TIMEOUT, 'No response from server');
+    }
+  }
+
+  // 'subscribed' / 'error' replies name their channels (or symbol); other errors aren't ours
+  handleSubscriptionReply(data) {
+    const channels = [...(data.channels || []), data.channel, data.symbol]
+      .filter(Boolean)
+      .map(OrderBookWebSocketService.toChannel)
+      .filter(channel => this.subscriptionStatus.has(channel));
+
+    if (data.type === 'subscribed') {
+      channels.forEach(channel => this.updateSubscription(channel, SUBSCRIPTION_STATUS.ACTIVE));
+    } else {
+      const reason = String(data.message || data.reason || data.error || 'Subscription rejected');
+      channels.forEach(channel => this.updateSubscription(channel, SUBSCRIPTION_STATUS.ERROR, reason));
+    }
+  }
+
+  /**
+   * Mark channels active because their data is arriving, for servers that don't send
+   * 'subscribed' replies
+   * @param {string|Array} channels - Channel(s) or symbol(s)
+   */
+  acknowledge(channels) {
+    (Array.isArray(channels) ? channels : [channels])
+      .map(OrderBookWebSocketService.toChannel)
+      .filter(channel => this.subscriptionStatus.get(channel)?.status === SUBSCRIPTION_STATUS.PENDING)
+      .forEach(channel => this.updateSubscription(channel, SUBSCRIPTION_STATUS.ACTIVE));
+  }
+
+  // channel -> { status, error }
+  getSubscriptionStatuses() {
+    return Object.fromEntries(Array.from(this.subscriptionStatus.entries())
+      .map(([channel, { status, error }]) => [channel, { status, error }]));
+  }
+
+  // ===== RECORDING =====
+
+  /**
+   * Start capturing raw inbound frames (see feedRecorder.js); replaces a running recording
+   * @param {Object} options - FeedRecorder options (maxFrames)
+   */
+  startRecording(options = {}) {
+    this.log('Recording inbound frames');
+    this.recorder = new FeedRecorder({ url: this.url, codec: this.codec.name, ...options });
+  }
+
+  /**
+   * Stop recording
+   * @returns {Promise<string|null>} The recording as NDJSON (null if none was running); a
+   *   promise to match OrderBookWorkerClient, whose frames are recorded in the worker
+   */
+  stopRecording() {
+    const recorder = this.recorder;
+    this.recorder = null;
+    return Promise.resolve(recorder ? recorder.toNDJSON() : null);
+  }
+
+  // ===== VISIBILITY AND NETWORK =====
+
+  isSuspended() {
+    return !this.online || (!this.visible && this.options.hiddenMode !== 'none');
+  }
+
+  // Extra subscribe fields for the current visibility; null while the feed is paused
+  getFeedOptions() {
+    if (this.visible || this.options.hiddenMode === 'none') return {};
+    if (this.options.hiddenMode === 'pause') return null;
+
+    return { depth: this.options.hiddenDepth, throttle: this.options.hiddenThrottle };
+  }
+
+  /**
+   * Page visibility changed. While hidden there are no pings or reconnect attempts and the
+   * feed is downgraded or paused (see `hiddenMode`); showing the page again resumes it.
+   * @param {boolean} visible
+   */
+  setVisible(visible) {
+    if (visible === this.visible) return;
+
+    this.visible = visible;
+    this.log(`Page ${visible ? 'visible' : 'hidden'}`);
+
+    if (visible) {
+      this.resume('visible');
+      return;
+    }
+
+    if (this.options.hiddenMode === 'none') return;
+
+    this.suspend('hidden');
+    if (this.isConnected && this.subscriptions.size > 0) {
+      if (this.options.hiddenMode === 'pause') {
+        this.send({ type: 'unsubscribe', channels: Array.from(this.subscriptions.keys()), timestamp: Date.now() });
+      } else {
+        this.resubscribe();
+      }
+    }
+  }
+
+  /**
+   * Network availability changed (navigator.onLine). Reconnect attempts wait while offline.
+   * @param {boolean} online
+   */
+  setOnline(online) {
+    if (online === this.online) return;
+
+    this.online = online;
+    this.log(`Network ${online ? 'online' : 'offline'}`);
+
+    if (online) {
+      this.resume('online');
+    } else {
+      this.suspend('offline');
+    }
+  }
+
+  suspend(reason) {
+    this.stopHeartbeat();
+    this.cancelReconnect();
+
+    if (this.suspendedAt === null) {
+      this.suspendedAt = Date.now();
+    }
+    this.emit('suspended', { reason });
+  }
+
+  /**
+   * Pick up after the page was hidden, the network was down or the machine slept ('wake'):
+   * check a surviving socket at once (a 'wake' always gets a new one), otherwise reconnect
+   * without backoff. Listeners should resync their books on 'resumed'.
+   * @param {string} reason - 'visible', 'online' or 'wake'
+   */
+  resume(reason) {
+    if (this.isSuspended()) return; // e.g. visible again but still offline
+
+    const suspendedFor = this.suspendedAt !== null ? Date.now() - this.suspendedAt : 0;
+    this.suspendedAt = null;
+    this.log(`Resuming (${reason})`);
+
+    if (this.isConnected && reason !== 'wake') {
+      this.resubscribe(); // Back to the full feed
+      this.startHeartbeat();
+      this.sendPing();
+    } else if (this.wantsConnection && !this.isConnecting) {
+      this.reconnect();
+    }
+
+    this.emit('resumed', { reason, suspendedFor });
   }
 
   // Get connection statistics
@@ -466,9 +1082,16 @@ class OrderBookWebSocketService {
       connectionUptime: uptime,
       isConnected: this.isConnected,
       reconnectAttempts: this.reconnectAttempts,
-      subscriptions: Array.from(this.subscriptions),
-      queuedMessages: this.messageQueue.length,
-      connectionId: this.connectionId
+      subscriptions: Array.from(this.subscriptions.keys()),
+      queuedMessages: this.messageQueue.size,
+      droppedMessages: this.messageQueue.dropped,
+      connectionId: this.connectionId,
+      endpoint: this.url,
+      endpointIndex: this.endpointIndex,
+      endpoints: this.endpoints.length,
+      visible: this.visible,
+      online: this.online,
+      recordedFrames: this.recorder ? this.recorder.size : null
     };
   }
 
@@ -493,8 +1116,9 @@ class OrderBookWebSocketService {
       isConnecting: this.isConnecting,
       readyState: this.ws?.readyState,
       url: this.url,
+      endpointIndex: this.endpointIndex,
       connectionId: this.connectionId,
-      subscriptions: Array.from(this.subscriptions)
+      subscriptions: Array.from(this.subscriptions.keys())
     };
   }
 }
@@ -508,4 +1132,4 @@ const defaultWebSocketService = new OrderBookWebSocketService('ws://localhost:80
 });
 
 export default defaultWebSocketService;
-export { OrderBookWebSocketService, WebSocketError };
\ No newline at end of file
+export { OrderBookWebSocketService, WebSocketError, ORDERBOOK_CHANNEL_PREFIX, SUBSCRIPTION_STATUS };
\ No newline at end of file
@@ -0,0 +1,491 @@
+import { OrderBookWebSocketService } from './websocket';
+
+// Stands in for the browser WebSocket: the test opens and closes sockets by hand
+class FakeSocket {
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    this.sent = [];
+    FakeSocket.instances.push(this);
+  }
+
+  send(data) {
+    this.sent.push(data);
+  }
+
+  close(code = 1000, reason = '') {
+    this.closed = { code, reason };
+  }
+
+  open() {
+    this.onopen?.({});
+  }
+
+  receive(message) {
+    this.onmessage?.({ data: JSON.stringify(message) });
+  }
+
+  // Closes arrive after the fact, like the browser's
+  fireClose(code = 1000, reason = '') {
+    this.onclose?.({ code, reason, wasClean: code === 1000 });
+  }
+}
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// Lets reconnect timers' async callbacks (endpoint selection) run under fake timers
+const settle = async () => {
+  for (let i = 0; i < 5; i++) await Promise.resolve();
+};
+
+const lastSocket = () => FakeSocket.instances[FakeSocket.instances.length - 1];
+
+const framesOf = (socket, type) => socket.sent.map(frame => JSON.parse(frame)).filter(frame => frame.type === type);
+
+const health = (ok) => ({
+  ok,
+  status: ok ? 200 : 503,
+  headers: { get: () => 'application/json' },
+  json: async () => ({ status: ok ? 'ok' : 'degraded' }),
+  text: async () => ''
+});
+
+describe('OrderBookWebSocketService', () => {
+  const { WebSocket } = global;
+  let service;
+
+  beforeEach(() => {
+    FakeSocket.instances = [];
+    global.WebSocket = FakeSocket;
+  });
+
+  afterEach(() => {
+    service?.disconnect();
+    global.WebSocket = WebSocket;
+  });
+
+  test('a late close from the dropped socket does not abort the reconnect', async () => {
+    let grant;
+    const auth = { getToken: jest.fn(() => new Promise(resolve => { grant = resolve; })) };
+    service = new OrderBookWebSocketService('ws://feed.test', { auth, heartbeatInterval: 0 });
+
+    service.connect();
+    grant('first');
+    await flush();
+    const [first] = FakeSocket.instances;
+    first.open();
+    expect(service.isConnected).toBe(true);
+
+    const disconnected = jest.fn();
+    service.on('disconnected', disconnected);
+    service.reconnect();
+    expect(first.closed).toEqual({ code: 1000, reason: 'Reconnect' });
+    expect(disconnected).toHaveBeenCalledWith({ code: 1000, reason: 'Reconnect', wasClean: true, willReconnect: true });
+
+    // The old socket finishes closing while the new connect waits for its token
+    first.fireClose(1000, 'Reconnect');
+    grant('second');
+    await flush();
+
+    expect(FakeSocket.instances).toHaveLength(2);
+    expect(FakeSocket.instances[1].url).toBe('ws://feed.test?token=second');
+    FakeSocket.instances[1].open();
+    expect(service.isConnected).toBe(true);
+    expect(disconnected).toHaveBeenCalledTimes(1);
+  });
+
+  test('disconnect reports the close itself and ignores the socket afterwards', async () => {
+    service = new OrderBookWebSocketService('ws://feed.test', { heartbeatInterval: 0 });
+    service.connect();
+    await flush();
+    const [socket] = FakeSocket.instances;
+    socket.open();
+
+    const disconnected = jest.fn();
+    service.on('disconnected', disconnected);
+    service.disconnect();
+    socket.fireClose(1000, 'Manual disconnect');
+
+    expect(disconnected).toHaveBeenCalledTimes(1);
+    expect(disconnected).toHaveBeenCalledWith({ code: 1000, reason: 'Manual disconnect', wasClean: true, willReconnect: false });
+    expect(service.isConnected).toBe(false);
+    expect(service.isConnecting).toBe(false);
+  });
+
+  describe('reconnecting', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+      jest.spyOn(Math, 'random').mockReturnValue(0); // No jitter
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+      Math.random.mockRestore();
+    });
+
+    const options = { heartbeatInterval: 0, reconnectInterval: 1000, maxReconnectInterval: 5000 };
+
+    test('moves to the next endpoint after failoverAttempts failures and wraps around', async () => {
+      service = new OrderBookWebSocketService(['ws://a.test', 'ws://b.test'], { ...options, failoverAttempts: 2 });
+      const endpointChanged = jest.fn();
+      service.on('endpointChanged', endpointChanged);
+      service.connect();
+
+      const visited = [lastSocket().url];
+      for (let i = 0; i < 4; i++) {
+        lastSocket().fireClose(1006);
+        jest.advanceTimersByTime(1000);
+        await settle();
+        visited.push(lastSocket().url);
+      }
+
+      expect(visited).toEqual(['ws://a.test', 'ws://a.test', 'ws://b.test', 'ws://b.test', 'ws://a.test']);
+      expect(endpointChanged.mock.calls.map(([event]) => [event.url, event.reason])).toEqual([
+        ['ws://b.test', 'connection_failed'],
+        ['ws://a.test', 'connection_failed']
+      ]);
+    });
+
+    test('gives up after reconnectAttempts without keepRetrying', () => {
+      service = new OrderBookWebSocketService('ws://a.test', { ...options, reconnectAttempts: 2, keepRetrying: false });
+      const reconnectFailed = jest.fn();
+      const disconnected = jest.fn();
+      service.on('reconnectFailed', reconnectFailed);
+      service.on('disconnected', disconnected);
+      service.connect();
+
+      lastSocket().fireClose(1006);
+      jest.advanceTimersByTime(1000);
+      lastSocket().fireClose(1006);
+      jest.advanceTimersByTime(2000);
+      lastSocket().fireClose(1006);
+
+      expect(disconnected).toHaveBeenLastCalledWith(expect.objectContaining({ willReconnect: false }));
+      expect(reconnectFailed).toHaveBeenCalledWith({ attempts: 2, endpoints: ['ws://a.test'], willRetry: false });
+      jest.advanceTimersByTime(60000);
+      expect(FakeSocket.instances).toHaveLength(3);
+    });
+
+    test('keeps trying at maxReconnectInterval once the attempts run out', () => {
+      service = new OrderBookWebSocketService('ws://a.test', { ...options, reconnectAttempts: 2 });
+      const reconnectFailed = jest.fn();
+      const disconnected = jest.fn();
+      service.on('reconnectFailed', reconnectFailed);
+      service.on('disconnected', disconnected);
+      service.connect();
+
+      lastSocket().fireClose(1006);
+      jest.advanceTimersByTime(1000);
+      lastSocket().fireClose(1006);
+      jest.advanceTimersByTime(2000);
+      lastSocket().fireClose(1006);
+
+      expect(disconnected).toHaveBeenLastCalledWith(expect.objectContaining({ willReconnect: true }));
+      expect(reconnectFailed).toHaveBeenCalledWith({ attempts: 2, endpoints: ['ws://a.test'], willRetry: true });
+
+      // Every further try waits the longest, and the failure is reported only once
+      for (let i = 0; i < 2; i++) {
+        const sockets = FakeSocket.instances.length;
+        jest.advanceTimersByTime(4999);
+        expect(FakeSocket.instances).toHaveLength(sockets);
+        jest.advanceTimersByTime(1);
+        expect(FakeSocket.instances).toHaveLength(sockets + 1);
+        lastSocket().fireClose(1006);
+      }
+      expect(reconnectFailed).toHaveBeenCalledTimes(1);
+
+      // A connection that finally opens starts the budget over
+      jest.advanceTimersByTime(5000);
+      lastSocket().open();
+      expect(service.reconnectAttempts).toBe(0);
+    });
+  });
+
+  describe('endpoint selection', () => {
+    const { fetch } = global;
+
+    afterEach(() => {
+      global.fetch = fetch;
+    });
+
+    const endpoints = [
+      { url: 'ws://a.test', apiUrl: 'http://a.test' },
+      { url: 'ws://b.test', apiUrl: 'http://b.test' },
+      { url: 'ws://c.test', apiUrl: 'http://c.test' }
+    ];
+
+    test('rotates in order without health checks', async () => {
+      service = new OrderBookWebSocketService(endpoints);
+      const probe = jest.spyOn(service, 'probeEndpoint');
+
+      await expect(service.selectNextEndpoint()).resolves.toBe(1);
+      service.setEndpoint(2, 'manual');
+      await expect(service.selectNextEndpoint()).resolves.toBe(0);
+      expect(probe).not.toHaveBeenCalled();
+    });
+
+    test('skips candidates that fail their health check', async () => {
+      service = new OrderBookWebSocketService(endpoints, { healthCheck: true });
+      const probe = jest.spyOn(service, 'probeEndpoint').mockImplementation(async ({ url }) => url === 'ws://c.test');
+
+      await expect(service.selectNextEndpoint()).resolves.toBe(2);
+      expect(probe.mock.calls.map(([endpoint]) => endpoint.url)).toEqual(['ws://b.test', 'ws://c.test']);
+
+      // Nobody healthy: plain rotation rather than staying on a dead endpoint
+      probe.mockResolvedValue(false);
+      await expect(service.selectNextEndpoint()).resolves.toBe(1);
+    });
+
+    test('probes an endpoint through its REST health route', async () => {
+      service = new OrderBookWebSocketService(endpoints, { healthCheck: true });
+      global.fetch = jest.fn(async (url) => health(url.startsWith('http://c.test')));
+
+      await expect(service.probeEndpoint(endpoints[2])).resolves.toBe(true);
+      expect(global.fetch.mock.calls[0][0]).toBe('http://c.test/api/health');
+      await expect(service.probeEndpoint(endpoints[1])).resolves.toBe(false);
+
+      // Nothing to probe counts as healthy
+      await expect(service.probeEndpoint({ url: 'ws://d.test', apiUrl: null })).resolves.toBe(true);
+    });
+  });
+
+  describe('subscription acknowledgements', () => {
+    const BTC = 'orderbook.BTCUSDT';
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      service = new OrderBookWebSocketService('ws://feed.test', { heartbeatInterval: 0, subscribeTimeout: 1000, subscribeRetries: 2 });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    const connect = () => {
+      service.connect();
+      lastSocket().open();
+      return lastSocket();
+    };
+
+    test('a subscription is pending until the server acknowledges it', () => {
+      const socket = connect();
+      service.subscribe('btcusdt');
+      expect(framesOf(socket, 'subscribe')).toEqual([expect.objectContaining({ channels: [BTC] })]);
+      expect(service.getSubscriptionStatuses()).toEqual({ [BTC]: { status: 'pending', error: null } });
+
+      socket.receive({ type: 'subscribed', channels: [BTC] });
+      expect(service.getSubscriptionStatuses()).toEqual({ [BTC]: { status: 'active', error: null } });
+
+      // Acknowledged: no resends
+      jest.advanceTimersByTime(10000);
+      expect(framesOf(socket, 'subscribe')).toHaveLength(1);
+    });
+
+    test('an unanswered subscription is resent subscribeRetries times, then times out', () => {
+      const socket = connect();
+      const statuses = [];
+      service.on('subscriptionStatus', ({ status }) => statuses.push(status));
+      service.subscribe('BTCUSDT');
+
+      jest.advanceTimersByTime(1000);
+      expect(framesOf(socket, 'subscribe')).toHaveLength(2);
+      jest.advanceTimersByTime(1000);
+      expect(framesOf(socket, 'subscribe')).toHaveLength(3);
+      expect(service.getSubscriptionStatuses()[BTC].status).toBe('pending');
+
+      jest.advanceTimersByTime(1000);
+      expect(framesOf(socket, 'subscribe')).toHaveLength(3);
+      expect(service.getSubscriptionStatuses()).toEqual({ [BTC]: { status: 'timeout', error: 'No response from server' } });
+      expect(statuses).toEqual(['pending', 'timeout']);
+
+      // Data arriving now doesn't overrule the timeout; only a reconnect retries
+      service.acknowledge(BTC);
+      expect(service.getSubscriptionStatuses()[BTC].status).toBe('timeout');
+    });
+
+    test('stream data acknowledges a subscription for servers that send no reply', () => {
+      const socket = connect();
+      service.subscribe('BTCUSDT');
+      jest.advanceTimersByTime(1000);
+
+      service.acknowledge('BTCUSDT');
+      expect(service.getSubscriptionStatuses()[BTC].status).toBe('active');
+      jest.advanceTimersByTime(10000);
+      expect(framesOf(socket, 'subscribe')).toHaveLength(2);
+    });
+
+    test('a rejected subscription reports the server\'s reason', () => {
+      const socket = connect();
+      service.subscribe(['BTCUSDT', 'XYZUSDT']);
+      socket.receive({ type: 'error', symbol: 'XYZUSDT', message: 'unknown symbol' });
+
+      expect(service.getSubscriptionStatuses()).toEqual({
+        [BTC]: { status: 'pending', error: null },
+        'orderbook.XYZUSDT': { status: 'error', error: 'unknown symbol' }
+      });
+    });
+
+    test('subscriptions wait for the socket and get a fresh set of retries on every connection', () => {
+      service.subscribe('BTCUSDT');
+      expect(service.getSubscriptionStatuses()).toEqual({ [BTC]: { status: 'pending', error: null } });
+
+      const first = connect();
+      expect(framesOf(first, 'subscribe')).toEqual([expect.objectContaining({ channels: [BTC] })]);
+      jest.advanceTimersByTime(3000);
+      expect(service.getSubscriptionStatuses()[BTC].status).toBe('timeout');
+
+      first.fireClose(1006);
+      jest.advanceTimersByTime(4000);
+      const second = lastSocket();
+      second.open();
+      expect(service.getSubscriptionStatuses()[BTC].status).toBe('pending');
+      jest.advanceTimersByTime(2000);
+      expect(framesOf(second, 'subscribe')).toHaveLength(3);
+      second.receive({ type: 'subscribed', channel: BTC });
+      expect(service.getSubscriptionStatuses()[BTC].status).toBe('active');
+    });
+  });
+
+  describe('heartbeat', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+      jest.spyOn(Math, 'random').mockReturnValue(0);
+      service = new OrderBookWebSocketService('ws://feed.test', { heartbeatInterval: 1000, pongTimeout: 500, reconnectInterval: 1000 });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+      Math.random.mockRestore();
+    });
+
+    test('a ping without a pong drops the socket and reconnects', () => {
+      const heartbeatTimeout = jest.fn();
+      const disconnected = jest.fn();
+      service.on('heartbeatTimeout', heartbeatTimeout);
+      service.on('disconnected', disconnected);
+      service.connect();
+      const socket = lastSocket();
+      socket.open();
+
+      jest.advanceTimersByTime(1000);
+      expect(framesOf(socket, 'ping')).toHaveLength(1);
+      jest.advanceTimersByTime(499);
+      expect(socket.closed).toBeUndefined();
+
+      jest.advanceTimersByTime(1);
+      expect(heartbeatTimeout).toHaveBeenCalledWith({ connectionId: expect.any(String), timeout: 500 });
+      expect(socket.closed).toEqual({ code: 4000, reason: 'Heartbeat timeout' });
+      expect(disconnected).toHaveBeenCalledWith({ code: 4000, reason: 'Heartbeat timeout', wasClean: false, willReconnect: true });
+      expect(service.isConnected).toBe(false);
+
+      jest.advanceTimersByTime(1000);
+      expect(FakeSocket.instances).toHaveLength(2);
+      expect(lastSocket().url).toBe('ws://feed.test');
+    });
+
+    test('a pong, or any other traffic, keeps the socket', () => {
+      const heartbeatTimeout = jest.fn();
+      service.on('heartbeatTimeout', heartbeatTimeout);
+      service.connect();
+      const socket = lastSocket();
+      socket.open();
+
+      jest.advanceTimersByTime(1000);
+      socket.receive({ type: 'pong', requestTime: Date.now() });
+      jest.advanceTimersByTime(1000);
+      socket.receive({ type: 'orderbook', symbol: 'BTCUSDT' });
+      jest.advanceTimersByTime(1000);
+
+      expect(framesOf(socket, 'ping')).toHaveLength(3);
+      expect(heartbeatTimeout).not.toHaveBeenCalled();
+      expect(socket.closed).toBeUndefined();
+      expect(service.isConnected).toBe(true);
+    });
+  });
+
+  describe('suspend and resume', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+      jest.setSystemTime(0);
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    const connect = (options) => {
+      service = new OrderBookWebSocketService('ws://feed.test', { heartbeatInterval: 1000, subscribeTimeout: 0, ...options });
+      service.subscribe('BTCUSDT');
+      service.connect();
+      lastSocket().open();
+      return lastSocket();
+    };
+
+    test('a hidden page downgrades the feed and stops pinging', () => {
+      const socket = connect({ hiddenMode: 'downgrade', hiddenDepth: 5, hiddenThrottle: 2000 });
+      const suspended = jest.fn();
+      service.on('suspended', suspended);
+
+      service.setVisible(false);
+      expect(suspended).toHaveBeenCalledWith({ reason: 'hidden' });
+      expect(framesOf(socket, 'subscribe')[1]).toMatchObject({ channels: ['orderbook.BTCUSDT'], depth: 5, throttle: 2000 });
+
+      jest.advanceTimersByTime(10000);
+      expect(framesOf(socket, 'ping')).toEqual([]);
+    });
+
+    test('while paused nothing reconnects until the page is visible again', () => {
+      const socket = connect({ hiddenMode: 'pause' });
+      const resumed = jest.fn();
+      service.on('resumed', resumed);
+
+      service.setVisible(false);
+      expect(framesOf(socket, 'unsubscribe')).toEqual([expect.objectContaining({ channels: ['orderbook.BTCUSDT'] })]);
+      socket.fireClose(1006);
+      jest.advanceTimersByTime(60000);
+      expect(FakeSocket.instances).toHaveLength(1);
+
+      service.setVisible(true);
+      expect(resumed).toHaveBeenCalledWith({ reason: 'visible', suspendedFor: 60000 });
+      expect(FakeSocket.instances).toHaveLength(2);
+      lastSocket().open();
+      expect(framesOf(lastSocket(), 'subscribe')).toEqual([expect.objectContaining({ channels: ['orderbook.BTCUSDT'] })]);
+    });
+
+    test('going offline suspends reconnects; coming back online reconnects at once', () => {
+      const socket = connect();
+      const suspended = jest.fn();
+      const resumed = jest.fn();
+      service.on('suspended', suspended);
+      service.on('resumed', resumed);
+
+      service.setOnline(false);
+      expect(suspended).toHaveBeenCalledWith({ reason: 'offline' });
+      socket.fireClose(1006);
+      jest.advanceTimersByTime(60000);
+      expect(FakeSocket.instances).toHaveLength(1);
+
+      // Visible again but still offline: nothing to do yet
+      service.setVisible(false);
+      service.setVisible(true);
+      expect(resumed).not.toHaveBeenCalled();
+
+      service.setOnline(true);
+      expect(resumed).toHaveBeenCalledWith({ reason: 'online', suspendedFor: 60000 });
+      expect(FakeSocket.instances).toHaveLength(2);
+    });
+
+    test('a surviving socket is resubscribed to the full feed on resume', () => {
+      const socket = connect();
+      service.setVisible(false);
+      service.setVisible(true);
+
+      const [, downgraded, restored] = framesOf(socket, 'subscribe');
+      expect(downgraded).toHaveProperty('depth');
+      expect(restored).not.toHaveProperty('depth');
+      expect(framesOf(socket, 'ping')).toHaveLength(1);
+      expect(FakeSocket.instances).toHaveLength(1);
+    });
+  });
+});
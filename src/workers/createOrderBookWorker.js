@@ -0,0 +1,6 @@
+// workers/createOrderBookWorker.js
+
+// Kept apart and loaded with import(): import.meta is only understood by the bundler
+const createOrderBookWorker = () => new Worker(new URL('./orderBook.worker.js', import.meta.url));
+
+export default createOrderBookWorker;
@@ -0,0 +1,348 @@
+// workers/orderBook.worker.js
+/* global globalThis */
+import { OrderBookWebSocketService, ORDERBOOK_CHANNEL_PREFIX } from '../services/websocket';
+import OrderBookStore from '../services/orderBookStore';
+import { OrderBookAPI, APIError, API_ERROR_KIND } from '../services/api';
+import { AGGREGATED_VENUE } from '../services/adapters';
+import { packBook } from '../services/bookSnapshot';
+import FeedMetrics from '../services/feedMetrics';
+
+// Feed pipeline off the main thread: the socket, message decoding, normalisation and book
+// maintenance all live here. The main thread (OrderBookWorkerClient) only receives top-N
+// snapshots of the books that changed, at most once per frame.
+//
+// Main -> worker: init, configure, subscribe, unsubscribe, fetch, cancelFetch, resync, send, reconnect,
+//                 switchEndpoint, token, visibility, online, resume, startRecording, stopRecording
+// Worker -> main: books, connection, stats, resync, endpoint, reconnectFailed, subscriptionStatus,
+//                 suspended, resumed, error, fetched, recording, token, rateLimit, circuits
+
+const ctx = globalThis;
+
+let config = null;
+let service = null;
+let store = null;
+let api = null;
+let stopFollowingApi = () => {};
+const metrics = new FeedMetrics();
+
+const dirty = new Map(); // symbol -> { venue, kind } of its latest change
+let flushTimer = null;
+let statsTimer = null;
+
+// REST polls in flight: requestId -> { symbol, controller }
+const fetches = new Map();
+
+// Tokens come from the auth provider on the main thread, which can't be sent here
+const tokenRequests = new Map();
+let tokenRequestCounter = 0;
+
+const post = (message, transfer = []) => ctx.postMessage(message, transfer);
+
+const serializeError = (error) => ({
+  name: error?.name || 'Error',
+  message: error?.message || String(error),
+  code: error?.code,
+  status: error?.status,
+  kind: error?.kind
+});
+
+const requestToken = (refresh) => {
+  const requestId = ++tokenRequestCounter;
+  return new Promise((resolve, reject) => {
+    tokenRequests.set(requestId, { resolve, reject });
+    post({ type: 'token', requestId, refresh });
+  });
+};
+
+// Auth provider for the worker's socket and REST client
+const workerAuth = {
+  getToken: () => requestToken(false),
+  refreshToken: () => requestToken(true)
+};
+
+// Without a socket there's no subscription to lose; 'unsubscribe' still cancels the symbol's polls
+const isSubscribed = (symbol) => !service || service.subscriptions.has(ORDERBOOK_CHANNEL_PREFIX + symbol);
+
+const postConnection = (event = null) => {
+  post({
+    type: 'connection',
+    state: {
+      isConnected: service?.isConnected || false,
+      readyState: service?.ws?.readyState ?? WebSocket.CLOSED,
+      event
+    }
+  });
+};
+
+// Post every book that changed since the last flush
+const flush = () => {
+  flushTimer = null;
+  if (dirty.size === 0) return;
+
+  const books = [];
+  const transfer = [];
+  dirty.forEach(({ venue, kind }, symbol) => {
+    const book = store.getBook(symbol);
+    if (!book) return;
+
+    // A level that can't be packed exactly is reported rather than rounded
+    let packet;
+    try {
+      packet = packBook(book, config.maxDepth);
+    } catch (error) {
+      post({ type: 'error', source: 'snapshot', error: serializeError(error) });
+      return;
+    }
+    books.push({ ...packet, venue, kind });
+    transfer.push(packet.buffer);
+  });
+  dirty.clear();
+
+  if (books.length > 0) {
+    post({ type: 'books', books }, transfer);
+  }
+};
+
+const scheduleFlush = () => {
+  if (flushTimer === null) {
+    flushTimer = setTimeout(flush, config.frameInterval);
+  }
+};
+
+// (Re)build the REST client and point the store at the current settings
+const applyConfig = () => {
+  api = config.apiUrl
+    ? new OrderBookAPI(config.apiUrl, { debug: config.debug, cacheTimeout: 0, auth: config.auth ? workerAuth : null })
+    : null;
+
+  // The main thread shows when REST calls are being held back, and whether the backend answers
+  stopFollowingApi();
+  const stops = api
+    ? [
+      api.onRateLimitChange(state => post({ type: 'rateLimit', state })),
+      api.onCircuitChange(() => post({ type: 'circuits', circuits: api.getCircuitStates() }))
+    ]
+    : [];
+  stopFollowingApi = () => stops.forEach(stop => stop());
+
+  store.options.adapter = config.messageAdapter;
+  store.options.fetchSnapshot = api
+    ? (symbol, venue) => api.getOrderBook(symbol, venue && venue !== AGGREGATED_VENUE
+      ? { depth: config.maxDepth, exchange: venue }
+      : { depth: config.maxDepth })
+    : null;
+};
+
+const init = (options) => {
+  // A repeated init replaces the previous pipeline
+  clearInterval(statsTimer);
+  fetches.forEach(request => request.controller.abort());
+  service?.disconnect();
+  service = null;
+
+  config = {
+    wsUrl: null,
+    apiUrl: null,
+    maxDepth: 20,
+    frameInterval: 16,   // ms between snapshot flushes (~60 fps)
+    statsInterval: 1000, // 0 disables the stats reports
+    messageAdapter: 'auto',
+    codec: 'json',
+    socket: {},          // Extra OrderBookWebSocketService options (reconnects, failover, auth mode)
+    auth: false,         // Whether the main thread has an auth provider to ask for tokens
+    visible: true,       // Page visibility and network state as last seen by the main thread
+    online: true,
+    debug: false,
+    ...options
+  };
+
+  store = new OrderBookStore({ debug: config.debug });
+  applyConfig();
+
+  store.on('update', (update) => {
+    const { symbol, venue, kind, source } = update;
+    metrics.recordUpdate(update);
+    if (source === 'stream') service?.acknowledge(ORDERBOOK_CHANNEL_PREFIX + symbol);
+    dirty.set(symbol, { venue, kind });
+    scheduleFlush();
+  });
+  store.on('resync', (event) => post({ type: 'resync', ...event }));
+  store.on('error', (error) => post({ type: 'error', source: 'resync', error: serializeError(error) }));
+
+  if (config.wsUrl) {
+    service = new OrderBookWebSocketService(config.wsUrl, {
+      debug: config.debug,
+      codec: config.codec,
+      reconnectAttempts: 10,
+      heartbeatInterval: 30000,
+      ...config.socket,
+      auth: config.auth ? workerAuth : null
+    });
+
+    service.on('connected', () => postConnection());
+    service.on('disconnected', (event) => postConnection(event));
+    service.on('endpointChanged', (event) => post({ type: 'endpoint', event }));
+    service.on('reconnectFailed', (event) => post({ type: 'reconnectFailed', event }));
+    service.on('subscriptionStatus', (event) => post({ type: 'subscriptionStatus', event }));
+    service.on('suspended', (event) => post({ type: 'suspended', event }));
+    service.on('resumed', (event) => {
+      // Whatever was missed while suspended is replaced by fresh snapshots
+      store.resyncAll(`resumed (${event.reason})`);
+      post({ type: 'resumed', event });
+    });
+
+    service.setVisible(config.visible);
+    service.setOnline(config.online);
+    service.on('error', (error) => {
+      postConnection();
+      post({ type: 'error', source: 'socket', error: serializeError(error) });
+    });
+    service.on('message', ({ data }) => {
+      metrics.recordMessage();
+      try {
+        store.handleMessage(data);
+      } catch (error) {
+        post({ type: 'error', source: 'message', error: serializeError(error) });
+      }
+    });
+
+    service.connect();
+  }
+
+  statsTimer = config.statsInterval > 0
+    ? setInterval(() => {
+      post({ type: 'stats', stats: service ? service.getStats() : {}, metrics: metrics.snapshot() });
+    }, config.statsInterval)
+    : null;
+};
+
+ctx.onmessage = async ({ data: message }) => {
+  switch (message.type) {
+    case 'init':
+      init(message.options);
+      break;
+
+    case 'configure':
+      config = { ...config, ...message.options };
+      applyConfig();
+      break;
+
+    case 'subscribe':
+      // The service resubscribes by itself after reconnects
+      service?.subscribe(message.channels);
+
+      // Books already kept for another subscriber (e.g. another tab) go out straight away
+      message.channels
+        .filter(channel => channel.startsWith(ORDERBOOK_CHANNEL_PREFIX))
+        .map(channel => channel.slice(ORDERBOOK_CHANNEL_PREFIX.length))
+        .filter(symbol => store.getBook(symbol))
+        .forEach(symbol => dirty.set(symbol, { venue: AGGREGATED_VENUE, kind: 'snapshot' }));
+      if (dirty.size > 0) scheduleFlush();
+      break;
+
+    case 'unsubscribe':
+      service?.unsubscribe(message.channels);
+      message.channels
+        .filter(channel => channel.startsWith(ORDERBOOK_CHANNEL_PREFIX) && !service?.subscriptions.has(channel))
+        .map(channel => channel.slice(ORDERBOOK_CHANNEL_PREFIX.length))
+        .forEach(symbol => {
+          fetches.forEach(request => {
+            if (request.symbol === symbol) request.controller.abort();
+          });
+          store.remove(symbol);
+          metrics.removeSymbol(symbol);
+          dirty.delete(symbol);
+        });
+      break;
+
+    case 'fetch': {
+      // REST polling: the snapshot is parsed and applied here, only the result goes back
+      const { symbol, requestId } = message;
+      const controller = new AbortController();
+      fetches.set(requestId, { symbol, controller });
+      try {
+        if (!api) throw new Error('No API URL configured');
+        const data = await api.getOrderBook(symbol, { depth: config.maxDepth }, { signal: controller.signal });
+
+        // Unsubscribed while in flight: applying it would bring back a book nobody removes again
+        if (controller.signal.aborted || !isSubscribed(symbol)) {
+          throw new APIError('Request aborted', undefined, undefined, API_ERROR_KIND.ABORTED);
+        }
+
+        if (message.standIn) {
+          store.applyPolledSnapshot(symbol, data);
+        } else {
+          store.applyRestSnapshot(symbol, data);
+        }
+        post({ type: 'fetched', requestId });
+      } catch (error) {
+        post({ type: 'fetched', requestId, error: serializeError(error) });
+      } finally {
+        fetches.delete(requestId);
+      }
+      break;
+    }
+
+    case 'cancelFetch':
+      fetches.get(message.requestId)?.controller.abort();
+      break;
+
+    case 'resync':
+      message.symbols.forEach(symbol => store.resyncSymbol(symbol, message.reason));
+      break;
+
+    case 'send':
+      service?.send(message.data);
+      break;
+
+    case 'reconnect':
+      service?.reconnect();
+      break;
+
+    case 'visibility':
+      service?.setVisible(message.visible);
+      break;
+
+    case 'online':
+      service?.setOnline(message.online);
+      break;
+
+    case 'resume':
+      service?.resume(message.reason);
+      break;
+
+    case 'startRecording':
+      service?.startRecording(message.options);
+      break;
+
+    case 'stopRecording': {
+      const ndjson = service ? await service.stopRecording() : null;
+      post({ type: 'recording', requestId: message.requestId, ndjson });
+      break;
+    }
+
+    case 'token': {
+      const request = tokenRequests.get(message.requestId);
+      if (!request) break;
+
+      tokenRequests.delete(message.requestId);
+      if (message.error) {
+        request.reject(Object.assign(new Error(message.error.message), message.error));
+      } else {
+        request.resolve(message.token);
+      }
+      break;
+    }
+
+    case 'switchEndpoint':
+      try {
+        service?.switchEndpoint(message.target);
+      } catch (error) {
+        post({ type: 'error', source: 'socket', error: serializeError(error) });
+      }
+      break;
+
+    default:
+      break;
+  }
+};
@@ -0,0 +1,149 @@
+/**
+ * @jest-environment node
+ */
+import './orderBook.worker';
+
+// Stands in for the browser WebSocket; the worker's socket never opens here
+class FakeSocket {
+  static CONNECTING = 0;
+  static OPEN = 1;
+  static CLOSED = 3;
+
+  static instances = [];
+
+  constructor() {
+    FakeSocket.instances.push(this);
+  }
+
+  send() {}
+
+  close() {}
+}
+
+// The worker talks to the main thread through global onmessage / postMessage
+const send = (message) => global.onmessage({ data: message });
+
+const book = (bids) => ({
+  ok: true,
+  status: 200,
+  headers: { get: () => 'application/json' },
+  json: async () => ({ Symbol: 'BTCUSDT', Bids: bids, Asks: [] }),
+  text: async () => ''
+});
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 30));
+
+describe('order book worker', () => {
+  const { WebSocket, fetch } = global;
+  let posted;
+
+  beforeEach(() => {
+    posted = [];
+    FakeSocket.instances = [];
+    global.postMessage = (message) => posted.push(message);
+    global.WebSocket = FakeSocket;
+    send({
+      type: 'init',
+      options: { wsUrl: 'ws://feed.test', apiUrl: 'http://api.test', statsInterval: 0, socket: { heartbeatInterval: 0 } }
+    });
+    send({ type: 'subscribe', channels: ['orderbook.BTCUSDT'] });
+  });
+
+  afterEach(() => {
+    send({ type: 'init', options: { statsInterval: 0 } });
+    global.WebSocket = WebSocket;
+    global.fetch = fetch;
+  });
+
+  const replies = (type) => posted.filter(message => message.type === type);
+
+  test('applies a polled snapshot and reports it as fetched', async () => {
+    global.fetch = jest.fn(async () => book([['100', '1']]));
+
+    await send({ type: 'fetch', symbol: 'BTCUSDT', requestId: 1 });
+    await settle();
+
+    expect(replies('fetched')).toEqual([{ type: 'fetched', requestId: 1 }]);
+    expect(replies('books')[0].books[0].symbol).toBe('BTCUSDT');
+  });
+
+  test('cancels a poll on request', async () => {
+    let signal;
+    global.fetch = jest.fn((url, options) => new Promise((resolve, reject) => {
+      signal = options.signal;
+      signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+    }));
+
+    const fetching = send({ type: 'fetch', symbol: 'BTCUSDT', requestId: 2 });
+    await new Promise(resolve => setTimeout(resolve, 0));
+    send({ type: 'cancelFetch', requestId: 2 });
+    await fetching;
+
+    expect(signal.aborted).toBe(true);
+    expect(replies('fetched')).toEqual([{ type: 'fetched', requestId: 2, error: expect.objectContaining({ kind: 'aborted' }) }]);
+  });
+
+  test('drops a poll whose symbol was unsubscribed while it was in flight', async () => {
+    // A response already on its way when the unsubscribe arrives
+    let respond;
+    global.fetch = jest.fn(() => new Promise(resolve => { respond = resolve; }));
+
+    const fetching = send({ type: 'fetch', symbol: 'BTCUSDT', requestId: 3 });
+    await new Promise(resolve => setTimeout(resolve, 0));
+    send({ type: 'unsubscribe', channels: ['orderbook.BTCUSDT'] });
+    respond(book([['100', '1']]));
+    await fetching;
+    await settle();
+
+    expect(replies('fetched')).toEqual([{ type: 'fetched', requestId: 3, error: expect.objectContaining({ kind: 'aborted' }) }]);
+    expect(replies('books')).toEqual([]);
+
+    // Subscribing again starts from nothing rather than from the zombie book
+    send({ type: 'subscribe', channels: ['orderbook.BTCUSDT'] });
+    await settle();
+    expect(replies('books')).toEqual([]);
+  });
+
+  test('resyncs every book when the feed resumes', async () => {
+    global.fetch = jest.fn(async () => book([['100', '2']]));
+    const [socket] = FakeSocket.instances;
+    socket.onmessage({
+      data: JSON.stringify({
+        type: 'orderbook_snapshot',
+        data: { Symbol: 'BTCUSDT', Exchange: 'Binance', Version: 1, Bids: [['100', '1']], Asks: [] }
+      })
+    });
+
+    send({ type: 'visibility', visible: false });
+    expect(replies('suspended')).toEqual([{ type: 'suspended', event: { reason: 'hidden' } }]);
+    send({ type: 'visibility', visible: true });
+    await settle();
+
+    expect(replies('resumed')).toEqual([{ type: 'resumed', event: { reason: 'visible', suspendedFor: expect.any(Number) } }]);
+    expect(replies('resync')).toEqual([{ type: 'resync', symbol: 'BTCUSDT', venue: 'Binance', reason: 'resumed (visible)' }]);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('records the socket\'s frames and replies with them as NDJSON', async () => {
+    const [socket] = FakeSocket.instances;
+    const frames = [
+      JSON.stringify({ type: 'orderbook_snapshot', data: { Symbol: 'BTCUSDT', Exchange: 'Binance', Version: 1, Bids: [['100', '1']], Asks: [] } }),
+      JSON.stringify({ type: 'orderbook_delta', data: { Symbol: 'BTCUSDT', Exchange: 'Binance', Version: 2, PrevVersion: 1, Bids: [['100', '2']], Asks: [] } })
+    ];
+
+    socket.onmessage({ data: 'before the recording' });
+    send({ type: 'startRecording', options: {} });
+    frames.forEach(data => socket.onmessage({ data }));
+    await send({ type: 'stopRecording', requestId: 'recording-1' });
+
+    const [reply] = replies('recording');
+    expect(reply).toEqual({ type: 'recording', requestId: 'recording-1', ndjson: expect.any(String) });
+    const [header, ...lines] = reply.ndjson.trim().split('\n').map(line => JSON.parse(line));
+    expect(header).toMatchObject({ type: 'header', url: 'ws://feed.test', codec: 'json' });
+    expect(lines.map(line => line.data)).toEqual(frames);
+
+    // Nothing is recorded any more, so a second stop has nothing to hand over
+    await send({ type: 'stopRecording', requestId: 'recording-2' });
+    expect(replies('recording')[1]).toEqual({ type: 'recording', requestId: 'recording-2', ndjson: null });
+  });
+});